@@ -7,12 +7,44 @@
 
 import {
   generateRoomId,
-  createConnectionManager,
+  createRoomTransport,
+  TransportKind,
   createSyncManager,
   createStreamHandler,
+  isSyncMessage,
+  createSyncStep1,
+  handleSyncMessage,
+  generateEncryptionKey,
+  loadOrCreateIdentity,
+  createAdmissionController,
+  isAdmissionMessage,
+  createRoleRegistry,
+  isPromptMessage,
+  isRoleMessage,
+  Role,
+  RoleMessageType,
+  Permission,
+  StreamReason,
+  TurnStatus,
+  createBatcher,
+  byteLength,
+  DEFAULT_FLUSH_POLICY,
+  turnsToMessages,
+  createPromptQueue,
+  createPromptRequest,
+  createCancelMessage,
+  isCancelMessage,
+  isStatusMessage,
   createQRManager,
   createStorageAdapter,
+  createSessionStorage,
   createDocumentStorage,
+  createSettingsStorage,
+  createDocumentPersistence,
+  isIndexedDBAvailable,
+  createQuotaManager,
+  QuotaLevel,
+  DEFAULT_QUOTA,
   ConnectionState
 } from './index.js';
 
@@ -21,6 +53,42 @@ import { createQRScanner, ScannerState } from './modules/scanner.js';
 /**
  * Creates the full P2P application instance
  * @param {Object} options - Application options
+ * @param {Object} options.transport - Transport to run over (defaults to a Trystero room transport); with a direct
+ *   transport the host hands out invites with createDirectInvite/acceptAnswer and clients answer with answerInvite
+ * @param {boolean} options.encryption - End-to-end encrypt payloads with a key carried in the QR code (default true)
+ * @param {boolean} options.identity - Authenticate peers with this device's persistent key (default true)
+ * @param {boolean} options.admission - Let the host decide who joins its sessions (default true)
+ * @param {boolean} options.autoApprove - Admit peers without asking (default: unless onAdmissionRequest is set)
+ * @param {Function} options.onAdmissionRequest - Host: called with (peerId, peer, { approve, deny })
+ * @param {Function} options.onAdmissionChange - Client: called with (status, reason) from the host
+ * @param {string} options.defaultRole - Role of joiners without an invite token (default viewer)
+ * @param {Function} options.onPrompt - Host: called with (prompt, peerId, role) for prompts from peers
+ * @param {Function} options.onPermissionDenied - Host: called with (peerId, role, message) for rejected writes
+ * @param {Function} options.onRoleChange - Client: called with (role) when the host assigns a role
+ * @param {Function} options.onTurnChange - Called with (turn) when a conversation turn is added or changes
+ * @param {Function} options.onSync - Called with ({ changed, version, update }) when a peer's update changes the document
+ * @param {Function} options.onError - Called with (error, peerId) when a peer's payload is rejected
+ * @param {Object} options.provider - Host: LLM provider (createLLMProvider) that answers queued prompts from peers
+ * @param {Object} options.promptQueue - Host: prompt queue limits { maxQueued, maxPerPeer }
+ * @param {Function} options.onRequestUpdate - Client: called with (status) as the host queues, runs or fails a prompt
+ * @param {Function} options.onStreamStart - Called with (event, peerId) when a stream starts (peerId null for local ones)
+ * @param {Function} options.onStreamEnd - Called with (event, peerId) when a stream ends, with its reason
+ * @param {Function} options.onStreamAbort - Called with (event, peerId) when a stream is aborted, with its reason
+ * @param {Object} options.storage - Storage adapter for sessions, documents and settings, synchronous or Promise-returning
+ *   (default localStorage)
+ * @param {boolean} options.persistence - Persist session documents update by update in IndexedDB when available
+ *   instead of saving JSON snapshots to localStorage (default true)
+ * @param {Object} options.history - Document history retention { checkpointEvery, maxEntries, maxAge, maxBytes }
+ *   (defaults DEFAULT_HISTORY)
+ * @param {number} options.quota - Storage quota in bytes (default DEFAULT_QUOTA.quota for localStorage,
+ *   navigator.storage.estimate for a custom storage adapter)
+ * @param {string[]} options.eviction - EvictionPolicy values run once usage exceeds the quota or a write fails
+ *   for lack of space (default DEFAULT_QUOTA.policies, which keeps sessions; [] disables eviction)
+ * @param {Function} options.onQuotaWarning - Called with (status) when storage usage crosses the warning ratio
+ *   or a write fails for lack of space (status.failedWrite)
+ * @param {Function} options.onEvict - Called with (evicted entries) after stored data was evicted to free space
+ * @param {Object} options.flush - Flush policies { network, storage, ui }, each { interval, maxBytes }
+ *   (defaults DEFAULT_FLUSH_POLICY); onTextChange and onTurnChange are batched by the ui policy
  * @returns {Object} Application instance
  */
 export function createP2PApp(options = {}) {
@@ -28,96 +96,547 @@ export function createP2PApp(options = {}) {
   const storageAdapter = createStorageAdapter(
     typeof localStorage !== 'undefined' ? localStorage : null
   );
-  const docStorage = createDocumentStorage(storageAdapter);
+
+  // Usage accounting for the managers' storage; a write that hits the quota is retried after eviction
+  const quota = createQuotaManager({
+    adapter: options.storage || storageAdapter,
+    // localStorage has its own limit, far below what the origin may use
+    quota: options.quota ?? (options.storage ? null : DEFAULT_QUOTA.quota),
+    policies: options.eviction,
+    isProtected: sessionId => sessionId === currentRoomId,
+    onWarning: (status) => options.onQuotaWarning?.(status),
+    onEvict: (evicted) => options.onEvict?.(evicted)
+  });
+  const guardedStorage = quota.guard();
+  const sessionStore = createSessionStorage(guardedStorage);
+  const docStorage = createDocumentStorage(guardedStorage, options.history);
+  const settingsStorage = createSettingsStorage(guardedStorage);
+
+  // Load (or create) this device's identity key for peer authentication
+  const identityReady = options.identity === false
+    ? Promise.resolve(null)
+    : loadOrCreateIdentity(guardedStorage).catch((error) => {
+      console.warn('Peer authentication unavailable:', error.message);
+      return null;
+    });
+  
+  // Host-side admission control; kick and ban lists persist in storage
+  const admission = options.admission === false ? null : createAdmissionController({
+    adapter: guardedStorage,
+    maxPeers: settingsStorage.getDefaults().maxPeers,
+    autoApprove: options.autoApprove ?? !options.onAdmissionRequest,
+    onRequest: (peerId, peer, decision) => options.onAdmissionRequest?.(peerId, peer, decision),
+    onDeny: (peerId, reason) => console.log('Denied peer:', peerId, reason),
+    onKick: (peerId) => console.log('Kicked peer:', peerId),
+    onError: (error) => console.warn('Could not store admission lists:', error.message)
+  });
+
+  // Stored settings load asynchronously; the default peer limit applies until then
+  const settingsReady = settingsStorage.getSetting('maxPeers')
+    .then((maxPeers) => admission?.setMaxPeers(maxPeers))
+    .catch((error) => console.warn('Could not load settings:', error.message))
+    // Requests are decided against the cached kick and ban lists
+    .then(() => admission?.whenReady());
+  
+  // Host-side roles; the owner streams, editors may write, viewers only read and prompt
+  const roles = createRoleRegistry({
+    defaultRole: options.defaultRole,
+    onChange: (peerId, role) => {
+      if (isHosting) {
+        transport.send({ type: RoleMessageType.NOTICE, role }, peerId);
+      }
+    }
+  });
   
   // Initialize QR manager
   const qrManager = createQRManager(options.qrLib || null);
   
+  const flushPolicy = {
+    network: { ...DEFAULT_FLUSH_POLICY.network, ...options.flush?.network },
+    storage: { ...DEFAULT_FLUSH_POLICY.storage, ...options.flush?.storage },
+    ui: { ...DEFAULT_FLUSH_POLICY.ui, ...options.flush?.ui }
+  };
+
+  // Changes waiting for the next UI flush; only the latest state of each is reported
+  let pendingText = null;
+  const pendingTurns = new Map();
+  // Text lengths already counted, to size each change by what it appended
+  const seenLengths = new Map();
+  // Room the waiting storage writes belong to
+  let savingRoomId = null;
+  // Last queued document write; writes run one after another
+  let lastSave = Promise.resolve();
+
+  const uiBatcher = createBatcher({
+    ...flushPolicy.ui,
+    onFlush: () => {
+      const text = pendingText;
+      const turns = Array.from(pendingTurns.values());
+      pendingText = null;
+      pendingTurns.clear();
+      if (text !== null) options.onTextChange?.(text);
+      turns.forEach(turn => options.onTurnChange?.(turn));
+    }
+  });
+
+  const storageBatcher = createBatcher({
+    ...flushPolicy.storage,
+    onFlush: () => {
+      // Auto-save to storage; IndexedDB persistence stores every update itself
+      if (!savingRoomId) return;
+      const roomId = savingRoomId;
+      const documentSize = syncManager.createSnapshot().length;
+      if (docPersistence) {
+        recordSession(roomId, { documentSize });
+      } else {
+        const state = syncManager.getState();
+        lastSave = lastSave
+          .then(() => docStorage.saveDocument(roomId, state))
+          .then(() => sessionStore.updateSession(roomId, { documentSize }))
+          .catch((error) => console.error('Auto-save failed:', error));
+      }
+      lastSave = lastSave
+        .then(checkQuota)
+        .catch((error) => console.warn('Storage quota check failed:', error.message));
+    }
+  });
+
+  /**
+   * Checks storage usage, warning from the warning ratio on and evicting old data
+   * only once the quota is exceeded
+   * @returns {Promise<void>}
+   */
+  async function checkQuota() {
+    const status = await quota.check();
+    if (status.level === QuotaLevel.EXCEEDED) {
+      await quota.evict();
+    }
+  }
+
+  /**
+   * Updates the stored record of a session for the recent sessions list
+   * Secrets such as the encryption key are not stored.
+   * @param {string} roomId - Room ID
+   * @param {Object} changes - Fields to update
+   */
+  function recordSession(roomId, changes) {
+    if (!roomId) return;
+    sessionStore.updateSession(roomId, changes).catch((error) => {
+      console.warn('Could not record session:', error.message);
+    });
+  }
+
+  /**
+   * Sizes a change by the bytes it appended to a text
+   * @param {string} key - Text the change belongs to
+   * @param {string} text - Full text after the change
+   * @returns {number} Appended bytes
+   */
+  function changeSize(key, text) {
+    const seen = seenLengths.get(key) || 0;
+    seenLengths.set(key, text.length);
+    return text.length > seen ? byteLength(text.slice(seen)) : 0;
+  }
+
+  /**
+   * Queues a document save for the current room
+   * @param {number} bytes - Size of the change
+   */
+  function queueSave(bytes) {
+    if (savingRoomId !== currentRoomId) {
+      storageBatcher.flush();
+      savingRoomId = currentRoomId;
+    }
+    if (currentRoomId) {
+      storageBatcher.add(bytes);
+    }
+  }
+
   // Initialize sync manager
   const syncManager = createSyncManager({
     onTextChange: (text) => {
-      options.onTextChange?.(text);
-      // Auto-save to storage
-      if (currentRoomId) {
-        docStorage.saveDocument(currentRoomId, syncManager.getState());
-      }
+      const bytes = changeSize('', text);
+      pendingText = text;
+      uiBatcher.add(bytes);
+      queueSave(bytes);
+    },
+    onSync: (change) => {
+      options.onSync?.(change);
     },
-    onSync: (state) => {
-      options.onSync?.(state);
+    onTurnChange: (turn) => {
+      const bytes = changeSize(turn.id, turn.text);
+      pendingTurns.set(turn.id, turn);
+      uiBatcher.add(bytes);
+      queueSave(bytes);
+      // A finished turn is shown and saved without waiting for the window
+      if (turn.status !== TurnStatus.STREAMING) {
+        uiBatcher.flush();
+        storageBatcher.flush();
+      }
     }
   });
   
-  // Initialize connection manager
-  const connectionManager = createConnectionManager({
-    onPeerJoin: (peerId) => {
-      console.log('Peer joined:', peerId);
-      options.onPeerJoin?.(peerId);
-      // Send current state to new peer
-      connectionManager.broadcast(syncManager.getState());
+  // Initialize transport (Trystero room unless another transport is given)
+  const transport = options.transport || createRoomTransport({
+    onReconnect: (roomId) => {
+      // Returning peers arrive through onPeerJoin, which replays the sync handshake
+      console.log('Reconnected to room:', roomId);
+      options.onReconnect?.(roomId);
     },
-    onPeerLeave: (peerId) => {
-      console.log('Peer left:', peerId);
-      options.onPeerLeave?.(peerId);
-    },
-    onStateChange: (state) => {
-      console.log('Connection state:', state);
-      options.onStateChange?.(state);
+    onReconnectFailed: (attempts) => {
+      console.error('Giving up reconnect after attempts:', attempts);
+      options.onReconnectFailed?.(attempts);
+    }
+  });
+
+  // Provider requests in flight: streamId -> AbortController
+  const generations = new Map();
+
+  // Initialize stream handler
+  const streamHandler = createStreamHandler(syncManager, transport, {
+    flush: flushPolicy.network,
+    onGap: (peerId, range) => {
+      console.warn('Requesting missed stream deltas:', peerId, range.from, range.to);
     },
-    onData: (data, peerId) => {
-      console.log('Received data from:', peerId);
-      syncManager.merge(data);
+    onStreamStart: (event, peerId) => options.onStreamStart?.(event, peerId),
+    onStreamEnd: (event, peerId) => options.onStreamEnd?.(event, peerId),
+    onStreamAbort: (event, peerId) => options.onStreamAbort?.(event, peerId),
+    onAbortRequest: (streamId, peerId) => {
+      // Editors may stop any stream, everyone else only answers to their own prompts
+      const turn = syncManager.getTurn(streamId);
+      const ownRequest = !!turn && turn.meta.peerId === peerId;
+      if (isHosting && !ownRequest && !roles.can(peerId, Permission.WRITE)) {
+        console.warn('Rejected abort request from:', peerId, roles.getRole(peerId));
+        options.onPermissionDenied?.(peerId, roles.getRole(peerId), { type: 'stream-abort-request', streamId });
+        return;
+      }
+      abortStreaming(streamId, StreamReason.PEER_REQUEST);
+    }
+  });
+
+  // Set when this client knows the host's fingerprint
+  let hostPinned = false;
+  // Set while this device hosts the session
+  let isHosting = false;
+  // Role the host assigned to this client, and the invite token to claim a higher one
+  let localRole = null;
+  let roleToken = null;
+
+  /**
+   * Checks whether a peer may sync with this device
+   * A client that pinned the host syncs only through it, so peers the
+   * host has not admitted can't reach the document via other clients.
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if the peer is trusted
+   */
+  function isTrustedPeer(peerId) {
+    if (!hostPinned) return true;
+    const peer = transport.getPeer ? transport.getPeer(peerId) : null;
+    return !!peer && peer.isHost;
+  }
+
+  // With an identity, peers are only announced once their handshake is
+  // verified; with admission control, once the host admitted them
+  transport.onPeerJoin((peerId, peer) => {
+    console.log('Peer joined:', peerId);
+    recordSession(currentRoomId, { peerCount: getPeerCount() });
+    options.onPeerJoin?.(peerId, peer);
+    if (!isTrustedPeer(peerId)) return;
+    if (isHosting) {
+      transport.send({ type: RoleMessageType.NOTICE, role: roles.getRole(peerId) }, peerId);
+    } else if (roleToken) {
+      transport.send({ type: RoleMessageType.CLAIM, token: roleToken }, peerId);
+    }
+    // Start the sync handshake with the new peer only
+    transport.send(createSyncStep1(syncManager), peerId);
+  });
+
+  transport.onPeerLeave((peerId) => {
+    console.log('Peer left:', peerId);
+    streamHandler.removePeer(peerId);
+    roles.removePeer(peerId);
+    promptQueue.removePeer(peerId);
+    recordSession(currentRoomId, { peerCount: getPeerCount() });
+    options.onPeerLeave?.(peerId);
+  });
+
+  transport.onError((error, peerId) => {
+    console.warn('Rejected payload from:', peerId, error.message);
+    options.onError?.(error, peerId);
+  });
+
+  transport.onImpostor((peerId, reason) => {
+    console.warn('Dropped impostor peer:', peerId, reason);
+    options.onImpostor?.(peerId, reason);
+  });
+
+  transport.onStateChange((state) => {
+    console.log('Connection state:', state);
+    options.onStateChange?.(state);
+  });
+
+  transport.subscribe((data, peerId) => {
+    console.log('Received data from:', peerId);
+    if (!isTrustedPeer(peerId)) return;
+    if (isAdmissionMessage(data)) {
+      options.onAdmissionChange?.(data.status, data.reason);
+      return;
+    }
+    if (isHosting && !roles.authorize(peerId, data)) {
+      console.warn('Rejected write from:', peerId, roles.getRole(peerId));
+      options.onPermissionDenied?.(peerId, roles.getRole(peerId), data);
+      return;
+    }
+    if (isPromptMessage(data) || isRoleMessage(data) || isCancelMessage(data) || isStatusMessage(data)) {
+      handlePromptLane(data, peerId);
+      return;
+    }
+    if (streamHandler.receive(data, peerId)) {
+      return;
+    }
+    if (isSyncMessage(data)) {
+      const reply = handleSyncMessage(syncManager, data);
+      if (reply) {
+        transport.send(reply, peerId);
+      }
+      return;
+    }
+    const change = syncManager.merge(data);
+    if (change.error) {
+      console.warn('Rejected document update from:', peerId, change.error.message);
+      options.onError?.(change.error, peerId);
     }
   });
   
-  // Initialize stream handler
-  const streamHandler = createStreamHandler(syncManager, connectionManager);
+  /**
+   * Handles prompts and role messages
+   * @param {Object} message - Prompt-lane message
+   * @param {string} peerId - Sender
+   */
+  function handlePromptLane(message, peerId) {
+    if (!isHosting) {
+      if (message.type === RoleMessageType.NOTICE) {
+        localRole = message.role;
+        options.onRoleChange?.(message.role);
+      } else if (isStatusMessage(message)) {
+        options.onRequestUpdate?.(message);
+      }
+      return;
+    }
+    if (message.type === RoleMessageType.CLAIM) {
+      roles.claim(peerId, message.token);
+    } else if (isCancelMessage(message)) {
+      promptQueue.cancel(message.requestId, peerId);
+    } else if (isPromptMessage(message)) {
+      options.onPrompt?.(message, peerId, roles.getRole(peerId));
+      if (message.requestId !== undefined) {
+        promptQueue.enqueue(peerId, message);
+      }
+    }
+  }
+
+  // Host-side queue answering peers' prompts one at a time with the configured provider
+  const promptQueue = createPromptQueue({
+    ...options.promptQueue,
+    process: (request, { signal, setStreamId }) => {
+      if (!options.provider) {
+        throw new Error('No LLM provider configured');
+      }
+      return generate(options.provider, request.text, {
+        meta: { requestId: request.requestId, peerId: request.peerId },
+        signal,
+        onStart: setStreamId
+      });
+    },
+    onUpdate: (peerId, status) => {
+      transport.send(status, peerId);
+    }
+  });
   
   // Initialize QR scanner
   let qrScanner = null;
   let scannerJoinRoom = null; // Store joinRoom function for use after scan
   
   let currentRoomId = null;
+  let currentSession = null;
+  // IndexedDB persistence of the current room's document
+  let docPersistence = null;
+  // Settles once every detached persistence has closed
+  let persistenceClosed = Promise.resolve();
+
+  /**
+   * Stops persisting the current document; closing finishes in the background
+   */
+  function detachPersistence() {
+    if (!docPersistence) return;
+    const closing = docPersistence;
+    docPersistence = null;
+    persistenceClosed = persistenceClosed
+      .then(() => closing.destroy())
+      .catch((error) => console.warn('Could not close document persistence:', error.message));
+  }
+
+  /**
+   * Persists the document of a room in IndexedDB and loads what was stored
+   * The previous persistence on the same document is closed first.
+   * @param {string} roomId - Room ID
+   * @returns {Promise<void>}
+   */
+  async function attachPersistence(roomId) {
+    detachPersistence();
+    await persistenceClosed;
+    if (options.persistence === false || !isIndexedDBAvailable()) return;
+
+    docPersistence = createDocumentPersistence(roomId, syncManager.getDoc());
+    await docPersistence.whenSynced();
+  }
+
+  /**
+   * Checks whether the transport is a direct one in the given role
+   * @param {string} role - 'host' or 'client'
+   * @returns {boolean} True for a direct transport in that role
+   */
+  function isDirect(role) {
+    return transport.kind === TransportKind.DIRECT && transport.role === role;
+  }
 
   /**
    * Creates a new hosting session
-   * @param {Function} joinRoom - Trystero joinRoom function
+   * Over a direct transport the session info also carries the first
+   * client's invite { clientId, offer }.
+   * @param {Function} [joinRoom] - Trystero joinRoom function (room transport only)
    * @returns {Promise<Object>} Session info
    */
   async function createSession(joinRoom) {
     const roomId = generateRoomId();
+    const encryptionKey = options.encryption === false ? null : generateEncryptionKey();
+    const identity = await identityReady;
+    const hostFingerprint = identity ? identity.fingerprint : null;
     currentRoomId = roomId;
+    currentSession = { roomId, encryptionKey, hostFingerprint };
+    hostPinned = false;
+    isHosting = true;
+    roleToken = null;
+    await settingsReady;
+    await attachPersistence(roomId);
+    recordSession(roomId, { roomId, isHost: true, role: Role.OWNER, hostFingerprint, peerCount: 0 });
     
-    await connectionManager.join(roomId, joinRoom);
+    // The host's room stays open while it waits for peers
+    const connected = await transport.connect(isDirect('host') ? null : roomId, {
+      joinRoom,
+      encryptionKey,
+      identity,
+      hostFingerprint,
+      admission,
+      rejoinOnPeerLoss: false
+    });
     
-    const qrDataUrl = await qrManager.generate(roomId);
-    
-    return {
+    const qrDataUrl = await qrManager.generate(roomId, { ...currentSession, role: roles.defaultRole });
+    const session = {
       roomId,
       qrDataUrl,
       shareUrl: qrManager.createShareUrl(
         options.baseUrl || 'https://localhost:3000',
-        roomId
+        roomId,
+        { ...currentSession, role: roles.defaultRole }
       )
     };
+    return isDirect('host') ? { ...session, invite: connected } : session;
   }
 
   /**
-   * Joins an existing session from QR data
-   * @param {string} qrContent - Scanned QR content
-   * @param {Function} joinRoom - Trystero joinRoom function
-   * @returns {Promise<Object>} Session info
+   * Creates an invite for one more client of a direct session
+   * @returns {Promise<Object>} Invite { clientId, offer }
    */
-  async function joinSession(qrContent, joinRoom) {
-    const sessionData = qrManager.parse(qrContent);
+  async function createDirectInvite() {
+    if (!isDirect('host') || !isHosting) {
+      throw new Error('Only the host of a direct session can create direct invites');
+    }
+    return transport.invite();
+  }
+
+  /**
+   * Completes a direct invite with the client's answer
+   * @param {string} answer - Compressed answer from the client
+   * @param {string} clientId - Client ID of the invite
+   * @returns {Promise<void>}
+   */
+  async function acceptAnswer(answer, clientId) {
+    if (!isDirect('host') || !isHosting) {
+      throw new Error('Only the host of a direct session can accept answers');
+    }
+    return transport.accept(answer, clientId);
+  }
+
+  /**
+   * Creates a QR code and share URL that grant a role in the hosted session
+   * @param {string} role - Role to grant (editor or viewer)
+   * @returns {Promise<Object>} Invite { role, roleToken, qrDataUrl, shareUrl }
+   */
+  async function createInvite(role) {
+    if (!isHosting || !currentSession) {
+      throw new Error('Only the host can create invites');
+    }
+    const inviteToken = roles.createInvite(role);
+    const inviteOptions = { ...currentSession, role, roleToken: inviteToken };
+    
+    return {
+      role,
+      roleToken: inviteToken,
+      qrDataUrl: await qrManager.generate(currentSession.roomId, inviteOptions),
+      shareUrl: qrManager.createShareUrl(
+        options.baseUrl || 'https://localhost:3000',
+        currentSession.roomId,
+        inviteOptions
+      )
+    };
+  }
+
+  /**
+   * Loads a session's stored document and becomes a client of it
+   * @param {Object} sessionData - { roomId, encryptionKey, hostFingerprint, role, roleToken }
+   * @returns {Promise<Object>} Security options for transport.connect
+   */
+  async function prepareJoin(sessionData) {
     currentRoomId = sessionData.roomId;
     
     // Load any persisted state
-    const savedState = docStorage.loadDocument(currentRoomId);
+    const savedState = await docStorage.loadDocument(currentRoomId);
     if (savedState) {
       syncManager.merge(savedState);
     }
+    await attachPersistence(currentRoomId);
+    recordSession(currentRoomId, {
+      roomId: currentRoomId,
+      isHost: false,
+      role: sessionData.role || null,
+      hostFingerprint: sessionData.hostFingerprint || null,
+      peerCount: 0
+    });
+    
+    const identity = await identityReady;
+    hostPinned = !!(identity && sessionData.hostFingerprint);
+    isHosting = false;
+    roleToken = sessionData.roleToken || null;
+    
+    return {
+      encryptionKey: sessionData.encryptionKey || null,
+      identity,
+      hostFingerprint: sessionData.hostFingerprint || null
+    };
+  }
+
+  /**
+   * Joins an existing session from QR data
+   * @param {string} qrContent - Scanned QR content
+   * @param {Function} joinRoom - Trystero joinRoom function
+   * @returns {Promise<Object>} Session info
+   */
+  async function joinSession(qrContent, joinRoom) {
+    const sessionData = qrManager.parse(qrContent);
+    const connectOptions = await prepareJoin(sessionData);
     
-    await connectionManager.join(sessionData.roomId, joinRoom);
+    await transport.connect(sessionData.roomId, { ...connectOptions, joinRoom });
     
     return {
       roomId: sessionData.roomId,
@@ -129,22 +648,41 @@ export function createP2PApp(options = {}) {
    * Joins an existing session by room ID directly
    * @param {string} roomId - Room ID to join
    * @param {Function} joinRoom - Trystero joinRoom function
+   * @param {string} [encryptionKey] - Session key, required if the host encrypts
+   * @param {string} [hostFingerprint] - Host fingerprint; without it the host is not pinned
    * @returns {Promise<Object>} Session info
    */
-  async function joinSessionById(roomId, joinRoom) {
-    currentRoomId = roomId;
+  async function joinSessionById(roomId, joinRoom, encryptionKey = null, hostFingerprint = null) {
+    const sessionData = { roomId, encryptionKey, hostFingerprint };
+    const connectOptions = await prepareJoin(sessionData);
     
-    // Load any persisted state
-    const savedState = docStorage.loadDocument(currentRoomId);
-    if (savedState) {
-      syncManager.merge(savedState);
+    await transport.connect(roomId, { ...connectOptions, joinRoom });
+    
+    return {
+      roomId,
+      sessionData
+    };
+  }
+
+  /**
+   * Joins a direct session by answering the host's invite
+   * @param {string} offer - Offer from the host's invite
+   * @param {string} sessionContent - The session's QR content or share URL
+   * @returns {Promise<Object>} Session info with the answer to show the host
+   */
+  async function answerInvite(offer, sessionContent) {
+    if (!isDirect('client')) {
+      throw new Error('Answering an invite needs a direct client transport');
     }
+    const sessionData = qrManager.parseFromUrl(sessionContent) || qrManager.parse(sessionContent);
+    const connectOptions = await prepareJoin(sessionData);
     
-    await connectionManager.join(roomId, joinRoom);
+    const answer = await transport.connect(offer, connectOptions);
     
     return {
-      roomId,
-      sessionData: { roomId }
+      roomId: sessionData.roomId,
+      sessionData,
+      answer
     };
   }
 
@@ -242,25 +780,172 @@ export function createP2PApp(options = {}) {
   }
 
   /**
-   * Starts LLM streaming mode
+   * Starts streaming a new response turn
+   * @param {Object} [turn] - Turn options { kind, parentId, meta }
+   * @returns {string} Stream ID
    */
-  function startStreaming() {
-    streamHandler.startStream();
+  function startStreaming(turn) {
+    return streamHandler.startStream(turn);
   }
 
   /**
-   * Stops LLM streaming mode
+   * Stops a stream and marks its turn done
+   * @param {string} [streamId] - Stream ID (default the latest one started)
+   * @returns {boolean} True if the stream was active
    */
-  function stopStreaming() {
-    streamHandler.stopStream();
+  function stopStreaming(streamId) {
+    return streamHandler.stopStream(streamId);
+  }
+
+  /**
+   * Aborts a stream, cancels its provider request and keeps the partial turn
+   * @param {string} [streamId] - Stream ID (default the latest one started)
+   * @param {string} [reason] - StreamReason value sent to peers (default cancelled)
+   * @returns {boolean} True if the stream was active
+   */
+  function abortStreaming(streamId = streamHandler.getStreamId(), reason = StreamReason.CANCELLED) {
+    const request = generations.get(streamId);
+    if (request) {
+      request.abort();
+    }
+    return streamHandler.abortStream(streamId, reason);
+  }
+
+  /**
+   * Asks the peer streaming a turn to abort it
+   * @param {string} streamId - Stream ID of a remote stream
+   * @returns {boolean} True if the request was sent
+   */
+  function requestAbort(streamId) {
+    return streamHandler.requestAbort(streamId);
   }
 
   /**
    * Handles incoming LLM token
    * @param {string} token - Token to process
+   * @param {string} [streamId] - Stream ID (default the latest one started)
+   */
+  function onLLMToken(token, streamId) {
+    streamHandler.onToken(token, streamId);
+  }
+
+  /**
+   * Adds a prompt turn to the shared conversation
+   * @param {string} text - Prompt text
+   * @param {Object} [meta] - Metadata such as the asking peer
+   * @returns {string} Turn ID, to pass as parentId of the response
+   */
+  function addPrompt(text, meta) {
+    return streamHandler.addPrompt(text, meta);
+  }
+
+  /**
+   * Streams a completion from an LLM provider into a new response turn
+   * A prompt string is added as a prompt turn first and the whole
+   * conversation is sent as context; a message array is sent as is.
+   * @param {Object} provider - Adapter from createLLMProvider
+   * @param {string|Array} input - Prompt text or chat messages
+   * @param {Object} [turn] - Response turn options
+   * @param {string} [turn.parentId] - Turn the response answers (set automatically for a prompt string)
+   * @param {Object} [turn.meta] - Metadata for the prompt and response turns
+   * @param {AbortSignal} [turn.signal] - Cancels the generation
+   * @param {Function} [turn.onStart] - Called with (streamId) once the response turn exists
+   * @returns {Promise<Object>} Provider result with the streamId
+   */
+  async function generate(provider, input, turn = {}) {
+    let messages = input;
+    let parentId = turn.parentId;
+    if (typeof input === 'string') {
+      parentId = streamHandler.addPrompt(input, turn.meta);
+      messages = turnsToMessages(syncManager.getTurns());
+    }
+
+    const streamId = streamHandler.startStream({
+      parentId,
+      meta: { provider: provider.config.type, model: provider.config.model, ...turn.meta }
+    });
+    const request = new AbortController();
+    generations.set(streamId, request);
+    const abortRequest = () => request.abort();
+    if (turn.signal) {
+      if (turn.signal.aborted) request.abort();
+      turn.signal.addEventListener('abort', abortRequest);
+    }
+    turn.onStart?.(streamId);
+
+    try {
+      const result = await provider.stream(messages, {
+        signal: request.signal,
+        onToken: token => streamHandler.onToken(token, streamId)
+      });
+      if (result.aborted) {
+        streamHandler.abortStream(streamId);
+      } else {
+        streamHandler.stopStream(
+          streamId,
+          result.finishReason === 'length' ? StreamReason.LENGTH : StreamReason.COMPLETE
+        );
+      }
+      return { streamId, ...result };
+    } catch (error) {
+      streamHandler.abortStream(streamId, StreamReason.ERROR);
+      throw error;
+    } finally {
+      generations.delete(streamId);
+      turn.signal?.removeEventListener('abort', abortRequest);
+    }
+  }
+
+  /**
+   * Gets conversation turns in order
+   * @param {number} [start] - First index (negative counts from the end)
+   * @param {number} [end] - End index, exclusive
+   * @returns {Object[]} Turns
    */
-  function onLLMToken(token) {
-    streamHandler.onToken(token);
+  function getTurns(start, end) {
+    return syncManager.getTurns(start, end);
+  }
+
+  /**
+   * Sends a prompt-lane message to the verified host, or to everyone without identities
+   * @param {Object} message - Message to send
+   * @returns {boolean} True if sent
+   */
+  function sendToHost(message) {
+    const hosts = transport.getPeers().filter((peerId) => {
+      const peer = transport.getPeer ? transport.getPeer(peerId) : null;
+      return !!peer && peer.isHost;
+    });
+    return hosts.length > 0 ? transport.send(message, hosts) : transport.broadcast(message);
+  }
+
+  /**
+   * Sends a prompt to the host's queue (allowed for every role)
+   * Progress arrives through options.onRequestUpdate with the returned ID.
+   * @param {string} text - Prompt text
+   * @param {Object} [extra] - Additional prompt fields
+   * @returns {string|null} Request ID, or null if nothing was sent
+   */
+  function sendPrompt(text, extra = {}) {
+    const message = createPromptRequest(text, extra);
+    return sendToHost(message) ? message.requestId : null;
+  }
+
+  /**
+   * Withdraws a prompt sent with sendPrompt
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if sent
+   */
+  function cancelPrompt(requestId) {
+    return sendToHost(createCancelMessage(requestId));
+  }
+
+  /**
+   * Gets this device's role in the current session
+   * @returns {string|null} Role value, or null before the host assigned one
+   */
+  function getRole() {
+    return isHosting ? Role.OWNER : localRole;
   }
 
   /**
@@ -276,7 +961,7 @@ export function createP2PApp(options = {}) {
    * @returns {string} Connection state
    */
   function getConnectionState() {
-    return connectionManager.getState();
+    return transport.getState();
   }
 
   /**
@@ -284,15 +969,28 @@ export function createP2PApp(options = {}) {
    * @returns {number} Peer count
    */
   function getPeerCount() {
-    return connectionManager.getPeerCount();
+    return transport.getPeers().length;
   }
 
   /**
    * Disconnects from current session
    */
   function disconnect() {
-    connectionManager.leave();
+    streamHandler.getActiveStreams().forEach((streamId) => {
+      abortStreaming(streamId, StreamReason.DISCONNECTED);
+    });
+    promptQueue.clear();
+    streamHandler.flush();
+    uiBatcher.flush();
+    storageBatcher.flush();
+    transport.disconnect();
+    detachPersistence();
+    roles.clear();
     currentRoomId = null;
+    currentSession = null;
+    isHosting = false;
+    localRole = null;
+    roleToken = null;
   }
 
   /**
@@ -301,29 +999,92 @@ export function createP2PApp(options = {}) {
   function destroy() {
     disconnect();
     syncManager.reset();
+    uiBatcher.cancel();
+    storageBatcher.cancel();
+    seenLengths.clear();
+  }
+
+  /**
+   * Lists stored sessions for a recent sessions screen
+   * @param {Object} [listOptions] - { sortBy, order, offset, limit }
+   * @returns {Promise<Object>} { sessions, total, offset, limit, hasMore }
+   */
+  function listSessions(listOptions) {
+    return sessionStore.listSessions(listOptions);
+  }
+
+  /**
+   * Measures storage usage against the quota
+   * @returns {Promise<Object>} Status { usage, quota, ratio, level, namespaces, source }
+   */
+  function getStorageStatus() {
+    return quota.check({ force: true });
+  }
+
+  /**
+   * Writes waiting auto-saves now and waits for every queued write
+   * @returns {Promise<void>}
+   */
+  function whenSaved() {
+    storageBatcher.flush();
+    return lastSave;
+  }
+
+  /**
+   * Gets how much each layer batched
+   * @returns {Object} Batcher metrics { network, storage, ui }
+   */
+  function getMetrics() {
+    return {
+      network: streamHandler.getMetrics(),
+      storage: storageBatcher.getMetrics(),
+      ui: uiBatcher.getMetrics()
+    };
   }
 
   return {
     createSession,
+    createInvite,
+    createDirectInvite,
+    acceptAnswer,
     joinSession,
     joinSessionById,
+    answerInvite,
     startScanner,
     stopScanner,
     scanImageFile,
     startStreaming,
     stopStreaming,
+    abortStreaming,
+    requestAbort,
     onLLMToken,
+    addPrompt,
+    generate,
+    getTurns,
+    sendPrompt,
+    cancelPrompt,
+    getRole,
     getText,
     getConnectionState,
     getPeerCount,
+    getMetrics,
+    whenSaved,
+    listSessions,
+    getStorageStatus,
     disconnect,
     destroy,
     // Expose internals for advanced usage
-    connectionManager,
+    transport,
+    connectionManager: transport.manager || null,
     syncManager,
     streamHandler,
     qrManager,
-    docStorage
+    sessionStore,
+    docStorage,
+    quota,
+    admission,
+    roles,
+    promptQueue
   };
 }
 
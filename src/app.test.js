@@ -0,0 +1,261 @@
+/**
+ * Application Tests
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+
+import { createP2PApp } from './app.js';
+import {
+  createDirectTransport,
+  isEncryptedMessage,
+  EvictionPolicy,
+  QuotaLevel,
+  STORAGE_KEYS,
+  TransportKind,
+  TransportState
+} from './index.js';
+import { DirectConnectionState } from './modules/webrtc-direct.js';
+
+// WebCrypto resolves on its own schedule; poll until the expectation holds
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Fake direct connections; an answer links the host's end to the client's
+function createLinkedNetwork() {
+  const offers = new Map();
+  const answers = new Map();
+  const created = [];
+  let sessions = 0;
+
+  const factory = (connOptions) => {
+    const sessionId = 'session-' + (++sessions);
+    let state = DirectConnectionState.IDLE;
+    let remote = null;
+    const setState = (newState) => {
+      state = newState;
+      connOptions.onStateChange(newState);
+    };
+    const end = {
+      createOffer: async () => {
+        setState(DirectConnectionState.OFFERING);
+        offers.set('offer-' + sessionId, end);
+        return 'offer-' + sessionId;
+      },
+      createAnswer: async (offer) => {
+        setState(DirectConnectionState.ANSWERING);
+        answers.set('answer-' + sessionId, { offer, end });
+        return 'answer-' + sessionId;
+      },
+      acceptAnswer: async (answer) => {
+        const { offer, end: client } = answers.get(answer);
+        if (offers.get(offer) !== end) throw new Error('Answer for another offer');
+        end.link(client);
+        client.link(end);
+        setState(DirectConnectionState.CONNECTED);
+        client.setState(DirectConnectionState.CONNECTED);
+      },
+      link: (other) => {
+        remote = other;
+      },
+      receive: message => connOptions.onMessage(message),
+      send: jest.fn((message) => {
+        if (state !== DirectConnectionState.CONNECTED) return false;
+        const copy = structuredClone(message);
+        queueMicrotask(() => remote.receive(copy));
+        return true;
+      }),
+      close: () => setState(DirectConnectionState.DISCONNECTED),
+      getSessionId: () => sessionId,
+      isConnected: () => state === DirectConnectionState.CONNECTED,
+      setState
+    };
+    created.push(end);
+    return end;
+  };
+  return { factory, created };
+}
+
+describe('App', () => {
+  let apps;
+
+  beforeEach(() => {
+    apps = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    apps.forEach(app => app.destroy());
+    jest.restoreAllMocks();
+  });
+
+  function createApp(options) {
+    const app = createP2PApp({ persistence: false, ...options });
+    apps.push(app);
+    return app;
+  }
+
+  describe('over a direct transport', () => {
+    test('should run a session between a host and a client', async () => {
+      const { factory } = createLinkedNetwork();
+      const host = createApp({
+        transport: createDirectTransport({ role: 'host', createConnection: factory })
+      });
+      const client = createApp({
+        transport: createDirectTransport({ role: 'client', createConnection: factory })
+      });
+
+      const session = await host.createSession();
+      expect(host.transport.kind).toBe(TransportKind.DIRECT);
+      expect(session.invite.offer).toEqual(expect.any(String));
+
+      const joined = await client.answerInvite(session.invite.offer, session.shareUrl);
+      expect(joined.roomId).toBe(session.roomId);
+      expect(joined.sessionData.encryptionKey).toEqual(expect.any(String));
+
+      host.syncManager.appendText('hello');
+      await host.acceptAnswer(joined.answer, session.invite.clientId);
+      await waitFor(() => host.getPeerCount() === 1 && client.getPeerCount() === 1);
+      expect(host.getConnectionState()).toBe(TransportState.CONNECTED);
+      await waitFor(() => client.getText() === 'hello');
+      expect(client.getRole()).toBe('viewer');
+
+      const streamId = host.startStreaming();
+      host.onLLMToken('Hi there', streamId);
+      host.stopStreaming(streamId);
+      await waitFor(() => client.getTurns().some(turn => turn.text === 'Hi there'));
+    });
+
+    test('should encrypt the session with the key from the invite', async () => {
+      const { factory, created } = createLinkedNetwork();
+      const host = createApp({
+        transport: createDirectTransport({ role: 'host', createConnection: factory })
+      });
+      const client = createApp({
+        transport: createDirectTransport({ role: 'client', createConnection: factory })
+      });
+
+      const session = await host.createSession();
+      const { answer } = await client.answerInvite(session.invite.offer, session.shareUrl);
+      host.syncManager.appendText('secret');
+      await host.acceptAnswer(answer, session.invite.clientId);
+      await waitFor(() => client.getText() === 'secret');
+      const sent = created.flatMap(end => end.send.mock.calls.map(call => call[0]));
+      expect(sent.length).toBeGreaterThan(0);
+      sent.forEach(message => expect(isEncryptedMessage(message)).toBe(true));
+    });
+
+    test('should create further invites for the host only', async () => {
+      const { factory } = createLinkedNetwork();
+      const host = createApp({
+        transport: createDirectTransport({ role: 'host', createConnection: factory })
+      });
+      const client = createApp({
+        transport: createDirectTransport({ role: 'client', createConnection: factory })
+      });
+
+      await expect(host.createDirectInvite()).rejects.toThrow('Only the host');
+      const session = await host.createSession();
+      const invite = await host.createDirectInvite();
+
+      expect(invite.clientId).not.toBe(session.invite.clientId);
+      await expect(client.createDirectInvite()).rejects.toThrow('Only the host');
+      await expect(host.answerInvite(invite.offer, session.shareUrl)).rejects.toThrow('direct client transport');
+    });
+  });
+
+  describe('with a storage quota', () => {
+    const historyKey = STORAGE_KEYS.HISTORY + '_old';
+    let store;
+    let storage;
+
+    beforeEach(() => {
+      store = new Map([[historyKey, [
+        { state: 'x'.repeat(600), timestamp: 1 },
+        { state: 'y', timestamp: 2 }
+      ]]]);
+      storage = {
+        get: async key => store.get(key) ?? null,
+        set: async (key, value) => {
+          store.set(key, value);
+          return true;
+        },
+        remove: async key => store.delete(key),
+        keys: async (prefix = '') => Array.from(store.keys()).filter(key => key.startsWith(prefix))
+      };
+    });
+
+    async function saveSession(quota) {
+      const onQuotaWarning = jest.fn();
+      const onEvict = jest.fn();
+      const host = createApp({
+        storage,
+        quota,
+        onQuotaWarning,
+        onEvict,
+        transport: createDirectTransport({ role: 'host', createConnection: createLinkedNetwork().factory })
+      });
+      await host.createSession();
+      host.syncManager.appendText('hello');
+      await host.whenSaved();
+      return { onQuotaWarning, onEvict };
+    }
+
+    test('should only warn once usage reaches the warning ratio', async () => {
+      const { onQuotaWarning, onEvict } = await saveSession(2200);
+
+      expect(onQuotaWarning).toHaveBeenCalledWith(expect.objectContaining({ level: QuotaLevel.WARNING }));
+      expect(onEvict).not.toHaveBeenCalled();
+      expect(store.get(historyKey)).toHaveLength(2);
+    });
+
+    test('should evict once the quota is exceeded', async () => {
+      const { onEvict } = await saveSession(1500);
+
+      expect(onEvict).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({ policy: EvictionPolicy.OLDEST_HISTORY, key: historyKey })
+      ]));
+      expect(store.get(historyKey)).toHaveLength(1);
+    });
+  });
+
+  describe('with IndexedDB persistence', () => {
+    let previous;
+
+    beforeEach(() => {
+      previous = { indexedDB: globalThis.indexedDB, IDBKeyRange: globalThis.IDBKeyRange };
+      globalThis.indexedDB = new IDBFactory();
+      globalThis.IDBKeyRange = IDBKeyRange;
+    });
+
+    afterEach(() => {
+      globalThis.indexedDB = previous.indexedDB;
+      globalThis.IDBKeyRange = previous.IDBKeyRange;
+    });
+
+    test('should close the previous document persistence before the next session', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const { factory } = createLinkedNetwork();
+      const host = createApp({
+        persistence: true,
+        transport: createDirectTransport({ role: 'host', createConnection: factory })
+      });
+
+      const first = await host.createSession();
+      host.syncManager.appendText('first');
+      host.disconnect();
+      const second = await host.createSession();
+
+      expect(second.roomId).not.toBe(first.roomId);
+      expect(warn).not.toHaveBeenCalledWith('Could not close document persistence:', expect.anything());
+    });
+  });
+});
@@ -10,16 +10,32 @@ export {
   validateRoomId,
   createConnectionManager,
   ConnectionState,
-  DEFAULT_CONFIG
+  DEFAULT_CONFIG,
+  SYNC_ACTION,
+  ChannelName
 } from './modules/connection.js';
 
 // Sync module
 export {
   encodeUpdate,
   decodeUpdate,
+  bytesToBase64,
+  base64ToBytes,
   createSyncManager,
   createStreamHandler,
-  SyncEvent
+  isSyncMessage,
+  isStreamMessage,
+  createSyncStep1,
+  handleSyncMessage,
+  SyncEvent,
+  SyncMessageType,
+  StreamMessageType,
+  StreamReason,
+  STREAM_RETENTION,
+  TurnKind,
+  TurnStatus,
+  TEXT_KEY,
+  TURNS_KEY
 } from './modules/sync.js';
 
 // QR Code module
@@ -37,10 +53,13 @@ export {
 // Storage module
 export {
   createStorageAdapter,
+  toAsyncAdapter,
   createSessionStorage,
   createDocumentStorage,
   createSettingsStorage,
-  STORAGE_KEYS
+  STORAGE_KEYS,
+  SessionSort,
+  DEFAULT_SESSION_LIST
 } from './modules/storage.js';
 
 // Scanner module
@@ -53,7 +72,168 @@ export {
 export {
   DirectConnectionState,
   DEFAULT_ICE_SERVERS,
+  DEFAULT_RECOVERY,
+  DEFAULT_TRANSFER,
+  SignalType,
+  CHUNK_FRAME,
+  CONTROL_KEY,
   compressSignaling,
   decompressSignaling,
+  parseSdpIdentity,
+  fragmentMessage,
+  createReassembler,
   createDirectConnection
 } from './modules/webrtc-direct.js';
+
+// Direct multi-client host module
+export {
+  createDirectHost,
+  DEFAULT_HOST_CONFIG
+} from './modules/direct-host.js';
+
+// Transport module
+export {
+  createRoomTransport,
+  createDirectTransport,
+  toTransportState,
+  TransportKind,
+  TransportState,
+  DIRECT_HOST_PEER_ID,
+  CODEC_ACTION
+} from './modules/transport.js';
+
+// Wire codec module
+export {
+  encodeMessage,
+  decodeMessage,
+  bytesToBase64Url,
+  base64UrlToBytes,
+  encodeVarint,
+  decodeVarint,
+  createHello,
+  isCodecMessage,
+  negotiateFormat,
+  createFormatNegotiator,
+  CODEC_VERSION,
+  WireFormat,
+  MessageTag
+} from './modules/codec.js';
+
+// Encryption module
+export {
+  generateEncryptionKey,
+  importEncryptionKey,
+  encryptMessage,
+  decryptMessage,
+  isEncryptedMessage,
+  createPayloadCipher,
+  ENCRYPTED_TYPE,
+  ENCRYPTION_CONFIG
+} from './modules/encryption.js';
+
+// Identity module
+export {
+  loadOrCreateIdentity,
+  generateIdentity,
+  importIdentity,
+  computeFingerprint,
+  createChallenge,
+  signChallenge,
+  verifyChallenge,
+  isAuthMessage,
+  createPeerAuthenticator,
+  AuthMessageType,
+  ImpostorReason,
+  IDENTITY_CONFIG
+} from './modules/identity.js';
+
+// Admission module
+export {
+  createAdmissionController,
+  isAdmissionMessage,
+  ADMISSION_TYPE,
+  AdmissionStatus,
+  DenyReason,
+  DEFAULT_ADMISSION
+} from './modules/admission.js';
+
+// Roles module
+export {
+  createRoleRegistry,
+  createPromptMessage,
+  isPromptMessage,
+  isRoleMessage,
+  isValidRole,
+  hasPermission,
+  getRequiredPermission,
+  Role,
+  Permission,
+  RoleMessageType,
+  ROLE_PERMISSIONS
+} from './modules/roles.js';
+
+// LLM module
+export {
+  createLLMProvider,
+  createSSEParser,
+  createNDJSONParser,
+  turnsToMessages,
+  ProviderType,
+  PROVIDER_DEFAULTS
+} from './modules/llm.js';
+
+// Prompt queue module
+export {
+  createPromptQueue,
+  createPromptRequest,
+  createCancelMessage,
+  isCancelMessage,
+  isStatusMessage,
+  RequestStatus,
+  RequestError,
+  DEFAULT_QUEUE
+} from './modules/prompt-queue.js';
+
+// Batching module
+export {
+  createBatcher,
+  byteLength,
+  normalizeFlushPolicy,
+  FlushTrigger,
+  NO_BATCHING,
+  DEFAULT_FLUSH_POLICY
+} from './modules/batching.js';
+
+// IndexedDB module
+export {
+  createIndexedDBAdapter,
+  createDocumentPersistence,
+  isIndexedDBAvailable,
+  IDB_DEFAULTS
+} from './modules/indexeddb.js';
+
+// Quota module
+export {
+  createQuotaManager,
+  estimateQuota,
+  measureUsage,
+  estimateSize,
+  getNamespace,
+  isQuotaError,
+  EvictionPolicy,
+  QuotaLevel,
+  DEFAULT_QUOTA
+} from './modules/quota.js';
+
+// History module
+export {
+  appendHistory,
+  rebuildState,
+  dropHistoryEntries,
+  applyRetention,
+  diffState,
+  diffText,
+  applyStateDelta,
+  normalizeHistoryOptions,
+  DEFAULT_HISTORY
+} from './modules/history.js';
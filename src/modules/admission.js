@@ -0,0 +1,396 @@
+/**
+ * Admission Module - Host-side control over who joins a session
+ *
+ * Peers that reach the host are held as pending requests until the
+ * presenter approves or denies them. Admitted peers count against
+ * maxPeers and can be kicked or banned. Kicks and bans are remembered in
+ * storage by identity fingerprint (or peer ID without identities), so a
+ * banned device stays out across sessions and a kicked one always needs
+ * a fresh approval. The lists are loaded once and cached, so requests are
+ * decided synchronously; changes are written back in the background.
+ *
+ * @module admission
+ */
+
+import { STORAGE_KEYS, createStorageAdapter, toAsyncAdapter } from './storage.js';
+
+/**
+ * Message type of the notices the host sends to a peer about its admission
+ */
+export const ADMISSION_TYPE = 'admission';
+
+/**
+ * Admission status of a peer
+ */
+export const AdmissionStatus = {
+  PENDING: 'pending',
+  ADMITTED: 'admitted',
+  DENIED: 'denied',
+  KICKED: 'kicked'
+};
+
+/**
+ * Why a peer was denied
+ */
+export const DenyReason = {
+  REJECTED: 'rejected',
+  FULL: 'full',
+  BANNED: 'banned'
+};
+
+/**
+ * Default admission configuration
+ */
+export const DEFAULT_ADMISSION = {
+  maxPeers: 10,
+  autoApprove: false
+};
+
+/**
+ * Checks whether a payload is an admission notice
+ * @param {any} message - Received payload
+ * @returns {boolean} True for admission notices
+ */
+export function isAdmissionMessage(message) {
+  return !!message && typeof message === 'object' &&
+    message.type === ADMISSION_TYPE && typeof message.status === 'string';
+}
+
+/**
+ * Creates an admission controller
+ * @param {Object} options - Controller options
+ * @param {Object} options.adapter - Storage adapter for the kick and ban lists, synchronous or Promise-returning
+ *   (in-memory if omitted); await whenReady() before the first request
+ * @param {number} options.maxPeers - Maximum number of admitted peers
+ * @param {boolean} options.autoApprove - Admit new peers without asking (kicked peers still need approval)
+ * @param {Function} options.onRequest - Called with (peerId, peer, { approve, deny }) for pending peers
+ * @param {Function} options.onAdmit - Called with (peerId, peer) when a peer is admitted
+ * @param {Function} options.onDeny - Called with (peerId, reason) when a peer is denied
+ * @param {Function} options.onKick - Called with (peerId) when an admitted peer is removed
+ * @param {Function} options.onError - Called with (error) when the lists can't be loaded or saved
+ * @returns {Object} Admission controller
+ */
+export function createAdmissionController(options = {}) {
+  const adapter = toAsyncAdapter(options.adapter || createStorageAdapter(null));
+  const config = {
+    maxPeers: options.maxPeers ?? DEFAULT_ADMISSION.maxPeers,
+    autoApprove: options.autoApprove ?? DEFAULT_ADMISSION.autoApprove
+  };
+
+  const callbacks = {
+    onRequest: options.onRequest || (() => {}),
+    onAdmit: options.onAdmit || (() => {}),
+    onDeny: options.onDeny || (() => {}),
+    onKick: options.onKick || (() => {}),
+    onError: options.onError || (() => {})
+  };
+
+  // peerId -> { status, peer, key }
+  const peers = new Map();
+  const observers = new Set();
+
+  // Cached kick and ban lists; changes made before they load are replayed on top
+  let lists = { banned: [], kicked: [] };
+  let loaded = false;
+  const earlyChanges = [];
+  let lastSave = Promise.resolve();
+
+  /**
+   * Applies a change to a list
+   * @param {Object} target - { banned, kicked }
+   * @param {string} list - 'banned' or 'kicked'
+   * @param {string} key - Peer key
+   * @param {boolean} present - Whether the key should be listed
+   * @returns {boolean} Whether the list changed
+   */
+  function applyChange(target, list, key, present) {
+    if (target[list].includes(key) === present) return false;
+    const entries = target[list].filter(entry => entry !== key);
+    if (present) entries.push(key);
+    target[list] = entries;
+    return true;
+  }
+
+  /**
+   * Writes the cached lists after any earlier write
+   */
+  function save() {
+    const snapshot = { banned: [...lists.banned], kicked: [...lists.kicked] };
+    lastSave = lastSave
+      .then(() => adapter.set(STORAGE_KEYS.ADMISSION, snapshot))
+      .catch(error => callbacks.onError(error));
+  }
+
+  /**
+   * Loads the persisted kick and ban lists into the cache
+   * @returns {Promise<void>}
+   */
+  async function loadLists() {
+    try {
+      const stored = (await adapter.get(STORAGE_KEYS.ADMISSION)) || {};
+      lists = {
+        banned: Array.isArray(stored.banned) ? stored.banned : [],
+        kicked: Array.isArray(stored.kicked) ? stored.kicked : []
+      };
+    } catch (error) {
+      callbacks.onError(error);
+    }
+    loaded = true;
+    const changed = earlyChanges.filter(change => applyChange(lists, ...change));
+    if (changed.length > 0) save();
+    earlyChanges.length = 0;
+  }
+
+  const ready = loadLists();
+
+  /**
+   * Adds or removes a key from a persisted list
+   * @param {string} list - 'banned' or 'kicked'
+   * @param {string} key - Peer key
+   * @param {boolean} present - Whether the key should be listed
+   */
+  function updateList(list, key, present) {
+    const changed = applyChange(lists, list, key, present);
+    if (!loaded) {
+      earlyChanges.push([list, key, present]);
+    } else if (changed) {
+      save();
+    }
+  }
+
+  /**
+   * Adds an observer for admission events ('request', 'admit', 'deny', 'kick')
+   * @param {Function} callback - Called with (event, peerId, detail)
+   * @returns {Function} Unsubscribe function
+   */
+  function observe(callback) {
+    observers.add(callback);
+    return () => observers.delete(callback);
+  }
+
+  /**
+   * Notifies all observers
+   * @param {string} event - Event name
+   * @param {string} peerId - Peer ID
+   * @param {any} detail - Event detail
+   */
+  function notifyObservers(event, peerId, detail) {
+    observers.forEach(callback => callback(event, peerId, detail));
+  }
+
+  /**
+   * Gets the number of admitted peers
+   * @returns {number} Admitted count
+   */
+  function getAdmittedCount() {
+    let count = 0;
+    peers.forEach((entry) => {
+      if (entry.status === AdmissionStatus.ADMITTED) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Handles a peer asking to join
+   * @param {string} peerId - Peer ID
+   * @param {Object} [peer] - Peer info ({ fingerprint, isHost } with identities)
+   * @returns {string} AdmissionStatus value after the request
+   */
+  function request(peerId, peer = {}) {
+    const existing = peers.get(peerId);
+    if (existing && existing.status !== AdmissionStatus.DENIED) {
+      return existing.status;
+    }
+
+    const entry = {
+      status: AdmissionStatus.PENDING,
+      peer: peer || {},
+      key: (peer && peer.fingerprint) || peerId
+    };
+    peers.set(peerId, entry);
+
+    if (lists.banned.includes(entry.key)) {
+      deny(peerId, DenyReason.BANNED);
+      return entry.status;
+    }
+    if (getAdmittedCount() >= config.maxPeers) {
+      deny(peerId, DenyReason.FULL);
+      return entry.status;
+    }
+
+    if (config.autoApprove && !lists.kicked.includes(entry.key)) {
+      approve(peerId);
+      return entry.status;
+    }
+
+    notifyObservers('request', peerId, entry.peer);
+    callbacks.onRequest(peerId, entry.peer, {
+      approve: () => approve(peerId),
+      deny: (reason) => deny(peerId, reason)
+    });
+    return entry.status;
+  }
+
+  /**
+   * Admits a pending peer
+   * Denies it instead when the session is full.
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if the peer was admitted
+   */
+  function approve(peerId) {
+    const entry = peers.get(peerId);
+    if (!entry || entry.status !== AdmissionStatus.PENDING) return false;
+
+    if (getAdmittedCount() >= config.maxPeers) {
+      deny(peerId, DenyReason.FULL);
+      return false;
+    }
+
+    entry.status = AdmissionStatus.ADMITTED;
+    updateList('kicked', entry.key, false);
+    notifyObservers('admit', peerId, entry.peer);
+    callbacks.onAdmit(peerId, entry.peer);
+    return true;
+  }
+
+  /**
+   * Denies a pending peer
+   * @param {string} peerId - Peer ID
+   * @param {string} [reason] - DenyReason value
+   * @returns {boolean} True if the peer was pending
+   */
+  function deny(peerId, reason = DenyReason.REJECTED) {
+    const entry = peers.get(peerId);
+    if (!entry || entry.status !== AdmissionStatus.PENDING) return false;
+
+    entry.status = AdmissionStatus.DENIED;
+    notifyObservers('deny', peerId, reason);
+    callbacks.onDeny(peerId, reason);
+    return true;
+  }
+
+  /**
+   * Removes an admitted peer; it needs approval to come back
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if the peer was admitted
+   */
+  function kick(peerId) {
+    const entry = peers.get(peerId);
+    if (!entry || entry.status !== AdmissionStatus.ADMITTED) return false;
+
+    entry.status = AdmissionStatus.KICKED;
+    updateList('kicked', entry.key, true);
+    notifyObservers('kick', peerId, null);
+    callbacks.onKick(peerId);
+    return true;
+  }
+
+  /**
+   * Bans a peer's key and removes the peer
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if the peer was known
+   */
+  function ban(peerId) {
+    const entry = peers.get(peerId);
+    if (!entry) return false;
+
+    updateList('banned', entry.key, true);
+    if (entry.status === AdmissionStatus.ADMITTED) {
+      kick(peerId);
+    } else {
+      deny(peerId, DenyReason.BANNED);
+    }
+    return true;
+  }
+
+  /**
+   * Lifts a ban
+   * @param {string} key - Banned fingerprint or peer ID
+   * @returns {boolean} True if the key was banned
+   */
+  function unban(key) {
+    if (!lists.banned.includes(key)) return false;
+    updateList('banned', key, false);
+    return true;
+  }
+
+  /**
+   * Forgets a peer that left; kick and ban lists are kept
+   * @param {string} peerId - Peer ID
+   */
+  function leave(peerId) {
+    peers.delete(peerId);
+  }
+
+  /**
+   * Checks whether a peer is admitted
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if admitted
+   */
+  function isAdmitted(peerId) {
+    const entry = peers.get(peerId);
+    return !!entry && entry.status === AdmissionStatus.ADMITTED;
+  }
+
+  /**
+   * Gets a peer's admission status
+   * @param {string} peerId - Peer ID
+   * @returns {string|null} AdmissionStatus value
+   */
+  function getStatus(peerId) {
+    const entry = peers.get(peerId);
+    return entry ? entry.status : null;
+  }
+
+  /**
+   * Lists peers with a given status
+   * @param {string} status - AdmissionStatus value
+   * @returns {Array<{peerId: string, peer: Object}>} Peers
+   */
+  function listPeers(status) {
+    const result = [];
+    peers.forEach((entry, peerId) => {
+      if (entry.status === status) result.push({ peerId, peer: entry.peer });
+    });
+    return result;
+  }
+
+  /**
+   * Sets the admitted peer limit; already admitted peers stay
+   * @param {number} maxPeers - New limit
+   */
+  function setMaxPeers(maxPeers) {
+    config.maxPeers = maxPeers;
+  }
+
+  /**
+   * Forgets all session peers; kick and ban lists are kept
+   */
+  function clear() {
+    peers.clear();
+  }
+
+  return {
+    request,
+    approve,
+    deny,
+    kick,
+    ban,
+    unban,
+    leave,
+    isAdmitted,
+    getStatus,
+    getPending: () => listPeers(AdmissionStatus.PENDING),
+    getAdmitted: () => listPeers(AdmissionStatus.ADMITTED),
+    getAdmittedCount,
+    getBanned: () => [...lists.banned],
+    getKicked: () => [...lists.kicked],
+    whenReady: () => ready,
+    whenSaved: () => ready.then(() => lastSave),
+    setMaxPeers,
+    getMaxPeers: () => config.maxPeers,
+    observe,
+    clear,
+    config
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Admission Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createAdmissionController,
+  isAdmissionMessage,
+  ADMISSION_TYPE,
+  AdmissionStatus,
+  DenyReason,
+  DEFAULT_ADMISSION
+} from './admission.js';
+import { createStorageAdapter, STORAGE_KEYS } from './storage.js';
+
+describe('Admission Module', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createStorageAdapter(null);
+  });
+
+  describe('isAdmissionMessage', () => {
+    test('should recognise admission notices', () => {
+      expect(isAdmissionMessage({ type: ADMISSION_TYPE, status: AdmissionStatus.PENDING })).toBe(true);
+      expect(isAdmissionMessage({ type: ADMISSION_TYPE })).toBe(false);
+      expect(isAdmissionMessage({ type: 'append' })).toBe(false);
+      expect(isAdmissionMessage(null)).toBe(false);
+    });
+  });
+
+  describe('createAdmissionController', () => {
+    test('should use defaults', () => {
+      const controller = createAdmissionController();
+      expect(controller.config).toEqual(DEFAULT_ADMISSION);
+    });
+
+    test('should hold new peers as pending requests', () => {
+      const onRequest = jest.fn();
+      const controller = createAdmissionController({ adapter, onRequest });
+
+      expect(controller.request('peer-1', { fingerprint: 'fp-1' })).toBe(AdmissionStatus.PENDING);
+
+      expect(onRequest).toHaveBeenCalledWith('peer-1', { fingerprint: 'fp-1' }, expect.objectContaining({
+        approve: expect.any(Function),
+        deny: expect.any(Function)
+      }));
+      expect(controller.isAdmitted('peer-1')).toBe(false);
+      expect(controller.getPending()).toEqual([{ peerId: 'peer-1', peer: { fingerprint: 'fp-1' } }]);
+    });
+
+    test('should approve and deny through the request decision', () => {
+      const onAdmit = jest.fn();
+      const onDeny = jest.fn();
+      const decisions = {};
+      const controller = createAdmissionController({
+        adapter,
+        onAdmit,
+        onDeny,
+        onRequest: (peerId, peer, decision) => { decisions[peerId] = decision; }
+      });
+
+      controller.request('peer-1');
+      controller.request('peer-2');
+      decisions['peer-1'].approve();
+      decisions['peer-2'].deny();
+
+      expect(controller.getStatus('peer-1')).toBe(AdmissionStatus.ADMITTED);
+      expect(controller.getStatus('peer-2')).toBe(AdmissionStatus.DENIED);
+      expect(onAdmit).toHaveBeenCalledWith('peer-1', {});
+      expect(onDeny).toHaveBeenCalledWith('peer-2', DenyReason.REJECTED);
+      expect(controller.getAdmitted()).toEqual([{ peerId: 'peer-1', peer: {} }]);
+    });
+
+    test('should only decide pending peers', () => {
+      const controller = createAdmissionController({ adapter });
+
+      expect(controller.approve('unknown')).toBe(false);
+      controller.request('peer-1');
+      expect(controller.approve('peer-1')).toBe(true);
+      expect(controller.approve('peer-1')).toBe(false);
+      expect(controller.deny('peer-1')).toBe(false);
+    });
+
+    test('should auto-approve when configured', () => {
+      const onRequest = jest.fn();
+      const controller = createAdmissionController({ adapter, autoApprove: true, onRequest });
+
+      expect(controller.request('peer-1')).toBe(AdmissionStatus.ADMITTED);
+      expect(onRequest).not.toHaveBeenCalled();
+    });
+
+    test('should enforce maxPeers', () => {
+      const onDeny = jest.fn();
+      const controller = createAdmissionController({ adapter, maxPeers: 1, onDeny });
+
+      controller.request('peer-1');
+      controller.request('peer-2');
+      controller.approve('peer-1');
+
+      expect(controller.approve('peer-2')).toBe(false);
+      expect(onDeny).toHaveBeenCalledWith('peer-2', DenyReason.FULL);
+      expect(controller.request('peer-3')).toBe(AdmissionStatus.DENIED);
+      expect(onDeny).toHaveBeenCalledWith('peer-3', DenyReason.FULL);
+      expect(controller.getAdmittedCount()).toBe(1);
+    });
+
+    test('should free a slot when an admitted peer leaves', () => {
+      const controller = createAdmissionController({ adapter, maxPeers: 1, autoApprove: true });
+
+      controller.request('peer-1');
+      controller.leave('peer-1');
+
+      expect(controller.request('peer-2')).toBe(AdmissionStatus.ADMITTED);
+    });
+
+    test('should apply a lowered limit to new peers', () => {
+      const controller = createAdmissionController({ adapter, autoApprove: true });
+      controller.request('peer-1');
+
+      controller.setMaxPeers(1);
+
+      expect(controller.getMaxPeers()).toBe(1);
+      expect(controller.isAdmitted('peer-1')).toBe(true);
+      expect(controller.request('peer-2')).toBe(AdmissionStatus.DENIED);
+    });
+
+    test('should kick admitted peers and require approval to return', () => {
+      const onKick = jest.fn();
+      const onRequest = jest.fn();
+      const controller = createAdmissionController({ adapter, autoApprove: true, onKick, onRequest });
+      controller.request('peer-1', { fingerprint: 'fp-1' });
+
+      expect(controller.kick('peer-1')).toBe(true);
+      expect(controller.kick('peer-1')).toBe(false);
+      expect(onKick).toHaveBeenCalledWith('peer-1');
+      expect(controller.getStatus('peer-1')).toBe(AdmissionStatus.KICKED);
+
+      // Same device under a new peer ID
+      controller.leave('peer-1');
+      expect(controller.request('peer-9', { fingerprint: 'fp-1' })).toBe(AdmissionStatus.PENDING);
+      expect(onRequest).toHaveBeenCalledTimes(1);
+
+      controller.approve('peer-9');
+      expect(controller.getKicked()).toEqual([]);
+    });
+
+    test('should ban by fingerprint across controllers', async () => {
+      const first = createAdmissionController({ adapter, autoApprove: true });
+      await first.whenReady();
+      first.request('peer-1', { fingerprint: 'fp-1' });
+
+      expect(first.ban('peer-1')).toBe(true);
+      expect(first.isAdmitted('peer-1')).toBe(false);
+      await first.whenSaved();
+      expect(adapter.get(STORAGE_KEYS.ADMISSION).banned).toEqual(['fp-1']);
+
+      const onDeny = jest.fn();
+      const second = createAdmissionController({ adapter, autoApprove: true, onDeny });
+      await second.whenReady();
+      expect(second.request('peer-2', { fingerprint: 'fp-1' })).toBe(AdmissionStatus.DENIED);
+      expect(onDeny).toHaveBeenCalledWith('peer-2', DenyReason.BANNED);
+      expect(second.getBanned()).toEqual(['fp-1']);
+    });
+
+    test('should keep bans with a Promise-returning adapter', async () => {
+      const store = new Map();
+      const asyncAdapter = {
+        get: async key => store.get(key) ?? null,
+        set: async (key, value) => {
+          store.set(key, { ...value });
+          return true;
+        }
+      };
+      const first = createAdmissionController({ adapter: asyncAdapter, autoApprove: true });
+      await first.whenReady();
+      first.request('peer-1', { fingerprint: 'fp-1' });
+      first.ban('peer-1');
+      await first.whenSaved();
+      expect(store.get(STORAGE_KEYS.ADMISSION).banned).toEqual(['fp-1']);
+
+      const second = createAdmissionController({ adapter: asyncAdapter, autoApprove: true });
+      await second.whenReady();
+      expect(second.request('peer-2', { fingerprint: 'fp-1' })).toBe(AdmissionStatus.DENIED);
+    });
+
+    test('should keep changes made while the lists load', async () => {
+      adapter.set(STORAGE_KEYS.ADMISSION, { banned: ['fp-1'], kicked: [] });
+      const controller = createAdmissionController({ adapter, autoApprove: true });
+      controller.request('peer-2', { fingerprint: 'fp-2' });
+      controller.ban('peer-2');
+
+      await controller.whenSaved();
+      expect(controller.getBanned()).toEqual(['fp-1', 'fp-2']);
+      expect(adapter.get(STORAGE_KEYS.ADMISSION).banned).toEqual(['fp-1', 'fp-2']);
+    });
+
+    test('should report storage errors', async () => {
+      const onError = jest.fn();
+      const failing = {
+        get: async () => {
+          throw new Error('read failed');
+        },
+        set: async () => {
+          throw new Error('write failed');
+        }
+      };
+      const controller = createAdmissionController({ adapter: failing, autoApprove: true, onError });
+      await controller.whenReady();
+      controller.request('peer-1');
+      controller.ban('peer-1');
+      await controller.whenSaved();
+
+      const messages = onError.mock.calls.map(call => call[0].message);
+      expect(messages[0]).toBe('read failed');
+      expect(messages).toContain('write failed');
+      expect(controller.getBanned()).toEqual(['peer-1']);
+    });
+
+    test('should ban pending peers and fall back to the peer ID', () => {
+      const onDeny = jest.fn();
+      const controller = createAdmissionController({ adapter, onDeny });
+      controller.request('peer-1');
+
+      controller.ban('peer-1');
+
+      expect(onDeny).toHaveBeenCalledWith('peer-1', DenyReason.BANNED);
+      expect(controller.getBanned()).toEqual(['peer-1']);
+      expect(controller.ban('unknown')).toBe(false);
+    });
+
+    test('should lift bans', () => {
+      const controller = createAdmissionController({ adapter, autoApprove: true });
+      controller.request('peer-1', { fingerprint: 'fp-1' });
+      controller.ban('peer-1');
+      controller.leave('peer-1');
+
+      expect(controller.unban('fp-1')).toBe(true);
+      expect(controller.unban('fp-1')).toBe(false);
+      expect(controller.request('peer-1', { fingerprint: 'fp-1' })).toBe(AdmissionStatus.PENDING);
+    });
+
+    test('should let denied peers ask again', () => {
+      const controller = createAdmissionController({ adapter });
+      controller.request('peer-1');
+      controller.deny('peer-1');
+
+      expect(controller.request('peer-1')).toBe(AdmissionStatus.PENDING);
+    });
+
+    test('should notify observers', () => {
+      const observer = jest.fn();
+      const controller = createAdmissionController({ adapter });
+      const unsubscribe = controller.observe(observer);
+
+      controller.request('peer-1', { fingerprint: 'fp-1' });
+      controller.approve('peer-1');
+      controller.kick('peer-1');
+      controller.request('peer-2');
+      controller.deny('peer-2', DenyReason.FULL);
+      unsubscribe();
+      controller.request('peer-3');
+
+      expect(observer.mock.calls).toEqual([
+        ['request', 'peer-1', { fingerprint: 'fp-1' }],
+        ['admit', 'peer-1', { fingerprint: 'fp-1' }],
+        ['kick', 'peer-1', null],
+        ['request', 'peer-2', {}],
+        ['deny', 'peer-2', DenyReason.FULL]
+      ]);
+    });
+
+    test('should forget session peers on clear but keep the lists', () => {
+      const controller = createAdmissionController({ adapter, autoApprove: true });
+      controller.request('peer-1', { fingerprint: 'fp-1' });
+      controller.request('peer-2', { fingerprint: 'fp-2' });
+      controller.ban('peer-1');
+
+      controller.clear();
+
+      expect(controller.getAdmitted()).toEqual([]);
+      expect(controller.getStatus('peer-2')).toBeNull();
+      expect(controller.getBanned()).toEqual(['fp-1']);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Batching Module - Coalesces frequent writes into fewer flushes
+ *
+ * A batcher collects writes and flushes them together once a time
+ * window has passed since the first unflushed write, or once the
+ * written bytes reach a limit. Each layer fed by the token stream
+ * (network deltas, storage saves, UI listeners) gets its own flush
+ * policy and reports how much it coalesced.
+ *
+ * @module batching
+ */
+
+/**
+ * What caused a flush
+ */
+export const FlushTrigger = {
+  IMMEDIATE: 'immediate',
+  INTERVAL: 'interval',
+  SIZE: 'size',
+  MANUAL: 'manual'
+};
+
+/**
+ * Policy that flushes every write right away
+ */
+export const NO_BATCHING = { interval: 0, maxBytes: 0 };
+
+/**
+ * Default flush policies per layer
+ * interval is in milliseconds; maxBytes counts UTF-8 bytes of the
+ * written text. 0 disables the limit; with both at 0 every write is
+ * flushed right away.
+ */
+export const DEFAULT_FLUSH_POLICY = {
+  network: { interval: 50, maxBytes: 1024 },
+  storage: { interval: 1000, maxBytes: 0 },
+  ui: { interval: 16, maxBytes: 0 }
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Counts the UTF-8 bytes of a text
+ * @param {string} text - Text
+ * @returns {number} Byte length
+ */
+export function byteLength(text) {
+  return typeof text === 'string' ? encoder.encode(text).length : 0;
+}
+
+/**
+ * Validates a flush policy and fills in missing limits
+ * @param {Object} [policy] - { interval, maxBytes }
+ * @returns {Object} Normalized policy
+ */
+export function normalizeFlushPolicy(policy = {}) {
+  const normalized = {
+    interval: policy.interval ?? 0,
+    maxBytes: policy.maxBytes ?? 0
+  };
+  Object.entries(normalized).forEach(([key, value]) => {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new RangeError(`Flush policy ${key} must be a non-negative number`);
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Creates a batcher
+ * @param {Object} options - Batcher options
+ * @param {number} options.interval - Longest time in ms a write waits for its flush (0 for no time limit)
+ * @param {number} options.maxBytes - Flush once this many bytes are waiting (0 for no size limit)
+ * @param {Function} options.onFlush - Called with ({ writes, bytes, trigger }) to flush the waiting writes
+ * @returns {Object} Batcher
+ */
+export function createBatcher(options = {}) {
+  const policy = normalizeFlushPolicy(options);
+  const immediate = policy.interval === 0 && policy.maxBytes === 0;
+
+  const callbacks = {
+    onFlush: options.onFlush || (() => {})
+  };
+
+  const metrics = {
+    writes: 0,
+    flushes: 0,
+    bytes: 0,
+    largestBatch: 0,
+    triggers: Object.fromEntries(Object.values(FlushTrigger).map(trigger => [trigger, 0]))
+  };
+
+  let pendingWrites = 0;
+  let pendingBytes = 0;
+  let timer = null;
+
+  /**
+   * Flushes the waiting writes
+   * @param {string} [trigger] - FlushTrigger value (default manual)
+   * @returns {boolean} True if anything was waiting
+   */
+  function flush(trigger = FlushTrigger.MANUAL) {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (pendingWrites === 0) return false;
+
+    const batch = { writes: pendingWrites, bytes: pendingBytes, trigger };
+    pendingWrites = 0;
+    pendingBytes = 0;
+
+    metrics.flushes++;
+    metrics.largestBatch = Math.max(metrics.largestBatch, batch.writes);
+    metrics.triggers[trigger]++;
+    callbacks.onFlush(batch);
+    return true;
+  }
+
+  /**
+   * Records a write and flushes if the policy says so
+   * @param {number} [bytes] - Size of the write
+   */
+  function add(bytes = 0) {
+    pendingWrites++;
+    pendingBytes += bytes;
+    metrics.writes++;
+    metrics.bytes += bytes;
+
+    if (immediate) {
+      flush(FlushTrigger.IMMEDIATE);
+    } else if (policy.maxBytes > 0 && pendingBytes >= policy.maxBytes) {
+      flush(FlushTrigger.SIZE);
+    } else if (policy.interval > 0 && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush(FlushTrigger.INTERVAL);
+      }, policy.interval);
+    }
+  }
+
+  /**
+   * Drops the waiting writes without flushing them
+   */
+  function cancel() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    pendingWrites = 0;
+    pendingBytes = 0;
+  }
+
+  /**
+   * Checks whether writes are waiting
+   * @returns {boolean} True if a flush is due
+   */
+  function hasPending() {
+    return pendingWrites > 0;
+  }
+
+  /**
+   * Gets batching counters
+   * @returns {Object} { writes, flushes, bytes, largestBatch, ratio, triggers }
+   */
+  function getMetrics() {
+    return {
+      ...metrics,
+      triggers: { ...metrics.triggers },
+      ratio: metrics.flushes > 0 ? metrics.writes / metrics.flushes : 0
+    };
+  }
+
+  return {
+    add,
+    flush,
+    cancel,
+    hasPending,
+    getMetrics,
+    policy
+  };
+}
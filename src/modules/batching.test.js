@@ -0,0 +1,133 @@
+/**
+ * Batching Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createBatcher,
+  byteLength,
+  normalizeFlushPolicy,
+  FlushTrigger,
+  NO_BATCHING,
+  DEFAULT_FLUSH_POLICY
+} from './batching.js';
+
+describe('Batching Module', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('byteLength', () => {
+    test('should count UTF-8 bytes', () => {
+      expect(byteLength('abc')).toBe(3);
+      expect(byteLength('é')).toBe(2);
+      expect(byteLength(null)).toBe(0);
+    });
+  });
+
+  describe('normalizeFlushPolicy', () => {
+    test('should fill in missing limits', () => {
+      expect(normalizeFlushPolicy()).toEqual(NO_BATCHING);
+      expect(normalizeFlushPolicy({ interval: 20 })).toEqual({ interval: 20, maxBytes: 0 });
+      expect(normalizeFlushPolicy(DEFAULT_FLUSH_POLICY.network)).toEqual(DEFAULT_FLUSH_POLICY.network);
+    });
+
+    test('should reject invalid limits', () => {
+      expect(() => normalizeFlushPolicy({ interval: -1 })).toThrow(RangeError);
+      expect(() => normalizeFlushPolicy({ maxBytes: NaN })).toThrow('maxBytes');
+    });
+  });
+
+  describe('createBatcher', () => {
+    test('should flush every write without limits', () => {
+      const onFlush = jest.fn();
+      const batcher = createBatcher({ onFlush });
+
+      batcher.add(3);
+      batcher.add(2);
+
+      expect(onFlush.mock.calls).toEqual([
+        [{ writes: 1, bytes: 3, trigger: FlushTrigger.IMMEDIATE }],
+        [{ writes: 1, bytes: 2, trigger: FlushTrigger.IMMEDIATE }]
+      ]);
+      expect(batcher.hasPending()).toBe(false);
+    });
+
+    test('should flush an interval after the first waiting write', () => {
+      const onFlush = jest.fn();
+      const batcher = createBatcher({ interval: 100, onFlush });
+
+      batcher.add(1);
+      jest.advanceTimersByTime(60);
+      batcher.add(1);
+      jest.advanceTimersByTime(39);
+      expect(onFlush).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onFlush).toHaveBeenCalledWith({ writes: 2, bytes: 2, trigger: FlushTrigger.INTERVAL });
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should flush once the byte limit is reached', () => {
+      const onFlush = jest.fn();
+      const batcher = createBatcher({ interval: 100, maxBytes: 5, onFlush });
+
+      batcher.add(3);
+      batcher.add(3);
+
+      expect(onFlush).toHaveBeenCalledWith({ writes: 2, bytes: 6, trigger: FlushTrigger.SIZE });
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('should wait for a manual flush with only a byte limit', () => {
+      const onFlush = jest.fn();
+      const batcher = createBatcher({ maxBytes: 100, onFlush });
+
+      batcher.add(10);
+      jest.advanceTimersByTime(10000);
+      expect(onFlush).not.toHaveBeenCalled();
+
+      expect(batcher.flush()).toBe(true);
+      expect(batcher.flush()).toBe(false);
+      expect(onFlush).toHaveBeenCalledWith({ writes: 1, bytes: 10, trigger: FlushTrigger.MANUAL });
+    });
+
+    test('should drop waiting writes on cancel', () => {
+      const onFlush = jest.fn();
+      const batcher = createBatcher({ interval: 100, onFlush });
+
+      batcher.add(1);
+      batcher.cancel();
+      jest.advanceTimersByTime(100);
+
+      expect(onFlush).not.toHaveBeenCalled();
+      expect(batcher.hasPending()).toBe(false);
+    });
+
+    test('should report how much was coalesced', () => {
+      const batcher = createBatcher({ interval: 100, maxBytes: 4 });
+
+      expect(batcher.getMetrics().ratio).toBe(0);
+      [1, 1, 1, 1, 1, 1].forEach(bytes => batcher.add(bytes));
+      jest.advanceTimersByTime(100);
+
+      expect(batcher.getMetrics()).toEqual({
+        writes: 6,
+        flushes: 2,
+        bytes: 6,
+        largestBatch: 4,
+        ratio: 3,
+        triggers: { immediate: 0, interval: 1, size: 1, manual: 0 }
+      });
+    });
+
+    test('should expose the normalized policy', () => {
+      expect(createBatcher({ interval: 5 }).policy).toEqual({ interval: 5, maxBytes: 0 });
+    });
+  });
+});
@@ -0,0 +1,443 @@
+/**
+ * Codec Module - Compact binary wire format
+ * Shared by the room and direct transports
+ *
+ * Frame layout: one tag byte followed by the tag's fields. Integers are
+ * unsigned LEB128 varints; the last field (UTF-8 text or raw bytes) runs
+ * to the end of the frame, so no length prefix is needed.
+ * Hot-path messages (token appends, sync handshake) get dedicated tags;
+ * anything else falls back to a UTF-8 JSON body.
+ *
+ * Peers exchange a hello on connect and only switch to binary when both
+ * sides speak the same codec version. Each side then announces the format
+ * it sends from that point on, in order with its data, so frames already
+ * in flight are never decoded with the wrong codec. JSON stays available
+ * as a debugging fallback (wireFormat: WireFormat.JSON).
+ *
+ * Binary payloads are framed in either format, so every binary frame on
+ * the wire is a codec frame. A binary frame that overtakes the format
+ * announcement (the room transport sends it on its own action) is still
+ * decoded.
+ *
+ * @module codec
+ */
+
+/**
+ * Version of the binary wire format
+ */
+export const CODEC_VERSION = 1;
+
+/**
+ * Wire formats a peer can use
+ */
+export const WireFormat = {
+  JSON: 'json',
+  BINARY: 'binary'
+};
+
+/**
+ * Type byte at the start of every binary frame
+ */
+export const MessageTag = {
+  JSON: 0x00,        // Any other message, UTF-8 JSON body
+  TEXT: 0x01,        // Plain string
+  BYTES: 0x02,       // Raw binary data
+  APPEND: 0x03,      // { type: 'append', text, tokenIndex }
+  SYNC_STEP1: 0x04,  // { type: 'sync-step-1', stateVector }
+  SYNC_STEP2: 0x05,  // { type: 'sync-step-2', update }
+  TOKEN: 0x06,       // { type: 'response-token', data }
+  ENCRYPTED: 0x07,   // { type: 'encrypted', payload }
+  STREAM_DELTA: 0x08 // { type: 'stream-delta', streamId, seq, update }
+};
+
+/**
+ * Message type of the hello announcing which formats a peer speaks
+ */
+export const HELLO_TYPE = 'codec-hello';
+
+/**
+ * Message type announcing the format a peer sends from now on
+ */
+export const FORMAT_TYPE = 'codec-format';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Checks whether a value is binary data
+ * @param {any} value - Value to check
+ * @returns {boolean} True for ArrayBuffer and typed array views
+ */
+export function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Views binary data as bytes
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array} Bytes
+ */
+export function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Encodes binary data as base64 so it survives JSON transports and storage
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string back to binary data
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Binary data
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string, safe in QR codes and URLs
+ */
+export function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 without padding
+ * @param {string} encoded - base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64UrlToBytes(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Creates a growable byte writer
+ * @returns {Object} Writer with tag, varint, rest and finish
+ */
+function createWriter() {
+  const parts = [];
+  let length = 0;
+
+  function push(bytes) {
+    parts.push(bytes);
+    length += bytes.length;
+  }
+
+  return {
+    tag: (tag) => push(Uint8Array.of(tag)),
+    varint: (value) => push(encodeVarint(value)),
+    rest: (bytes) => push(bytes),
+    finish() {
+      const out = new Uint8Array(length);
+      let offset = 0;
+      parts.forEach((part) => {
+        out.set(part, offset);
+        offset += part.length;
+      });
+      return out;
+    }
+  };
+}
+
+/**
+ * Creates a reader over one frame
+ * @param {Uint8Array} bytes - Frame bytes
+ * @returns {Object} Reader with varint, take and rest
+ */
+function createReader(bytes) {
+  let offset = 0;
+
+  function take(count) {
+    if (offset + count > bytes.length) {
+      throw new Error('Truncated message');
+    }
+    const slice = bytes.subarray(offset, offset + count);
+    offset += count;
+    return slice;
+  }
+
+  return {
+    varint() {
+      const { value, length } = decodeVarint(bytes, offset);
+      offset += length;
+      return value;
+    },
+    take,
+    rest: () => take(bytes.length - offset)
+  };
+}
+
+/**
+ * Encodes a non-negative integer as an unsigned LEB128 varint
+ * @param {number} value - Integer up to Number.MAX_SAFE_INTEGER
+ * @returns {Uint8Array} Varint bytes
+ */
+export function encodeVarint(value) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw new RangeError('Varint must be a non-negative safe integer');
+  }
+  const out = [];
+  while (value > 0x7f) {
+    out.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Decodes an unsigned LEB128 varint
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {{value: number, length: number}} Decoded value and bytes consumed
+ */
+export function decodeVarint(bytes, offset = 0) {
+  let value = 0;
+  let scale = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * scale;
+    if ((bytes[i] & 0x80) === 0) {
+      return { value, length: i - offset + 1 };
+    }
+    scale *= 0x80;
+    if (scale > Number.MAX_SAFE_INTEGER) {
+      throw new RangeError('Varint too long');
+    }
+  }
+  throw new Error('Truncated message');
+}
+
+/**
+ * Checks that an object has exactly the given keys
+ * @param {Object} message - Object to check
+ * @param {string[]} keys - Expected keys
+ * @returns {boolean} True on an exact match
+ */
+function hasExactKeys(message, keys) {
+  const own = Object.keys(message);
+  return own.length === keys.length && keys.every(key => own.includes(key));
+}
+
+/**
+ * Encodes a message as a binary frame
+ * Messages that match a dedicated tag exactly use it; everything else is
+ * carried as JSON, so decoding always returns an equal message.
+ * @param {any} message - Object, string or binary data
+ * @returns {Uint8Array} Binary frame
+ */
+export function encodeMessage(message) {
+  const writer = createWriter();
+
+  if (typeof message === 'string') {
+    writer.tag(MessageTag.TEXT);
+    writer.rest(textEncoder.encode(message));
+    return writer.finish();
+  }
+
+  if (isBinary(message)) {
+    writer.tag(MessageTag.BYTES);
+    writer.rest(toBytes(message));
+    return writer.finish();
+  }
+
+  if (message && typeof message === 'object' && !Array.isArray(message)) {
+    if (message.type === 'append' && hasExactKeys(message, ['type', 'text', 'tokenIndex']) &&
+        typeof message.text === 'string' && Number.isSafeInteger(message.tokenIndex) &&
+        message.tokenIndex >= 0) {
+      writer.tag(MessageTag.APPEND);
+      writer.varint(message.tokenIndex);
+      writer.rest(textEncoder.encode(message.text));
+      return writer.finish();
+    }
+    if (message.type === 'response-token' && hasExactKeys(message, ['type', 'data']) &&
+        typeof message.data === 'string') {
+      writer.tag(MessageTag.TOKEN);
+      writer.rest(textEncoder.encode(message.data));
+      return writer.finish();
+    }
+    if (message.type === 'sync-step-1' && hasExactKeys(message, ['type', 'stateVector']) &&
+        typeof message.stateVector === 'string') {
+      writer.tag(MessageTag.SYNC_STEP1);
+      writer.rest(base64ToBytes(message.stateVector));
+      return writer.finish();
+    }
+    if (message.type === 'sync-step-2' && hasExactKeys(message, ['type', 'update']) &&
+        typeof message.update === 'string') {
+      writer.tag(MessageTag.SYNC_STEP2);
+      writer.rest(base64ToBytes(message.update));
+      return writer.finish();
+    }
+    if (message.type === 'stream-delta' && hasExactKeys(message, ['type', 'streamId', 'seq', 'update']) &&
+        typeof message.streamId === 'string' && typeof message.update === 'string' &&
+        Number.isSafeInteger(message.seq) && message.seq >= 0) {
+      const streamId = textEncoder.encode(message.streamId);
+      writer.tag(MessageTag.STREAM_DELTA);
+      writer.varint(message.seq);
+      writer.varint(streamId.length);
+      writer.rest(streamId);
+      writer.rest(base64ToBytes(message.update));
+      return writer.finish();
+    }
+    if (message.type === 'encrypted' && hasExactKeys(message, ['type', 'payload']) &&
+        typeof message.payload === 'string') {
+      writer.tag(MessageTag.ENCRYPTED);
+      writer.rest(base64ToBytes(message.payload));
+      return writer.finish();
+    }
+  }
+
+  writer.tag(MessageTag.JSON);
+  writer.rest(textEncoder.encode(JSON.stringify(message)));
+  return writer.finish();
+}
+
+/**
+ * Decodes a binary frame produced by encodeMessage
+ * @param {ArrayBuffer|Uint8Array} frame - Binary frame
+ * @returns {any} Decoded message
+ */
+export function decodeMessage(frame) {
+  const bytes = toBytes(frame);
+  if (bytes.length === 0) {
+    throw new Error('Truncated message');
+  }
+  const tag = bytes[0];
+  const reader = createReader(bytes.subarray(1));
+
+  switch (tag) {
+    case MessageTag.JSON:
+      return JSON.parse(textDecoder.decode(reader.rest()));
+    case MessageTag.TEXT:
+      return textDecoder.decode(reader.rest());
+    case MessageTag.BYTES:
+      return reader.rest().slice();
+    case MessageTag.APPEND: {
+      const tokenIndex = reader.varint();
+      return { type: 'append', text: textDecoder.decode(reader.rest()), tokenIndex };
+    }
+    case MessageTag.TOKEN:
+      return { type: 'response-token', data: textDecoder.decode(reader.rest()) };
+    case MessageTag.SYNC_STEP1:
+      return { type: 'sync-step-1', stateVector: bytesToBase64(reader.rest()) };
+    case MessageTag.SYNC_STEP2:
+      return { type: 'sync-step-2', update: bytesToBase64(reader.rest()) };
+    case MessageTag.ENCRYPTED:
+      return { type: 'encrypted', payload: bytesToBase64(reader.rest()) };
+    case MessageTag.STREAM_DELTA: {
+      const seq = reader.varint();
+      const streamId = textDecoder.decode(reader.take(reader.varint()));
+      return { type: 'stream-delta', streamId, seq, update: bytesToBase64(reader.rest()) };
+    }
+    default:
+      throw new Error(`Unknown message tag: ${tag}`);
+  }
+}
+
+/**
+ * Creates the hello a peer sends on connect to announce its formats
+ * @param {string} wireFormat - Preferred format (WireFormat value)
+ * @returns {Object} Hello message
+ */
+export function createHello(wireFormat = WireFormat.BINARY) {
+  return {
+    type: HELLO_TYPE,
+    version: CODEC_VERSION,
+    formats: wireFormat === WireFormat.BINARY
+      ? [WireFormat.BINARY, WireFormat.JSON]
+      : [WireFormat.JSON]
+  };
+}
+
+/**
+ * Checks if a message is a format hello
+ * @param {any} message - Message to check
+ * @returns {boolean} True for hello messages
+ */
+export function isHello(message) {
+  return !!message && typeof message === 'object' && message.type === HELLO_TYPE;
+}
+
+/**
+ * Picks the wire format for a link from the local preference and the peer's hello
+ * Both sides apply the same rule, so no acknowledgement is needed.
+ * @param {string} localFormat - Local preference (WireFormat value)
+ * @param {Object} hello - Hello received from the peer
+ * @returns {string} WireFormat value
+ */
+export function negotiateFormat(localFormat, hello) {
+  if (localFormat === WireFormat.BINARY && hello && hello.version === CODEC_VERSION &&
+      Array.isArray(hello.formats) && hello.formats.includes(WireFormat.BINARY)) {
+    return WireFormat.BINARY;
+  }
+  return WireFormat.JSON;
+}
+
+/**
+ * Checks if a message belongs to the format negotiation
+ * @param {any} message - Message to check
+ * @returns {boolean} True for hello and format messages
+ */
+export function isCodecMessage(message) {
+  return !!message && typeof message === 'object' &&
+    (message.type === HELLO_TYPE || message.type === FORMAT_TYPE);
+}
+
+/**
+ * Creates the format state of one link
+ * Messages are sent as JSON until the peer's hello arrives and decoded as
+ * JSON until the peer announces binary.
+ * @param {string} localFormat - Local preference (WireFormat value)
+ * @returns {Object} Negotiator with hello, handle, encode, decode and reset
+ */
+export function createFormatNegotiator(localFormat = WireFormat.BINARY) {
+  let sendFormat = WireFormat.JSON;
+  let receiveFormat = WireFormat.JSON;
+
+  /**
+   * Handles a negotiation message from the peer
+   * @param {Object} message - Hello or format message
+   * @returns {Object|null} Format announcement to send back, in order with data
+   */
+  function handle(message) {
+    if (message.type === HELLO_TYPE) {
+      sendFormat = negotiateFormat(localFormat, message);
+      return { type: FORMAT_TYPE, format: sendFormat };
+    }
+    if (message.type === FORMAT_TYPE) {
+      receiveFormat = message.format === WireFormat.BINARY ? WireFormat.BINARY : WireFormat.JSON;
+    }
+    return null;
+  }
+
+  return {
+    hello: () => createHello(localFormat),
+    handle,
+    encode: (message) => (sendFormat === WireFormat.BINARY || isBinary(message) ? encodeMessage(message) : message),
+    decode: (data) => (isBinary(data) ? decodeMessage(data) : data),
+    reset() {
+      sendFormat = WireFormat.JSON;
+      receiveFormat = WireFormat.JSON;
+    },
+    getSendFormat: () => sendFormat,
+    getReceiveFormat: () => receiveFormat
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Codec Module Tests
+ */
+
+import {
+  CODEC_VERSION,
+  WireFormat,
+  MessageTag,
+  HELLO_TYPE,
+  FORMAT_TYPE,
+  isBinary,
+  toBytes,
+  bytesToBase64,
+  base64ToBytes,
+  encodeVarint,
+  decodeVarint,
+  encodeMessage,
+  decodeMessage,
+  createHello,
+  isCodecMessage,
+  negotiateFormat,
+  createFormatNegotiator
+} from './codec.js';
+
+describe('Codec Module', () => {
+  describe('varints', () => {
+    test('should round-trip values across byte boundaries', () => {
+      [0, 1, 127, 128, 300, 16383, 16384, 2 ** 31, Number.MAX_SAFE_INTEGER].forEach((value) => {
+        const bytes = encodeVarint(value);
+        expect(decodeVarint(bytes)).toEqual({ value, length: bytes.length });
+      });
+    });
+
+    test('should use one byte below 128', () => {
+      expect(Array.from(encodeVarint(5))).toEqual([5]);
+      expect(Array.from(encodeVarint(300))).toEqual([0xac, 0x02]);
+    });
+
+    test('should decode from an offset', () => {
+      expect(decodeVarint(Uint8Array.of(9, 0xac, 0x02), 1)).toEqual({ value: 300, length: 2 });
+    });
+
+    test('should reject negative and non-integer values', () => {
+      expect(() => encodeVarint(-1)).toThrow(RangeError);
+      expect(() => encodeVarint(1.5)).toThrow(RangeError);
+    });
+
+    test('should reject truncated input', () => {
+      expect(() => decodeVarint(Uint8Array.of(0x80))).toThrow('Truncated message');
+    });
+  });
+
+  describe('binary helpers', () => {
+    test('should detect binary values', () => {
+      expect(isBinary(new ArrayBuffer(1))).toBe(true);
+      expect(isBinary(new Uint16Array(1))).toBe(true);
+      expect(isBinary('text')).toBe(false);
+      expect(isBinary({})).toBe(false);
+    });
+
+    test('should view typed arrays as bytes', () => {
+      const bytes = Uint8Array.of(1, 2, 3, 4);
+      expect(toBytes(bytes)).toBe(bytes);
+      expect(Array.from(toBytes(bytes.buffer))).toEqual([1, 2, 3, 4]);
+      expect(Array.from(toBytes(new DataView(bytes.buffer, 1, 2)))).toEqual([2, 3]);
+    });
+
+    test('should round-trip base64', () => {
+      const bytes = Uint8Array.of(0, 255, 128, 7);
+      expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+    });
+  });
+
+  describe('encodeMessage / decodeMessage', () => {
+    const roundTrip = (message) => decodeMessage(encodeMessage(message));
+
+    test('should use dedicated tags for hot-path messages', () => {
+      expect(encodeMessage({ type: 'append', text: 'hi', tokenIndex: 1 })[0]).toBe(MessageTag.APPEND);
+      expect(encodeMessage({ type: 'response-token', data: 'x' })[0]).toBe(MessageTag.TOKEN);
+      expect(encodeMessage({ type: 'sync-step-1', stateVector: 'AQID' })[0]).toBe(MessageTag.SYNC_STEP1);
+      expect(encodeMessage({ type: 'sync-step-2', update: 'AQID' })[0]).toBe(MessageTag.SYNC_STEP2);
+      expect(encodeMessage('plain')[0]).toBe(MessageTag.TEXT);
+      expect(encodeMessage(Uint8Array.of(1))[0]).toBe(MessageTag.BYTES);
+      expect(encodeMessage({ type: 'encrypted', payload: 'AQID' })[0]).toBe(MessageTag.ENCRYPTED);
+      expect(encodeMessage({ type: 'stream-delta', streamId: 's', seq: 1, update: 'AQID' })[0])
+        .toBe(MessageTag.STREAM_DELTA);
+      expect(encodeMessage({ type: 'set', text: 'x' })[0]).toBe(MessageTag.JSON);
+    });
+
+    test('should be smaller than JSON for token appends', () => {
+      const message = { type: 'append', text: 'a', tokenIndex: 42 };
+      expect(encodeMessage(message).length).toBe(3);
+      expect(encodeMessage(message).length).toBeLessThan(JSON.stringify(message).length);
+    });
+
+    test('should round-trip every tag', () => {
+      [
+        { type: 'append', text: 'héllo 👋', tokenIndex: 100000 },
+        { type: 'append', text: '', tokenIndex: 0 },
+        { type: 'response-token', data: '🙂' },
+        { type: 'sync-step-1', stateVector: 'AQID' },
+        { type: 'sync-step-2', update: bytesToBase64(Uint8Array.of(9, 8, 7)) },
+        { type: 'encrypted', payload: 'AQIDBA==' },
+        { type: 'stream-delta', streamId: 'stream-ü', seq: 300, update: 'AQIDBA==' },
+        'plain text',
+        { text: 'state', version: 3, chunks: [{ content: 'a' }] },
+        [1, 2, 3],
+        null
+      ].forEach((message) => {
+        expect(roundTrip(message)).toEqual(message);
+      });
+      expect(Array.from(roundTrip(Uint8Array.of(1, 2)))).toEqual([1, 2]);
+    });
+
+    test('should fall back to JSON when a message has extra fields', () => {
+      const message = { type: 'append', text: 'a', tokenIndex: 1, extra: true };
+      expect(encodeMessage(message)[0]).toBe(MessageTag.JSON);
+      expect(roundTrip(message)).toEqual(message);
+    });
+
+    test('should fall back to JSON for invalid token indexes', () => {
+      expect(encodeMessage({ type: 'append', text: 'a', tokenIndex: -1 })[0]).toBe(MessageTag.JSON);
+      expect(encodeMessage({ type: 'append', text: 'a', tokenIndex: 1.5 })[0]).toBe(MessageTag.JSON);
+    });
+
+    test('should reject stream deltas with a truncated stream ID', () => {
+      const frame = encodeMessage({ type: 'stream-delta', streamId: 'abcdef', seq: 1, update: '' });
+      expect(() => decodeMessage(frame.subarray(0, 5))).toThrow('Truncated message');
+    });
+
+    test('should accept an ArrayBuffer', () => {
+      const frame = encodeMessage('hi');
+      expect(decodeMessage(frame.buffer)).toBe('hi');
+    });
+
+    test('should reject unknown tags and empty frames', () => {
+      expect(() => decodeMessage(Uint8Array.of(0x7f))).toThrow('Unknown message tag: 127');
+      expect(() => decodeMessage(new Uint8Array(0))).toThrow('Truncated message');
+    });
+  });
+
+  describe('negotiation', () => {
+    test('should announce formats in the hello', () => {
+      expect(createHello()).toEqual({
+        type: HELLO_TYPE,
+        version: CODEC_VERSION,
+        formats: [WireFormat.BINARY, WireFormat.JSON]
+      });
+      expect(createHello(WireFormat.JSON).formats).toEqual([WireFormat.JSON]);
+    });
+
+    test('should recognise codec messages', () => {
+      expect(isCodecMessage(createHello())).toBe(true);
+      expect(isCodecMessage({ type: FORMAT_TYPE, format: WireFormat.JSON })).toBe(true);
+      expect(isCodecMessage({ type: 'append' })).toBe(false);
+      expect(isCodecMessage(null)).toBe(false);
+    });
+
+    test('should agree on binary only when both sides support it', () => {
+      expect(negotiateFormat(WireFormat.BINARY, createHello(WireFormat.BINARY))).toBe(WireFormat.BINARY);
+      expect(negotiateFormat(WireFormat.BINARY, createHello(WireFormat.JSON))).toBe(WireFormat.JSON);
+      expect(negotiateFormat(WireFormat.JSON, createHello(WireFormat.BINARY))).toBe(WireFormat.JSON);
+    });
+
+    test('should fall back to JSON on a version mismatch', () => {
+      const hello = { ...createHello(), version: CODEC_VERSION + 1 };
+      expect(negotiateFormat(WireFormat.BINARY, hello)).toBe(WireFormat.JSON);
+      expect(negotiateFormat(WireFormat.BINARY, null)).toBe(WireFormat.JSON);
+    });
+  });
+
+  describe('createFormatNegotiator', () => {
+    test('should start with JSON in both directions', () => {
+      const negotiator = createFormatNegotiator();
+      const message = { type: 'append', text: 'a', tokenIndex: 0 };
+
+      expect(negotiator.encode(message)).toBe(message);
+      expect(negotiator.getReceiveFormat()).toBe(WireFormat.JSON);
+    });
+
+    test('should frame binary payloads in either format', () => {
+      const negotiator = createFormatNegotiator(WireFormat.JSON);
+      const bytes = Uint8Array.of(1, 2, 3);
+
+      const frame = negotiator.encode(bytes);
+      expect(frame).toEqual(encodeMessage(bytes));
+      expect(negotiator.decode(frame)).toEqual(bytes);
+    });
+
+    test('should decode binary frames that arrive before the format announcement', () => {
+      const sender = createFormatNegotiator();
+      const receiver = createFormatNegotiator();
+      sender.handle(receiver.hello());
+      const message = { type: 'append', text: 'early', tokenIndex: 0 };
+
+      expect(receiver.getReceiveFormat()).toBe(WireFormat.JSON);
+      expect(receiver.decode(sender.encode(message))).toEqual(message);
+    });
+
+    test('should switch sending on hello and receiving on format', () => {
+      const negotiator = createFormatNegotiator();
+
+      const reply = negotiator.handle(createHello());
+      expect(reply).toEqual({ type: FORMAT_TYPE, format: WireFormat.BINARY });
+      expect(negotiator.getSendFormat()).toBe(WireFormat.BINARY);
+      expect(negotiator.getReceiveFormat()).toBe(WireFormat.JSON);
+
+      expect(negotiator.handle({ type: FORMAT_TYPE, format: WireFormat.BINARY })).toBeNull();
+      expect(negotiator.getReceiveFormat()).toBe(WireFormat.BINARY);
+
+      const frame = negotiator.encode('hi');
+      expect(frame).toBeInstanceOf(Uint8Array);
+      expect(negotiator.decode(frame)).toBe('hi');
+    });
+
+    test('should pass non-binary data through when receiving binary', () => {
+      const negotiator = createFormatNegotiator();
+      negotiator.handle({ type: FORMAT_TYPE, format: WireFormat.BINARY });
+
+      expect(negotiator.decode({ legacy: true })).toEqual({ legacy: true });
+    });
+
+    test('should return to JSON on reset', () => {
+      const negotiator = createFormatNegotiator();
+      negotiator.handle(createHello());
+      negotiator.handle({ type: FORMAT_TYPE, format: WireFormat.BINARY });
+
+      negotiator.reset();
+
+      expect(negotiator.getSendFormat()).toBe(WireFormat.JSON);
+      expect(negotiator.getReceiveFormat()).toBe(WireFormat.JSON);
+    });
+  });
+});
@@ -19,6 +19,42 @@ export const DEFAULT_CONFIG = {
   relayRedundancy: 2
 };
 
+/**
+ * Reconnect supervisor defaults
+ * Delays grow exponentially from baseDelay up to maxDelay; jitter is the
+ * fraction of each delay that is randomized. peerLossTimeout is how long
+ * to wait with zero peers before rejoining the room (0 disables it).
+ * maxAttempts also bounds the retries of a join whose room fails to open.
+ */
+export const DEFAULT_RECONNECT = {
+  enabled: true,
+  maxAttempts: 6,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: 0.5,
+  peerLossTimeout: 10000
+};
+
+/**
+ * Name of the default action used for document sync
+ */
+export const SYNC_ACTION = 'sync';
+
+/**
+ * Well-known channel names
+ */
+export const ChannelName = {
+  SYNC: SYNC_ACTION,
+  TOKENS: 'tokens',
+  PRESENCE: 'presence',
+  CONTROL: 'control'
+};
+
+/**
+ * Trystero limits action names to 12 bytes
+ */
+const MAX_ACTION_NAME_BYTES = 12;
+
 /**
  * Connection states enum
  */
@@ -26,6 +62,7 @@ export const ConnectionState = {
   DISCONNECTED: 'disconnected',
   CONNECTING: 'connecting',
   CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
   ERROR: 'error'
 };
 
@@ -57,6 +94,18 @@ export function validateRoomId(roomId) {
   return uuidRegex.test(roomId);
 }
 
+/**
+ * Computes the delay before a reconnect attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} settings - Reconnect settings (see DEFAULT_RECONNECT)
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, settings = DEFAULT_RECONNECT, random = Math.random) {
+  const exponential = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, attempt));
+  return Math.round(exponential * (1 - settings.jitter * random()));
+}
+
 /**
  * Creates a connection manager instance
  * @param {Object} options - Configuration options
@@ -64,23 +113,46 @@ export function validateRoomId(roomId) {
  * @param {Function} options.onPeerJoin - Callback when peer joins
  * @param {Function} options.onPeerLeave - Callback when peer leaves
  * @param {Function} options.onStateChange - Callback when connection state changes
+ * @param {Function} options.onInvalidData - Callback when a channel drops an invalid payload
+ * @param {Function} options.onReconnect - Callback when a rejoined room sees its first peer
+ * @param {Function} options.onReconnectFailed - Callback when reconnect attempts are exhausted
+ * @param {Object} options.reconnect - Reconnect settings (see DEFAULT_RECONNECT)
  * @returns {Object} Connection manager object
  */
 export function createConnectionManager(options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
+  config.reconnect = { ...DEFAULT_RECONNECT, ...options.reconnect };
   
   let state = ConnectionState.DISCONNECTED;
   let room = null;
   let peers = new Set();
   let actions = {};
+  let lastJoin = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let peerLossTimer = null;
+  let awaitingReconnectPeer = false;
+  // { resolve, reject } of a join() still retrying to open its room
+  let pendingJoin = null;
+  let lastError = null;
   
   const callbacks = {
     onPeerJoin: options.onPeerJoin || (() => {}),
     onPeerLeave: options.onPeerLeave || (() => {}),
     onStateChange: options.onStateChange || (() => {}),
-    onData: options.onData || (() => {})
+    onData: options.onData || (() => {}),
+    onInvalidData: options.onInvalidData || (() => {}),
+    onReconnect: options.onReconnect || (() => {}),
+    onReconnectFailed: options.onReconnectFailed || (() => {})
   };
 
+  const channels = new Map();
+
+  // Receive handlers by action name; actions are created on the room at join time
+  const actionHandlers = new Map([
+    [SYNC_ACTION, (data, peerId) => callbacks.onData(data, peerId)]
+  ]);
+
   /**
    * Updates connection state and notifies listeners
    * @param {string} newState - New connection state
@@ -92,77 +164,397 @@ export function createConnectionManager(options = {}) {
     }
   }
 
+  /**
+   * Creates a Trystero action on the current room
+   * @param {string} name - Action name
+   */
+  function makeRoomAction(name) {
+    const [sendData, getData] = room.makeAction(name);
+    actions[name] = sendData;
+    getData((data, peerId) => {
+      const handler = actionHandlers.get(name);
+      if (handler) {
+        handler(data, peerId);
+      }
+    });
+  }
+
+  /**
+   * Registers a named action with its receive handler
+   * Can be called before or after joining a room
+   * @param {string} name - Action name (max 12 bytes)
+   * @param {Function} handler - Called with (data, peerId) for received data
+   */
+  function registerAction(name, handler) {
+    if (typeof name !== 'string' || !name ||
+        new TextEncoder().encode(name).length > MAX_ACTION_NAME_BYTES) {
+      throw new Error('Action name must be a non-empty string of at most 12 bytes');
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError('Action handler must be a function');
+    }
+
+    actionHandlers.set(name, handler);
+    if (room && !actions[name]) {
+      makeRoomAction(name);
+    }
+  }
+
+  /**
+   * Gets or creates a named message channel
+   * Each channel has its own Trystero action, subscribers and payload
+   * validation. Payloads failing validation are rejected on send and
+   * dropped (via onInvalidData) on receive.
+   * @param {string} name - Channel name (max 12 bytes)
+   * @param {Object} channelOptions - Channel options
+   * @param {Function} channelOptions.validate - Returns false or throws for invalid payloads
+   * @returns {Object} Channel with send, sendTo, sendToMany and subscribe
+   */
+  function channel(name, channelOptions = {}) {
+    if (channels.has(name)) {
+      return channels.get(name);
+    }
+
+    const validate = channelOptions.validate || (() => true);
+    const subscribers = new Set();
+    const previousHandler = actionHandlers.get(name);
+
+    function isValid(data) {
+      try {
+        return data !== undefined && validate(data) !== false;
+      } catch {
+        return false;
+      }
+    }
+
+    function assertValid(data) {
+      if (!isValid(data)) {
+        throw new TypeError(`Invalid payload for channel "${name}"`);
+      }
+    }
+
+    registerAction(name, (data, peerId) => {
+      if (!isValid(data)) {
+        callbacks.onInvalidData(name, data, peerId);
+        return;
+      }
+      if (previousHandler) {
+        previousHandler(data, peerId);
+      }
+      subscribers.forEach(handler => handler(data, peerId));
+    });
+
+    const created = {
+      name,
+      send(data, targetPeers) {
+        assertValid(data);
+        return sendAction(name, data, targetPeers);
+      },
+      sendTo(peerId, data) {
+        assertValid(data);
+        return sendTo(peerId, data, name);
+      },
+      sendToMany(peerIds, data) {
+        assertValid(data);
+        return sendToMany(peerIds, data, name);
+      },
+      subscribe(handler) {
+        subscribers.add(handler);
+        return () => subscribers.delete(handler);
+      }
+    };
+
+    channels.set(name, created);
+    return created;
+  }
+
+  /**
+   * Opens the Trystero room and wires peer tracking and actions
+   * @param {string} roomId - Room ID to join
+   * @param {Function} joinRoom - Trystero joinRoom function
+   * @returns {Object} Room object
+   */
+  function openRoom(roomId, joinRoom, password) {
+    const roomConfig = {
+      appId: config.appId,
+      relayUrls: config.relayUrls,
+      relayRedundancy: config.relayRedundancy
+    };
+    // Trystero encrypts the SDP it publishes on the relays with the password
+    if (password) {
+      roomConfig.password = password;
+    }
+    const joinedRoom = joinRoom(roomConfig, roomId);
+    room = joinedRoom;
+    
+    // Set up peer tracking; events from a room we already left are ignored
+    joinedRoom.onPeerJoin((peerId) => {
+      if (room !== joinedRoom) return;
+      clearTimeout(peerLossTimer);
+      peers.add(peerId);
+      callbacks.onPeerJoin(peerId);
+      if (state !== ConnectionState.CONNECTED) {
+        setState(ConnectionState.CONNECTED);
+      }
+      reconnectAttempts = 0;
+      if (awaitingReconnectPeer) {
+        awaitingReconnectPeer = false;
+        callbacks.onReconnect(roomId);
+      }
+    });
+
+    joinedRoom.onPeerLeave((peerId) => {
+      if (room !== joinedRoom) return;
+      peers.delete(peerId);
+      callbacks.onPeerLeave(peerId);
+      if (peers.size === 0) {
+        setState(ConnectionState.CONNECTING);
+        watchPeerLoss();
+      }
+    });
+
+    // Create data actions for sync and any registered names
+    actionHandlers.forEach((handler, name) => makeRoomAction(name));
+
+    return joinedRoom;
+  }
+
+  /**
+   * Drops the current room without changing connection state
+   */
+  function closeRoom() {
+    if (room) {
+      const closing = room;
+      room = null;
+      closing.leave();
+    }
+    peers.clear();
+    actions = {};
+  }
+
+  /**
+   * Rejoins the room if it stays without peers for peerLossTimeout
+   * Skipped for joins made with rejoinOnPeerLoss false, such as a host
+   * waiting in its own room: an empty room is no sign of a lost link there.
+   */
+  function watchPeerLoss() {
+    const { enabled, peerLossTimeout } = config.reconnect;
+    clearTimeout(peerLossTimer);
+    if (enabled && peerLossTimeout > 0 && lastJoin && lastJoin.rejoinOnPeerLoss) {
+      peerLossTimer = setTimeout(scheduleReconnect, peerLossTimeout);
+    }
+  }
+
+  /**
+   * Settles a join() that is still retrying
+   * @param {Error|null} error - Rejection reason, or null to resolve
+   * @param {Object} [joinedRoom] - Room to resolve with
+   */
+  function settleJoin(error, joinedRoom) {
+    if (!pendingJoin) return;
+    const { resolve, reject } = pendingJoin;
+    pendingJoin = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(joinedRoom);
+    }
+  }
+
+  /**
+   * Schedules the next reconnect attempt with backoff and jitter
+   * When attempts run out, a room that did open is kept so peers can still
+   * arrive; only a room that never opened ends in the error state.
+   */
+  function scheduleReconnect() {
+    if (!lastJoin || !config.reconnect.enabled || reconnectTimer) {
+      return;
+    }
+
+    if (reconnectAttempts >= config.reconnect.maxAttempts) {
+      awaitingReconnectPeer = false;
+      if (room) {
+        setState(peers.size > 0 ? ConnectionState.CONNECTED : ConnectionState.CONNECTING);
+      } else {
+        setState(ConnectionState.ERROR);
+        settleJoin(lastError || new Error('Could not join the room'));
+      }
+      callbacks.onReconnectFailed(reconnectAttempts);
+      return;
+    }
+
+    const delay = computeBackoffDelay(reconnectAttempts, config.reconnect);
+    reconnectAttempts++;
+    setState(ConnectionState.RECONNECTING);
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      closeRoom();
+      try {
+        const joinedRoom = openRoom(lastJoin.roomId, lastJoin.joinRoom, lastJoin.password);
+        // The first room of a join is no reconnect
+        awaitingReconnectPeer = !pendingJoin;
+        setState(ConnectionState.CONNECTING);
+        settleJoin(null, joinedRoom);
+        watchPeerLoss();
+      } catch (error) {
+        console.error('Reconnect attempt failed:', error);
+        lastError = error;
+        scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancels any pending reconnect or peer-loss timers
+   */
+  function cancelReconnect() {
+    clearTimeout(reconnectTimer);
+    clearTimeout(peerLossTimer);
+    reconnectTimer = null;
+    peerLossTimer = null;
+    reconnectAttempts = 0;
+    awaitingReconnectPeer = false;
+  }
+
   /**
    * Joins a P2P room
    * @param {string} roomId - Room ID to join
    * @param {Function} joinRoom - Trystero joinRoom function (injected for testability)
+   * If the room fails to open, the join is retried with the reconnect
+   * backoff and settles once a room opens or the attempts run out.
+   * @param {Object} joinOptions - Join options
+   * @param {string} joinOptions.password - Room password for encrypted signaling
+   * @param {boolean} joinOptions.rejoinOnPeerLoss - Rejoin when all peers are gone (default true; false for hosts)
    * @returns {Promise<Object>} Room object
    */
-  async function join(roomId, joinRoom) {
+  async function join(roomId, joinRoom, joinOptions = {}) {
     if (!validateRoomId(roomId)) {
       setState(ConnectionState.ERROR);
       throw new Error('Invalid room ID format');
     }
 
+    cancelReconnect();
+    settleJoin(new Error('Join superseded'));
+    closeRoom();
+    lastJoin = {
+      roomId,
+      joinRoom,
+      password: joinOptions.password,
+      rejoinOnPeerLoss: joinOptions.rejoinOnPeerLoss !== false
+    };
+    lastError = null;
     setState(ConnectionState.CONNECTING);
 
     try {
-      room = joinRoom({ 
-        appId: config.appId,
-        relayUrls: config.relayUrls,
-        relayRedundancy: config.relayRedundancy
-      }, roomId);
-      
-      // Set up peer tracking
-      room.onPeerJoin((peerId) => {
-        peers.add(peerId);
-        callbacks.onPeerJoin(peerId);
-        if (state !== ConnectionState.CONNECTED) {
-          setState(ConnectionState.CONNECTED);
-        }
-      });
-
-      room.onPeerLeave((peerId) => {
-        peers.delete(peerId);
-        callbacks.onPeerLeave(peerId);
-        if (peers.size === 0) {
-          setState(ConnectionState.CONNECTING);
-        }
+      return openRoom(roomId, joinRoom, joinOptions.password);
+    } catch (error) {
+      if (!config.reconnect.enabled || config.reconnect.maxAttempts === 0) {
+        lastJoin = null;
+        setState(ConnectionState.ERROR);
+        throw error;
+      }
+      console.error('Join attempt failed:', error);
+      lastError = error;
+      return new Promise((resolve, reject) => {
+        pendingJoin = { resolve, reject };
+        scheduleReconnect();
       });
+    }
+  }
 
-      // Create data action for sync
-      const [sendData, getData] = room.makeAction('sync');
-      actions.sendData = sendData;
-      getData((data, peerId) => callbacks.onData(data, peerId));
-
-      return room;
-    } catch (error) {
-      setState(ConnectionState.ERROR);
-      throw error;
+  /**
+   * Rejoins the last room now, restarting the attempt counter
+   * Useful when the app knows the network is back (e.g. an 'online' event).
+   * @returns {boolean} True if a reconnect was scheduled
+   */
+  function reconnect() {
+    if (!lastJoin) {
+      return false;
     }
+    cancelReconnect();
+    scheduleReconnect();
+    return true;
+  }
+
+  /**
+   * Gets the number of reconnect attempts since the last successful rejoin
+   * @returns {number} Attempt count
+   */
+  function getReconnectAttempts() {
+    return reconnectAttempts;
   }
 
   /**
    * Leaves the current room
    */
   function leave() {
-    if (room) {
-      room.leave();
-      room = null;
-      peers.clear();
-      actions = {};
+    cancelReconnect();
+    settleJoin(new Error('Left the room'));
+    lastJoin = null;
+    if (room || state !== ConnectionState.DISCONNECTED) {
+      closeRoom();
       setState(ConnectionState.DISCONNECTED);
     }
   }
 
+  /**
+   * Sends data through a named action
+   * @param {string} name - Action name
+   * @param {any} data - Data to send
+   * @param {string|string[]} [targetPeers] - Restrict delivery to these peer IDs
+   * @returns {boolean} True if the data was handed to the room
+   */
+  function sendAction(name, data, targetPeers) {
+    const sendData = actions[name];
+    if (!sendData) {
+      return false;
+    }
+    if (targetPeers) {
+      sendData(data, targetPeers);
+    } else {
+      sendData(data);
+    }
+    return true;
+  }
+
   /**
    * Sends data to all connected peers
    * @param {any} data - Data to send
+   * @param {string|string[]} [targetPeers] - Restrict delivery to these peer IDs
+   */
+  function broadcast(data, targetPeers) {
+    sendAction(SYNC_ACTION, data, targetPeers);
+  }
+
+  /**
+   * Sends data to a single connected peer
+   * @param {string} peerId - Target peer ID
+   * @param {any} data - Data to send
+   * @param {string} [actionName] - Action to send through (defaults to sync)
+   * @returns {boolean} True if the peer is connected and the data was sent
+   */
+  function sendTo(peerId, data, actionName = SYNC_ACTION) {
+    if (!peers.has(peerId)) {
+      return false;
+    }
+    return sendAction(actionName, data, peerId);
+  }
+
+  /**
+   * Sends data to several connected peers
+   * Unknown peer IDs are skipped.
+   * @param {string[]} peerIds - Target peer IDs
+   * @param {any} data - Data to send
+   * @param {string} [actionName] - Action to send through (defaults to sync)
+   * @returns {string[]} Peer IDs the data was sent to
    */
-  function broadcast(data) {
-    if (actions.sendData) {
-      actions.sendData(data);
+  function sendToMany(peerIds, data, actionName = SYNC_ACTION) {
+    const targets = (peerIds || []).filter(peerId => peers.has(peerId));
+    if (targets.length === 0 || !sendAction(actionName, data, targets)) {
+      return [];
     }
+    return targets;
   }
 
   /**
@@ -192,7 +584,14 @@ export function createConnectionManager(options = {}) {
   return {
     join,
     leave,
+    reconnect,
+    getReconnectAttempts,
+    registerAction,
+    channel,
+    sendAction,
     broadcast,
+    sendTo,
+    sendToMany,
     getState,
     getPeers,
     getPeerCount,
@@ -9,7 +9,10 @@ import {
   validateRoomId,
   createConnectionManager,
   ConnectionState,
-  DEFAULT_CONFIG
+  DEFAULT_CONFIG,
+  DEFAULT_RECONNECT,
+  ChannelName,
+  computeBackoffDelay
 } from './connection.js';
 
 describe('Connection Module', () => {
@@ -75,10 +78,31 @@ describe('Connection Module', () => {
       expect(ConnectionState.DISCONNECTED).toBe('disconnected');
       expect(ConnectionState.CONNECTING).toBe('connecting');
       expect(ConnectionState.CONNECTED).toBe('connected');
+      expect(ConnectionState.RECONNECTING).toBe('reconnecting');
       expect(ConnectionState.ERROR).toBe('error');
     });
   });
 
+  describe('computeBackoffDelay', () => {
+    const settings = { ...DEFAULT_RECONNECT, baseDelay: 1000, maxDelay: 8000, jitter: 0.5 };
+
+    test('should grow exponentially without jitter', () => {
+      const noJitter = () => 0;
+      expect(computeBackoffDelay(0, settings, noJitter)).toBe(1000);
+      expect(computeBackoffDelay(1, settings, noJitter)).toBe(2000);
+      expect(computeBackoffDelay(2, settings, noJitter)).toBe(4000);
+    });
+
+    test('should cap at maxDelay', () => {
+      expect(computeBackoffDelay(10, settings, () => 0)).toBe(8000);
+    });
+
+    test('should apply jitter as a fraction of the delay', () => {
+      expect(computeBackoffDelay(1, settings, () => 1)).toBe(1000);
+      expect(computeBackoffDelay(1, settings, () => 0.5)).toBe(1500);
+    });
+  });
+
   describe('createConnectionManager', () => {
     let manager;
     let mockJoinRoom;
@@ -138,6 +162,16 @@ describe('Connection Module', () => {
         );
       });
 
+      test('should pass a room password to Trystero', async () => {
+        const roomId = generateRoomId();
+        await manager.join(roomId, mockJoinRoom, { password: 'session-key' });
+        
+        expect(mockJoinRoom).toHaveBeenCalledWith(
+          expect.objectContaining({ password: 'session-key' }),
+          roomId
+        );
+      });
+
       test('should set up peer join/leave callbacks', async () => {
         const roomId = generateRoomId();
         await manager.join(roomId, mockJoinRoom);
@@ -153,11 +187,12 @@ describe('Connection Module', () => {
         expect(mockRoom.makeAction).toHaveBeenCalledWith('sync');
       });
 
-      test('should handle joinRoom throwing error', async () => {
+      test('should handle joinRoom throwing error without reconnect', async () => {
         const errorJoinRoom = jest.fn(() => {
           throw new Error('Connection failed');
         });
         const roomId = generateRoomId();
+        manager = createConnectionManager({ reconnect: { enabled: false } });
         
         await expect(manager.join(roomId, errorJoinRoom))
           .rejects.toThrow('Connection failed');
@@ -231,11 +266,500 @@ describe('Connection Module', () => {
         expect(sendMock).toHaveBeenCalledWith({ test: 'data' });
       });
 
+      test('should pass target peers to the action', async () => {
+        const sendMock = jest.fn();
+        mockRoom.makeAction = jest.fn(() => [sendMock, jest.fn()]);
+        
+        const roomId = generateRoomId();
+        await manager.join(roomId, mockJoinRoom);
+        
+        manager.broadcast({ test: 'data' }, 'peer-123');
+        
+        expect(sendMock).toHaveBeenCalledWith({ test: 'data' }, 'peer-123');
+      });
+
       test('should not throw when broadcast before join', () => {
         expect(() => manager.broadcast({ test: 'data' })).not.toThrow();
       });
     });
 
+    describe('sendTo / sendToMany', () => {
+      let sendMock;
+      let peerJoin;
+
+      beforeEach(async () => {
+        sendMock = jest.fn();
+        mockRoom.makeAction = jest.fn(() => [sendMock, jest.fn()]);
+        await manager.join(generateRoomId(), mockJoinRoom);
+        peerJoin = mockRoom.onPeerJoin.mock.calls[0][0];
+        peerJoin('peer-1');
+        peerJoin('peer-2');
+      });
+
+      test('should send to a single peer', () => {
+        expect(manager.sendTo('peer-1', { hello: true })).toBe(true);
+        expect(sendMock).toHaveBeenCalledWith({ hello: true }, 'peer-1');
+      });
+
+      test('should not send to unknown peer', () => {
+        expect(manager.sendTo('peer-x', { hello: true })).toBe(false);
+        expect(sendMock).not.toHaveBeenCalled();
+      });
+
+      test('should send to several peers and skip unknown ones', () => {
+        const sent = manager.sendToMany(['peer-1', 'peer-x', 'peer-2'], { hi: 1 });
+        
+        expect(sent).toEqual(['peer-1', 'peer-2']);
+        expect(sendMock).toHaveBeenCalledWith({ hi: 1 }, ['peer-1', 'peer-2']);
+      });
+
+      test('should not send when no target is connected', () => {
+        expect(manager.sendToMany(['peer-x'], { hi: 1 })).toEqual([]);
+        expect(manager.sendToMany(null, { hi: 1 })).toEqual([]);
+        expect(sendMock).not.toHaveBeenCalled();
+      });
+
+      test('should return false before join', () => {
+        const fresh = createConnectionManager();
+        expect(fresh.sendTo('peer-1', {})).toBe(false);
+      });
+    });
+
+    describe('registerAction', () => {
+      test('should create registered actions on join', async () => {
+        const handler = jest.fn();
+        manager.registerAction('control', handler);
+        
+        await manager.join(generateRoomId(), mockJoinRoom);
+        
+        expect(mockRoom.makeAction).toHaveBeenCalledWith('sync');
+        expect(mockRoom.makeAction).toHaveBeenCalledWith('control');
+      });
+
+      test('should create action immediately when already joined', async () => {
+        await manager.join(generateRoomId(), mockJoinRoom);
+        manager.registerAction('prompt', jest.fn());
+        
+        expect(mockRoom.makeAction).toHaveBeenCalledWith('prompt');
+      });
+
+      test('should route received data to the action handler', async () => {
+        const receivers = {};
+        mockRoom.makeAction = jest.fn((name) => {
+          const getData = jest.fn((cb) => { receivers[name] = cb; });
+          return [jest.fn(), getData];
+        });
+        const onData = jest.fn();
+        const handler = jest.fn();
+        const managerWithCallback = createConnectionManager({ onData });
+        managerWithCallback.registerAction('control', handler);
+        
+        await managerWithCallback.join(generateRoomId(), mockJoinRoom);
+        receivers.control({ cmd: 'stop' }, 'peer-1');
+        
+        expect(handler).toHaveBeenCalledWith({ cmd: 'stop' }, 'peer-1');
+        expect(onData).not.toHaveBeenCalled();
+      });
+
+      test('should send through a named action', async () => {
+        const senders = {};
+        mockRoom.makeAction = jest.fn((name) => {
+          senders[name] = jest.fn();
+          return [senders[name], jest.fn()];
+        });
+        manager.registerAction('control', jest.fn());
+        await manager.join(generateRoomId(), mockJoinRoom);
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+        
+        expect(manager.sendAction('control', { cmd: 'stop' })).toBe(true);
+        expect(manager.sendTo('peer-1', { cmd: 'go' }, 'control')).toBe(true);
+        
+        expect(senders.control).toHaveBeenCalledWith({ cmd: 'stop' });
+        expect(senders.control).toHaveBeenCalledWith({ cmd: 'go' }, 'peer-1');
+        expect(senders.sync).not.toHaveBeenCalled();
+      });
+
+      test('should return false for unregistered action', async () => {
+        await manager.join(generateRoomId(), mockJoinRoom);
+        expect(manager.sendAction('nope', {})).toBe(false);
+      });
+
+      test('should validate action name and handler', () => {
+        expect(() => manager.registerAction('', jest.fn())).toThrow('Action name');
+        expect(() => manager.registerAction('a-very-long-action', jest.fn())).toThrow('Action name');
+        expect(() => manager.registerAction('ok', null)).toThrow(TypeError);
+      });
+    });
+
+    describe('channel', () => {
+      let senders;
+      let receivers;
+
+      beforeEach(() => {
+        senders = {};
+        receivers = {};
+        mockRoom.makeAction = jest.fn((name) => {
+          senders[name] = jest.fn();
+          return [senders[name], jest.fn((cb) => { receivers[name] = cb; })];
+        });
+      });
+
+      test('should expose well-known channel names', () => {
+        expect(ChannelName.SYNC).toBe('sync');
+        expect(ChannelName.TOKENS).toBe('tokens');
+        expect(ChannelName.PRESENCE).toBe('presence');
+        expect(ChannelName.CONTROL).toBe('control');
+      });
+
+      test('should return the same channel for the same name', () => {
+        expect(manager.channel('tokens')).toBe(manager.channel('tokens'));
+      });
+
+      test('should send and receive on separate actions', async () => {
+        const tokens = manager.channel(ChannelName.TOKENS);
+        const control = manager.channel(ChannelName.CONTROL);
+        const onTokens = jest.fn();
+        const onControl = jest.fn();
+        tokens.subscribe(onTokens);
+        control.subscribe(onControl);
+        
+        await manager.join(generateRoomId(), mockJoinRoom);
+        
+        tokens.send({ text: 'hi' });
+        expect(senders.tokens).toHaveBeenCalledWith({ text: 'hi' });
+        expect(senders.control).not.toHaveBeenCalled();
+        
+        receivers.control({ cmd: 'stop' }, 'peer-1');
+        expect(onControl).toHaveBeenCalledWith({ cmd: 'stop' }, 'peer-1');
+        expect(onTokens).not.toHaveBeenCalled();
+      });
+
+      test('should support targeted sends', async () => {
+        const presence = manager.channel(ChannelName.PRESENCE);
+        await manager.join(generateRoomId(), mockJoinRoom);
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+        
+        expect(presence.sendTo('peer-1', { online: true })).toBe(true);
+        expect(presence.sendToMany(['peer-1'], { online: true })).toEqual(['peer-1']);
+        expect(senders.presence).toHaveBeenCalledWith({ online: true }, 'peer-1');
+        expect(senders.presence).toHaveBeenCalledWith({ online: true }, ['peer-1']);
+      });
+
+      test('should allow unsubscribe', async () => {
+        const tokens = manager.channel(ChannelName.TOKENS);
+        const handler = jest.fn();
+        const unsubscribe = tokens.subscribe(handler);
+        await manager.join(generateRoomId(), mockJoinRoom);
+        
+        unsubscribe();
+        receivers.tokens({ text: 'x' }, 'peer-1');
+        
+        expect(handler).not.toHaveBeenCalled();
+      });
+
+      test('should reject invalid outgoing payloads', async () => {
+        const tokens = manager.channel('tokens', {
+          validate: (data) => typeof data.text === 'string'
+        });
+        await manager.join(generateRoomId(), mockJoinRoom);
+        
+        expect(() => tokens.send({ text: 1 })).toThrow('Invalid payload for channel "tokens"');
+        expect(() => tokens.send(undefined)).toThrow(TypeError);
+        expect(senders.tokens).not.toHaveBeenCalled();
+      });
+
+      test('should drop invalid incoming payloads', async () => {
+        const onInvalidData = jest.fn();
+        const managerWithCallback = createConnectionManager({ onInvalidData });
+        const tokens = managerWithCallback.channel('tokens', {
+          validate: (data) => {
+            if (typeof data.text !== 'string') throw new Error('bad');
+            return true;
+          }
+        });
+        const handler = jest.fn();
+        tokens.subscribe(handler);
+        await managerWithCallback.join(generateRoomId(), mockJoinRoom);
+        
+        receivers.tokens({ text: 5 }, 'peer-1');
+        receivers.tokens({ text: 'ok' }, 'peer-1');
+        
+        expect(onInvalidData).toHaveBeenCalledWith('tokens', { text: 5 }, 'peer-1');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith({ text: 'ok' }, 'peer-1');
+      });
+
+      test('should keep onData working for the sync channel', async () => {
+        const onData = jest.fn();
+        const managerWithCallback = createConnectionManager({ onData });
+        const sync = managerWithCallback.channel(ChannelName.SYNC);
+        const handler = jest.fn();
+        sync.subscribe(handler);
+        await managerWithCallback.join(generateRoomId(), mockJoinRoom);
+        
+        receivers.sync({ a: 1 }, 'peer-1');
+        
+        expect(onData).toHaveBeenCalledWith({ a: 1 }, 'peer-1');
+        expect(handler).toHaveBeenCalledWith({ a: 1 }, 'peer-1');
+      });
+    });
+
+    describe('reconnect supervisor', () => {
+      const reconnectSettings = {
+        baseDelay: 100,
+        maxDelay: 1000,
+        jitter: 0,
+        maxAttempts: 2,
+        peerLossTimeout: 500
+      };
+
+      let rooms;
+      let joinRoom;
+
+      function createMockRoom() {
+        return {
+          onPeerJoin: jest.fn(),
+          onPeerLeave: jest.fn(),
+          makeAction: jest.fn(() => [jest.fn(), jest.fn()]),
+          leave: jest.fn()
+        };
+      }
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        rooms = [];
+        joinRoom = jest.fn(() => {
+          const created = createMockRoom();
+          rooms.push(created);
+          return created;
+        });
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      async function joinWithPeer(managerOptions = {}) {
+        const supervised = createConnectionManager({
+          reconnect: reconnectSettings,
+          ...managerOptions
+        });
+        await supervised.join(generateRoomId(), joinRoom);
+        rooms[0].onPeerJoin.mock.calls[0][0]('peer-1');
+        return supervised;
+      }
+
+      test('should merge partial reconnect settings with defaults', () => {
+        const supervised = createConnectionManager({ reconnect: { maxAttempts: 3 } });
+        expect(supervised.config.reconnect.maxAttempts).toBe(3);
+        expect(supervised.config.reconnect.baseDelay).toBe(DEFAULT_RECONNECT.baseDelay);
+      });
+
+      test('should rejoin after peers stay gone', async () => {
+        const states = [];
+        const supervised = await joinWithPeer({ onStateChange: (s) => states.push(s) });
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+        
+        jest.advanceTimersByTime(500);
+        expect(supervised.getState()).toBe(ConnectionState.RECONNECTING);
+        
+        jest.advanceTimersByTime(100);
+        expect(rooms[0].leave).toHaveBeenCalled();
+        expect(joinRoom).toHaveBeenCalledTimes(2);
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+        expect(states).toContain(ConnectionState.RECONNECTING);
+      });
+
+      test('should not rejoin when a peer returns in time', async () => {
+        const supervised = await joinWithPeer();
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(200);
+        rooms[0].onPeerJoin.mock.calls[0][0]('peer-2');
+        jest.advanceTimersByTime(1000);
+        
+        expect(joinRoom).toHaveBeenCalledTimes(1);
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTED);
+      });
+
+      test('should call onReconnect when the rejoined room sees a peer', async () => {
+        const onReconnect = jest.fn();
+        const supervised = await joinWithPeer({ onReconnect });
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(600);
+        rooms[1].onPeerJoin.mock.calls[0][0]('peer-1');
+        
+        expect(onReconnect).toHaveBeenCalledTimes(1);
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTED);
+        expect(supervised.getReconnectAttempts()).toBe(0);
+      });
+
+      test('should ignore events from a room that was left', async () => {
+        const onPeerJoin = jest.fn();
+        const supervised = await joinWithPeer({ onPeerJoin });
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(600);
+        rooms[0].onPeerJoin.mock.calls[0][0]('ghost');
+        
+        expect(onPeerJoin).not.toHaveBeenCalledWith('ghost');
+        expect(supervised.getPeerCount()).toBe(0);
+      });
+
+      test('should back off and retry when rejoin throws', async () => {
+        const supervised = await joinWithPeer();
+        joinRoom.mockImplementation(() => {
+          throw new Error('relay down');
+        });
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        supervised.reconnect();
+        jest.advanceTimersByTime(100);
+        expect(joinRoom).toHaveBeenCalledTimes(2);
+        expect(supervised.getState()).toBe(ConnectionState.RECONNECTING);
+        
+        // Second attempt waits twice as long
+        jest.advanceTimersByTime(100);
+        expect(joinRoom).toHaveBeenCalledTimes(2);
+        jest.advanceTimersByTime(100);
+        expect(joinRoom).toHaveBeenCalledTimes(3);
+        
+        consoleSpy.mockRestore();
+      });
+
+      test('should give up after maxAttempts', async () => {
+        const onReconnectFailed = jest.fn();
+        const supervised = await joinWithPeer({ onReconnectFailed });
+        joinRoom.mockImplementation(() => {
+          throw new Error('relay down');
+        });
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        supervised.reconnect();
+        jest.advanceTimersByTime(5000);
+        
+        expect(joinRoom).toHaveBeenCalledTimes(3);
+        expect(supervised.getState()).toBe(ConnectionState.ERROR);
+        expect(onReconnectFailed).toHaveBeenCalledWith(2);
+        
+        consoleSpy.mockRestore();
+      });
+
+      test('should retry a join whose room fails to open', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onReconnect = jest.fn();
+        const supervised = createConnectionManager({ reconnect: reconnectSettings, onReconnect });
+        joinRoom.mockImplementationOnce(() => {
+          throw new Error('relay down');
+        });
+
+        const joining = supervised.join(generateRoomId(), joinRoom);
+        await Promise.resolve();
+        expect(supervised.getState()).toBe(ConnectionState.RECONNECTING);
+
+        jest.advanceTimersByTime(100);
+        await expect(joining).resolves.toBe(rooms[0]);
+        expect(joinRoom).toHaveBeenCalledTimes(2);
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+
+        rooms[0].onPeerJoin.mock.calls[0][0]('peer-1');
+        expect(onReconnect).not.toHaveBeenCalled();
+        consoleSpy.mockRestore();
+      });
+
+      test('should reject a join when its room never opens', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onReconnectFailed = jest.fn();
+        const supervised = createConnectionManager({ reconnect: reconnectSettings, onReconnectFailed });
+        joinRoom.mockImplementation(() => {
+          throw new Error('relay down');
+        });
+
+        const joining = supervised.join(generateRoomId(), joinRoom);
+        jest.advanceTimersByTime(5000);
+
+        await expect(joining).rejects.toThrow('relay down');
+        expect(joinRoom).toHaveBeenCalledTimes(3);
+        expect(supervised.getState()).toBe(ConnectionState.ERROR);
+        expect(onReconnectFailed).toHaveBeenCalledWith(2);
+        consoleSpy.mockRestore();
+      });
+
+      test('should reject a retrying join on leave', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const supervised = createConnectionManager({ reconnect: reconnectSettings });
+        joinRoom.mockImplementationOnce(() => {
+          throw new Error('relay down');
+        });
+
+        const joining = supervised.join(generateRoomId(), joinRoom);
+        supervised.leave();
+
+        await expect(joining).rejects.toThrow('Left the room');
+        jest.advanceTimersByTime(5000);
+        expect(joinRoom).toHaveBeenCalledTimes(1);
+        consoleSpy.mockRestore();
+      });
+
+      test('should not rejoin an empty room it hosts', async () => {
+        const supervised = createConnectionManager({ reconnect: reconnectSettings });
+        await supervised.join(generateRoomId(), joinRoom, { rejoinOnPeerLoss: false });
+        rooms[0].onPeerJoin.mock.calls[0][0]('peer-1');
+
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(60000);
+
+        expect(joinRoom).toHaveBeenCalledTimes(1);
+        expect(rooms[0].leave).not.toHaveBeenCalled();
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+      });
+
+      test('should keep the rejoined room when attempts run out', async () => {
+        const onReconnectFailed = jest.fn();
+        const supervised = await joinWithPeer({ onReconnectFailed });
+
+        // Nobody comes back to any of the rejoined rooms
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(60000);
+
+        expect(onReconnectFailed).toHaveBeenCalledWith(2);
+        expect(joinRoom).toHaveBeenCalledTimes(3);
+        expect(rooms[2].leave).not.toHaveBeenCalled();
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+
+        rooms[2].onPeerJoin.mock.calls[0][0]('peer-1');
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTED);
+        expect(supervised.getReconnectAttempts()).toBe(0);
+      });
+
+      test('should not reconnect when disabled', async () => {
+        const supervised = await joinWithPeer({
+          reconnect: { ...reconnectSettings, enabled: false }
+        });
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        jest.advanceTimersByTime(5000);
+        
+        expect(joinRoom).toHaveBeenCalledTimes(1);
+        expect(supervised.getState()).toBe(ConnectionState.CONNECTING);
+      });
+
+      test('should cancel reconnect on leave', async () => {
+        const supervised = await joinWithPeer();
+        
+        rooms[0].onPeerLeave.mock.calls[0][0]('peer-1');
+        supervised.leave();
+        jest.advanceTimersByTime(5000);
+        
+        expect(joinRoom).toHaveBeenCalledTimes(1);
+        expect(supervised.getState()).toBe(ConnectionState.DISCONNECTED);
+        expect(supervised.reconnect()).toBe(false);
+      });
+    });
+
     describe('state change callbacks', () => {
       test('should call onStateChange when state changes', async () => {
         const onStateChange = jest.fn();
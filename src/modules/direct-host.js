@@ -0,0 +1,267 @@
+/**
+ * Direct Host Module
+ * Serves several clients from one page over direct WebRTC connections
+ *
+ * Each client gets its own offer QR and its own RTCPeerConnection. The
+ * session ID carried in every offer comes back in the client's answer, so
+ * scanned answers are routed to the right pending connection.
+ *
+ * @module direct-host
+ */
+
+import {
+  createDirectConnection,
+  decompressSignaling,
+  DirectConnectionState
+} from './webrtc-direct.js';
+
+/**
+ * Host defaults
+ */
+export const DEFAULT_HOST_CONFIG = {
+  maxClients: 10
+};
+
+/**
+ * Creates a host that manages a pool of direct connections
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxClients - Maximum live connections; dropped clients waiting for prune() do not count
+ * @param {Function} options.onClientStateChange - Called with (clientId, state)
+ * @param {Function} options.onClientJoin - Called with (clientId) when a client connects
+ * @param {Function} options.onClientLeave - Called with (clientId) when a connected client drops
+ * @param {Function} options.onMessage - Called with (clientId, message)
+ * @param {Function} options.onError - Called with (clientId, error)
+ * @param {Function} options.createConnection - Connection factory (injected for testability)
+ * @returns {Object} Direct host
+ */
+export function createDirectHost(options = {}) {
+  const config = { ...DEFAULT_HOST_CONFIG, ...options };
+  const createConnection = options.createConnection || createDirectConnection;
+
+  // clientId -> { connection, state }
+  const clients = new Map();
+  // Entries whose offer is still being created; they count toward maxClients
+  const pending = new Set();
+
+  const callbacks = {
+    onClientStateChange: options.onClientStateChange || (() => {}),
+    onClientJoin: options.onClientJoin || (() => {}),
+    onClientLeave: options.onClientLeave || (() => {}),
+    onMessage: options.onMessage || (() => {}),
+    onError: options.onError || (() => {})
+  };
+
+  /**
+   * Checks whether a pooled connection has disconnected or failed
+   * @param {Object} client - Pool entry
+   * @returns {boolean} True once the client is gone
+   */
+  function isDropped(client) {
+    return client.state === DirectConnectionState.DISCONNECTED ||
+      client.state === DirectConnectionState.FAILED;
+  }
+
+  /**
+   * Counts invites being created and clients that have not dropped
+   * @returns {number} Connections that count toward maxClients
+   */
+  function countLive() {
+    let count = pending.size;
+    clients.forEach((client) => {
+      if (!isDropped(client)) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Handles a state change of one pooled connection
+   * @param {Object} client - Pool entry
+   * @param {string} newState - New connection state
+   */
+  function handleStateChange(client, newState) {
+    const previous = client.state;
+    client.state = newState;
+
+    // The client ID is only known once createOffer has resolved
+    if (!client.id) return;
+
+    callbacks.onClientStateChange(client.id, newState);
+    if (newState === DirectConnectionState.CONNECTED && previous !== DirectConnectionState.CONNECTED &&
+        previous !== DirectConnectionState.RECONNECTING) {
+      callbacks.onClientJoin(client.id);
+    } else if (previous === DirectConnectionState.CONNECTED &&
+               (newState === DirectConnectionState.DISCONNECTED || newState === DirectConnectionState.FAILED)) {
+      callbacks.onClientLeave(client.id);
+    }
+  }
+
+  /**
+   * Creates a fresh offer for one new client
+   * @returns {Promise<Object>} { clientId, offer } - offer is the compressed QR payload
+   */
+  async function createInvite() {
+    if (countLive() >= config.maxClients) {
+      throw new Error(`Client limit reached (${config.maxClients})`);
+    }
+
+    const client = { id: null, connection: null, state: DirectConnectionState.IDLE };
+    client.connection = createConnection({
+      iceServers: options.iceServers,
+      recovery: options.recovery,
+      transfer: options.transfer,
+      wireFormat: options.wireFormat,
+      onStateChange: (state) => handleStateChange(client, state),
+      onMessage: (message) => callbacks.onMessage(client.id, message),
+      onError: (error) => callbacks.onError(client.id, error)
+    });
+
+    pending.add(client);
+
+    try {
+      const offer = await client.connection.createOffer();
+      client.id = client.connection.getSessionId();
+      clients.set(client.id, client);
+      return { clientId: client.id, offer };
+    } catch (error) {
+      client.connection.close();
+      if (client.id) clients.delete(client.id);
+      throw error;
+    } finally {
+      pending.delete(client);
+    }
+  }
+
+  /**
+   * Accepts a client's answer
+   * @param {string} compressedAnswer - Compressed answer from the client's QR code
+   * @param {string} [clientId] - Pending client; defaults to the session ID in the answer
+   * @returns {Promise<string>} Client ID the answer was applied to
+   */
+  async function acceptAnswer(compressedAnswer, clientId) {
+    const targetId = clientId || decompressSignaling(compressedAnswer).sessionId;
+    const client = clients.get(targetId);
+
+    if (!client) {
+      throw new Error('No pending invite for this answer');
+    }
+
+    await client.connection.acceptAnswer(compressedAnswer);
+    return targetId;
+  }
+
+  /**
+   * Sends a message to every connected client
+   * A failing client does not stop delivery to the others.
+   * @param {any} message - Message to send
+   * @returns {number} Number of clients the message was sent to
+   */
+  function broadcast(message) {
+    let sent = 0;
+    clients.forEach((client) => {
+      if (!client.connection.isConnected()) return;
+      try {
+        client.connection.send(message);
+        sent++;
+      } catch (error) {
+        callbacks.onError(client.id, error);
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * Sends a message to one client
+   * @param {string} clientId - Client ID
+   * @param {any} message - Message to send
+   * @returns {boolean} True if the client is connected and the message was sent
+   */
+  function sendTo(clientId, message) {
+    const client = clients.get(clientId);
+    if (!client || !client.connection.isConnected()) {
+      return false;
+    }
+    client.connection.send(message);
+    return true;
+  }
+
+  /**
+   * Closes and forgets one client connection
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client existed
+   */
+  function removeClient(clientId) {
+    const client = clients.get(clientId);
+    if (!client) return false;
+    clients.delete(clientId);
+    client.connection.close();
+    return true;
+  }
+
+  /**
+   * Removes every connection that has disconnected or failed
+   * @returns {string[]} Removed client IDs
+   */
+  function prune() {
+    const removed = [];
+    clients.forEach((client, clientId) => {
+      if (isDropped(client)) removed.push(clientId);
+    });
+    removed.forEach(clientId => removeClient(clientId));
+    return removed;
+  }
+
+  /**
+   * Gets all pooled clients with their state
+   * @returns {Array<{id: string, state: string}>} Client list
+   */
+  function getClients() {
+    return Array.from(clients.values()).map(client => ({
+      id: client.id,
+      state: client.state
+    }));
+  }
+
+  /**
+   * Gets the state of one client
+   * @param {string} clientId - Client ID
+   * @returns {string|null} Connection state
+   */
+  function getClientState(clientId) {
+    const client = clients.get(clientId);
+    return client ? client.state : null;
+  }
+
+  /**
+   * Gets the number of connected clients
+   * @returns {number} Connected client count
+   */
+  function getConnectedCount() {
+    let count = 0;
+    clients.forEach((client) => {
+      if (client.connection.isConnected()) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Closes every connection
+   */
+  function close() {
+    Array.from(clients.keys()).forEach(clientId => removeClient(clientId));
+    pending.forEach(client => client.connection.close());
+  }
+
+  return {
+    createInvite,
+    acceptAnswer,
+    broadcast,
+    sendTo,
+    removeClient,
+    prune,
+    getClients,
+    getClientState,
+    getConnectedCount,
+    close,
+    config
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * Direct Host Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import { createDirectHost, DEFAULT_HOST_CONFIG } from './direct-host.js';
+import { compressSignaling, DirectConnectionState } from './webrtc-direct.js';
+
+const SDP = `a=ice-ufrag:abcd1234efgh5678\r
+a=ice-pwd:ABCDefgh1234567890IJKL\r
+a=fingerprint:sha-256 AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99\r
+`;
+
+// Fake direct connection; each instance gets a sequential session ID
+function createFakeFactory() {
+  const created = [];
+  const factory = jest.fn((connOptions) => {
+    const sessionId = 'session-' + (created.length + 1);
+    let state = DirectConnectionState.IDLE;
+    const setState = (newState) => {
+      state = newState;
+      connOptions.onStateChange(newState);
+    };
+    const fake = {
+      sessionId,
+      options: connOptions,
+      createOffer: jest.fn(async () => {
+        setState(DirectConnectionState.OFFERING);
+        return 'offer-' + sessionId;
+      }),
+      acceptAnswer: jest.fn(async () => setState(DirectConnectionState.CONNECTING)),
+      send: jest.fn(),
+      close: jest.fn(() => setState(DirectConnectionState.DISCONNECTED)),
+      getSessionId: () => sessionId,
+      isConnected: () => state === DirectConnectionState.CONNECTED,
+      setState
+    };
+    created.push(fake);
+    return fake;
+  });
+  return { factory, created };
+}
+
+function answerFor(sessionId) {
+  return compressSignaling({ type: 'answer', sdp: SDP }, [], sessionId);
+}
+
+describe('Direct Host Module', () => {
+  let factory;
+  let created;
+
+  beforeEach(() => {
+    ({ factory, created } = createFakeFactory());
+  });
+
+  test('should default to 10 clients', () => {
+    expect(DEFAULT_HOST_CONFIG.maxClients).toBe(10);
+    expect(createDirectHost().config.maxClients).toBe(10);
+  });
+
+  describe('createInvite', () => {
+    test('should create a fresh connection and offer per client', async () => {
+      const host = createDirectHost({ createConnection: factory });
+
+      const first = await host.createInvite();
+      const second = await host.createInvite();
+
+      expect(first).toEqual({ clientId: 'session-1', offer: 'offer-session-1' });
+      expect(second.clientId).toBe('session-2');
+      expect(factory).toHaveBeenCalledTimes(2);
+      expect(host.getClients()).toEqual([
+        { id: 'session-1', state: DirectConnectionState.OFFERING },
+        { id: 'session-2', state: DirectConnectionState.OFFERING }
+      ]);
+    });
+
+    test('should close the connection when its offer fails', async () => {
+      const failing = (connOptions) => {
+        const fake = factory(connOptions);
+        fake.createOffer.mockRejectedValueOnce(new Error('no ICE'));
+        return fake;
+      };
+      const host = createDirectHost({ createConnection: failing });
+
+      await expect(host.createInvite()).rejects.toThrow('no ICE');
+
+      expect(created[0].close).toHaveBeenCalled();
+      expect(host.getClients()).toEqual([]);
+    });
+
+    test('should count invites still being created toward the limit', async () => {
+      const host = createDirectHost({ createConnection: factory, maxClients: 1 });
+
+      const first = host.createInvite();
+      await expect(host.createInvite()).rejects.toThrow('Client limit reached');
+      await expect(first).resolves.toMatchObject({ clientId: 'session-1' });
+    });
+
+    test('should pass ICE and recovery options through', async () => {
+      const iceServers = [{ urls: 'stun:example.com' }];
+      const host = createDirectHost({ createConnection: factory, iceServers, recovery: { maxIceRestarts: 1 } });
+
+      await host.createInvite();
+
+      expect(created[0].options.iceServers).toBe(iceServers);
+      expect(created[0].options.recovery).toEqual({ maxIceRestarts: 1 });
+    });
+
+    test('should enforce maxClients', async () => {
+      const host = createDirectHost({ createConnection: factory, maxClients: 1 });
+      await host.createInvite();
+
+      await expect(host.createInvite()).rejects.toThrow('Client limit reached (1)');
+    });
+
+    test('should not count dropped clients toward the limit', async () => {
+      const host = createDirectHost({ createConnection: factory, maxClients: 2 });
+      await host.createInvite();
+      await host.createInvite();
+      created[0].setState(DirectConnectionState.FAILED);
+      created[1].setState(DirectConnectionState.DISCONNECTED);
+
+      await expect(host.createInvite()).resolves.toMatchObject({ clientId: 'session-3' });
+      await expect(host.createInvite()).resolves.toMatchObject({ clientId: 'session-4' });
+      await expect(host.createInvite()).rejects.toThrow('Client limit reached (2)');
+    });
+  });
+
+  describe('acceptAnswer', () => {
+    test('should route the answer by its session ID', async () => {
+      const host = createDirectHost({ createConnection: factory });
+      await host.createInvite();
+      await host.createInvite();
+
+      const clientId = await host.acceptAnswer(answerFor('session-2'));
+
+      expect(clientId).toBe('session-2');
+      expect(created[1].acceptAnswer).toHaveBeenCalled();
+      expect(created[0].acceptAnswer).not.toHaveBeenCalled();
+    });
+
+    test('should accept an explicit client ID', async () => {
+      const host = createDirectHost({ createConnection: factory });
+      await host.createInvite();
+
+      await host.acceptAnswer(answerFor(null), 'session-1');
+
+      expect(created[0].acceptAnswer).toHaveBeenCalled();
+    });
+
+    test('should reject answers without a pending invite', async () => {
+      const host = createDirectHost({ createConnection: factory });
+
+      await expect(host.acceptAnswer(answerFor('unknown'))).rejects.toThrow('No pending invite');
+    });
+  });
+
+  describe('client state tracking', () => {
+    test('should report per-client state, join and leave', async () => {
+      const onClientStateChange = jest.fn();
+      const onClientJoin = jest.fn();
+      const onClientLeave = jest.fn();
+      const host = createDirectHost({
+        createConnection: factory,
+        onClientStateChange,
+        onClientJoin,
+        onClientLeave
+      });
+      await host.createInvite();
+      await host.createInvite();
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      expect(onClientStateChange).toHaveBeenCalledWith('session-1', DirectConnectionState.CONNECTED);
+      expect(onClientJoin).toHaveBeenCalledWith('session-1');
+      expect(host.getClientState('session-1')).toBe(DirectConnectionState.CONNECTED);
+      expect(host.getClientState('session-2')).toBe(DirectConnectionState.OFFERING);
+      expect(host.getConnectedCount()).toBe(1);
+
+      created[0].setState(DirectConnectionState.FAILED);
+      expect(onClientLeave).toHaveBeenCalledWith('session-1');
+    });
+
+    test('should not report a recovered client as a new join', async () => {
+      const onClientJoin = jest.fn();
+      const host = createDirectHost({ createConnection: factory, onClientJoin });
+      await host.createInvite();
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      created[0].setState(DirectConnectionState.RECONNECTING);
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      expect(onClientJoin).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return null state for unknown client', () => {
+      const host = createDirectHost({ createConnection: factory });
+      expect(host.getClientState('nope')).toBeNull();
+    });
+
+    test('should tag messages and errors with the client ID', async () => {
+      const onMessage = jest.fn();
+      const onError = jest.fn();
+      const host = createDirectHost({ createConnection: factory, onMessage, onError });
+      await host.createInvite();
+
+      created[0].options.onMessage({ type: 'request', data: 'hi' });
+      created[0].options.onError(new Error('boom'));
+
+      expect(onMessage).toHaveBeenCalledWith('session-1', { type: 'request', data: 'hi' });
+      expect(onError).toHaveBeenCalledWith('session-1', expect.any(Error));
+    });
+  });
+
+  describe('messaging', () => {
+    let host;
+    let onError;
+
+    beforeEach(async () => {
+      onError = jest.fn();
+      host = createDirectHost({ createConnection: factory, onError });
+      await host.createInvite();
+      await host.createInvite();
+      await host.createInvite();
+      created[0].setState(DirectConnectionState.CONNECTED);
+      created[1].setState(DirectConnectionState.CONNECTED);
+    });
+
+    test('should fan out to all connected clients', () => {
+      const sent = host.broadcast({ type: 'response-token', data: 'H' });
+
+      expect(sent).toBe(2);
+      expect(created[0].send).toHaveBeenCalledWith({ type: 'response-token', data: 'H' });
+      expect(created[1].send).toHaveBeenCalledWith({ type: 'response-token', data: 'H' });
+      expect(created[2].send).not.toHaveBeenCalled();
+    });
+
+    test('should keep broadcasting when one client throws', () => {
+      created[0].send.mockImplementation(() => {
+        throw new Error('Data channel not open');
+      });
+
+      expect(host.broadcast('x')).toBe(1);
+      expect(created[1].send).toHaveBeenCalledWith('x');
+      expect(onError).toHaveBeenCalledWith('session-1', expect.any(Error));
+    });
+
+    test('should send to one client', () => {
+      expect(host.sendTo('session-2', 'hello')).toBe(true);
+      expect(created[1].send).toHaveBeenCalledWith('hello');
+      expect(host.sendTo('session-3', 'hello')).toBe(false);
+      expect(host.sendTo('nope', 'hello')).toBe(false);
+    });
+  });
+
+  describe('pool cleanup', () => {
+    test('should remove a client', async () => {
+      const host = createDirectHost({ createConnection: factory });
+      await host.createInvite();
+
+      expect(host.removeClient('session-1')).toBe(true);
+      expect(created[0].close).toHaveBeenCalled();
+      expect(host.getClients()).toEqual([]);
+      expect(host.removeClient('session-1')).toBe(false);
+    });
+
+    test('should prune dropped clients', async () => {
+      const host = createDirectHost({ createConnection: factory });
+      await host.createInvite();
+      await host.createInvite();
+      created[0].setState(DirectConnectionState.FAILED);
+
+      expect(host.prune()).toEqual(['session-1']);
+      expect(host.getClients().map(c => c.id)).toEqual(['session-2']);
+    });
+
+    test('should close all clients', async () => {
+      const host = createDirectHost({ createConnection: factory });
+      await host.createInvite();
+      await host.createInvite();
+
+      host.close();
+
+      expect(created[0].close).toHaveBeenCalled();
+      expect(created[1].close).toHaveBeenCalled();
+      expect(host.getClients()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Encryption Module - End-to-end payload encryption
+ * AES-GCM (WebCrypto) with a random session key
+ *
+ * The host generates the key and shares it only through the QR code or
+ * share URL, so relays and anyone without the code see ciphertext. Each
+ * payload is encoded with the wire codec, then encrypted under a fresh
+ * 96-bit IV; GCM's tag authenticates it.
+ *
+ * @module encryption
+ */
+
+import {
+  encodeMessage,
+  decodeMessage,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToBase64Url,
+  base64UrlToBytes
+} from './codec.js';
+
+/**
+ * Message type of an encrypted envelope
+ */
+export const ENCRYPTED_TYPE = 'encrypted';
+
+/**
+ * Cipher parameters
+ */
+export const ENCRYPTION_CONFIG = {
+  algorithm: 'AES-GCM',
+  keyLength: 256,  // bits
+  ivLength: 12     // bytes
+};
+
+/**
+ * Gets the WebCrypto implementation
+ * @returns {Crypto} Crypto object with subtle
+ */
+function getCrypto() {
+  const webCrypto = globalThis.crypto;
+  if (!webCrypto || !webCrypto.subtle) {
+    throw new Error('WebCrypto is not available');
+  }
+  return webCrypto;
+}
+
+/**
+ * Generates a random session key
+ * @returns {string} base64url key, safe to embed in QR codes and URLs
+ */
+export function generateEncryptionKey() {
+  const bytes = new Uint8Array(ENCRYPTION_CONFIG.keyLength / 8);
+  getCrypto().getRandomValues(bytes);
+  return bytesToBase64Url(bytes);
+}
+
+/**
+ * Imports a session key for AES-GCM
+ * @param {string} encodedKey - Key from generateEncryptionKey
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+export async function importEncryptionKey(encodedKey) {
+  let raw;
+  try {
+    raw = base64UrlToBytes(encodedKey);
+  } catch {
+    raw = null;
+  }
+  if (!raw || raw.length !== ENCRYPTION_CONFIG.keyLength / 8) {
+    throw new Error('Invalid encryption key');
+  }
+  return getCrypto().subtle.importKey(
+    'raw',
+    raw,
+    { name: ENCRYPTION_CONFIG.algorithm },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Checks if a message is an encrypted envelope
+ * @param {any} message - Message to check
+ * @returns {boolean} True for encrypted envelopes
+ */
+export function isEncryptedMessage(message) {
+  return !!message && typeof message === 'object' &&
+    message.type === ENCRYPTED_TYPE && typeof message.payload === 'string';
+}
+
+/**
+ * Encrypts a message
+ * @param {CryptoKey} key - Imported session key
+ * @param {any} message - Any message the wire codec can encode
+ * @returns {Promise<Object>} Envelope { type, payload } with base64 IV + ciphertext
+ */
+export async function encryptMessage(key, message) {
+  const webCrypto = getCrypto();
+  const iv = new Uint8Array(ENCRYPTION_CONFIG.ivLength);
+  webCrypto.getRandomValues(iv);
+
+  const ciphertext = new Uint8Array(await webCrypto.subtle.encrypt(
+    { name: ENCRYPTION_CONFIG.algorithm, iv },
+    key,
+    encodeMessage(message)
+  ));
+
+  const payload = new Uint8Array(iv.length + ciphertext.length);
+  payload.set(iv);
+  payload.set(ciphertext, iv.length);
+  return { type: ENCRYPTED_TYPE, payload: bytesToBase64(payload) };
+}
+
+/**
+ * Decrypts and authenticates an envelope
+ * @param {CryptoKey} key - Imported session key
+ * @param {Object} envelope - Envelope from encryptMessage
+ * @returns {Promise<any>} Original message
+ */
+export async function decryptMessage(key, envelope) {
+  if (!isEncryptedMessage(envelope)) {
+    throw new Error('Not an encrypted message');
+  }
+  const payload = base64ToBytes(envelope.payload);
+  const iv = payload.subarray(0, ENCRYPTION_CONFIG.ivLength);
+  const ciphertext = payload.subarray(ENCRYPTION_CONFIG.ivLength);
+
+  let plaintext;
+  try {
+    plaintext = await getCrypto().subtle.decrypt(
+      { name: ENCRYPTION_CONFIG.algorithm, iv },
+      key,
+      ciphertext
+    );
+  } catch {
+    throw new Error('Decryption failed');
+  }
+  return decodeMessage(new Uint8Array(plaintext));
+}
+
+/**
+ * Creates a cipher bound to one session key
+ * The key is imported once and reused.
+ * @param {string} encodedKey - Key from generateEncryptionKey
+ * @returns {Object} Cipher with encrypt(message) and decrypt(envelope)
+ */
+export function createPayloadCipher(encodedKey) {
+  const keyPromise = importEncryptionKey(encodedKey);
+  // Avoid an unhandled rejection before the first use
+  keyPromise.catch(() => {});
+
+  return {
+    encrypt: async (message) => encryptMessage(await keyPromise, message),
+    decrypt: async (envelope) => decryptMessage(await keyPromise, envelope)
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  ENCRYPTED_TYPE,
+  ENCRYPTION_CONFIG,
+  generateEncryptionKey,
+  importEncryptionKey,
+  encryptMessage,
+  decryptMessage,
+  isEncryptedMessage,
+  createPayloadCipher
+} from './encryption.js';
+import { base64ToBytes, encodeMessage, decodeMessage, MessageTag } from './codec.js';
+
+describe('Encryption Module', () => {
+  describe('generateEncryptionKey', () => {
+    test('should generate a URL-safe 256-bit key', () => {
+      const key = generateEncryptionKey();
+      expect(key).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    });
+
+    test('should generate unique keys', () => {
+      expect(generateEncryptionKey()).not.toBe(generateEncryptionKey());
+    });
+  });
+
+  describe('importEncryptionKey', () => {
+    test('should import a generated key', async () => {
+      const key = await importEncryptionKey(generateEncryptionKey());
+      expect(key.algorithm.name).toBe('AES-GCM');
+      expect(key.extractable).toBe(false);
+    });
+
+    test('should reject malformed keys', async () => {
+      await expect(importEncryptionKey('short')).rejects.toThrow('Invalid encryption key');
+      await expect(importEncryptionKey('!!!not base64!!!')).rejects.toThrow('Invalid encryption key');
+      await expect(importEncryptionKey(null)).rejects.toThrow('Invalid encryption key');
+    });
+  });
+
+  describe('encryptMessage / decryptMessage', () => {
+    let key;
+
+    beforeAll(async () => {
+      key = await importEncryptionKey(generateEncryptionKey());
+    });
+
+    test('should round-trip messages', async () => {
+      const messages = [
+        { type: 'append', text: 'secret token', tokenIndex: 4 },
+        { type: 'sync-step-1', stateVector: 'AQID' },
+        'plain text',
+        { text: 'state', version: 2 }
+      ];
+      for (const message of messages) {
+        const envelope = await encryptMessage(key, message);
+        expect(await decryptMessage(key, envelope)).toEqual(message);
+      }
+    });
+
+    test('should hide the plaintext', async () => {
+      const envelope = await encryptMessage(key, { type: 'append', text: 'secret token', tokenIndex: 0 });
+
+      expect(envelope.type).toBe(ENCRYPTED_TYPE);
+      expect(Object.keys(envelope)).toEqual(['type', 'payload']);
+      expect(new TextDecoder().decode(base64ToBytes(envelope.payload))).not.toContain('secret');
+    });
+
+    test('should use a fresh IV per message', async () => {
+      const first = await encryptMessage(key, 'same');
+      const second = await encryptMessage(key, 'same');
+
+      expect(first.payload).not.toBe(second.payload);
+      expect(base64ToBytes(first.payload).subarray(0, ENCRYPTION_CONFIG.ivLength))
+        .not.toEqual(base64ToBytes(second.payload).subarray(0, ENCRYPTION_CONFIG.ivLength));
+    });
+
+    test('should reject tampered ciphertext', async () => {
+      const envelope = await encryptMessage(key, 'hello');
+      const bytes = base64ToBytes(envelope.payload);
+      bytes[bytes.length - 1] ^= 0x01;
+      const tampered = { type: ENCRYPTED_TYPE, payload: Buffer.from(bytes).toString('base64') };
+
+      await expect(decryptMessage(key, tampered)).rejects.toThrow('Decryption failed');
+    });
+
+    test('should reject the wrong key', async () => {
+      const otherKey = await importEncryptionKey(generateEncryptionKey());
+      const envelope = await encryptMessage(key, 'hello');
+
+      await expect(decryptMessage(otherKey, envelope)).rejects.toThrow('Decryption failed');
+    });
+
+    test('should reject non-envelopes', async () => {
+      await expect(decryptMessage(key, { type: 'append' })).rejects.toThrow('Not an encrypted message');
+    });
+
+    test('should travel as raw bytes in the binary codec', async () => {
+      const envelope = await encryptMessage(key, 'hello');
+      const frame = encodeMessage(envelope);
+
+      expect(frame[0]).toBe(MessageTag.ENCRYPTED);
+      expect(frame.length).toBe(base64ToBytes(envelope.payload).length + 1);
+      expect(decodeMessage(frame)).toEqual(envelope);
+    });
+  });
+
+  describe('isEncryptedMessage', () => {
+    test('should recognise envelopes', () => {
+      expect(isEncryptedMessage({ type: ENCRYPTED_TYPE, payload: 'AA==' })).toBe(true);
+      expect(isEncryptedMessage({ type: ENCRYPTED_TYPE })).toBe(false);
+      expect(isEncryptedMessage('encrypted')).toBe(false);
+      expect(isEncryptedMessage(null)).toBe(false);
+    });
+  });
+
+  describe('createPayloadCipher', () => {
+    test('should encrypt and decrypt with a shared key string', async () => {
+      const sharedKey = generateEncryptionKey();
+      const host = createPayloadCipher(sharedKey);
+      const client = createPayloadCipher(sharedKey);
+
+      const envelope = await host.encrypt({ type: 'response-token', data: 'x' });
+
+      expect(await client.decrypt(envelope)).toEqual({ type: 'response-token', data: 'x' });
+    });
+
+    test('should surface an invalid key on use', async () => {
+      const cipher = createPayloadCipher('bad');
+      await expect(cipher.encrypt('x')).rejects.toThrow('Invalid encryption key');
+    });
+  });
+});
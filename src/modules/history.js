@@ -0,0 +1,349 @@
+/**
+ * History Module - Delta-encoded document history
+ *
+ * A history is an array of entries, oldest first. Checkpoint entries
+ * carry a full `state`; the others carry a `delta` against the entry
+ * before them. Any entry is rebuilt from the nearest checkpoint at or
+ * before it. Dropping old entries turns the first kept one into a
+ * checkpoint, so every retained version stays restorable.
+ *
+ * Delta format, per changed top-level field of the state object:
+ *   { splice: [start, deleteCount, insert] }  text edit
+ *   { keep: n, push: [...] }                   array cut to n items, then appended to
+ *   { yjs: base64 }                            Yjs update merged into the previous one
+ *   { set: value }                             replaced value
+ *   { unset: true }                            removed field
+ *
+ * The `update` field holds the base64 Yjs document (sync getState), the
+ * only copy of the turns. It is stored as the part of the update the
+ * previous version lacks, like encodeStateAsUpdate(doc, prevStateVector),
+ * rather than as a text edit of the whole encoding.
+ *
+ * @module history
+ */
+
+import * as Y from 'yjs';
+import { byteLength } from './batching.js';
+import { bytesToBase64, base64ToBytes } from './codec.js';
+
+// State field holding a base64 Yjs update
+const YJS_FIELD = 'update';
+
+/**
+ * Default history retention
+ * checkpointEvery: at most this many entries per checkpoint;
+ * maxEntries, maxAge (ms) and maxBytes (serialized size): 0 disables the limit.
+ * The newest entry is always kept.
+ */
+export const DEFAULT_HISTORY = {
+  checkpointEvery: 20,
+  maxEntries: 100,
+  maxAge: 0,
+  maxBytes: 1024 * 1024
+};
+
+/**
+ * Validates history options and fills in defaults
+ * @param {Object} [options] - { checkpointEvery, maxEntries, maxAge, maxBytes }
+ * @returns {Object} Normalized options
+ */
+export function normalizeHistoryOptions(options = {}) {
+  const normalized = {
+    checkpointEvery: options.checkpointEvery ?? DEFAULT_HISTORY.checkpointEvery,
+    maxEntries: options.maxEntries ?? DEFAULT_HISTORY.maxEntries,
+    maxAge: options.maxAge ?? DEFAULT_HISTORY.maxAge,
+    maxBytes: options.maxBytes ?? DEFAULT_HISTORY.maxBytes
+  };
+  Object.entries(normalized).forEach(([key, value]) => {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new RangeError(`History option ${key} must be a non-negative number`);
+    }
+  });
+  if (normalized.checkpointEvery < 1) {
+    throw new RangeError('History option checkpointEvery must be at least 1');
+  }
+  return normalized;
+}
+
+/**
+ * Checks for a plain object
+ * @param {any} value - Value
+ * @returns {boolean} True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compares two JSON values
+ * @param {any} a - Value
+ * @param {any} b - Value
+ * @returns {boolean} True if they serialize the same
+ */
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Measures the serialized size of a value
+ * @param {any} value - Value
+ * @returns {number} UTF-8 bytes of its JSON
+ */
+function serializedSize(value) {
+  return value === undefined ? 0 : byteLength(JSON.stringify(value));
+}
+
+/**
+ * Compares two byte arrays
+ * @param {Uint8Array} a - Bytes
+ * @param {Uint8Array} b - Bytes
+ * @returns {boolean} True if equal
+ */
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Describes how one Yjs update became another
+ * @param {string} previous - Old base64 update
+ * @param {string} next - New base64 update
+ * @returns {Object|null} { yjs } or { set }, or null if the documents are equal
+ */
+function diffYjsUpdate(previous, next) {
+  try {
+    const old = base64ToBytes(previous);
+    const value = base64ToBytes(next);
+    const oldVector = Y.encodeStateVectorFromUpdate(old);
+    const newVector = Y.decodeStateVector(Y.encodeStateVectorFromUpdate(value));
+
+    // Only a successor of the old document can be rebuilt by merging
+    for (const [client, clock] of Y.decodeStateVector(oldVector)) {
+      if ((newVector.get(client) || 0) < clock) return { set: next };
+    }
+
+    // Nothing new beyond the old delete set means the documents are equal
+    const missing = Y.diffUpdate(value, oldVector);
+    return sameBytes(missing, Y.diffUpdate(old, oldVector)) ? null : { yjs: bytesToBase64(missing) };
+  } catch {
+    return { set: next };
+  }
+}
+
+/**
+ * Describes a text change as one splice around the common prefix and suffix
+ * @param {string} previous - Old text
+ * @param {string} next - New text
+ * @returns {Array} [start, deleteCount, insert]
+ */
+export function diffText(previous, next) {
+  let start = 0;
+  const max = Math.min(previous.length, next.length);
+  while (start < max && previous[start] === next[start]) start++;
+
+  let end = 0;
+  while (
+    end < max - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]
+  ) end++;
+
+  return [start, previous.length - start - end, next.slice(start, next.length - end)];
+}
+
+/**
+ * Describes how one state object became another
+ * @param {Object} previous - Old state
+ * @param {Object} next - New state
+ * @returns {Object|null} Delta ({} when equal), or null if the states are not objects
+ */
+export function diffState(previous, next) {
+  if (!isPlainObject(previous) || !isPlainObject(next)) return null;
+
+  const delta = {};
+  Object.keys(previous).forEach((key) => {
+    if (!(key in next)) delta[key] = { unset: true };
+  });
+
+  Object.entries(next).forEach(([key, value]) => {
+    const old = previous[key];
+    if (sameValue(old, value)) return;
+
+    if (key === YJS_FIELD && typeof old === 'string' && typeof value === 'string') {
+      const change = diffYjsUpdate(old, value);
+      if (change) delta[key] = change;
+    } else if (typeof old === 'string' && typeof value === 'string') {
+      delta[key] = { splice: diffText(old, value) };
+    } else if (Array.isArray(old) && Array.isArray(value)) {
+      let keep = 0;
+      while (keep < old.length && keep < value.length && sameValue(old[keep], value[keep])) keep++;
+      delta[key] = { keep, push: value.slice(keep) };
+    } else {
+      delta[key] = { set: value };
+    }
+  });
+  return delta;
+}
+
+/**
+ * Applies a delta to a state without changing it
+ * @param {Object} state - State the delta was made against
+ * @param {Object} delta - Delta from diffState
+ * @returns {Object} New state
+ */
+export function applyStateDelta(state, delta) {
+  const next = { ...state };
+  Object.entries(delta).forEach(([key, change]) => {
+    if (change.unset) {
+      delete next[key];
+    } else if (change.splice) {
+      const [start, deleteCount, insert] = change.splice;
+      const text = next[key] || '';
+      next[key] = text.slice(0, start) + insert + text.slice(start + deleteCount);
+    } else if (change.push) {
+      next[key] = (next[key] || []).slice(0, change.keep).concat(change.push);
+    } else if (change.yjs) {
+      next[key] = bytesToBase64(Y.mergeUpdates([base64ToBytes(next[key]), base64ToBytes(change.yjs)]));
+    } else {
+      next[key] = change.set;
+    }
+  });
+  return next;
+}
+
+/**
+ * Rebuilds the state of a history entry
+ * @param {Object[]} entries - History entries
+ * @param {number} index - Entry index
+ * @returns {Object|null} State, or null if the index or history is invalid
+ */
+export function rebuildState(entries, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= entries.length) return null;
+
+  let base = index;
+  while (base >= 0 && !('state' in entries[base])) base--;
+  if (base < 0) return null;
+
+  let state = entries[base].state;
+  for (let i = base + 1; i <= index; i++) {
+    state = applyStateDelta(state, entries[i].delta || {});
+  }
+  return state;
+}
+
+/**
+ * Turns an entry into a checkpoint
+ * @param {Object} entry - History entry
+ * @param {Object} state - Its rebuilt state
+ * @returns {Object} Checkpoint entry
+ */
+function toCheckpoint(entry, state) {
+  const checkpoint = { ...entry, state };
+  delete checkpoint.delta;
+  return checkpoint;
+}
+
+/**
+ * Drops the oldest entries, turning the first kept one into a checkpoint
+ * @param {Object[]} entries - History entries
+ * @param {number} count - Entries to drop
+ * @returns {Object[]} Remaining entries
+ */
+export function dropHistoryEntries(entries, count) {
+  if (count <= 0) return entries;
+  if (count >= entries.length) return [];
+
+  return [toCheckpoint(entries[count], rebuildState(entries, count)), ...entries.slice(count + 1)];
+}
+
+/**
+ * Counts the oldest entries to drop so the serialized history fits a size
+ * Each entry is measured once and dropped sizes are subtracted; the first
+ * kept entry, which becomes a checkpoint, is only rebuilt and measured
+ * once the entries after it fit.
+ * @param {Object[]} entries - History entries
+ * @param {number} maxBytes - Size limit of the serialized history
+ * @returns {number} Entries to drop, never all of them
+ */
+function countOversized(entries, maxBytes) {
+  const sizes = entries.map(serializedSize);
+  // Brackets and commas of the serialized array, then the entries after the first
+  let rest = entries.length + 1 + sizes.reduce((sum, size) => sum + size, 0) - sizes[0];
+  if (rest + sizes[0] <= maxBytes) return 0;
+
+  let drop = 0;
+  while (drop < entries.length - 1) {
+    drop++;
+    rest -= sizes[drop] + 1;
+    if (rest > maxBytes) continue;
+
+    const entry = entries[drop];
+    const first = 'state' in entry
+      ? sizes[drop]
+      : serializedSize(toCheckpoint(entry, rebuildState(entries, drop)));
+    if (rest + first <= maxBytes) break;
+  }
+  return drop;
+}
+
+/**
+ * Drops entries beyond the count, age and size limits
+ * @param {Object[]} entries - History entries
+ * @param {Object} [options] - History options
+ * @param {number} [now] - Current time in ms
+ * @returns {Object[]} Retained entries
+ */
+export function applyRetention(entries, options = {}, now = Date.now()) {
+  const { maxEntries, maxAge, maxBytes } = normalizeHistoryOptions(options);
+
+  let drop = 0;
+  if (maxEntries > 0) {
+    drop = Math.max(drop, entries.length - maxEntries);
+  }
+  if (maxAge > 0) {
+    let expired = 0;
+    while (expired < entries.length && now - (entries[expired].timestamp || 0) > maxAge) expired++;
+    drop = Math.max(drop, expired);
+  }
+
+  const retained = dropHistoryEntries(entries, Math.min(drop, entries.length - 1));
+  if (maxBytes > 0 && retained.length > 1) {
+    return dropHistoryEntries(retained, countOversized(retained, maxBytes));
+  }
+  return retained;
+}
+
+/**
+ * Appends a state to a history as a delta or a checkpoint
+ * Unchanged states add no entry. A checkpoint is written when the
+ * previous one is checkpointEvery entries back, or when the delta would
+ * not be smaller than the state.
+ * @param {Object[]} entries - History entries
+ * @param {Object} state - New state
+ * @param {Object} [options] - History options
+ * @param {number} [now] - Current time in ms
+ * @returns {Object[]} New history with retention applied
+ */
+export function appendHistory(entries, state, options = {}, now = Date.now()) {
+  const { checkpointEvery } = normalizeHistoryOptions(options);
+  const entry = { timestamp: now, version: (state && state.version) || 0 };
+
+  const previous = entries.length > 0 ? rebuildState(entries, entries.length - 1) : null;
+  const delta = previous ? diffState(previous, state) : null;
+  if (delta && Object.keys(delta).length === 0) {
+    return entries;
+  }
+
+  let sinceCheckpoint = 0;
+  while (sinceCheckpoint < entries.length && !('state' in entries[entries.length - 1 - sinceCheckpoint])) {
+    sinceCheckpoint++;
+  }
+
+  const checkpoint = !delta ||
+    sinceCheckpoint + 1 >= checkpointEvery ||
+    serializedSize(delta) >= serializedSize(state);
+
+  return applyRetention(
+    [...entries, checkpoint ? { ...entry, state } : { ...entry, delta }],
+    options,
+    now
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * History Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  appendHistory,
+  rebuildState,
+  dropHistoryEntries,
+  applyRetention,
+  diffState,
+  diffText,
+  applyStateDelta,
+  normalizeHistoryOptions,
+  DEFAULT_HISTORY
+} from './history.js';
+import * as Y from 'yjs';
+import { bytesToBase64, base64ToBytes } from './codec.js';
+
+/**
+ * Appends states one after another
+ * @param {Object[]} states - States, oldest first
+ * @param {Object} [options] - History options
+ * @returns {Object[]} History entries
+ */
+function build(states, options) {
+  return states.reduce((entries, state, index) => appendHistory(entries, state, options, index + 1), []);
+}
+
+describe('History Module', () => {
+  describe('normalizeHistoryOptions', () => {
+    test('should fill in defaults', () => {
+      expect(normalizeHistoryOptions()).toEqual(DEFAULT_HISTORY);
+      expect(normalizeHistoryOptions({ maxEntries: 5 }).maxEntries).toBe(5);
+    });
+
+    test('should reject invalid limits', () => {
+      expect(() => normalizeHistoryOptions({ maxBytes: -1 })).toThrow(RangeError);
+      expect(() => normalizeHistoryOptions({ maxAge: NaN })).toThrow(RangeError);
+      expect(() => normalizeHistoryOptions({ checkpointEvery: 0 })).toThrow(RangeError);
+    });
+  });
+
+  describe('diffText', () => {
+    test('should describe appends, inserts and deletions', () => {
+      expect(diffText('hello', 'hello world')).toEqual([5, 0, ' world']);
+      expect(diffText('hello world', 'hello brave world')).toEqual([6, 0, 'brave ']);
+      expect(diffText('hello world', 'hello')).toEqual([5, 6, '']);
+      expect(diffText('aaa', 'aaaa')).toEqual([3, 0, 'a']);
+    });
+  });
+
+  describe('diffState and applyStateDelta', () => {
+    const cases = [
+      [{ text: 'ab', version: 1 }, { text: 'abc', version: 2 }],
+      [{ chunks: [1, 2] }, { chunks: [1, 2, 3] }],
+      [{ chunks: [1, 2, 3] }, { chunks: [1, 4] }],
+      [{ text: 'x', extra: true }, { text: 'x' }],
+      [{ text: 'x' }, { text: 'x', meta: { a: 1 } }],
+      [{ text: 'emoji 😀' }, { text: 'emoji 😃' }]
+    ];
+
+    test.each(cases)('should round-trip %j to %j', (previous, next) => {
+      expect(applyStateDelta(previous, diffState(previous, next))).toEqual(next);
+    });
+
+    test('should return an empty delta for equal states', () => {
+      expect(diffState({ text: 'a', chunks: [1] }, { text: 'a', chunks: [1] })).toEqual({});
+    });
+
+    test('should not diff non-object states', () => {
+      expect(diffState('text', { text: 'a' })).toBeNull();
+    });
+
+    test('should not change the state it applies to', () => {
+      const state = { text: 'a', chunks: [1] };
+      applyStateDelta(state, { text: { splice: [1, 0, 'b'] }, chunks: { keep: 1, push: [2] } });
+      expect(state).toEqual({ text: 'a', chunks: [1] });
+    });
+
+    test('should keep appended text deltas small', () => {
+      const delta = diffState({ text: 'x'.repeat(5000) }, { text: 'x'.repeat(5000) + 'y' });
+      expect(JSON.stringify(delta).length).toBeLessThan(40);
+    });
+
+    test('should diff Yjs updates as the missing part of the document', () => {
+      const doc = new Y.Doc();
+      doc.getText('text').insert(0, 'x'.repeat(2000));
+      const previous = { update: bytesToBase64(Y.encodeStateAsUpdate(doc)) };
+      doc.getText('text').delete(0, 10);
+      doc.getArray('turns').push(['turn']);
+      const next = { update: bytesToBase64(Y.encodeStateAsUpdate(doc)) };
+
+      const delta = diffState(previous, next);
+      expect(delta.update.yjs).toEqual(expect.any(String));
+      expect(delta.update.yjs.length * 20).toBeLessThan(next.update.length);
+
+      const rebuilt = new Y.Doc();
+      Y.applyUpdate(rebuilt, base64ToBytes(applyStateDelta(previous, delta).update));
+      expect(rebuilt.getText('text').toString()).toBe(doc.getText('text').toString());
+      expect(rebuilt.getArray('turns').toArray()).toEqual(['turn']);
+    });
+
+    test('should replace Yjs updates that are not a successor', () => {
+      const doc = new Y.Doc();
+      doc.getText('text').insert(0, 'old');
+      const other = new Y.Doc();
+      other.getText('text').insert(0, 'new');
+      const next = { update: bytesToBase64(Y.encodeStateAsUpdate(other)) };
+
+      expect(diffState({ update: bytesToBase64(Y.encodeStateAsUpdate(doc)) }, next)).toEqual({ update: { set: next.update } });
+      expect(diffState({ update: 'not an update' }, next)).toEqual({ update: { set: next.update } });
+    });
+  });
+
+  describe('appendHistory', () => {
+    test('should start with a checkpoint and continue with deltas', () => {
+      const text = 'x'.repeat(100);
+      const entries = build([{ text, version: 1 }, { text: text + 'y', version: 2 }]);
+
+      expect(entries[0]).toEqual({ timestamp: 1, version: 1, state: { text, version: 1 } });
+      expect(entries[1].delta).toBeDefined();
+      expect(entries[1].state).toBeUndefined();
+    });
+
+    test('should write a checkpoint every checkpointEvery entries', () => {
+      const states = Array.from({ length: 7 }, (_, i) => ({ text: 'x'.repeat(50 + i), version: i }));
+      const entries = build(states, { checkpointEvery: 3 });
+
+      expect(entries.map(entry => 'state' in entry)).toEqual([true, false, false, true, false, false, true]);
+    });
+
+    test('should write a checkpoint when the delta is not smaller than the state', () => {
+      const entries = build([{ text: 'a' }, { text: 'b' }]);
+      expect('state' in entries[1]).toBe(true);
+    });
+
+    test('should skip unchanged states', () => {
+      const entries = build([{ text: 'a' }]);
+      expect(appendHistory(entries, { text: 'a' })).toBe(entries);
+    });
+
+    test('should skip Yjs documents that did not change', () => {
+      const doc = new Y.Doc();
+      doc.getText('text').insert(0, 'hello');
+      const first = build([{ update: bytesToBase64(Y.encodeStateAsUpdate(doc)) }]);
+      doc.getArray('turns').push(['turn']);
+      const entries = appendHistory(first, { update: bytesToBase64(Y.encodeStateAsUpdate(doc)) }, {}, 2);
+
+      // The rebuilt update is merged, so its encoding differs from a fresh one
+      expect(appendHistory(entries, { update: bytesToBase64(Y.encodeStateAsUpdate(doc)) }, {}, 3)).toBe(entries);
+    });
+
+    test('should rebuild every version', () => {
+      const states = Array.from({ length: 12 }, (_, i) => ({
+        text: 'word '.repeat(i + 10),
+        chunks: Array.from({ length: i }, (__, j) => j),
+        version: i
+      }));
+      const entries = build(states, { checkpointEvery: 5 });
+
+      states.forEach((state, index) => {
+        expect(rebuildState(entries, index)).toEqual(state);
+      });
+    });
+  });
+
+  describe('rebuildState', () => {
+    test('should return null for invalid indexes and missing checkpoints', () => {
+      const entries = build([{ text: 'a' }]);
+      expect(rebuildState(entries, -1)).toBeNull();
+      expect(rebuildState(entries, 1)).toBeNull();
+      expect(rebuildState([{ delta: {}, timestamp: 1 }], 0)).toBeNull();
+    });
+  });
+
+  describe('dropHistoryEntries', () => {
+    test('should turn the first kept entry into a checkpoint', () => {
+      const states = [{ text: 'x'.repeat(40) }, { text: 'x'.repeat(41) }, { text: 'x'.repeat(42) }];
+      const entries = build(states);
+
+      const kept = dropHistoryEntries(entries, 1);
+
+      expect(kept).toHaveLength(2);
+      expect(kept[0]).toEqual({ timestamp: 2, version: 0, state: states[1] });
+      expect(rebuildState(kept, 1)).toEqual(states[2]);
+    });
+
+    test('should drop everything or nothing at the bounds', () => {
+      const entries = build([{ text: 'a' }]);
+      expect(dropHistoryEntries(entries, 0)).toBe(entries);
+      expect(dropHistoryEntries(entries, 5)).toEqual([]);
+    });
+  });
+
+  describe('applyRetention', () => {
+    const states = Array.from({ length: 6 }, (_, i) => ({ text: 'x'.repeat(100 + i), version: i }));
+
+    test('should keep at most maxEntries entries', () => {
+      const entries = build(states, { maxEntries: 0 });
+      const kept = applyRetention(entries, { maxEntries: 2 });
+
+      expect(kept.map(entry => entry.version)).toEqual([4, 5]);
+      expect(rebuildState(kept, 1)).toEqual(states[5]);
+    });
+
+    test('should drop entries older than maxAge', () => {
+      const entries = build(states, { maxEntries: 0 });
+      const kept = applyRetention(entries, { maxEntries: 0, maxAge: 2 }, 6);
+
+      expect(kept.map(entry => entry.timestamp)).toEqual([4, 5, 6]);
+    });
+
+    test('should always keep the newest entry', () => {
+      const entries = build(states, { maxEntries: 0 });
+      const kept = applyRetention(entries, { maxAge: 1 }, 1000);
+
+      expect(kept).toHaveLength(1);
+      expect(rebuildState(kept, 0)).toEqual(states[5]);
+    });
+
+    test('should drop the oldest entries beyond maxBytes', () => {
+      const entries = build(states, { maxEntries: 0, maxBytes: 0 });
+      const kept = applyRetention(entries, { maxEntries: 0, maxBytes: 300 });
+
+      expect(JSON.stringify(kept).length).toBeLessThanOrEqual(300);
+      expect(kept.length).toBeGreaterThan(1);
+      expect(rebuildState(kept, kept.length - 1)).toEqual(states[5]);
+    });
+
+    test('should drop no more entries than maxBytes needs', () => {
+      const entries = build(states, { maxEntries: 0, maxBytes: 0, checkpointEvery: 3 });
+
+      for (let maxBytes = 100; maxBytes <= 800; maxBytes += 50) {
+        let expected = entries;
+        while (expected.length > 1 && JSON.stringify(expected).length > maxBytes) {
+          expected = dropHistoryEntries(expected, 1);
+        }
+        expect(applyRetention(entries, { maxEntries: 0, maxBytes })).toEqual(expected);
+      }
+    });
+
+    test('should measure each entry about once', () => {
+      const long = Array.from({ length: 200 }, (_, i) => ({ text: 'x'.repeat(100 + i), version: i }));
+      const entries = build(long, { maxEntries: 0, maxBytes: 0 });
+      const size = JSON.stringify(entries).length;
+      const original = JSON.stringify;
+      let serialized = 0;
+      const stringify = jest.spyOn(JSON, 'stringify').mockImplementation((...args) => {
+        const json = original(...args);
+        serialized += json ? json.length : 0;
+        return json;
+      });
+
+      applyRetention(entries, { maxEntries: 0, maxBytes: 2000 });
+      stringify.mockRestore();
+
+      expect(serialized).toBeLessThan(3 * size);
+    });
+  });
+});
@@ -0,0 +1,508 @@
+/**
+ * Identity Module - Persistent device keys and signed peer handshakes
+ * ECDSA P-256 (WebCrypto)
+ *
+ * Every device keeps one keypair across sessions. Its fingerprint (the
+ * SHA-256 of the public key) names the device; the host's fingerprint is
+ * carried in the QR code so clients can tell the real host from anyone
+ * else who learned the room ID. Before a peer's data is delivered, both
+ * sides prove possession of their private key by signing the other's
+ * random challenge.
+ *
+ * @module identity
+ */
+
+import { bytesToBase64, base64ToBytes, bytesToBase64Url } from './codec.js';
+import { STORAGE_KEYS, toAsyncAdapter } from './storage.js';
+
+/**
+ * Key and handshake parameters
+ */
+export const IDENTITY_CONFIG = {
+  algorithm: 'ECDSA',
+  namedCurve: 'P-256',
+  hash: 'SHA-256',
+  challengeLength: 32,       // bytes
+  authTimeout: 10000,        // ms for a peer to complete the handshake
+  maxPendingMessages: 64     // data buffered per peer until it is verified
+};
+
+/**
+ * Handshake message types
+ */
+export const AuthMessageType = {
+  HELLO: 'auth-hello',
+  PROOF: 'auth-proof'
+};
+
+/**
+ * Why a peer was rejected as an impostor
+ */
+export const ImpostorReason = {
+  MALFORMED: 'malformed',
+  BAD_SIGNATURE: 'bad-signature',
+  HOST_MISMATCH: 'host-mismatch',
+  KEY_CHANGED: 'key-changed',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Domain label mixed into every signature so it can't be replayed elsewhere
+ */
+const SIGNATURE_LABEL = 'p2p-llm-stream/auth/v1';
+
+/**
+ * Gets the WebCrypto implementation
+ * @returns {Crypto} Crypto object with subtle
+ */
+function getCrypto() {
+  const webCrypto = globalThis.crypto;
+  if (!webCrypto || !webCrypto.subtle) {
+    throw new Error('WebCrypto is not available');
+  }
+  return webCrypto;
+}
+
+/**
+ * Builds the bytes a peer signs to answer a challenge
+ * Binding the verifier's fingerprint stops a challenge answered for one
+ * peer from being replayed to another.
+ * @param {string} challenge - base64 challenge
+ * @param {string} verifierFingerprint - Fingerprint of the peer that issued it
+ * @returns {Uint8Array} Bytes to sign
+ */
+function challengePayload(challenge, verifierFingerprint) {
+  const encoder = new TextEncoder();
+  const label = encoder.encode(SIGNATURE_LABEL);
+  const nonce = base64ToBytes(challenge);
+  const verifier = encoder.encode(verifierFingerprint);
+
+  const payload = new Uint8Array(label.length + nonce.length + verifier.length);
+  payload.set(label);
+  payload.set(nonce, label.length);
+  payload.set(verifier, label.length + nonce.length);
+  return payload;
+}
+
+/**
+ * Imports a raw public key for verification
+ * @param {string} publicKey - base64 raw (uncompressed) public key
+ * @returns {Promise<CryptoKey>} Verification key
+ */
+function importPublicKey(publicKey) {
+  return getCrypto().subtle.importKey(
+    'raw',
+    base64ToBytes(publicKey),
+    { name: IDENTITY_CONFIG.algorithm, namedCurve: IDENTITY_CONFIG.namedCurve },
+    true,
+    ['verify']
+  );
+}
+
+/**
+ * Computes the fingerprint of a public key
+ * @param {string} publicKey - base64 raw public key
+ * @returns {Promise<string>} base64url SHA-256 digest
+ */
+export async function computeFingerprint(publicKey) {
+  const digest = await getCrypto().subtle.digest(IDENTITY_CONFIG.hash, base64ToBytes(publicKey));
+  return bytesToBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Generates a new device identity in its storable form
+ * @returns {Promise<Object>} Record { privateKey (JWK), createdAt }
+ */
+export async function generateIdentity() {
+  const keyPair = await getCrypto().subtle.generateKey(
+    { name: IDENTITY_CONFIG.algorithm, namedCurve: IDENTITY_CONFIG.namedCurve },
+    true,
+    ['sign', 'verify']
+  );
+  return {
+    privateKey: await getCrypto().subtle.exportKey('jwk', keyPair.privateKey),
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Imports a stored identity record
+ * @param {Object} record - Record from generateIdentity
+ * @returns {Promise<Object>} Identity { fingerprint, publicKey, privateKey }
+ */
+export async function importIdentity(record) {
+  const jwk = record && record.privateKey;
+  if (!jwk || jwk.kty !== 'EC' || jwk.crv !== IDENTITY_CONFIG.namedCurve || !jwk.d) {
+    throw new Error('Invalid identity');
+  }
+
+  const subtle = getCrypto().subtle;
+  const algorithm = { name: IDENTITY_CONFIG.algorithm, namedCurve: IDENTITY_CONFIG.namedCurve };
+  let privateKey;
+  let publicKey;
+  try {
+    privateKey = await subtle.importKey('jwk', jwk, algorithm, false, ['sign']);
+    const verifyKey = await subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      algorithm,
+      true,
+      ['verify']
+    );
+    publicKey = bytesToBase64(new Uint8Array(await subtle.exportKey('raw', verifyKey)));
+  } catch {
+    throw new Error('Invalid identity');
+  }
+
+  return {
+    fingerprint: await computeFingerprint(publicKey),
+    publicKey,
+    privateKey
+  };
+}
+
+/**
+ * Loads the device identity, creating and persisting it on first use
+ * @param {Object} adapter - Storage adapter, synchronous or Promise-returning
+ * @returns {Promise<Object>} Identity { fingerprint, publicKey, privateKey }
+ */
+export async function loadOrCreateIdentity(adapter) {
+  const store = toAsyncAdapter(adapter);
+  const stored = await store.get(STORAGE_KEYS.IDENTITY);
+  if (stored) {
+    try {
+      return await importIdentity(stored);
+    } catch {
+      // Corrupt record: replace it below
+    }
+  }
+
+  const record = await generateIdentity();
+  await store.set(STORAGE_KEYS.IDENTITY, record);
+  return importIdentity(record);
+}
+
+/**
+ * Creates a random challenge
+ * @returns {string} base64 challenge
+ */
+export function createChallenge() {
+  const bytes = new Uint8Array(IDENTITY_CONFIG.challengeLength);
+  getCrypto().getRandomValues(bytes);
+  return bytesToBase64(bytes);
+}
+
+/**
+ * Answers a peer's challenge
+ * @param {Object} identity - Local identity
+ * @param {string} challenge - Challenge from the peer
+ * @param {string} verifierFingerprint - The peer's fingerprint
+ * @returns {Promise<string>} base64 signature
+ */
+export async function signChallenge(identity, challenge, verifierFingerprint) {
+  const signature = await getCrypto().subtle.sign(
+    { name: IDENTITY_CONFIG.algorithm, hash: IDENTITY_CONFIG.hash },
+    identity.privateKey,
+    challengePayload(challenge, verifierFingerprint)
+  );
+  return bytesToBase64(new Uint8Array(signature));
+}
+
+/**
+ * Checks a peer's answer to our challenge
+ * @param {string} publicKey - The peer's base64 raw public key
+ * @param {string} challenge - Challenge we sent
+ * @param {string} verifierFingerprint - Our own fingerprint
+ * @param {string} signature - base64 signature from the peer
+ * @returns {Promise<boolean>} True if the signature is valid
+ */
+export async function verifyChallenge(publicKey, challenge, verifierFingerprint, signature) {
+  try {
+    return await getCrypto().subtle.verify(
+      { name: IDENTITY_CONFIG.algorithm, hash: IDENTITY_CONFIG.hash },
+      await importPublicKey(publicKey),
+      base64ToBytes(signature),
+      challengePayload(challenge, verifierFingerprint)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a payload belongs to the identity handshake
+ * @param {any} message - Received payload
+ * @returns {boolean} True for handshake messages
+ */
+export function isAuthMessage(message) {
+  return !!message && typeof message === 'object' &&
+    (message.type === AuthMessageType.HELLO || message.type === AuthMessageType.PROOF);
+}
+
+/**
+ * Creates the per-peer handshake state machine
+ *
+ * start(peerId) sends our hello (public key + challenge). A peer's hello
+ * is answered with a proof; its proof of our challenge verifies it. Data
+ * received before that is held back, data from impostors is dropped.
+ * Messages of one peer are processed in arrival order; a handshake
+ * message that can't be processed marks the peer as malformed, and an
+ * error thrown while delivering data is reported without holding up
+ * what the peer sends next.
+ *
+ * @param {Object} options - Authenticator options
+ * @param {Object} options.identity - Local identity from loadOrCreateIdentity
+ * @param {string} options.hostFingerprint - Session host fingerprint from the QR code
+ * @param {boolean} options.expectHost - Every peer must be the host (direct clients)
+ * @param {number} options.authTimeout - Handshake deadline in ms
+ * @param {number} options.maxPendingMessages - Data held back per unverified peer
+ * @param {Function} options.send - send(message, peerId) for handshake messages
+ * @param {Function} options.onVerified - Called with (peerId, { fingerprint, isHost })
+ * @param {Function} options.onImpostor - Called with (peerId, ImpostorReason value)
+ * @param {Function} options.onError - Called with (error, peerId) when delivering a peer's data throws
+ * @returns {Object} Authenticator
+ */
+export function createPeerAuthenticator(options = {}) {
+  const { identity } = options;
+  if (!identity || !identity.fingerprint) {
+    throw new Error('An identity is required');
+  }
+
+  const config = {
+    hostFingerprint: options.hostFingerprint || null,
+    expectHost: !!options.expectHost,
+    authTimeout: options.authTimeout ?? IDENTITY_CONFIG.authTimeout,
+    maxPendingMessages: options.maxPendingMessages ?? IDENTITY_CONFIG.maxPendingMessages
+  };
+
+  const callbacks = {
+    send: options.send || (() => {}),
+    onVerified: options.onVerified || (() => {}),
+    onImpostor: options.onImpostor || (() => {}),
+    onError: options.onError || (() => {})
+  };
+
+  // peerId -> { status, challenge, remote, pending, queue, timer }
+  const peers = new Map();
+
+  /**
+   * Starts the handshake with a peer unless it is already running
+   * @param {string} peerId - Peer ID
+   */
+  function start(peerId) {
+    if (peers.has(peerId)) return;
+    const peer = {
+      status: 'pending',
+      challenge: createChallenge(),
+      remote: null,
+      pending: [],
+      queue: Promise.resolve(),
+      timer: null
+    };
+    if (config.authTimeout > 0) {
+      peer.timer = setTimeout(() => reject(peerId, ImpostorReason.TIMEOUT), config.authTimeout);
+    }
+    peers.set(peerId, peer);
+
+    callbacks.send({
+      type: AuthMessageType.HELLO,
+      publicKey: identity.publicKey,
+      challenge: peer.challenge,
+      host: identity.fingerprint === config.hostFingerprint
+    }, peerId);
+  }
+
+  /**
+   * Marks a peer as an impostor and drops what it sent
+   * @param {string} peerId - Peer ID
+   * @param {string} reason - ImpostorReason value
+   */
+  function reject(peerId, reason) {
+    const peer = peers.get(peerId);
+    if (!peer || peer.status === 'impostor') return;
+    clearTimeout(peer.timer);
+    peer.status = 'impostor';
+    peer.pending = [];
+    callbacks.onImpostor(peerId, reason);
+  }
+
+  /**
+   * Handles a peer's hello by answering its challenge
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer entry
+   * @param {Object} message - Hello message
+   */
+  async function handleHello(peerId, peer, message) {
+    if (typeof message.publicKey !== 'string' || typeof message.challenge !== 'string') {
+      reject(peerId, ImpostorReason.MALFORMED);
+      return;
+    }
+
+    let fingerprint;
+    try {
+      await importPublicKey(message.publicKey);
+      fingerprint = await computeFingerprint(message.publicKey);
+    } catch {
+      reject(peerId, ImpostorReason.MALFORMED);
+      return;
+    }
+
+    if (peer.remote && peer.remote.fingerprint !== fingerprint) {
+      reject(peerId, ImpostorReason.KEY_CHANGED);
+      return;
+    }
+    const claimsHost = message.host === true || config.expectHost;
+    if (claimsHost && config.hostFingerprint && fingerprint !== config.hostFingerprint) {
+      reject(peerId, ImpostorReason.HOST_MISMATCH);
+      return;
+    }
+
+    peer.remote = {
+      publicKey: message.publicKey,
+      fingerprint,
+      isHost: !!config.hostFingerprint && fingerprint === config.hostFingerprint
+    };
+    callbacks.send({
+      type: AuthMessageType.PROOF,
+      signature: await signChallenge(identity, message.challenge, fingerprint)
+    }, peerId);
+  }
+
+  /**
+   * Handles a peer's answer to our challenge
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer entry
+   * @param {Object} message - Proof message
+   */
+  async function handleProof(peerId, peer, message) {
+    if (peer.status === 'verified') return;
+    if (!peer.remote || typeof message.signature !== 'string') {
+      reject(peerId, ImpostorReason.MALFORMED);
+      return;
+    }
+
+    const valid = await verifyChallenge(
+      peer.remote.publicKey,
+      peer.challenge,
+      identity.fingerprint,
+      message.signature
+    );
+    if (!valid) {
+      reject(peerId, ImpostorReason.BAD_SIGNATURE);
+      return;
+    }
+
+    clearTimeout(peer.timer);
+    peer.status = 'verified';
+    callbacks.onVerified(peerId, { fingerprint: peer.remote.fingerprint, isHost: peer.remote.isHost });
+
+    const held = peer.pending;
+    peer.pending = [];
+    held.forEach(({ message: data, deliver }) => deliverSafely(peerId, deliver, data));
+  }
+
+  /**
+   * Delivers data from a verified peer, reporting what the receiver throws
+   * @param {string} peerId - Sender
+   * @param {Function} deliver - Receiver
+   * @param {any} data - Data
+   */
+  function deliverSafely(peerId, deliver, data) {
+    try {
+      deliver(data);
+    } catch (error) {
+      callbacks.onError(error, peerId);
+    }
+  }
+
+  /**
+   * Processes a payload from a peer
+   * Handshake messages are consumed; other data is delivered once the
+   * peer is verified.
+   * @param {any} message - Received payload
+   * @param {string} peerId - Sender
+   * @param {Function} deliver - Receives data from verified peers
+   */
+  function receive(message, peerId, deliver) {
+    if (!peers.has(peerId)) {
+      start(peerId);
+    }
+    const peer = peers.get(peerId);
+
+    peer.queue = peer.queue.then(async () => {
+      if (peer.status === 'impostor' || peers.get(peerId) !== peer) return;
+
+      if (isAuthMessage(message)) {
+        try {
+          if (message.type === AuthMessageType.HELLO) {
+            await handleHello(peerId, peer, message);
+          } else {
+            await handleProof(peerId, peer, message);
+          }
+        } catch {
+          reject(peerId, ImpostorReason.MALFORMED);
+        }
+      } else if (peer.status === 'verified') {
+        deliverSafely(peerId, deliver, message);
+      } else {
+        peer.pending.push({ message, deliver });
+        if (peer.pending.length > config.maxPendingMessages) {
+          peer.pending.shift();
+        }
+      }
+    });
+  }
+
+  /**
+   * Forgets a peer
+   * @param {string} peerId - Peer ID
+   */
+  function remove(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer) return;
+    clearTimeout(peer.timer);
+    peers.delete(peerId);
+  }
+
+  /**
+   * Forgets every peer
+   */
+  function clear() {
+    Array.from(peers.keys()).forEach(remove);
+  }
+
+  /**
+   * Checks whether a peer completed the handshake
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} True if verified
+   */
+  function isVerified(peerId) {
+    const peer = peers.get(peerId);
+    return !!peer && peer.status === 'verified';
+  }
+
+  /**
+   * Gets what is known about a peer
+   * @param {string} peerId - Peer ID
+   * @returns {Object|null} { status, fingerprint, isHost }
+   */
+  function getPeer(peerId) {
+    const peer = peers.get(peerId);
+    if (!peer) return null;
+    return {
+      status: peer.status,
+      fingerprint: peer.remote ? peer.remote.fingerprint : null,
+      isHost: peer.remote ? peer.remote.isHost : false
+    };
+  }
+
+  return {
+    start,
+    receive,
+    remove,
+    clear,
+    isVerified,
+    getPeer,
+    getFingerprint: () => identity.fingerprint
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  IDENTITY_CONFIG,
+  AuthMessageType,
+  ImpostorReason,
+  generateIdentity,
+  importIdentity,
+  loadOrCreateIdentity,
+  computeFingerprint,
+  createChallenge,
+  signChallenge,
+  verifyChallenge,
+  isAuthMessage,
+  createPeerAuthenticator
+} from './identity.js';
+import { createStorageAdapter, toAsyncAdapter, STORAGE_KEYS } from './storage.js';
+import { base64ToBytes, bytesToBase64 } from './codec.js';
+
+// WebCrypto resolves on its own schedule; poll until the expectation holds
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('Identity Module', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await importIdentity(await generateIdentity());
+    bob = await importIdentity(await generateIdentity());
+  });
+
+  describe('generateIdentity / importIdentity', () => {
+    test('should produce a storable record', async () => {
+      const record = await generateIdentity();
+
+      expect(record.privateKey).toEqual(expect.objectContaining({ kty: 'EC', crv: 'P-256' }));
+      expect(typeof record.createdAt).toBe('number');
+      expect(JSON.parse(JSON.stringify(record))).toEqual(record);
+    });
+
+    test('should derive the public key and fingerprint', async () => {
+      expect(base64ToBytes(alice.publicKey)).toHaveLength(65);
+      expect(alice.fingerprint).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(alice.fingerprint).toBe(await computeFingerprint(alice.publicKey));
+      expect(alice.fingerprint).not.toBe(bob.fingerprint);
+      expect(alice.privateKey.extractable).toBe(false);
+    });
+
+    test('should import the same identity twice', async () => {
+      const record = await generateIdentity();
+      const first = await importIdentity(record);
+      const second = await importIdentity(record);
+
+      expect(second.fingerprint).toBe(first.fingerprint);
+    });
+
+    test('should reject invalid records', async () => {
+      await expect(importIdentity(null)).rejects.toThrow('Invalid identity');
+      await expect(importIdentity({ privateKey: { kty: 'RSA' } })).rejects.toThrow('Invalid identity');
+      await expect(importIdentity({
+        privateKey: { kty: 'EC', crv: 'P-256', d: 'AAAA', x: 'AAAA', y: 'AAAA' }
+      })).rejects.toThrow('Invalid identity');
+    });
+  });
+
+  describe('loadOrCreateIdentity', () => {
+    test('should persist the identity through the storage adapter', async () => {
+      const adapter = createStorageAdapter(null);
+
+      const created = await loadOrCreateIdentity(adapter);
+      const loaded = await loadOrCreateIdentity(adapter);
+
+      expect(adapter.has(STORAGE_KEYS.IDENTITY)).toBe(true);
+      expect(loaded.fingerprint).toBe(created.fingerprint);
+    });
+
+    test('should replace a corrupt record', async () => {
+      const adapter = createStorageAdapter(null);
+      adapter.set(STORAGE_KEYS.IDENTITY, { privateKey: 'garbage' });
+
+      const identity = await loadOrCreateIdentity(adapter);
+
+      expect(identity.fingerprint).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(adapter.get(STORAGE_KEYS.IDENTITY).privateKey.kty).toBe('EC');
+    });
+
+    test('should work with a Promise-returning adapter', async () => {
+      const adapter = toAsyncAdapter(createStorageAdapter(null));
+
+      const created = await loadOrCreateIdentity(adapter);
+      const loaded = await loadOrCreateIdentity(adapter);
+
+      expect(loaded.fingerprint).toBe(created.fingerprint);
+    });
+  });
+
+  describe('signChallenge / verifyChallenge', () => {
+    test('should create random challenges', () => {
+      const challenge = createChallenge();
+      expect(base64ToBytes(challenge)).toHaveLength(IDENTITY_CONFIG.challengeLength);
+      expect(createChallenge()).not.toBe(challenge);
+    });
+
+    test('should verify a signature from the key holder', async () => {
+      const challenge = createChallenge();
+      const signature = await signChallenge(alice, challenge, bob.fingerprint);
+
+      expect(await verifyChallenge(alice.publicKey, challenge, bob.fingerprint, signature)).toBe(true);
+    });
+
+    test('should bind the signature to challenge, verifier and key', async () => {
+      const challenge = createChallenge();
+      const signature = await signChallenge(alice, challenge, bob.fingerprint);
+
+      expect(await verifyChallenge(alice.publicKey, createChallenge(), bob.fingerprint, signature)).toBe(false);
+      expect(await verifyChallenge(alice.publicKey, challenge, alice.fingerprint, signature)).toBe(false);
+      expect(await verifyChallenge(bob.publicKey, challenge, bob.fingerprint, signature)).toBe(false);
+    });
+
+    test('should reject malformed input', async () => {
+      const challenge = createChallenge();
+      expect(await verifyChallenge('AAAA', challenge, bob.fingerprint, 'AAAA')).toBe(false);
+      expect(await verifyChallenge(alice.publicKey, challenge, bob.fingerprint, 'not base64!')).toBe(false);
+    });
+  });
+
+  describe('isAuthMessage', () => {
+    test('should recognise handshake messages', () => {
+      expect(isAuthMessage({ type: AuthMessageType.HELLO })).toBe(true);
+      expect(isAuthMessage({ type: AuthMessageType.PROOF })).toBe(true);
+      expect(isAuthMessage({ type: 'append' })).toBe(false);
+      expect(isAuthMessage(null)).toBe(false);
+    });
+  });
+
+  describe('createPeerAuthenticator', () => {
+    // Connects two authenticators back to back
+    function createPair(hostOptions = {}, clientOptions = {}) {
+      const received = { host: [], client: [] };
+      const events = { verified: [], impostors: [] };
+      let host;
+      let client;
+
+      host = createPeerAuthenticator({
+        identity: alice,
+        hostFingerprint: alice.fingerprint,
+        authTimeout: 0,
+        send: (message) => client.receive(message, 'host', data => received.client.push(data)),
+        onVerified: (peerId, peer) => events.verified.push(['host', peerId, peer]),
+        onImpostor: (peerId, reason) => events.impostors.push(['host', peerId, reason]),
+        ...hostOptions
+      });
+      client = createPeerAuthenticator({
+        identity: bob,
+        hostFingerprint: alice.fingerprint,
+        authTimeout: 0,
+        send: (message) => host.receive(message, 'client', data => received.host.push(data)),
+        onVerified: (peerId, peer) => events.verified.push(['client', peerId, peer]),
+        onImpostor: (peerId, reason) => events.impostors.push(['client', peerId, reason]),
+        ...clientOptions
+      });
+
+      return { host, client, received, events };
+    }
+
+    test('should require an identity', () => {
+      expect(() => createPeerAuthenticator()).toThrow('An identity is required');
+    });
+
+    test('should verify both sides', async () => {
+      const { host, client, events } = createPair();
+
+      host.start('client');
+      client.start('host');
+      await waitFor(() => events.verified.length === 2);
+
+      expect(events.verified).toEqual(expect.arrayContaining([
+        ['host', 'client', { fingerprint: bob.fingerprint, isHost: false }],
+        ['client', 'host', { fingerprint: alice.fingerprint, isHost: true }]
+      ]));
+      expect(host.isVerified('client')).toBe(true);
+      expect(client.getPeer('host')).toEqual({ status: 'verified', fingerprint: alice.fingerprint, isHost: true });
+      expect(events.impostors).toEqual([]);
+    });
+
+    test('should hold data back until the peer is verified', async () => {
+      const outbox = [];
+      const deliver = jest.fn();
+      const host = createPeerAuthenticator({
+        identity: alice,
+        authTimeout: 0,
+        send: (message) => outbox.push(message)
+      });
+
+      host.start('client');
+      host.receive({ text: 'early' }, 'client', deliver);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(deliver).not.toHaveBeenCalled();
+
+      const client = createPeerAuthenticator({
+        identity: bob,
+        authTimeout: 0,
+        send: (message) => host.receive(message, 'client', deliver)
+      });
+      outbox.forEach(message => client.receive(message, 'host', () => {}));
+      await waitFor(() => deliver.mock.calls.length === 1);
+
+      expect(host.isVerified('client')).toBe(true);
+      expect(deliver).toHaveBeenCalledWith({ text: 'early' });
+    });
+
+    test('should reject a host that does not match the fingerprint', async () => {
+      const { host, client, events } = createPair({ identity: bob, hostFingerprint: bob.fingerprint });
+      const deliver = jest.fn();
+
+      client.start('host');
+      host.start('client');
+      client.receive({ text: 'evil' }, 'host', deliver);
+      await waitFor(() => events.impostors.length === 1);
+
+      expect(events.impostors[0]).toEqual(['client', 'host', ImpostorReason.HOST_MISMATCH]);
+      expect(client.isVerified('host')).toBe(false);
+      expect(client.getPeer('host').status).toBe('impostor');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(deliver).not.toHaveBeenCalled();
+    });
+
+    test('should require the host when expectHost is set', async () => {
+      const { host, client, events } = createPair(
+        { identity: bob, hostFingerprint: null },
+        { identity: alice, expectHost: true }
+      );
+
+      client.start('host');
+      host.start('client');
+      await waitFor(() => events.impostors.length === 1);
+
+      expect(events.impostors[0]).toEqual(['client', 'host', ImpostorReason.HOST_MISMATCH]);
+    });
+
+    test('should reject a hello it cannot answer', async () => {
+      const onImpostor = jest.fn();
+      const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 0, onImpostor });
+
+      authenticator.start('peer');
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: bob.publicKey, challenge: '%%%' }, 'peer');
+      await waitFor(() => onImpostor.mock.calls.length === 1);
+
+      expect(onImpostor).toHaveBeenCalledWith('peer', ImpostorReason.MALFORMED);
+      expect(authenticator.getPeer('peer').status).toBe('impostor');
+    });
+
+    test('should keep delivering after a receiver throws', async () => {
+      const onError = jest.fn();
+      const { host, client, events } = createPair({ onError });
+      const delivered = [];
+      const deliver = (data) => {
+        if (data.text === 'bad') throw new Error('receiver failed');
+        delivered.push(data);
+      };
+
+      host.start('client');
+      client.start('host');
+      await waitFor(() => events.verified.length === 2);
+      host.receive({ text: 'bad' }, 'client', deliver);
+      host.receive({ text: 'next' }, 'client', deliver);
+      await waitFor(() => delivered.length === 1);
+
+      expect(delivered).toEqual([{ text: 'next' }]);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'receiver failed' }), 'client');
+    });
+
+    test('should reject a forged proof', async () => {
+      const onImpostor = jest.fn();
+      const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 0, onImpostor });
+
+      authenticator.start('peer');
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: bob.publicKey, challenge: createChallenge() }, 'peer');
+      authenticator.receive({ type: AuthMessageType.PROOF, signature: bytesToBase64(new Uint8Array(64)) }, 'peer');
+      await waitFor(() => onImpostor.mock.calls.length === 1);
+
+      expect(onImpostor).toHaveBeenCalledWith('peer', ImpostorReason.BAD_SIGNATURE);
+    });
+
+    test('should reject malformed handshakes', async () => {
+      const onImpostor = jest.fn();
+      const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 0, onImpostor });
+
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: 42 }, 'peer-1');
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: 'AAAA', challenge: createChallenge() }, 'peer-2');
+      authenticator.receive({ type: AuthMessageType.PROOF, signature: 'AAAA' }, 'peer-3');
+      await waitFor(() => onImpostor.mock.calls.length === 3);
+
+      expect(onImpostor).toHaveBeenCalledWith('peer-1', ImpostorReason.MALFORMED);
+      expect(onImpostor).toHaveBeenCalledWith('peer-2', ImpostorReason.MALFORMED);
+      expect(onImpostor).toHaveBeenCalledWith('peer-3', ImpostorReason.MALFORMED);
+    });
+
+    test('should reject a peer that switches keys', async () => {
+      const onImpostor = jest.fn();
+      const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 0, onImpostor });
+
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: bob.publicKey, challenge: createChallenge() }, 'peer');
+      authenticator.receive({ type: AuthMessageType.HELLO, publicKey: alice.publicKey, challenge: createChallenge() }, 'peer');
+      await waitFor(() => onImpostor.mock.calls.length === 1);
+
+      expect(onImpostor).toHaveBeenCalledWith('peer', ImpostorReason.KEY_CHANGED);
+    });
+
+    test('should time out silent peers', () => {
+      jest.useFakeTimers();
+      try {
+        const onImpostor = jest.fn();
+        const send = jest.fn();
+        const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 500, send, onImpostor });
+
+        authenticator.start('peer');
+        expect(send).toHaveBeenCalledWith(expect.objectContaining({
+          type: AuthMessageType.HELLO,
+          publicKey: alice.publicKey,
+          host: false
+        }), 'peer');
+
+        jest.advanceTimersByTime(500);
+
+        expect(onImpostor).toHaveBeenCalledWith('peer', ImpostorReason.TIMEOUT);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should cancel the timeout when a peer is removed', () => {
+      jest.useFakeTimers();
+      try {
+        const onImpostor = jest.fn();
+        const authenticator = createPeerAuthenticator({ identity: alice, authTimeout: 500, onImpostor });
+
+        authenticator.start('peer');
+        authenticator.remove('peer');
+        jest.advanceTimersByTime(1000);
+
+        expect(onImpostor).not.toHaveBeenCalled();
+        expect(authenticator.getPeer('peer')).toBeNull();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * IndexedDB Module
+ * Async storage backend for larger data than localStorage allows.
+ * Values are stored as structured clones, so binary data such as Yjs
+ * updates needs no JSON or base64 round trip. Documents are persisted
+ * incrementally through y-indexeddb: every Yjs update is appended on
+ * its own instead of rewriting the whole document.
+ *
+ * @module indexeddb
+ */
+
+import { IndexeddbPersistence, storeState } from 'y-indexeddb';
+import { STORAGE_KEYS } from './storage.js';
+
+/**
+ * Default database layout for the key-value adapter
+ */
+export const IDB_DEFAULTS = {
+  name: 'p2p-llm-stream',
+  storeName: 'kv',
+  version: 1
+};
+
+/**
+ * Checks whether an IndexedDB implementation is available
+ * @param {Object} [factory] - IDBFactory to check (default the global one)
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isIndexedDBAvailable(factory = globalThis.indexedDB) {
+  return !!factory && typeof factory.open === 'function';
+}
+
+/**
+ * Creates an async storage adapter on top of an IndexedDB object store
+ * Same surface as createStorageAdapter, but every method returns a Promise.
+ * @param {Object} options - Adapter options
+ * @param {Object} options.indexedDB - IDBFactory (default globalThis.indexedDB)
+ * @param {string} options.name - Database name
+ * @param {string} options.storeName - Object store name
+ * @returns {Object} Async storage adapter
+ */
+export function createIndexedDBAdapter(options = {}) {
+  const factory = options.indexedDB || globalThis.indexedDB;
+  if (!isIndexedDBAvailable(factory)) {
+    throw new Error('IndexedDB is not available');
+  }
+  const name = options.name || IDB_DEFAULTS.name;
+  const storeName = options.storeName || IDB_DEFAULTS.storeName;
+
+  let dbPromise = null;
+
+  /**
+   * Opens the database once, creating the object store on first use
+   * @returns {Promise<Object>} IDBDatabase
+   */
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(name, IDB_DEFAULTS.version);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName);
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let another tab upgrade or delete the database
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Runs one request against the object store
+   * Settles once the transaction is over: a write that succeeded but was
+   * rolled back at commit time (a quota error, say) rejects.
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Called with the store, returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  async function run(mode, operation) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onabort = () => reject(transaction.error || request.error);
+      transaction.onerror = () => reject(transaction.error || request.error);
+    });
+  }
+
+  /**
+   * Gets an item from storage
+   * @param {string} key - Storage key
+   * @returns {Promise<any>} Stored value or null
+   */
+  async function get(key) {
+    try {
+      const value = await run('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Sets an item in storage
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store (structured-cloneable)
+   * @returns {Promise<boolean>} Success status; false once the write was rolled back,
+   *   which the quota guard reports through its warning callback
+   */
+  async function set(key, value) {
+    try {
+      await run('readwrite', store => store.put(value, key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Removes an item from storage
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Success status
+   */
+  async function remove(key) {
+    try {
+      await run('readwrite', store => store.delete(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Clears all storage
+   * @returns {Promise<boolean>} Success status
+   */
+  async function clear() {
+    try {
+      await run('readwrite', store => store.clear());
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Checks if key exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Exists status
+   */
+  async function has(key) {
+    try {
+      return (await run('readonly', store => store.count(key))) > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Lists stored keys
+   * @param {string} [prefix] - Only keys starting with this prefix
+   * @returns {Promise<string[]>} Keys
+   */
+  async function keys(prefix = '') {
+    try {
+      const all = await run('readonly', store => store.getAllKeys());
+      return all.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Closes the database connection; the next call reopens it
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    if (!dbPromise) return;
+    const pending = dbPromise;
+    dbPromise = null;
+    try {
+      (await pending).close();
+    } catch {
+      // Never opened
+    }
+  }
+
+  return {
+    get,
+    set,
+    remove,
+    clear,
+    has,
+    keys,
+    close
+  };
+}
+
+/**
+ * Persists a Yjs document in IndexedDB, one record per update
+ * Stored updates are loaded into the document on start; later updates
+ * are appended as they happen. Uses the global indexedDB.
+ * @param {string} docId - Document ID
+ * @param {Object} doc - Y.Doc to persist
+ * @returns {Object} Document persistence
+ */
+export function createDocumentPersistence(docId, doc) {
+  if (!docId || typeof docId !== 'string') {
+    throw new Error('Document ID is required');
+  }
+  if (!isIndexedDBAvailable()) {
+    throw new Error('IndexedDB is not available');
+  }
+
+  const name = STORAGE_KEYS.DOCUMENT + '_' + docId;
+  const persistence = new IndexeddbPersistence(name, doc);
+
+  /**
+   * Waits until stored updates are applied to the document
+   * @returns {Promise<void>}
+   */
+  async function whenSynced() {
+    await persistence.whenSynced;
+  }
+
+  /**
+   * Checks whether stored updates were applied
+   * @returns {boolean} Synced state
+   */
+  function isSynced() {
+    return persistence.synced;
+  }
+
+  /**
+   * Merges stored updates into one record
+   * @returns {Promise<void>}
+   */
+  async function compact() {
+    await persistence.whenSynced;
+    await storeState(persistence, true);
+  }
+
+  /**
+   * Stops persisting; stored data is kept
+   * @returns {Promise<void>}
+   */
+  async function destroy() {
+    await persistence.destroy();
+  }
+
+  /**
+   * Stops persisting and deletes the stored document
+   * @returns {Promise<void>}
+   */
+  async function clearData() {
+    await persistence.destroy();
+    await new Promise((resolve, reject) => {
+      const request = globalThis.indexedDB.deleteDatabase(name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return {
+    name,
+    whenSynced,
+    isSynced,
+    compact,
+    destroy,
+    clearData
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import * as Y from 'yjs';
+
+import {
+  createIndexedDBAdapter,
+  createDocumentPersistence,
+  isIndexedDBAvailable,
+  IDB_DEFAULTS
+} from './indexeddb.js';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+
+// Lets every pending in-memory IndexedDB request settle
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('IndexedDB Module', () => {
+  describe('isIndexedDBAvailable', () => {
+    test('should detect a factory', () => {
+      expect(isIndexedDBAvailable(new IDBFactory())).toBe(true);
+      expect(isIndexedDBAvailable(null)).toBe(false);
+    });
+  });
+
+  describe('createIndexedDBAdapter', () => {
+    let indexedDB;
+    let adapter;
+
+    beforeEach(() => {
+      indexedDB = new IDBFactory();
+      adapter = createIndexedDBAdapter({ indexedDB });
+    });
+
+    test('should require IndexedDB', () => {
+      expect(() => createIndexedDBAdapter({ indexedDB: null })).toThrow('IndexedDB is not available');
+    });
+
+    test('should store values without JSON encoding', async () => {
+      const value = { text: 'hi', update: new Uint8Array([1, 2, 3]), at: new Date(0) };
+
+      expect(await adapter.set('doc', value)).toBe(true);
+      expect(await adapter.get('doc')).toEqual(value);
+      expect(await adapter.has('doc')).toBe(true);
+      expect(await adapter.get('missing')).toBeNull();
+      expect(await adapter.has('missing')).toBe(false);
+    });
+
+    test('should remove and clear values', async () => {
+      await adapter.set('a', 1);
+      await adapter.set('b', 2);
+
+      expect(await adapter.remove('a')).toBe(true);
+      expect(await adapter.has('a')).toBe(false);
+      expect(await adapter.clear()).toBe(true);
+      expect(await adapter.get('b')).toBeNull();
+    });
+
+    test('should list keys by prefix', async () => {
+      await adapter.set('p2p_session_a', {});
+      await adapter.set('p2p_session_b', {});
+      await adapter.set('p2p_settings', {});
+
+      expect(await adapter.keys('p2p_session_')).toEqual(['p2p_session_a', 'p2p_session_b']);
+      expect(await adapter.keys()).toHaveLength(3);
+    });
+
+    test('should create its store in the default database', async () => {
+      await adapter.set('a', 1);
+
+      expect(await indexedDB.databases()).toEqual([{ name: IDB_DEFAULTS.name, version: IDB_DEFAULTS.version }]);
+    });
+
+    test('should keep data across connections', async () => {
+      await adapter.set('a', 'kept');
+      await adapter.close();
+
+      expect(await adapter.get('a')).toBe('kept');
+      expect(await createIndexedDBAdapter({ indexedDB }).get('a')).toBe('kept');
+    });
+
+    test('should report failed writes', async () => {
+      expect(await adapter.set('fn', () => {})).toBe(false);
+    });
+
+    test('should report writes rolled back at commit time', async () => {
+      // The put succeeds, then the transaction aborts while committing
+      const transaction = { error: null };
+      transaction.objectStore = () => ({
+        put: () => {
+          const request = { result: 'a' };
+          Promise.resolve().then(() => {
+            if (request.onsuccess) request.onsuccess();
+            transaction.error = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+            transaction.onabort();
+          });
+          return request;
+        }
+      });
+      const aborting = {
+        open: () => {
+          const request = { result: { transaction: () => transaction } };
+          Promise.resolve().then(() => request.onsuccess());
+          return request;
+        }
+      };
+
+      expect(await createIndexedDBAdapter({ indexedDB: aborting }).set('a', 1)).toBe(false);
+    });
+
+    test('should fail softly when the database cannot open', async () => {
+      const broken = {
+        open: () => {
+          const request = {};
+          Promise.resolve().then(() => {
+            request.error = new Error('blocked');
+            request.onerror();
+          });
+          return request;
+        }
+      };
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = createIndexedDBAdapter({ indexedDB: broken });
+
+      expect(await failing.get('a')).toBeNull();
+      expect(await failing.set('a', 1)).toBe(false);
+      expect(await failing.remove('a')).toBe(false);
+      expect(await failing.clear()).toBe(false);
+      expect(await failing.has('a')).toBe(false);
+      expect(await failing.keys()).toEqual([]);
+      await expect(failing.close()).resolves.toBeUndefined();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('createDocumentPersistence', () => {
+    // y-indexeddb uses the global IndexedDB
+    let previous;
+    let indexedDB;
+
+    beforeEach(() => {
+      previous = { indexedDB: globalThis.indexedDB, IDBKeyRange: globalThis.IDBKeyRange };
+      indexedDB = new IDBFactory();
+      globalThis.indexedDB = indexedDB;
+      globalThis.IDBKeyRange = IDBKeyRange;
+    });
+
+    afterEach(() => {
+      globalThis.indexedDB = previous.indexedDB;
+      globalThis.IDBKeyRange = previous.IDBKeyRange;
+    });
+
+    /**
+     * Counts the stored update records of a document
+     * @param {string} name - Database name
+     * @returns {Promise<number>} Record count
+     */
+    function countUpdates(name) {
+      return new Promise((resolve) => {
+        const open = indexedDB.open(name);
+        open.onsuccess = () => {
+          const request = open.result.transaction('updates').objectStore('updates').count();
+          request.onsuccess = () => resolve(request.result);
+        };
+      });
+    }
+
+    test('should validate arguments', () => {
+      expect(() => createDocumentPersistence('', new Y.Doc())).toThrow('Document ID is required');
+      globalThis.indexedDB = undefined;
+      expect(() => createDocumentPersistence('doc', new Y.Doc())).toThrow('IndexedDB is not available');
+    });
+
+    test('should persist updates one by one and restore them', async () => {
+      const doc = new Y.Doc();
+      const persistence = createDocumentPersistence('room-1', doc);
+      await persistence.whenSynced();
+      expect(persistence.isSynced()).toBe(true);
+      expect(persistence.name).toBe('p2p_document_room-1');
+
+      ['Hello', ' ', 'world'].forEach(token => doc.getText('t').insert(doc.getText('t').length, token));
+      await settle();
+
+      // Initial state plus one record per update
+      expect(await countUpdates(persistence.name)).toBe(4);
+      await persistence.destroy();
+
+      const restored = new Y.Doc();
+      const reloaded = createDocumentPersistence('room-1', restored);
+      await reloaded.whenSynced();
+
+      expect(restored.getText('t').toString()).toBe('Hello world');
+      await reloaded.destroy();
+    });
+
+    test('should compact stored updates', async () => {
+      const doc = new Y.Doc();
+      const persistence = createDocumentPersistence('room-2', doc);
+      await persistence.whenSynced();
+      ['a', 'b', 'c'].forEach(token => doc.getText('t').insert(0, token));
+      await settle();
+
+      await persistence.compact();
+      await settle();
+
+      expect(await countUpdates(persistence.name)).toBe(1);
+      await persistence.destroy();
+    });
+
+    test('should delete stored data', async () => {
+      const doc = new Y.Doc();
+      const persistence = createDocumentPersistence('room-3', doc);
+      await persistence.whenSynced();
+      doc.getText('t').insert(0, 'gone');
+      await settle();
+
+      await persistence.clearData();
+
+      const fresh = new Y.Doc();
+      const reloaded = createDocumentPersistence('room-3', fresh);
+      await reloaded.whenSynced();
+      expect(fresh.getText('t').toString()).toBe('');
+      await reloaded.destroy();
+    });
+  });
+});
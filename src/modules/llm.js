@@ -0,0 +1,352 @@
+/**
+ * LLM Module - Provider adapters for streaming completions
+ *
+ * Consumes OpenAI-compatible `chat/completions` server-sent event streams
+ * and Ollama NDJSON streams, and reports each content chunk as a token.
+ * Requests can be cancelled through an AbortController; a cancelled
+ * stream resolves with `aborted: true` and the text received so far.
+ *
+ * @module llm
+ */
+
+/**
+ * Supported provider types
+ */
+export const ProviderType = {
+  OPENAI: 'openai',
+  OLLAMA: 'ollama'
+};
+
+/**
+ * Default base URLs per provider type
+ */
+export const PROVIDER_DEFAULTS = {
+  [ProviderType.OPENAI]: { baseUrl: 'https://api.openai.com/v1' },
+  [ProviderType.OLLAMA]: { baseUrl: 'http://localhost:11434' }
+};
+
+/**
+ * Data value that ends an OpenAI event stream
+ */
+const SSE_DONE = '[DONE]';
+
+/**
+ * Creates an incremental parser for server-sent events
+ * Events are separated by a blank line; the `data:` lines of one event
+ * are joined with newlines. Comments and other fields are ignored.
+ * @param {Function} onEvent - Called with the data of each event
+ * @returns {Object} Parser with push(text) and end()
+ */
+export function createSSEParser(onEvent) {
+  let buffer = '';
+
+  /**
+   * Emits the data of one raw event block
+   * @param {string} block - Lines of one event
+   */
+  function emitBlock(block) {
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    if (data.length > 0) {
+      onEvent(data.join('\n'));
+    }
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(emitBlock);
+    },
+    end() {
+      if (buffer.trim()) {
+        emitBlock(buffer);
+      }
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Creates an incremental parser for newline-delimited JSON
+ * @param {Function} onObject - Called with each parsed line
+ * @returns {Object} Parser with push(text) and end()
+ */
+export function createNDJSONParser(onObject) {
+  let buffer = '';
+
+  /**
+   * Parses one line, skipping blank ones
+   * @param {string} line - Raw line
+   */
+  function emitLine(line) {
+    if (line.trim()) {
+      onObject(JSON.parse(line));
+    }
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emitLine);
+    },
+    end() {
+      emitLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Converts conversation turns to chat messages
+ * Prompts become user messages and finished responses assistant
+ * messages; aborted or still streaming responses are left out.
+ * @param {Object[]} turns - Turns from syncManager.getTurns()
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+export function turnsToMessages(turns) {
+  return turns
+    .filter(turn => turn.kind === 'prompt' || turn.status === 'done')
+    .map(turn => ({
+      role: turn.kind === 'prompt' ? 'user' : 'assistant',
+      content: turn.text
+    }));
+}
+
+/**
+ * Normalizes a prompt or message list to chat messages
+ * @param {string|Array} input - Prompt text or chat messages
+ * @returns {Array<{role: string, content: string}>} Chat messages
+ */
+function toMessages(input) {
+  if (typeof input === 'string') {
+    return [{ role: 'user', content: input }];
+  }
+  if (Array.isArray(input)) {
+    return input;
+  }
+  throw new TypeError('Input must be a prompt string or an array of messages');
+}
+
+/**
+ * Reads a response body as text chunks
+ * @param {Object} body - ReadableStream from fetch
+ * @param {Function} onText - Called with each decoded chunk
+ * @returns {Promise<void>} Resolves at the end of the body
+ */
+async function readBody(body, onText) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      onText(decoder.decode(value, { stream: true }));
+    }
+    onText(decoder.decode());
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Creates the request and chunk handling for a provider type
+ * Each chunk handler returns { token, done, finishReason, usage } with
+ * only the fields the chunk carries.
+ * @param {string} type - ProviderType value
+ * @returns {Object} Protocol { path, accept, body, createParser, parseChunk }
+ */
+function getProtocol(type) {
+  if (type === ProviderType.OPENAI) {
+    return {
+      path: '/chat/completions',
+      accept: 'text/event-stream',
+      body: (model, messages, params) => ({ ...params, model, messages, stream: true }),
+      createParser: (onChunk) => createSSEParser((data) => {
+        onChunk(data === SSE_DONE ? { done: true } : JSON.parse(data));
+      }),
+      parseChunk(chunk) {
+        if (chunk.done) return { done: true };
+        if (chunk.error) {
+          throw new Error(chunk.error.message || String(chunk.error));
+        }
+        const choice = (chunk.choices && chunk.choices[0]) || {};
+        return {
+          token: choice.delta && choice.delta.content,
+          finishReason: choice.finish_reason || null,
+          usage: chunk.usage || null
+        };
+      }
+    };
+  }
+  if (type === ProviderType.OLLAMA) {
+    return {
+      path: '/api/chat',
+      accept: 'application/x-ndjson',
+      body: (model, messages, params) => ({ model, messages, stream: true, options: params }),
+      createParser: createNDJSONParser,
+      parseChunk(chunk) {
+        if (chunk.error) {
+          throw new Error(String(chunk.error));
+        }
+        return {
+          token: chunk.message ? chunk.message.content : chunk.response,
+          done: chunk.done === true,
+          finishReason: chunk.done_reason || (chunk.done ? 'stop' : null),
+          usage: chunk.done ? {
+            prompt_tokens: chunk.prompt_eval_count,
+            completion_tokens: chunk.eval_count,
+            total_duration: chunk.total_duration
+          } : null
+        };
+      }
+    };
+  }
+  throw new Error('Unknown provider type: ' + type);
+}
+
+/**
+ * Creates an LLM provider adapter
+ * @param {Object} options - Provider options
+ * @param {string} options.type - ProviderType value
+ * @param {string} options.model - Model name
+ * @param {string} options.baseUrl - API base URL (defaults per type)
+ * @param {string} options.apiKey - Bearer token, if the server needs one
+ * @param {Object} options.params - Extra generation parameters (temperature, ...)
+ * @param {Object} options.headers - Extra request headers
+ * @param {Function} options.fetch - fetch implementation (default globalThis.fetch)
+ * @param {Function} options.onToken - Called with (token) for every content chunk
+ * @param {Function} options.onDone - Called with the result when a stream ends
+ * @param {Function} options.onError - Called with (error) when a stream fails
+ * @returns {Object} Provider adapter
+ */
+export function createLLMProvider(options = {}) {
+  const protocol = getProtocol(options.type);
+  if (!options.model) {
+    throw new Error('Model is required');
+  }
+
+  const config = {
+    type: options.type,
+    model: options.model,
+    baseUrl: (options.baseUrl || PROVIDER_DEFAULTS[options.type].baseUrl).replace(/\/+$/, ''),
+    params: options.params || {}
+  };
+
+  const callbacks = {
+    onToken: options.onToken || (() => {}),
+    onDone: options.onDone || (() => {}),
+    onError: options.onError || (() => {})
+  };
+
+  // Controllers of the streams in flight
+  const controllers = new Set();
+
+  /**
+   * Streams a completion
+   * @param {string|Array} input - Prompt text or chat messages
+   * @param {Object} [streamOptions] - Per-stream options
+   * @param {Function} [streamOptions.onToken] - Called with (token) for this stream only
+   * @param {AbortSignal} [streamOptions.signal] - Cancels this stream
+   * @param {Object} [streamOptions.params] - Generation parameters for this stream
+   * @returns {Promise<Object>} Result { text, tokens, finishReason, usage, aborted }
+   */
+  async function stream(input, streamOptions = {}) {
+    const messages = toMessages(input);
+    const controller = new AbortController();
+    const abortFromCaller = () => controller.abort();
+    if (streamOptions.signal) {
+      if (streamOptions.signal.aborted) controller.abort();
+      streamOptions.signal.addEventListener('abort', abortFromCaller);
+    }
+    controllers.add(controller);
+
+    const result = { text: '', tokens: 0, finishReason: null, usage: null, aborted: false };
+    let done = false;
+
+    const parser = protocol.createParser((raw) => {
+      if (done) return;
+      const chunk = protocol.parseChunk(raw);
+      if (chunk.token) {
+        result.text += chunk.token;
+        result.tokens++;
+        callbacks.onToken(chunk.token);
+        if (streamOptions.onToken) streamOptions.onToken(chunk.token);
+      }
+      if (chunk.finishReason) result.finishReason = chunk.finishReason;
+      if (chunk.usage) result.usage = chunk.usage;
+      if (chunk.done) done = true;
+    });
+
+    try {
+      const response = await (options.fetch || globalThis.fetch)(config.baseUrl + protocol.path, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: protocol.accept,
+          ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}),
+          ...(options.headers || {})
+        },
+        body: JSON.stringify(protocol.body(config.model, messages, {
+          ...config.params,
+          ...(streamOptions.params || {})
+        })),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`LLM request failed: ${response.status}${detail ? ' ' + detail : ''}`);
+      }
+
+      await readBody(response.body, text => parser.push(text));
+      parser.end();
+      callbacks.onDone(result);
+      return result;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        result.aborted = true;
+        callbacks.onDone(result);
+        return result;
+      }
+      // Drop the connection of a stream that failed part way
+      controller.abort();
+      callbacks.onError(error);
+      throw error;
+    } finally {
+      controllers.delete(controller);
+      if (streamOptions.signal) {
+        streamOptions.signal.removeEventListener('abort', abortFromCaller);
+      }
+    }
+  }
+
+  /**
+   * Cancels every stream in flight
+   */
+  function abort() {
+    controllers.forEach(controller => controller.abort());
+  }
+
+  /**
+   * Checks whether a stream is in flight
+   * @returns {boolean} True while streaming
+   */
+  function isStreaming() {
+    return controllers.size > 0;
+  }
+
+  return {
+    stream,
+    abort,
+    isStreaming,
+    config
+  };
+}
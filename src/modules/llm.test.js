@@ -0,0 +1,295 @@
+/**
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import http from 'node:http';
+
+import {
+  createLLMProvider,
+  createSSEParser,
+  createNDJSONParser,
+  turnsToMessages,
+  ProviderType,
+  PROVIDER_DEFAULTS
+} from './llm.js';
+
+/**
+ * Starts a local HTTP server answering every request with a handler
+ * @param {Function} handler - Called with (req, res, body)
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+async function startMockServer(handler) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: parsed });
+      handler(req, res, parsed);
+    });
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Writes chunks to a response one event-loop turn apart
+ * @param {Object} res - Server response
+ * @param {string[]} chunks - Raw chunks
+ */
+async function writeChunks(res, chunks) {
+  for (const chunk of chunks) {
+    res.write(chunk);
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  res.end();
+}
+
+const sse = data => `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+const openAIChunk = (content, finishReason = null) => ({
+  choices: [{ index: 0, delta: content === null ? {} : { content }, finish_reason: finishReason }]
+});
+
+describe('LLM Module', () => {
+  describe('createSSEParser', () => {
+    test('should emit events split across chunks', () => {
+      const onEvent = jest.fn();
+      const parser = createSSEParser(onEvent);
+
+      parser.push('data: one\n\nda');
+      parser.push('ta: two\r\n\r\n: comment\n\nevent: x\ndata: a\ndata: b\n\n');
+      parser.push('data: tail');
+      parser.end();
+
+      expect(onEvent.mock.calls).toEqual([['one'], ['two'], ['a\nb'], ['tail']]);
+    });
+  });
+
+  describe('createNDJSONParser', () => {
+    test('should emit objects split across chunks', () => {
+      const onObject = jest.fn();
+      const parser = createNDJSONParser(onObject);
+
+      parser.push('{"a":1}\n{"b"');
+      parser.push(':2}\n\n{"c":3}');
+      parser.end();
+
+      expect(onObject.mock.calls).toEqual([[{ a: 1 }], [{ b: 2 }], [{ c: 3 }]]);
+    });
+  });
+
+  describe('turnsToMessages', () => {
+    test('should map prompts and finished responses', () => {
+      const turns = [
+        { kind: 'prompt', status: 'done', text: 'Hi?' },
+        { kind: 'response', status: 'done', text: 'Hello!' },
+        { kind: 'response', status: 'aborted', text: 'Partial' },
+        { kind: 'prompt', status: 'done', text: 'Again?' }
+      ];
+
+      expect(turnsToMessages(turns)).toEqual([
+        { role: 'user', content: 'Hi?' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'Again?' }
+      ]);
+    });
+  });
+
+  describe('createLLMProvider', () => {
+    let server;
+
+    afterEach(async () => {
+      if (server) {
+        await server.close();
+        server = null;
+      }
+    });
+
+    test('should validate options', () => {
+      expect(() => createLLMProvider({ type: 'other', model: 'm' })).toThrow('Unknown provider type: other');
+      expect(() => createLLMProvider({ type: ProviderType.OLLAMA })).toThrow('Model is required');
+      expect(createLLMProvider({ type: ProviderType.OLLAMA, model: 'llama3' }).config.baseUrl)
+        .toBe(PROVIDER_DEFAULTS[ProviderType.OLLAMA].baseUrl);
+    });
+
+    test('should reject invalid input', async () => {
+      const provider = createLLMProvider({ type: ProviderType.OLLAMA, model: 'llama3' });
+      await expect(provider.stream(42)).rejects.toThrow(TypeError);
+    });
+
+    test('should stream an OpenAI-compatible SSE response', async () => {
+      server = await startMockServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        writeChunks(res, [
+          sse(openAIChunk('Hel')),
+          sse(openAIChunk('lo')).slice(0, 10),
+          sse(openAIChunk('lo')).slice(10) + sse(openAIChunk(null, 'stop')),
+          sse({ choices: [], usage: { total_tokens: 7 } }),
+          sse('[DONE]')
+        ]);
+      });
+      const onToken = jest.fn();
+      const onDone = jest.fn();
+      const provider = createLLMProvider({
+        type: ProviderType.OPENAI,
+        baseUrl: server.baseUrl + '/v1/',
+        model: 'gpt-4o-mini',
+        apiKey: 'sk-test',
+        params: { temperature: 0.2 },
+        onToken,
+        onDone
+      });
+
+      const result = await provider.stream('Say hello');
+
+      expect(onToken.mock.calls).toEqual([['Hel'], ['lo']]);
+      expect(result).toEqual({
+        text: 'Hello',
+        tokens: 2,
+        finishReason: 'stop',
+        usage: { total_tokens: 7 },
+        aborted: false
+      });
+      expect(onDone).toHaveBeenCalledWith(result);
+
+      const [request] = server.requests;
+      expect(request.url).toBe('/v1/chat/completions');
+      expect(request.headers.authorization).toBe('Bearer sk-test');
+      expect(request.body).toEqual({
+        temperature: 0.2,
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Say hello' }],
+        stream: true
+      });
+    });
+
+    test('should stream an Ollama NDJSON response', async () => {
+      server = await startMockServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        const line = obj => JSON.stringify(obj) + '\n';
+        writeChunks(res, [
+          line({ message: { role: 'assistant', content: 'Bon' }, done: false }),
+          line({ message: { role: 'assistant', content: 'jour' }, done: false }).slice(0, 5),
+          line({ message: { role: 'assistant', content: 'jour' }, done: false }).slice(5),
+          line({ message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', eval_count: 2 })
+        ]);
+      });
+      const onToken = jest.fn();
+      const provider = createLLMProvider({ type: ProviderType.OLLAMA, baseUrl: server.baseUrl, model: 'llama3' });
+      const messages = [{ role: 'system', content: 'Be French' }, { role: 'user', content: 'Hi' }];
+
+      const result = await provider.stream(messages, { onToken, params: { temperature: 0 } });
+
+      expect(onToken.mock.calls).toEqual([['Bon'], ['jour']]);
+      expect(result.text).toBe('Bonjour');
+      expect(result.finishReason).toBe('stop');
+      expect(result.usage.completion_tokens).toBe(2);
+      expect(server.requests[0].url).toBe('/api/chat');
+      expect(server.requests[0].body).toEqual({
+        model: 'llama3',
+        messages,
+        stream: true,
+        options: { temperature: 0 }
+      });
+    });
+
+    test('should reject on HTTP errors', async () => {
+      server = await startMockServer((req, res) => {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('model not found');
+      });
+      const onError = jest.fn();
+      const provider = createLLMProvider({ type: ProviderType.OLLAMA, baseUrl: server.baseUrl, model: 'x', onError });
+
+      await expect(provider.stream('hi')).rejects.toThrow('LLM request failed: 404 model not found');
+      expect(onError).toHaveBeenCalled();
+      expect(provider.isStreaming()).toBe(false);
+    });
+
+    test('should reject on error chunks', async () => {
+      server = await startMockServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        writeChunks(res, [sse(openAIChunk('a')), sse({ error: { message: 'overloaded' } })]);
+      });
+      const provider = createLLMProvider({ type: ProviderType.OPENAI, baseUrl: server.baseUrl, model: 'm' });
+
+      await expect(provider.stream('hi')).rejects.toThrow('overloaded');
+    });
+
+    describe('cancellation', () => {
+      let openResponses;
+
+      beforeEach(async () => {
+        openResponses = [];
+        server = await startMockServer((req, res) => {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(sse(openAIChunk('first')));
+          openResponses.push(res);
+        });
+      });
+
+      afterEach(() => {
+        openResponses.forEach(res => res.end());
+      });
+
+      test('should resolve as aborted through abort()', async () => {
+        const provider = createLLMProvider({ type: ProviderType.OPENAI, baseUrl: server.baseUrl, model: 'm' });
+        const tokens = [];
+
+        const pending = provider.stream('hi', {
+          onToken: (token) => {
+            tokens.push(token);
+            provider.abort();
+          }
+        });
+        expect(provider.isStreaming()).toBe(true);
+        const result = await pending;
+
+        expect(tokens).toEqual(['first']);
+        expect(result).toMatchObject({ text: 'first', aborted: true });
+        expect(provider.isStreaming()).toBe(false);
+      });
+
+      test('should resolve as aborted through a caller signal', async () => {
+        const provider = createLLMProvider({ type: ProviderType.OPENAI, baseUrl: server.baseUrl, model: 'm' });
+        const controller = new AbortController();
+
+        const result = await provider.stream('hi', {
+          signal: controller.signal,
+          onToken: () => controller.abort()
+        });
+
+        expect(result.aborted).toBe(true);
+      });
+
+      test('should not send a request for an already aborted signal', async () => {
+        const fetchSpy = jest.fn((url, init) => Promise.reject(Object.assign(new Error('aborted'), {
+          name: init.signal.aborted ? 'AbortError' : 'Error'
+        })));
+        const provider = createLLMProvider({ type: ProviderType.OPENAI, model: 'm', fetch: fetchSpy });
+        const controller = new AbortController();
+        controller.abort();
+
+        const result = await provider.stream('hi', { signal: controller.signal });
+
+        expect(result.aborted).toBe(true);
+        expect(fetchSpy.mock.calls[0][1].signal.aborted).toBe(true);
+      });
+    });
+  });
+});
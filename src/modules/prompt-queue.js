@@ -0,0 +1,353 @@
+/**
+ * Prompt Queue Module - Host-side queue for prompts sent by peers
+ *
+ * A peer's prompt carries a request ID chosen by the peer. The host
+ * queues it and runs one request at a time; every change (queue
+ * position, start with the stream ID of the answer, completion,
+ * cancellation, error) is reported back to the sender as a status
+ * message with the same request ID.
+ *
+ * @module prompt-queue
+ */
+
+import { generateRoomId } from './connection.js';
+import { RoleMessageType, isPromptMessage } from './roles.js';
+
+/**
+ * Status of a queued request
+ */
+export const RequestStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+/**
+ * Error codes reported with a failed request
+ */
+export const RequestError = {
+  INVALID: 'invalid-request',
+  QUEUE_FULL: 'queue-full',
+  TOO_MANY: 'too-many-requests',
+  GENERATION: 'generation-failed'
+};
+
+/**
+ * Default queue limits
+ */
+export const DEFAULT_QUEUE = {
+  maxQueued: 20,
+  maxPerPeer: 3
+};
+
+/**
+ * Creates a prompt request with a fresh request ID
+ * @param {string} text - Prompt text
+ * @param {Object} [extra] - Additional prompt fields
+ * @returns {Object} Prompt message with requestId
+ */
+export function createPromptRequest(text, extra = {}) {
+  if (typeof text !== 'string' || !text) {
+    throw new TypeError('Prompt text must be a non-empty string');
+  }
+  return { ...extra, type: RoleMessageType.PROMPT, text, requestId: generateRoomId() };
+}
+
+/**
+ * Creates the message withdrawing a request
+ * @param {string} requestId - Request ID
+ * @returns {Object} Cancel message
+ */
+export function createCancelMessage(requestId) {
+  return { type: RoleMessageType.CANCEL, requestId };
+}
+
+/**
+ * Checks whether a payload withdraws a request
+ * @param {any} message - Received payload
+ * @returns {boolean} True for cancel messages
+ */
+export function isCancelMessage(message) {
+  return !!message && typeof message === 'object' &&
+    message.type === RoleMessageType.CANCEL && typeof message.requestId === 'string';
+}
+
+/**
+ * Checks whether a payload reports a request's status
+ * @param {any} message - Received payload
+ * @returns {boolean} True for status messages
+ */
+export function isStatusMessage(message) {
+  return !!message && typeof message === 'object' &&
+    message.type === RoleMessageType.STATUS && typeof message.requestId === 'string' &&
+    Object.values(RequestStatus).includes(message.status);
+}
+
+/**
+ * Creates a host-side prompt queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.process - Runs a request: (request, { signal, setStreamId }) => Promise<result>;
+ *   a result with `aborted: true` counts as cancelled
+ * @param {number} options.maxQueued - Maximum number of waiting requests
+ * @param {number} options.maxPerPeer - Maximum waiting or running requests per peer
+ * @param {Function} options.onUpdate - Called with (peerId, statusMessage) on every change
+ * @returns {Object} Prompt queue
+ */
+export function createPromptQueue(options = {}) {
+  const config = {
+    maxQueued: options.maxQueued ?? DEFAULT_QUEUE.maxQueued,
+    maxPerPeer: options.maxPerPeer ?? DEFAULT_QUEUE.maxPerPeer
+  };
+
+  const callbacks = {
+    process: options.process || (() => Promise.reject(new Error('No prompt processor configured'))),
+    onUpdate: options.onUpdate || (() => {})
+  };
+
+  // Waiting requests in order
+  const queue = [];
+  // requestId -> request, for waiting and running requests
+  const requests = new Map();
+  let running = null;
+
+  /**
+   * Builds the status message for a request
+   * @param {Object} request - Request entry
+   * @returns {Object} Status message
+   */
+  function toStatus(request) {
+    const message = {
+      type: RoleMessageType.STATUS,
+      requestId: request.requestId,
+      status: request.status,
+      position: request.status === RequestStatus.QUEUED ? queue.indexOf(request) + 1 : 0,
+      streamId: request.streamId
+    };
+    if (request.error) {
+      message.error = request.error;
+      message.reason = request.reason;
+    }
+    return message;
+  }
+
+  /**
+   * Reports a request's status to its sender
+   * @param {Object} request - Request entry
+   */
+  function notify(request) {
+    callbacks.onUpdate(request.peerId, toStatus(request));
+  }
+
+  /**
+   * Rejects a request without queueing it
+   * @param {string} peerId - Sender
+   * @param {string} requestId - Request ID
+   * @param {string} error - RequestError value
+   * @returns {Object} Status message
+   */
+  function reject(peerId, requestId, error) {
+    const request = { peerId, requestId, status: RequestStatus.FAILED, streamId: null, error, reason: null };
+    notify(request);
+    return toStatus(request);
+  }
+
+  /**
+   * Counts a peer's waiting and running requests
+   * @param {string} peerId - Peer ID
+   * @returns {number} Request count
+   */
+  function countFor(peerId) {
+    let count = 0;
+    requests.forEach((request) => {
+      if (request.peerId === peerId) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Finishes a request and starts the next one
+   * @param {Object} request - Request entry
+   * @param {string} status - Final RequestStatus value
+   * @param {Object} [failure] - { error, reason } for failed requests
+   */
+  function finish(request, status, failure = {}) {
+    request.status = status;
+    request.error = failure.error || null;
+    request.reason = failure.reason || null;
+    requests.delete(request.requestId);
+    if (running === request) {
+      running = null;
+    }
+    notify(request);
+    pump();
+  }
+
+  /**
+   * Starts the next waiting request if none is running
+   */
+  function pump() {
+    if (running || queue.length === 0) return;
+
+    const request = queue.shift();
+    running = request;
+    request.status = RequestStatus.RUNNING;
+    notify(request);
+    queue.forEach(notify);
+
+    let result;
+    try {
+      result = Promise.resolve(callbacks.process(
+        { requestId: request.requestId, peerId: request.peerId, text: request.text, message: request.message },
+        {
+          signal: request.controller.signal,
+          setStreamId: (streamId) => {
+            if (running !== request) return;
+            request.streamId = streamId;
+            notify(request);
+          }
+        }
+      ));
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    result.then(
+      (value) => {
+        if (running !== request) return;
+        finish(request, value && value.aborted ? RequestStatus.CANCELLED : RequestStatus.DONE);
+      },
+      (error) => {
+        if (running !== request) return;
+        finish(request, RequestStatus.FAILED, { error: RequestError.GENERATION, reason: error.message });
+      }
+    );
+  }
+
+  /**
+   * Queues a prompt from a peer
+   * @param {string} peerId - Sender
+   * @param {Object} message - Prompt message with requestId
+   * @returns {Object} Status message for the request
+   */
+  function enqueue(peerId, message) {
+    const requestId = message && message.requestId;
+    if (!isPromptMessage(message) || typeof requestId !== 'string' || !requestId) {
+      return reject(peerId, typeof requestId === 'string' ? requestId : '', RequestError.INVALID);
+    }
+
+    const existing = requests.get(requestId);
+    if (existing) {
+      return existing.peerId === peerId ? toStatus(existing) : reject(peerId, requestId, RequestError.INVALID);
+    }
+    if (countFor(peerId) >= config.maxPerPeer) {
+      return reject(peerId, requestId, RequestError.TOO_MANY);
+    }
+    if (queue.length >= config.maxQueued) {
+      return reject(peerId, requestId, RequestError.QUEUE_FULL);
+    }
+
+    const request = {
+      peerId,
+      requestId,
+      text: message.text,
+      message,
+      status: RequestStatus.QUEUED,
+      streamId: null,
+      error: null,
+      reason: null,
+      controller: new AbortController()
+    };
+    requests.set(requestId, request);
+    queue.push(request);
+    notify(request);
+    pump();
+    return toStatus(request);
+  }
+
+  /**
+   * Cancels a waiting or running request
+   * @param {string} requestId - Request ID
+   * @param {string} [peerId] - Sender of the cancel; only the request's own peer may cancel it
+   * @returns {boolean} True if the request was cancelled
+   */
+  function cancel(requestId, peerId) {
+    const request = requests.get(requestId);
+    if (!request || (peerId !== undefined && request.peerId !== peerId)) {
+      return false;
+    }
+
+    const index = queue.indexOf(request);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      queue.slice(index).forEach(notify);
+    }
+    request.controller.abort();
+    finish(request, RequestStatus.CANCELLED);
+    return true;
+  }
+
+  /**
+   * Cancels every request of a peer that left
+   * @param {string} peerId - Peer ID
+   */
+  function removePeer(peerId) {
+    // Waiting requests first, so cancelling the running one starts no request of this peer
+    queue.filter(request => request.peerId === peerId)
+      .forEach(request => cancel(request.requestId));
+    if (running && running.peerId === peerId) {
+      cancel(running.requestId);
+    }
+  }
+
+  /**
+   * Gets a request's status
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} Status message, or null for unknown or finished requests
+   */
+  function getStatus(requestId) {
+    const request = requests.get(requestId);
+    return request ? toStatus(request) : null;
+  }
+
+  /**
+   * Lists waiting requests in order
+   * @returns {Object[]} Status messages
+   */
+  function getQueue() {
+    return queue.map(toStatus);
+  }
+
+  /**
+   * Gets the running request
+   * @returns {Object|null} Status message
+   */
+  function getRunning() {
+    return running ? toStatus(running) : null;
+  }
+
+  /**
+   * Cancels every request
+   */
+  function clear() {
+    queue.splice(0).forEach((request) => {
+      request.controller.abort();
+      finish(request, RequestStatus.CANCELLED);
+    });
+    if (running) {
+      cancel(running.requestId);
+    }
+  }
+
+  return {
+    enqueue,
+    cancel,
+    removePeer,
+    getStatus,
+    getQueue,
+    getRunning,
+    clear,
+    config
+  };
+}
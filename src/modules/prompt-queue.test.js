@@ -0,0 +1,234 @@
+/**
+ * Prompt Queue Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createPromptQueue,
+  createPromptRequest,
+  createCancelMessage,
+  isCancelMessage,
+  isStatusMessage,
+  RequestStatus,
+  RequestError,
+  DEFAULT_QUEUE
+} from './prompt-queue.js';
+import { RoleMessageType, getRequiredPermission, Permission } from './roles.js';
+
+/**
+ * Creates a processor whose requests finish when the test says so
+ * @returns {Object} { process, calls, resolve(index, value), reject(index, error) }
+ */
+function createDeferredProcessor() {
+  const calls = [];
+  const process = jest.fn((request, context) => new Promise((resolve, reject) => {
+    calls.push({ request, context, resolve, reject });
+  }));
+  return {
+    process,
+    calls,
+    resolve: (index, value = {}) => calls[index].resolve(value),
+    reject: (index, error) => calls[index].reject(error)
+  };
+}
+
+// Lets promise callbacks of the queue run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Prompt Queue Module', () => {
+  describe('messages', () => {
+    test('should create prompt requests with unique IDs', () => {
+      const first = createPromptRequest('Hi', { model: 'llama3' });
+      const second = createPromptRequest('Hi');
+
+      expect(first).toEqual({ type: RoleMessageType.PROMPT, text: 'Hi', model: 'llama3', requestId: expect.any(String) });
+      expect(first.requestId).not.toBe(second.requestId);
+      expect(() => createPromptRequest('')).toThrow(TypeError);
+    });
+
+    test('should recognise cancel and status messages', () => {
+      expect(isCancelMessage(createCancelMessage('r1'))).toBe(true);
+      expect(isCancelMessage({ type: RoleMessageType.CANCEL })).toBe(false);
+      expect(isStatusMessage({ type: RoleMessageType.STATUS, requestId: 'r1', status: RequestStatus.QUEUED })).toBe(true);
+      expect(isStatusMessage({ type: RoleMessageType.STATUS, requestId: 'r1', status: 'bogus' })).toBe(false);
+      expect(isStatusMessage(null)).toBe(false);
+    });
+
+    test('should only need the prompt permission', () => {
+      expect(getRequiredPermission(createCancelMessage('r1'))).toBe(Permission.PROMPT);
+      expect(getRequiredPermission(createPromptRequest('Hi'))).toBe(Permission.PROMPT);
+    });
+  });
+
+  describe('createPromptQueue', () => {
+    let processor;
+    let onUpdate;
+    let queue;
+
+    const updatesFor = requestId => onUpdate.mock.calls
+      .filter(([, update]) => update.requestId === requestId)
+      .map(([, update]) => update);
+
+    beforeEach(() => {
+      processor = createDeferredProcessor();
+      onUpdate = jest.fn();
+      queue = createPromptQueue({ process: processor.process, onUpdate });
+    });
+
+    test('should use default limits', () => {
+      expect(createPromptQueue().config).toEqual(DEFAULT_QUEUE);
+    });
+
+    test('should run the first request right away', () => {
+      const status = queue.enqueue('peer-1', { ...createPromptRequest('Hi'), requestId: 'r1' });
+
+      expect(status).toMatchObject({ requestId: 'r1', status: RequestStatus.RUNNING, position: 0 });
+      expect(processor.calls[0].request).toMatchObject({ requestId: 'r1', peerId: 'peer-1', text: 'Hi' });
+      expect(updatesFor('r1').map(update => update.status)).toEqual([RequestStatus.QUEUED, RequestStatus.RUNNING]);
+    });
+
+    test('should report queue positions and advance them', async () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-2', { ...createPromptRequest('b'), requestId: 'r2' });
+      queue.enqueue('peer-3', { ...createPromptRequest('c'), requestId: 'r3' });
+
+      expect(queue.getQueue().map(update => [update.requestId, update.position])).toEqual([['r2', 1], ['r3', 2]]);
+
+      processor.resolve(0);
+      await flush();
+
+      expect(updatesFor('r1').pop().status).toBe(RequestStatus.DONE);
+      expect(queue.getRunning().requestId).toBe('r2');
+      expect(updatesFor('r3').pop()).toMatchObject({ status: RequestStatus.QUEUED, position: 1 });
+      expect(onUpdate).toHaveBeenCalledWith('peer-3', expect.objectContaining({ requestId: 'r3' }));
+    });
+
+    test('should report the stream ID of the answer', () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      processor.calls[0].context.setStreamId('stream-1');
+
+      expect(queue.getStatus('r1').streamId).toBe('stream-1');
+      expect(updatesFor('r1').pop()).toMatchObject({ status: RequestStatus.RUNNING, streamId: 'stream-1' });
+    });
+
+    test('should reply with an error when processing fails', async () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-1', { ...createPromptRequest('b'), requestId: 'r2' });
+
+      processor.reject(0, new Error('model not found'));
+      await flush();
+
+      expect(updatesFor('r1').pop()).toMatchObject({
+        status: RequestStatus.FAILED,
+        error: RequestError.GENERATION,
+        reason: 'model not found'
+      });
+      expect(queue.getRunning().requestId).toBe('r2');
+    });
+
+    test('should fail requests when processing throws synchronously', async () => {
+      queue = createPromptQueue({ process: () => { throw new Error('boom'); }, onUpdate });
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      await flush();
+
+      expect(updatesFor('r1').pop()).toMatchObject({ status: RequestStatus.FAILED, reason: 'boom' });
+    });
+
+    test('should reject invalid prompts', () => {
+      expect(queue.enqueue('peer-1', { type: RoleMessageType.PROMPT, text: 'no id' }))
+        .toMatchObject({ status: RequestStatus.FAILED, error: RequestError.INVALID });
+      expect(queue.enqueue('peer-1', { type: RoleMessageType.PROMPT, requestId: 'r1' }))
+        .toMatchObject({ requestId: 'r1', status: RequestStatus.FAILED, error: RequestError.INVALID });
+      expect(processor.process).not.toHaveBeenCalled();
+    });
+
+    test('should ignore resent requests and reject reused IDs', () => {
+      const request = { ...createPromptRequest('a'), requestId: 'r1' };
+      queue.enqueue('peer-1', request);
+
+      expect(queue.enqueue('peer-1', request).status).toBe(RequestStatus.RUNNING);
+      expect(queue.enqueue('peer-2', request).error).toBe(RequestError.INVALID);
+      expect(processor.process).toHaveBeenCalledTimes(1);
+    });
+
+    test('should enforce the per-peer and queue limits', () => {
+      queue = createPromptQueue({ process: processor.process, onUpdate, maxPerPeer: 2, maxQueued: 2 });
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-1', { ...createPromptRequest('b'), requestId: 'r2' });
+
+      expect(queue.enqueue('peer-1', { ...createPromptRequest('c'), requestId: 'r3' }).error)
+        .toBe(RequestError.TOO_MANY);
+
+      queue.enqueue('peer-2', { ...createPromptRequest('d'), requestId: 'r4' });
+      expect(queue.enqueue('peer-3', { ...createPromptRequest('e'), requestId: 'r5' }).error)
+        .toBe(RequestError.QUEUE_FULL);
+    });
+
+    test('should cancel waiting requests', () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-2', { ...createPromptRequest('b'), requestId: 'r2' });
+      queue.enqueue('peer-3', { ...createPromptRequest('c'), requestId: 'r3' });
+
+      expect(queue.cancel('r2', 'peer-3')).toBe(false);
+      expect(queue.cancel('r2', 'peer-2')).toBe(true);
+
+      expect(updatesFor('r2').pop().status).toBe(RequestStatus.CANCELLED);
+      expect(updatesFor('r3').pop().position).toBe(1);
+      expect(queue.getStatus('r2')).toBeNull();
+    });
+
+    test('should abort and replace a cancelled running request', async () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-2', { ...createPromptRequest('b'), requestId: 'r2' });
+      const { signal } = processor.calls[0].context;
+
+      queue.cancel('r1', 'peer-1');
+      processor.resolve(0, { aborted: true });
+      await flush();
+
+      expect(signal.aborted).toBe(true);
+      expect(updatesFor('r1').map(update => update.status).filter(s => s === RequestStatus.CANCELLED)).toHaveLength(1);
+      expect(queue.getRunning().requestId).toBe('r2');
+    });
+
+    test('should report aborted results as cancelled', async () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      processor.resolve(0, { aborted: true });
+      await flush();
+
+      expect(updatesFor('r1').pop().status).toBe(RequestStatus.CANCELLED);
+    });
+
+    test('should drop all requests of a peer that left', () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-1', { ...createPromptRequest('b'), requestId: 'r2' });
+      queue.enqueue('peer-2', { ...createPromptRequest('c'), requestId: 'r3' });
+
+      queue.removePeer('peer-1');
+
+      expect(processor.process).toHaveBeenCalledTimes(2);
+      expect(processor.calls[1].request.requestId).toBe('r3');
+      expect(queue.getQueue()).toEqual([]);
+    });
+
+    test('should cancel everything on clear without starting waiting requests', () => {
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      queue.enqueue('peer-2', { ...createPromptRequest('b'), requestId: 'r2' });
+
+      queue.clear();
+
+      expect(processor.process).toHaveBeenCalledTimes(1);
+      expect(queue.getRunning()).toBeNull();
+      expect(updatesFor('r2').pop().status).toBe(RequestStatus.CANCELLED);
+    });
+
+    test('should fail requests without a processor', async () => {
+      queue = createPromptQueue({ onUpdate });
+      queue.enqueue('peer-1', { ...createPromptRequest('a'), requestId: 'r1' });
+      await flush();
+
+      expect(updatesFor('r1').pop()).toMatchObject({ status: RequestStatus.FAILED, error: RequestError.GENERATION });
+    });
+  });
+});
@@ -5,6 +5,8 @@
  * @module qrcode
  */
 
+import { isValidRole } from './roles.js';
+
 /**
  * QR Code configuration defaults
  */
@@ -23,6 +25,9 @@ export const QR_CONFIG = {
  * @typedef {Object} SessionData
  * @property {string} roomId - Unique room identifier
  * @property {string} [encryptionKey] - Optional encryption key
+ * @property {string} [hostFingerprint] - Optional host identity fingerprint
+ * @property {string} [role] - Role the code grants (viewer when omitted)
+ * @property {string} [roleToken] - Invite token the joiner redeems for that role
  * @property {number} timestamp - Creation timestamp
  * @property {string} version - Protocol version
  */
@@ -37,6 +42,9 @@ export const PROTOCOL_VERSION = '1.0';
  * @param {string} roomId - Room ID to encode
  * @param {Object} options - Additional options
  * @param {string} options.encryptionKey - Optional encryption key
+ * @param {string} options.hostFingerprint - Optional fingerprint of the host's identity key
+ * @param {string} options.role - Optional role granted by this code
+ * @param {string} options.roleToken - Optional invite token for that role
  * @returns {SessionData} Session data object
  */
 export function createSessionData(roomId, options = {}) {
@@ -47,6 +55,9 @@ export function createSessionData(roomId, options = {}) {
   return {
     roomId,
     encryptionKey: options.encryptionKey || null,
+    hostFingerprint: options.hostFingerprint || null,
+    role: options.role || null,
+    roleToken: options.roleToken || null,
     timestamp: Date.now(),
     version: PROTOCOL_VERSION
   };
@@ -136,6 +147,10 @@ export function validateSessionData(sessionData) {
     errors.push('timestamp is required and must be a number');
   }
   
+  if (sessionData.role != null && !isValidRole(sessionData.role)) {
+    errors.push(`Unknown role: ${sessionData.role}`);
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -237,6 +252,9 @@ export function createQRManager(qrcodeLib = null) {
 
   /**
    * Creates a shareable URL with session data
+   * The data goes in the fragment, which browsers never send to the
+   * server, so the encryption key and invite token stay out of server
+   * logs and Referer headers.
    * @param {string} baseUrl - Base URL of the application
    * @param {string} roomId - Room ID
    * @param {Object} options - Options
@@ -246,7 +264,7 @@ export function createQRManager(qrcodeLib = null) {
     const sessionData = createSessionData(roomId, options);
     const encoded = encodeSessionData(sessionData);
     const url = new URL(baseUrl);
-    url.searchParams.set('session', encoded);
+    url.hash = new URLSearchParams({ session: encoded }).toString();
     return url.toString();
   }
 
@@ -258,7 +276,7 @@ export function createQRManager(qrcodeLib = null) {
   function parseFromUrl(url) {
     try {
       const urlObj = new URL(url);
-      const encoded = urlObj.searchParams.get('session');
+      const encoded = new URLSearchParams(urlObj.hash.slice(1)).get('session');
       if (!encoded) return null;
       return parse(encoded);
     } catch {
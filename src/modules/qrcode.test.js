@@ -47,6 +47,19 @@ describe('QR Code Module', () => {
       expect(data.encryptionKey).toBe('secret');
     });
 
+    test('should include host fingerprint when provided', () => {
+      const data = createSessionData('room-123', { hostFingerprint: 'fp' });
+      expect(data.hostFingerprint).toBe('fp');
+      expect(createSessionData('room-123').hostFingerprint).toBeNull();
+    });
+
+    test('should include role and invite token when provided', () => {
+      const data = createSessionData('room-123', { role: 'editor', roleToken: 'token' });
+      expect(data.role).toBe('editor');
+      expect(data.roleToken).toBe('token');
+      expect(createSessionData('room-123').role).toBeNull();
+    });
+
     test('should set null encryption key when not provided', () => {
       const data = createSessionData('room-123');
       expect(data.encryptionKey).toBeNull();
@@ -125,6 +138,13 @@ describe('QR Code Module', () => {
       expect(result.errors.some(e => e.includes('roomId'))).toBe(true);
     });
 
+    test('should reject unknown roles', () => {
+      const result = validateSessionData(createSessionData('room-123', { role: 'admin' }));
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Unknown role: admin');
+    });
+
     test('should reject missing version', () => {
       const result = validateSessionData({ roomId: 'test', timestamp: Date.now() });
       
@@ -262,13 +282,23 @@ describe('QR Code Module', () => {
         const url = qrManager.createShareUrl('https://example.com', 'room-123');
         
         expect(url).toContain('https://example.com');
-        expect(url).toContain('session=');
+        expect(url).toContain('#session=');
+      });
+
+      test('should keep session data out of the query string', () => {
+        const url = new URL(qrManager.createShareUrl('https://example.com/app?lang=en', 'room-123', {
+          encryptionKey: 'secret-key',
+          roleToken: 'secret-token'
+        }));
+        
+        expect(url.search).toBe('?lang=en');
+        expect(url.searchParams.has('session')).toBe(false);
       });
 
       test('should include room ID in encoded session', () => {
         const url = qrManager.createShareUrl('https://example.com', 'room-123');
         const urlObj = new URL(url);
-        const encoded = urlObj.searchParams.get('session');
+        const encoded = new URLSearchParams(urlObj.hash.slice(1)).get('session');
         const decoded = decodeSessionData(encoded);
         
         expect(decoded.roomId).toBe('room-123');
@@ -283,6 +313,18 @@ describe('QR Code Module', () => {
         expect(sessionData.roomId).toBe('room-123');
       });
 
+      test('should keep secrets intact through the fragment', () => {
+        const shareUrl = qrManager.createShareUrl('https://example.com', 'room-123', { encryptionKey: 'a+b/c==' });
+        
+        expect(qrManager.parseFromUrl(shareUrl).encryptionKey).toBe('a+b/c==');
+      });
+
+      test('should not read session data from the query string', () => {
+        const encoded = encodeSessionData(createSessionData('room-123'));
+        const result = qrManager.parseFromUrl('https://example.com/?session=' + encodeURIComponent(encoded));
+        expect(result).toBeNull();
+      });
+
       test('should return null for URL without session', () => {
         const result = qrManager.parseFromUrl('https://example.com');
         expect(result).toBeNull();
@@ -0,0 +1,396 @@
+/**
+ * Quota Module
+ * Storage quota awareness and eviction
+ *
+ * Usage is accounted per storage namespace (sessions, documents,
+ * history, ...) and compared with the quota reported by
+ * navigator.storage.estimate, or a fixed limit for backends such as
+ * localStorage that have their own. Crossing the warning ratio is
+ * reported before writes start failing, and eviction policies free
+ * space in a configurable order. Sizes come from the adapter's sizeOf
+ * (UTF-16 for Web Storage, over every key of the origin) or are
+ * estimated from the serialized value, so usage is approximate.
+ *
+ * @module quota
+ */
+
+import { byteLength } from './batching.js';
+import { dropHistoryEntries } from './history.js';
+import { STORAGE_KEYS, toAsyncAdapter } from './storage.js';
+
+/**
+ * Eviction policies, run in the configured order
+ */
+export const EvictionPolicy = {
+  // Drop the oldest history entries across documents first
+  OLDEST_HISTORY: 'oldest-history',
+  // Drop least recently saved sessions with their document and history
+  LRU_SESSIONS: 'lru-sessions'
+};
+
+/**
+ * Quota levels reported by check()
+ */
+export const QuotaLevel = {
+  OK: 'ok',
+  WARNING: 'warning',
+  EXCEEDED: 'exceeded'
+};
+
+/**
+ * Default quota options
+ */
+export const DEFAULT_QUOTA = {
+  // Typical localStorage limit, used when no estimate is available
+  quota: 5 * 1024 * 1024,
+  warnAt: 0.8,
+  targetRatio: 0.7,
+  checkInterval: 5000,
+  keepHistory: 1,
+  // Sessions are only evicted when LRU_SESSIONS is asked for
+  policies: [EvictionPolicy.OLDEST_HISTORY]
+};
+
+/**
+ * Checks whether an error means the storage quota is exhausted
+ * @param {any} error - Thrown error
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Estimates the stored size of a value in bytes
+ * @param {any} value - Stored value
+ * @returns {number} Approximate byte size
+ */
+export function estimateSize(value) {
+  if (value === null || value === undefined) return 0;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+  try {
+    return byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Finds the namespace a storage key belongs to
+ * @param {string} key - Storage key
+ * @returns {string} Lower-case STORAGE_KEYS name, or 'other'
+ */
+export function getNamespace(key) {
+  const entry = Object.entries(STORAGE_KEYS)
+    .find(([, prefix]) => key === prefix || key.startsWith(prefix + '_'));
+  return entry ? entry[0].toLowerCase() : 'other';
+}
+
+/**
+ * Measures what a stored item occupies
+ * @param {Object} storage - Async storage adapter
+ * @param {string} key - Storage key
+ * @returns {Promise<number>} Bytes from the adapter's sizeOf, else estimated
+ */
+async function sizeOfKey(storage, key) {
+  if (typeof storage.sizeOf === 'function') {
+    return storage.sizeOf(key);
+  }
+  const value = await storage.get(key);
+  return value === null || value === undefined ? 0 : byteLength(key) + estimateSize(value);
+}
+
+/**
+ * Measures stored bytes per namespace
+ * @param {Object} adapter - Storage adapter with keys()
+ * @returns {Promise<Object>} { total, namespaces, keys: Map(key -> bytes) }
+ */
+export async function measureUsage(adapter) {
+  const storage = toAsyncAdapter(adapter);
+  const namespaces = {};
+  const sizes = new Map();
+  let total = 0;
+
+  const keys = typeof storage.keys === 'function' ? await storage.keys() : [];
+  for (const key of keys) {
+    const bytes = await sizeOfKey(storage, key);
+    const namespace = getNamespace(key);
+    namespaces[namespace] = (namespaces[namespace] || 0) + bytes;
+    sizes.set(key, bytes);
+    total += bytes;
+  }
+  return { total, namespaces, keys: sizes };
+}
+
+/**
+ * Asks the browser how much storage the origin uses and may use
+ * @param {Object} [nav] - Navigator (default globalThis.navigator)
+ * @returns {Promise<Object|null>} { usage, quota }, or null without an estimate
+ */
+export async function estimateQuota(nav = globalThis.navigator) {
+  if (!nav || !nav.storage || typeof nav.storage.estimate !== 'function') {
+    return null;
+  }
+  try {
+    const { usage, quota } = await nav.storage.estimate();
+    return Number.isFinite(quota) ? { usage: usage || 0, quota } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a quota manager for a storage adapter
+ * @param {Object} options - Quota options
+ * @param {Object} options.adapter - Storage adapter, synchronous or Promise-returning
+ * @param {number} options.quota - Fixed quota in bytes; without it navigator.storage.estimate is used,
+ *   falling back to DEFAULT_QUOTA.quota
+ * @param {Object} options.navigator - Navigator for estimates (default globalThis.navigator)
+ * @param {number} options.warnAt - Usage ratio that triggers onWarning
+ * @param {number} options.targetRatio - Usage ratio eviction frees space down to
+ * @param {number} options.checkInterval - ms during which check() reuses its last result
+ * @param {number} options.keepHistory - History entries per document the history policy keeps
+ * @param {string[]} options.policies - EvictionPolicy values in the order they run (default DEFAULT_QUOTA.policies)
+ * @param {Function} options.isProtected - Called with (sessionId); true keeps the session from eviction
+ * @param {Function} options.onWarning - Called with (status) when usage crosses warnAt, and with
+ *   (status & { failedWrite: { key, error } }) when a guarded write fails even after eviction
+ * @param {Function} options.onEvict - Called with (evicted entries) after an eviction
+ * @returns {Object} Quota manager
+ */
+export function createQuotaManager(options = {}) {
+  const adapter = toAsyncAdapter(options.adapter);
+
+  const config = {
+    quota: options.quota ?? null,
+    warnAt: options.warnAt ?? DEFAULT_QUOTA.warnAt,
+    targetRatio: options.targetRatio ?? DEFAULT_QUOTA.targetRatio,
+    checkInterval: options.checkInterval ?? DEFAULT_QUOTA.checkInterval,
+    keepHistory: options.keepHistory ?? DEFAULT_QUOTA.keepHistory,
+    policies: options.policies || DEFAULT_QUOTA.policies
+  };
+  config.policies.forEach((policy) => {
+    if (!Object.values(EvictionPolicy).includes(policy)) {
+      throw new RangeError('Unknown eviction policy: ' + policy);
+    }
+  });
+
+  const callbacks = {
+    isProtected: options.isProtected || (() => false),
+    onWarning: options.onWarning || (() => {}),
+    onEvict: options.onEvict || (() => {})
+  };
+
+  let lastStatus = null;
+  let lastCheckAt = 0;
+  let warned = false;
+
+  /**
+   * Determines usage and quota
+   * @returns {Promise<Object>} Status { usage, quota, ratio, level, namespaces, source }
+   */
+  async function measure() {
+    const measured = await measureUsage(adapter);
+    const estimate = config.quota === null ? await estimateQuota(options.navigator) : null;
+
+    const quota = config.quota ?? (estimate ? estimate.quota : DEFAULT_QUOTA.quota);
+    const usage = estimate ? Math.max(estimate.usage, measured.total) : measured.total;
+    const ratio = quota > 0 ? usage / quota : 1;
+    return {
+      usage,
+      quota,
+      ratio,
+      level: ratio >= 1 ? QuotaLevel.EXCEEDED : ratio >= config.warnAt ? QuotaLevel.WARNING : QuotaLevel.OK,
+      namespaces: measured.namespaces,
+      source: config.quota !== null ? 'fixed' : estimate ? 'estimate' : 'default'
+    };
+  }
+
+  /**
+   * Checks usage and warns once each time it crosses the warning ratio
+   * @param {Object} [checkOptions] - { force } to skip the check interval
+   * @returns {Promise<Object>} Status { usage, quota, ratio, level, namespaces, source }
+   */
+  async function check(checkOptions = {}) {
+    if (!checkOptions.force && lastStatus && Date.now() - lastCheckAt < config.checkInterval) {
+      return lastStatus;
+    }
+    const status = await measure();
+    lastStatus = status;
+    lastCheckAt = Date.now();
+
+    if (status.level === QuotaLevel.OK) {
+      warned = false;
+    } else if (!warned) {
+      warned = true;
+      callbacks.onWarning(status);
+    }
+    return status;
+  }
+
+  /**
+   * Drops the oldest history entries across documents
+   * @param {number} needed - Bytes to free
+   * @returns {Promise<Object[]>} Evicted entries
+   */
+  async function evictHistory(needed) {
+    const prefix = STORAGE_KEYS.HISTORY + '_';
+    const histories = [];
+    for (const key of await adapter.keys(prefix)) {
+      const entries = await adapter.get(key);
+      if (Array.isArray(entries)) histories.push({ key, entries, dropped: 0 });
+    }
+
+    // Every entry a document can spare, oldest first
+    const candidates = [];
+    histories.forEach((history) => {
+      history.entries.slice(0, Math.max(0, history.entries.length - config.keepHistory))
+        .forEach(entry => candidates.push({ history, timestamp: entry.timestamp || 0, bytes: estimateSize(entry) }));
+    });
+    candidates.sort((a, b) => a.timestamp - b.timestamp);
+
+    const evicted = [];
+    let freed = 0;
+    for (const candidate of candidates) {
+      if (freed >= needed) break;
+      candidate.history.dropped++;
+      freed += candidate.bytes;
+    }
+
+    for (const history of histories) {
+      if (history.dropped === 0) continue;
+      // The first kept entry becomes a checkpoint, which can take back some of the space
+      const kept = dropHistoryEntries(history.entries, history.dropped);
+      const bytes = Math.max(0, estimateSize(history.entries) - estimateSize(kept));
+      if (kept.length > 0) {
+        await adapter.set(history.key, kept);
+      } else {
+        await adapter.remove(history.key);
+      }
+      evicted.push({ policy: EvictionPolicy.OLDEST_HISTORY, key: history.key, entries: history.dropped, bytes });
+    }
+    return evicted;
+  }
+
+  /**
+   * Drops least recently saved sessions with their document and history
+   * @param {number} needed - Bytes to free
+   * @returns {Promise<Object[]>} Evicted entries
+   */
+  async function evictSessions(needed) {
+    const prefix = STORAGE_KEYS.SESSION + '_';
+    const sessions = [];
+    for (const key of await adapter.keys(prefix)) {
+      const id = key.slice(prefix.length);
+      const record = await adapter.get(key);
+      if (!callbacks.isProtected(id)) {
+        sessions.push({ id, key, record, savedAt: (record && record.savedAt) || 0 });
+      }
+    }
+    sessions.sort((a, b) => a.savedAt - b.savedAt);
+
+    const evicted = [];
+    let freed = 0;
+    for (const session of sessions) {
+      if (freed >= needed) break;
+      const docId = (session.record && session.record.roomId) || session.id;
+      const keys = [session.key, STORAGE_KEYS.DOCUMENT + '_' + docId, STORAGE_KEYS.HISTORY + '_' + docId];
+
+      let bytes = 0;
+      for (const key of keys) {
+        const size = await sizeOfKey(adapter, key);
+        if (size === 0) continue;
+        bytes += size;
+        await adapter.remove(key);
+      }
+      freed += bytes;
+      evicted.push({ policy: EvictionPolicy.LRU_SESSIONS, key: session.key, sessionId: session.id, bytes });
+    }
+    return evicted;
+  }
+
+  /**
+   * Frees space by running the eviction policies in order
+   * @param {Object} [evictOptions] - { bytes } to free at least this much
+   * @returns {Promise<Object[]>} Evicted entries { policy, key, bytes, ... }
+   */
+  async function evict(evictOptions = {}) {
+    const status = await check({ force: true });
+    let needed = Math.max(
+      evictOptions.bytes || 0,
+      status.usage - Math.floor(status.quota * config.targetRatio)
+    );
+
+    const evicted = [];
+    for (const policy of config.policies) {
+      if (needed <= 0) break;
+      const entries = policy === EvictionPolicy.OLDEST_HISTORY
+        ? await evictHistory(needed)
+        : await evictSessions(needed);
+      entries.forEach((entry) => {
+        needed -= entry.bytes;
+        evicted.push(entry);
+      });
+    }
+
+    if (evicted.length > 0) {
+      await check({ force: true });
+      callbacks.onEvict(evicted);
+    }
+    return evicted;
+  }
+
+  /**
+   * Attempts a write, turning quota errors into a failed result
+   * @param {string} key - Storage key
+   * @param {any} value - Value to store
+   * @returns {Promise<Object>} { result, error }
+   */
+  async function tryWrite(key, value) {
+    try {
+      return { result: await adapter.set(key, value), error: null };
+    } catch (error) {
+      if (!isQuotaError(error)) throw error;
+      return { result: false, error };
+    }
+  }
+
+  /**
+   * Wraps the adapter so a write that fails gets one retry after an eviction;
+   * a write that still fails is reported through onWarning
+   * @returns {Object} Async storage adapter
+   */
+  function guard() {
+    const guarded = { ...adapter };
+
+    guarded.set = async (key, value) => {
+      let attempt = await tryWrite(key, value);
+      if (attempt.result !== false) return attempt.result;
+
+      const evicted = await evict({ bytes: byteLength(key) + estimateSize(value) });
+      if (evicted.length > 0) {
+        attempt = await tryWrite(key, value);
+        if (attempt.result !== false) return attempt.result;
+      }
+
+      const status = await check({ force: true });
+      callbacks.onWarning({
+        ...status,
+        level: QuotaLevel.EXCEEDED,
+        failedWrite: { key, error: attempt.error }
+      });
+      return false;
+    };
+    return guarded;
+  }
+
+  return {
+    check,
+    evict,
+    guard,
+    config
+  };
+}
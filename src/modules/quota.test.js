@@ -0,0 +1,367 @@
+/**
+ * Quota Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createQuotaManager,
+  estimateQuota,
+  measureUsage,
+  estimateSize,
+  getNamespace,
+  isQuotaError,
+  EvictionPolicy,
+  QuotaLevel,
+  DEFAULT_QUOTA
+} from './quota.js';
+import { appendHistory, rebuildState } from './history.js';
+import { createStorageAdapter, STORAGE_KEYS } from './storage.js';
+
+/**
+ * Creates a Web Storage-like backend that throws once it holds more than a limit
+ * @param {number} limit - Bytes of keys and values it accepts
+ * @returns {Object} Backend for createStorageAdapter
+ */
+function createLimitedBackend(limit) {
+  const store = new Map();
+  const used = () => Array.from(store).reduce((sum, [key, value]) => sum + key.length + value.length, 0);
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => {
+      const previous = store.has(key) ? key.length + store.get(key).length : 0;
+      if (used() - previous + key.length + value.length > limit) {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+      store.set(key, value);
+    },
+    removeItem: key => store.delete(key),
+    clear: () => store.clear(),
+    keys: () => Array.from(store.keys())
+  };
+}
+
+describe('Quota Module', () => {
+  describe('isQuotaError', () => {
+    test('should recognize quota errors by name and code', () => {
+      expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+      expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+      expect(isQuotaError({ code: 22 })).toBe(true);
+      expect(isQuotaError(new Error('other'))).toBe(false);
+      expect(isQuotaError(null)).toBe(false);
+    });
+  });
+
+  describe('estimateSize', () => {
+    test('should count UTF-8 bytes of serialized values', () => {
+      expect(estimateSize('é')).toBe(2);
+      expect(estimateSize({ a: 1 })).toBe(7);
+      expect(estimateSize(null)).toBe(0);
+    });
+
+    test('should count binary data by its byte length', () => {
+      expect(estimateSize(new Uint8Array(12))).toBe(12);
+    });
+  });
+
+  describe('getNamespace', () => {
+    test('should map keys to their STORAGE_KEYS namespace', () => {
+      expect(getNamespace(STORAGE_KEYS.SESSION + '_room')).toBe('session');
+      expect(getNamespace(STORAGE_KEYS.HISTORY + '_room')).toBe('history');
+      expect(getNamespace(STORAGE_KEYS.SETTINGS)).toBe('settings');
+      expect(getNamespace('unrelated')).toBe('other');
+    });
+  });
+
+  describe('measureUsage', () => {
+    test('should account bytes per namespace', async () => {
+      const adapter = createStorageAdapter();
+      adapter.set(STORAGE_KEYS.SESSION + '_a', { id: 'a' });
+      adapter.set(STORAGE_KEYS.DOCUMENT + '_a', { state: 'text' });
+      adapter.set('other_key', 1);
+
+      const usage = await measureUsage(adapter);
+
+      expect(usage.namespaces.session).toBe(adapter.sizeOf(STORAGE_KEYS.SESSION + '_a'));
+      expect(usage.namespaces.document).toBe(adapter.sizeOf(STORAGE_KEYS.DOCUMENT + '_a'));
+      expect(usage.namespaces.other).toBe(('other_key'.length + 1) * 2);
+      expect(usage.total).toBe(usage.namespaces.session + usage.namespaces.document + usage.namespaces.other);
+    });
+
+    test('should size values itself for adapters without sizeOf', async () => {
+      const store = new Map([['p2p_settings', { theme: 'dark' }]]);
+      const adapter = {
+        get: async key => store.get(key) ?? null,
+        keys: async () => Array.from(store.keys())
+      };
+
+      const usage = await measureUsage(adapter);
+
+      expect(usage.total).toBe('p2p_settings'.length + JSON.stringify({ theme: 'dark' }).length);
+    });
+  });
+
+  describe('estimateQuota', () => {
+    test('should use navigator.storage.estimate', async () => {
+      const nav = { storage: { estimate: async () => ({ usage: 10, quota: 100 }) } };
+      await expect(estimateQuota(nav)).resolves.toEqual({ usage: 10, quota: 100 });
+    });
+
+    test('should return null without an estimate', async () => {
+      await expect(estimateQuota({})).resolves.toBeNull();
+      await expect(estimateQuota({ storage: { estimate: async () => { throw new Error('denied'); } } }))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('createQuotaManager', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = createStorageAdapter();
+    });
+
+    test('should reject unknown eviction policies', () => {
+      expect(() => createQuotaManager({ adapter, policies: ['newest'] })).toThrow(RangeError);
+    });
+
+    test('should report usage against a fixed quota', async () => {
+      adapter.set('p2p_settings', { theme: 'dark' });
+      const quota = createQuotaManager({ adapter, quota: 1000 });
+
+      const status = await quota.check();
+
+      expect(status.source).toBe('fixed');
+      expect(status.quota).toBe(1000);
+      expect(status.usage).toBe(adapter.sizeOf('p2p_settings'));
+      expect(status.level).toBe(QuotaLevel.OK);
+    });
+
+    test('should use the navigator estimate without a fixed quota', async () => {
+      const nav = { storage: { estimate: async () => ({ usage: 900, quota: 1000 }) } };
+      const quota = createQuotaManager({ adapter, navigator: nav });
+
+      const status = await quota.check();
+
+      expect(status.source).toBe('estimate');
+      expect(status.usage).toBe(900);
+      expect(status.level).toBe(QuotaLevel.WARNING);
+    });
+
+    test('should fall back to the default quota', async () => {
+      const quota = createQuotaManager({ adapter, navigator: {} });
+      const status = await quota.check();
+      expect(status.source).toBe('default');
+      expect(status.quota).toBe(DEFAULT_QUOTA.quota);
+    });
+
+    test('should warn once each time usage crosses the warning ratio', async () => {
+      const onWarning = jest.fn();
+      const quota = createQuotaManager({ adapter, quota: 200, warnAt: 0.5, onWarning });
+
+      adapter.set('p2p_settings', 'x'.repeat(60));
+      await quota.check({ force: true });
+      await quota.check({ force: true });
+      expect(onWarning).toHaveBeenCalledTimes(1);
+      expect(onWarning.mock.calls[0][0].level).toBe(QuotaLevel.WARNING);
+
+      adapter.remove('p2p_settings');
+      await quota.check({ force: true });
+      adapter.set('p2p_settings', 'x'.repeat(200));
+      await quota.check({ force: true });
+      expect(onWarning).toHaveBeenCalledTimes(2);
+      expect(onWarning.mock.calls[1][0].level).toBe(QuotaLevel.EXCEEDED);
+    });
+
+    test('should reuse the last status within the check interval', async () => {
+      const quota = createQuotaManager({ adapter, quota: 1000, checkInterval: 60000 });
+      const first = await quota.check();
+      adapter.set('p2p_settings', 'x'.repeat(100));
+
+      expect(await quota.check()).toBe(first);
+      expect((await quota.check({ force: true })).usage).toBeGreaterThan(first.usage);
+    });
+
+    describe('eviction', () => {
+      const historyKey = id => STORAGE_KEYS.HISTORY + '_' + id;
+      const sessionKey = id => STORAGE_KEYS.SESSION + '_' + id;
+      const documentKey = id => STORAGE_KEYS.DOCUMENT + '_' + id;
+      const entry = (timestamp, size = 100) => ({ state: 'x'.repeat(size), timestamp, version: 0 });
+
+      test('should drop the oldest history entries across documents first', async () => {
+        adapter.set(historyKey('a'), [entry(1), entry(4)]);
+        adapter.set(historyKey('b'), [entry(2), entry(3), entry(5)]);
+        const onEvict = jest.fn();
+        const quota = createQuotaManager({
+          adapter,
+          quota: 10000,
+          policies: [EvictionPolicy.OLDEST_HISTORY],
+          onEvict
+        });
+
+        const evicted = await quota.evict({ bytes: 200 });
+
+        expect(adapter.get(historyKey('a')).map(item => item.timestamp)).toEqual([4]);
+        expect(adapter.get(historyKey('b')).map(item => item.timestamp)).toEqual([3, 5]);
+        expect(evicted.map(item => item.entries)).toEqual([1, 1]);
+        expect(onEvict).toHaveBeenCalledWith(evicted);
+      });
+
+      test('should keep delta-encoded history restorable', async () => {
+        const states = [1, 2, 3, 4].map(i => ({ text: 'x'.repeat(200 + i), version: i }));
+        adapter.set(historyKey('a'), states.reduce((entries, state, i) => appendHistory(entries, state, {}, i + 1), []));
+        const quota = createQuotaManager({ adapter, quota: 10000, policies: [EvictionPolicy.OLDEST_HISTORY] });
+
+        await quota.evict({ bytes: 1 });
+
+        const kept = adapter.get(historyKey('a'));
+        expect(kept).toHaveLength(3);
+        expect(rebuildState(kept, 2)).toEqual(states[3]);
+      });
+
+      test('should keep the newest history entries of each document', async () => {
+        adapter.set(historyKey('a'), [entry(1), entry(2)]);
+        const quota = createQuotaManager({
+          adapter,
+          quota: 10000,
+          keepHistory: 1,
+          policies: [EvictionPolicy.OLDEST_HISTORY]
+        });
+
+        await quota.evict({ bytes: 10000 });
+
+        expect(adapter.get(historyKey('a')).map(item => item.timestamp)).toEqual([2]);
+      });
+
+      test('should drop least recently saved sessions with their document and history', async () => {
+        ['old', 'new', 'current'].forEach((id, index) => {
+          adapter.set(sessionKey(id), { roomId: id, savedAt: index + 1 });
+          adapter.set(documentKey(id), { state: 'x'.repeat(100) });
+          adapter.set(historyKey(id), [entry(index)]);
+        });
+        const quota = createQuotaManager({
+          adapter,
+          quota: 10000,
+          policies: [EvictionPolicy.LRU_SESSIONS],
+          isProtected: id => id === 'current'
+        });
+
+        const evicted = await quota.evict({ bytes: 1 });
+
+        expect(evicted).toHaveLength(1);
+        expect(evicted[0]).toMatchObject({ policy: EvictionPolicy.LRU_SESSIONS, sessionId: 'old' });
+        expect(adapter.has(sessionKey('old'))).toBe(false);
+        expect(adapter.has(documentKey('old'))).toBe(false);
+        expect(adapter.has(historyKey('old'))).toBe(false);
+        expect(adapter.has(sessionKey('new'))).toBe(true);
+
+        await quota.evict({ bytes: 100000 });
+        expect(adapter.has(sessionKey('current'))).toBe(true);
+      });
+
+      test('should free space down to the target ratio in policy order', async () => {
+        adapter.set(sessionKey('a'), { roomId: 'a', savedAt: 1 });
+        adapter.set(documentKey('a'), { state: 'x'.repeat(400) });
+        adapter.set(historyKey('b'), [entry(1, 400), entry(2, 10)]);
+        const quota = createQuotaManager({
+          adapter,
+          quota: 1000,
+          targetRatio: 0.7,
+          policies: [EvictionPolicy.OLDEST_HISTORY, EvictionPolicy.LRU_SESSIONS]
+        });
+
+        const evicted = await quota.evict();
+
+        expect(evicted[0].policy).toBe(EvictionPolicy.OLDEST_HISTORY);
+        expect((await quota.check({ force: true })).usage).toBeLessThanOrEqual(700);
+      });
+
+      test('should keep sessions unless asked to evict them', async () => {
+        adapter.set(sessionKey('a'), { roomId: 'a', savedAt: 1 });
+        adapter.set(documentKey('a'), { state: 'x'.repeat(400) });
+        const quota = createQuotaManager({ adapter, quota: 100 });
+
+        await expect(quota.evict()).resolves.toEqual([]);
+        expect(adapter.has(documentKey('a'))).toBe(true);
+      });
+
+      test('should not evict anything below the target ratio', async () => {
+        adapter.set(historyKey('a'), [entry(1), entry(2)]);
+        const quota = createQuotaManager({ adapter, quota: 100000 });
+
+        await expect(quota.evict()).resolves.toEqual([]);
+        expect(adapter.get(historyKey('a'))).toHaveLength(2);
+      });
+    });
+
+    describe('guard', () => {
+      test('should evict and retry a write that hits the quota', async () => {
+        adapter = createStorageAdapter(createLimitedBackend(600));
+        adapter.set(STORAGE_KEYS.SESSION + '_old', { roomId: 'old', savedAt: 1 });
+        adapter.set(STORAGE_KEYS.DOCUMENT + '_old', { state: 'x'.repeat(400) });
+        const quota = createQuotaManager({ adapter, quota: 600, policies: [EvictionPolicy.LRU_SESSIONS] });
+        const storage = quota.guard();
+
+        await expect(storage.set(STORAGE_KEYS.DOCUMENT + '_new', { state: 'y'.repeat(300) })).resolves.toBe(true);
+
+        expect(adapter.has(STORAGE_KEYS.DOCUMENT + '_old')).toBe(false);
+        expect(adapter.get(STORAGE_KEYS.DOCUMENT + '_new').state).toHaveLength(300);
+      });
+
+      test('should evict after quota errors thrown by async adapters', async () => {
+        const store = new Map([[STORAGE_KEYS.HISTORY + '_a', [{ state: 'x', timestamp: 1 }, { state: 'y', timestamp: 2 }]]]);
+        let full = true;
+        const asyncAdapter = {
+          get: async key => store.get(key) ?? null,
+          set: async (key, value) => {
+            if (full) {
+              full = false;
+              throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+            }
+            store.set(key, value);
+            return true;
+          },
+          remove: async key => store.delete(key),
+          keys: async (prefix = '') => Array.from(store.keys()).filter(key => key.startsWith(prefix))
+        };
+        const quota = createQuotaManager({ adapter: asyncAdapter, quota: 1000 });
+
+        await expect(quota.guard().set('p2p_settings', { a: 1 })).resolves.toBe(true);
+        expect(store.get('p2p_settings')).toEqual({ a: 1 });
+        expect(store.get(STORAGE_KEYS.HISTORY + '_a')).toHaveLength(1);
+      });
+
+      test('should give up when nothing can be evicted', async () => {
+        adapter = createStorageAdapter(createLimitedBackend(10));
+        const onWarning = jest.fn();
+        const storage = createQuotaManager({ adapter, quota: 10, onWarning }).guard();
+
+        await expect(storage.set('p2p_settings', 'x'.repeat(50))).resolves.toBe(false);
+        expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({
+          level: QuotaLevel.EXCEEDED,
+          failedWrite: { key: 'p2p_settings', error: null }
+        }));
+      });
+
+      test('should report quota errors of writes that still fail', async () => {
+        const error = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+        const failing = { set: async () => { throw error; }, keys: async () => [] };
+        const onWarning = jest.fn();
+        const storage = createQuotaManager({ adapter: failing, quota: 1000, onWarning }).guard();
+
+        await expect(storage.set('p2p_settings', { a: 1 })).resolves.toBe(false);
+        expect(onWarning).toHaveBeenCalledTimes(1);
+        expect(onWarning.mock.calls[0][0].failedWrite).toEqual({ key: 'p2p_settings', error });
+      });
+
+      test('should pass other errors through', async () => {
+        const failing = { set: async () => { throw new Error('broken'); }, keys: async () => [] };
+        const storage = createQuotaManager({ adapter: failing, quota: 10 }).guard();
+
+        await expect(storage.set('key', 1)).rejects.toThrow('broken');
+      });
+    });
+  });
+});
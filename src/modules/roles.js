@@ -0,0 +1,258 @@
+/**
+ * Roles Module - Per-peer permissions for a hosted session
+ *
+ * The host is the owner. Everyone else joins as a viewer unless their
+ * QR code or share URL carries an invite token for a higher role, which
+ * they claim from the host after joining. The host checks every payload
+ * against the sender's role: viewers may read the document and send
+ * prompts on the prompt lane, but their sync writes are rejected.
+ *
+ * @module roles
+ */
+
+import { generateRoomId } from './connection.js';
+import { SyncMessageType, StreamMessageType } from './sync.js';
+
+/**
+ * Session roles
+ */
+export const Role = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+/**
+ * Permissions a payload can require
+ */
+export const Permission = {
+  READ: 'read',
+  WRITE: 'write',
+  PROMPT: 'prompt'
+};
+
+/**
+ * Permissions granted to each role
+ */
+export const ROLE_PERMISSIONS = {
+  [Role.OWNER]: [Permission.READ, Permission.WRITE, Permission.PROMPT],
+  [Role.EDITOR]: [Permission.READ, Permission.WRITE, Permission.PROMPT],
+  [Role.VIEWER]: [Permission.READ, Permission.PROMPT]
+};
+
+/**
+ * Message types on the prompt lane
+ * NOTICE tells a peer its role, CLAIM redeems an invite token, PROMPT
+ * carries a prompt or request for the host's LLM, CANCEL withdraws a
+ * prompt and STATUS reports a prompt's progress back to its sender.
+ */
+export const RoleMessageType = {
+  NOTICE: 'role',
+  CLAIM: 'role-claim',
+  PROMPT: 'prompt',
+  CANCEL: 'prompt-cancel',
+  STATUS: 'prompt-status'
+};
+
+/**
+ * Checks whether a value is a known role
+ * @param {any} role - Value to check
+ * @returns {boolean} True for Role values
+ */
+export function isValidRole(role) {
+  return Object.values(Role).includes(role);
+}
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - Role value
+ * @param {string} permission - Permission value
+ * @returns {boolean} True if granted
+ */
+export function hasPermission(role, permission) {
+  return !!ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Gets the permission a received payload needs
+ * Sync step 1 and stream resend requests only ask for state; prompt-lane
+ * messages and stream abort requests need PROMPT; anything else changes
+ * the document.
+ * @param {any} message - Received payload
+ * @returns {string} Permission value
+ */
+export function getRequiredPermission(message) {
+  if (message && typeof message === 'object') {
+    if (message.type === SyncMessageType.STEP1 || message.type === StreamMessageType.RESEND) {
+      return Permission.READ;
+    }
+    if (Object.values(RoleMessageType).includes(message.type) ||
+        message.type === StreamMessageType.ABORT_REQUEST) {
+      return Permission.PROMPT;
+    }
+  }
+  return Permission.WRITE;
+}
+
+/**
+ * Creates a prompt message for the host
+ * @param {string} text - Prompt text
+ * @param {Object} [extra] - Additional fields (model, parameters, ...)
+ * @returns {Object} Prompt message
+ */
+export function createPromptMessage(text, extra = {}) {
+  if (typeof text !== 'string' || !text) {
+    throw new TypeError('Prompt text must be a non-empty string');
+  }
+  return { ...extra, type: RoleMessageType.PROMPT, text };
+}
+
+/**
+ * Checks whether a payload is a prompt
+ * @param {any} message - Received payload
+ * @returns {boolean} True for prompt messages
+ */
+export function isPromptMessage(message) {
+  return !!message && typeof message === 'object' &&
+    message.type === RoleMessageType.PROMPT && typeof message.text === 'string';
+}
+
+/**
+ * Checks whether a payload is a role notice or claim
+ * @param {any} message - Received payload
+ * @returns {boolean} True for role messages
+ */
+export function isRoleMessage(message) {
+  return !!message && typeof message === 'object' &&
+    (message.type === RoleMessageType.NOTICE || message.type === RoleMessageType.CLAIM);
+}
+
+/**
+ * Creates the host's per-peer role registry
+ * @param {Object} options - Registry options
+ * @param {string} options.defaultRole - Role of peers without a claim (default viewer)
+ * @param {Function} options.onChange - Called with (peerId, role) when a peer's role changes
+ * @returns {Object} Role registry
+ */
+export function createRoleRegistry(options = {}) {
+  const defaultRole = options.defaultRole || Role.VIEWER;
+  if (!isValidRole(defaultRole) || defaultRole === Role.OWNER) {
+    throw new Error('Invalid default role: ' + defaultRole);
+  }
+
+  const callbacks = {
+    onChange: options.onChange || (() => {})
+  };
+
+  // peerId -> role
+  const roles = new Map();
+  // invite token -> role
+  const invites = new Map();
+
+  /**
+   * Creates an invite token granting a role
+   * @param {string} role - Role to grant (editor or viewer)
+   * @returns {string} Token to put in the QR code or share URL
+   */
+  function createInvite(role) {
+    if (!isValidRole(role) || role === Role.OWNER) {
+      throw new Error('Invalid invite role: ' + role);
+    }
+    const token = generateRoomId();
+    invites.set(token, role);
+    return token;
+  }
+
+  /**
+   * Revokes an invite token; roles already claimed stay
+   * @param {string} token - Invite token
+   * @returns {boolean} True if the token existed
+   */
+  function revokeInvite(token) {
+    return invites.delete(token);
+  }
+
+  /**
+   * Sets a peer's role
+   * @param {string} peerId - Peer ID
+   * @param {string} role - Role value
+   */
+  function setRole(peerId, role) {
+    if (!isValidRole(role)) {
+      throw new Error('Invalid role: ' + role);
+    }
+    if (roles.get(peerId) === role) return;
+    roles.set(peerId, role);
+    callbacks.onChange(peerId, role);
+  }
+
+  /**
+   * Redeems an invite token for a peer
+   * @param {string} peerId - Peer ID
+   * @param {string} token - Invite token from the peer's QR code
+   * @returns {string|null} Granted role, or null for unknown tokens
+   */
+  function claim(peerId, token) {
+    const role = invites.get(token);
+    if (!role) return null;
+    setRole(peerId, role);
+    return role;
+  }
+
+  /**
+   * Gets a peer's role
+   * @param {string} peerId - Peer ID
+   * @returns {string} Role value
+   */
+  function getRole(peerId) {
+    return roles.get(peerId) || defaultRole;
+  }
+
+  /**
+   * Checks whether a peer may send a payload
+   * @param {string} peerId - Sender
+   * @param {any} message - Received payload
+   * @returns {boolean} True if the sender's role allows it
+   */
+  function authorize(peerId, message) {
+    return hasPermission(getRole(peerId), getRequiredPermission(message));
+  }
+
+  /**
+   * Forgets a peer that left
+   * @param {string} peerId - Peer ID
+   */
+  function removePeer(peerId) {
+    roles.delete(peerId);
+  }
+
+  /**
+   * Gets all explicitly assigned roles
+   * @returns {Object} peerId -> role
+   */
+  function getRoles() {
+    return Object.fromEntries(roles);
+  }
+
+  /**
+   * Forgets all peers and invites
+   */
+  function clear() {
+    roles.clear();
+    invites.clear();
+  }
+
+  return {
+    createInvite,
+    revokeInvite,
+    setRole,
+    claim,
+    getRole,
+    can: (peerId, permission) => hasPermission(getRole(peerId), permission),
+    authorize,
+    removePeer,
+    getRoles,
+    clear,
+    defaultRole
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Roles Module Tests
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createRoleRegistry,
+  createPromptMessage,
+  isPromptMessage,
+  isRoleMessage,
+  isValidRole,
+  hasPermission,
+  getRequiredPermission,
+  Role,
+  Permission,
+  RoleMessageType
+} from './roles.js';
+import { SyncMessageType, StreamMessageType } from './sync.js';
+
+describe('Roles Module', () => {
+  describe('permissions', () => {
+    test('should recognise roles', () => {
+      expect(isValidRole(Role.OWNER)).toBe(true);
+      expect(isValidRole(Role.VIEWER)).toBe(true);
+      expect(isValidRole('admin')).toBe(false);
+    });
+
+    test('should let viewers read and prompt but not write', () => {
+      expect(hasPermission(Role.VIEWER, Permission.READ)).toBe(true);
+      expect(hasPermission(Role.VIEWER, Permission.PROMPT)).toBe(true);
+      expect(hasPermission(Role.VIEWER, Permission.WRITE)).toBe(false);
+      expect(hasPermission(Role.EDITOR, Permission.WRITE)).toBe(true);
+      expect(hasPermission('admin', Permission.READ)).toBe(false);
+    });
+
+    test('should map payloads to the permission they need', () => {
+      expect(getRequiredPermission({ type: SyncMessageType.STEP1 })).toBe(Permission.READ);
+      expect(getRequiredPermission({ type: SyncMessageType.STEP2 })).toBe(Permission.WRITE);
+      expect(getRequiredPermission({ type: StreamMessageType.RESEND })).toBe(Permission.READ);
+      expect(getRequiredPermission({ type: StreamMessageType.DELTA })).toBe(Permission.WRITE);
+      expect(getRequiredPermission({ type: StreamMessageType.ABORT_REQUEST })).toBe(Permission.PROMPT);
+      expect(getRequiredPermission({ type: StreamMessageType.END })).toBe(Permission.WRITE);
+      expect(getRequiredPermission({ type: RoleMessageType.PROMPT, text: 'hi' })).toBe(Permission.PROMPT);
+      expect(getRequiredPermission({ type: RoleMessageType.CLAIM })).toBe(Permission.PROMPT);
+      expect(getRequiredPermission({ text: 'x', version: 99 })).toBe(Permission.WRITE);
+      expect(getRequiredPermission(null)).toBe(Permission.WRITE);
+    });
+  });
+
+  describe('prompt messages', () => {
+    test('should create prompt messages', () => {
+      const message = createPromptMessage('Explain CRDTs', { model: 'llama3' });
+
+      expect(message).toEqual({ type: RoleMessageType.PROMPT, text: 'Explain CRDTs', model: 'llama3' });
+      expect(isPromptMessage(message)).toBe(true);
+    });
+
+    test('should reject empty prompts', () => {
+      expect(() => createPromptMessage('')).toThrow(TypeError);
+      expect(() => createPromptMessage(42)).toThrow(TypeError);
+    });
+
+    test('should tell prompts and role messages apart', () => {
+      expect(isPromptMessage({ type: RoleMessageType.PROMPT })).toBe(false);
+      expect(isRoleMessage({ type: RoleMessageType.NOTICE, role: Role.VIEWER })).toBe(true);
+      expect(isRoleMessage({ type: RoleMessageType.CLAIM, token: 't' })).toBe(true);
+      expect(isRoleMessage({ type: RoleMessageType.PROMPT, text: 'hi' })).toBe(false);
+      expect(isRoleMessage(null)).toBe(false);
+    });
+  });
+
+  describe('createRoleRegistry', () => {
+    test('should give unknown peers the default role', () => {
+      const registry = createRoleRegistry();
+
+      expect(registry.defaultRole).toBe(Role.VIEWER);
+      expect(registry.getRole('peer-1')).toBe(Role.VIEWER);
+      expect(createRoleRegistry({ defaultRole: Role.EDITOR }).getRole('peer-1')).toBe(Role.EDITOR);
+    });
+
+    test('should not allow owner or unknown default roles', () => {
+      expect(() => createRoleRegistry({ defaultRole: Role.OWNER })).toThrow('Invalid default role');
+      expect(() => createRoleRegistry({ defaultRole: 'admin' })).toThrow('Invalid default role');
+    });
+
+    test('should reject viewer writes and allow their reads and prompts', () => {
+      const registry = createRoleRegistry();
+
+      expect(registry.authorize('peer-1', { type: SyncMessageType.STEP1 })).toBe(true);
+      expect(registry.authorize('peer-1', { type: SyncMessageType.STEP2 })).toBe(false);
+      expect(registry.authorize('peer-1', { text: 'overwrite', version: 1e9 })).toBe(false);
+      expect(registry.authorize('peer-1', createPromptMessage('hi'))).toBe(true);
+      expect(registry.can('peer-1', Permission.WRITE)).toBe(false);
+    });
+
+    test('should grant roles through invite tokens', () => {
+      const onChange = jest.fn();
+      const registry = createRoleRegistry({ onChange });
+      const token = registry.createInvite(Role.EDITOR);
+
+      expect(registry.claim('peer-1', token)).toBe(Role.EDITOR);
+      expect(registry.claim('peer-2', 'bogus')).toBeNull();
+      expect(registry.authorize('peer-1', { type: SyncMessageType.STEP2 })).toBe(true);
+      expect(onChange).toHaveBeenCalledWith('peer-1', Role.EDITOR);
+      expect(registry.getRoles()).toEqual({ 'peer-1': Role.EDITOR });
+    });
+
+    test('should not create owner invites', () => {
+      const registry = createRoleRegistry();
+
+      expect(() => registry.createInvite(Role.OWNER)).toThrow('Invalid invite role');
+      expect(() => registry.createInvite('admin')).toThrow('Invalid invite role');
+    });
+
+    test('should stop accepting revoked invites', () => {
+      const registry = createRoleRegistry();
+      const token = registry.createInvite(Role.EDITOR);
+
+      expect(registry.revokeInvite(token)).toBe(true);
+      expect(registry.revokeInvite(token)).toBe(false);
+      expect(registry.claim('peer-1', token)).toBeNull();
+    });
+
+    test('should only notify on actual changes', () => {
+      const onChange = jest.fn();
+      const registry = createRoleRegistry({ onChange });
+
+      registry.setRole('peer-1', Role.EDITOR);
+      registry.setRole('peer-1', Role.EDITOR);
+      registry.setRole('peer-1', Role.VIEWER);
+
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(() => registry.setRole('peer-1', 'admin')).toThrow('Invalid role');
+    });
+
+    test('should forget peers and invites', () => {
+      const registry = createRoleRegistry({ defaultRole: Role.VIEWER });
+      const token = registry.createInvite(Role.EDITOR);
+      registry.setRole('peer-1', Role.EDITOR);
+      registry.setRole('peer-2', Role.EDITOR);
+
+      registry.removePeer('peer-1');
+      expect(registry.getRole('peer-1')).toBe(Role.VIEWER);
+
+      registry.clear();
+      expect(registry.getRoles()).toEqual({});
+      expect(registry.claim('peer-3', token)).toBeNull();
+    });
+  });
+});
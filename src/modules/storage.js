@@ -1,10 +1,17 @@
 /**
  * Storage Module
  * Handles browser storage for P2P session persistence
+ *
+ * Adapter contract: get, set, remove, clear, has and keys, each returning
+ * a value or a Promise of it; sizeOf is optional. The session, document and settings managers
+ * are async and accept either kind; synchronous adapters are wrapped by
+ * toAsyncAdapter.
  * 
  * @module storage
  */
 
+import { appendHistory, rebuildState, normalizeHistoryOptions } from './history.js';
+
 /**
  * Storage keys namespace
  */
@@ -12,7 +19,29 @@ export const STORAGE_KEYS = {
   SESSION: 'p2p_session',
   DOCUMENT: 'p2p_document',
   SETTINGS: 'p2p_settings',
-  HISTORY: 'p2p_history'
+  HISTORY: 'p2p_history',
+  IDENTITY: 'p2p_identity',
+  ADMISSION: 'p2p_admission'
+};
+
+/**
+ * Sort orders for session listings
+ */
+export const SessionSort = {
+  SAVED_AT: 'savedAt',
+  CREATED_AT: 'createdAt',
+  PEER_COUNT: 'peerCount',
+  DOCUMENT_SIZE: 'documentSize'
+};
+
+/**
+ * Default session listing options
+ */
+export const DEFAULT_SESSION_LIST = {
+  sortBy: SessionSort.SAVED_AT,
+  order: 'desc',
+  offset: 0,
+  limit: 20
 };
 
 /**
@@ -52,14 +81,14 @@ export function createStorageAdapter(backend) {
    * Sets an item in storage
    * @param {string} key - Storage key
    * @param {any} value - Value to store
-   * @returns {boolean} Success status
+   * @returns {boolean} Success status; false when the backend refused the write,
+   *   which the quota guard reports through its warning callback
    */
   function set(key, value) {
     try {
       backend.setItem(key, JSON.stringify(value));
       return true;
-    } catch (error) {
-      console.error('Storage set error:', error);
+    } catch {
       return false;
     }
   }
@@ -100,30 +129,120 @@ export function createStorageAdapter(backend) {
     return backend.getItem(key) !== null;
   }
 
+  /**
+   * Lists stored keys
+   * Uses the backend's keys() if it has one, else the key(i)/length
+   * interface of Web Storage.
+   * @param {string} [prefix] - Only keys starting with this prefix
+   * @returns {string[]} Keys
+   */
+  function keys(prefix = '') {
+    try {
+      let all = [];
+      if (typeof backend.keys === 'function') {
+        all = Array.from(backend.keys());
+      } else if (typeof backend.key === 'function' && typeof backend.length === 'number') {
+        for (let i = 0; i < backend.length; i++) {
+          const key = backend.key(i);
+          if (key !== null) all.push(key);
+        }
+      }
+      return all.filter(key => typeof key === 'string' && key.startsWith(prefix));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Measures what an item occupies in the backend
+   * Web Storage charges keys and values as UTF-16, two bytes per code unit;
+   * browsers differ in how they round, so treat the figure as approximate.
+   * @param {string} key - Storage key
+   * @returns {number} UTF-16 bytes of the key and serialized value, 0 if missing
+   */
+  function sizeOf(key) {
+    try {
+      const value = backend.getItem(key);
+      return value === null ? 0 : (key.length + value.length) * 2;
+    } catch {
+      return 0;
+    }
+  }
+
   return {
     get,
     set,
     remove,
     clear,
-    has
+    has,
+    keys,
+    sizeOf
+  };
+}
+
+// Marks adapters whose methods already return Promises
+const ASYNC_ADAPTER = Symbol('asyncAdapter');
+
+/**
+ * Wraps a storage adapter so every method returns a Promise
+ * Compatibility shim for synchronous adapters such as createStorageAdapter;
+ * errors thrown by the backend become rejections.
+ * @param {Object} adapter - Synchronous or Promise-returning storage adapter
+ * @returns {Object} Async storage adapter
+ */
+export function toAsyncAdapter(adapter) {
+  if (!adapter) {
+    throw new Error('Storage adapter is required');
+  }
+  if (adapter[ASYNC_ADAPTER]) {
+    return adapter;
+  }
+
+  const wrapped = { [ASYNC_ADAPTER]: true };
+  Object.keys(adapter).forEach((name) => {
+    if (typeof adapter[name] === 'function') {
+      wrapped[name] = async (...args) => adapter[name](...args);
+    }
+  });
+  return wrapped;
+}
+
+/**
+ * Creates a per-key queue so read-modify-write updates do not interleave
+ * @returns {Function} run(key, task) returning the task's Promise
+ */
+function createKeyedQueue() {
+  const tails = new Map();
+
+  return function run(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(task);
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return result;
   };
 }
 
 /**
  * Creates a session storage manager
- * @param {Object} adapter - Storage adapter
+ * @param {Object} storage - Storage adapter, synchronous or Promise-returning
  * @returns {Object} Session storage manager
  */
-export function createSessionStorage(adapter) {
+export function createSessionStorage(storage) {
+  const adapter = toAsyncAdapter(storage);
   const prefix = STORAGE_KEYS.SESSION + '_';
+  const queue = createKeyedQueue();
 
   /**
    * Saves a session
    * @param {string} sessionId - Session ID
    * @param {Object} data - Session data
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function saveSession(sessionId, data) {
+  async function saveSession(sessionId, data) {
     if (!sessionId || typeof sessionId !== 'string') {
       throw new Error('Session ID is required');
     }
@@ -134,15 +253,40 @@ export function createSessionStorage(adapter) {
       savedAt: Date.now()
     };
     
-    return adapter.set(prefix + sessionId, sessionData);
+    return queue(sessionId, () => adapter.set(prefix + sessionId, sessionData));
+  }
+
+  /**
+   * Merges changes into a session, creating it if needed
+   * The first save of a session records createdAt.
+   * @param {string} sessionId - Session ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<boolean>} Success status
+   */
+  async function updateSession(sessionId, changes) {
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new Error('Session ID is required');
+    }
+
+    return queue(sessionId, async () => {
+      const existing = (await adapter.get(prefix + sessionId)) || {};
+      const now = Date.now();
+      return adapter.set(prefix + sessionId, {
+        ...existing,
+        ...changes,
+        id: sessionId,
+        createdAt: existing.createdAt || now,
+        savedAt: now
+      });
+    });
   }
 
   /**
    * Loads a session
    * @param {string} sessionId - Session ID
-   * @returns {Object|null} Session data
+   * @returns {Promise<Object|null>} Session data
    */
-  function loadSession(sessionId) {
+  async function loadSession(sessionId) {
     if (!sessionId) return null;
     return adapter.get(prefix + sessionId);
   }
@@ -150,9 +294,9 @@ export function createSessionStorage(adapter) {
   /**
    * Deletes a session
    * @param {string} sessionId - Session ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function deleteSession(sessionId) {
+  async function deleteSession(sessionId) {
     if (!sessionId) return false;
     return adapter.remove(prefix + sessionId);
   }
@@ -160,47 +304,100 @@ export function createSessionStorage(adapter) {
   /**
    * Checks if session exists
    * @param {string} sessionId - Session ID
-   * @returns {boolean} Exists status
+   * @returns {Promise<boolean>} Exists status
    */
-  function hasSession(sessionId) {
+  async function hasSession(sessionId) {
     if (!sessionId) return false;
     return adapter.has(prefix + sessionId);
   }
 
   /**
    * Gets all session IDs
-   * @returns {string[]} Array of session IDs
+   * @returns {Promise<string[]>} Array of session IDs (empty if the adapter cannot list keys)
    */
-  function getAllSessionIds() {
-    // This is a simplified implementation
-    // In production, you'd iterate through storage keys
-    return [];
+  async function getAllSessionIds() {
+    if (typeof adapter.keys !== 'function') return [];
+    const keys = await adapter.keys(prefix);
+    return keys
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
+  }
+
+  /**
+   * Lists sessions with their metadata, sorted and paginated
+   * @param {Object} [listOptions] - Listing options
+   * @param {string} [listOptions.sortBy] - SessionSort value (default savedAt)
+   * @param {string} [listOptions.order] - 'asc' or 'desc' (default desc)
+   * @param {number} [listOptions.offset] - Sessions to skip
+   * @param {number} [listOptions.limit] - Page size
+   * @returns {Promise<Object>} { sessions, total, offset, limit, hasMore }
+   */
+  async function listSessions(listOptions = {}) {
+    const { sortBy, order, offset, limit } = { ...DEFAULT_SESSION_LIST, ...listOptions };
+    if (!Object.values(SessionSort).includes(sortBy)) {
+      throw new RangeError('Unknown session sort: ' + sortBy);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new RangeError('Sort order must be asc or desc');
+    }
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+      throw new RangeError('Offset and limit must be non-negative integers, limit at least 1');
+    }
+
+    const ids = await getAllSessionIds();
+    const records = await Promise.all(ids.map(id => adapter.get(prefix + id)));
+    const direction = order === 'asc' ? 1 : -1;
+    const sessions = records
+      .filter(record => record && typeof record === 'object')
+      .map(record => ({
+        ...record,
+        createdAt: record.createdAt || record.savedAt || 0,
+        savedAt: record.savedAt || 0,
+        peerCount: record.peerCount || 0,
+        documentSize: record.documentSize || 0
+      }))
+      .sort((a, b) => (a[sortBy] - b[sortBy]) * direction || String(a.id).localeCompare(String(b.id)));
+
+    return {
+      sessions: sessions.slice(offset, offset + limit),
+      total: sessions.length,
+      offset,
+      limit,
+      hasMore: offset + limit < sessions.length
+    };
   }
 
   return {
     saveSession,
+    updateSession,
     loadSession,
     deleteSession,
     hasSession,
-    getAllSessionIds
+    getAllSessionIds,
+    listSessions
   };
 }
 
 /**
  * Creates a document storage manager for persisting CRDT documents
- * @param {Object} adapter - Storage adapter
+ * @param {Object} storage - Storage adapter, synchronous or Promise-returning
+ * @param {Object} [historyOptions] - History retention { checkpointEvery, maxEntries, maxAge, maxBytes }
+ *   (defaults DEFAULT_HISTORY)
  * @returns {Object} Document storage manager
  */
-export function createDocumentStorage(adapter) {
+export function createDocumentStorage(storage, historyOptions = {}) {
+  const adapter = toAsyncAdapter(storage);
   const prefix = STORAGE_KEYS.DOCUMENT + '_';
+  const queue = createKeyedQueue();
+  const retention = normalizeHistoryOptions(historyOptions);
 
   /**
    * Saves document state
    * @param {string} docId - Document ID
    * @param {Object} state - Document state
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function saveDocument(docId, state) {
+  async function saveDocument(docId, state) {
     if (!docId || typeof docId !== 'string') {
       throw new Error('Document ID is required');
     }
@@ -213,7 +410,7 @@ export function createDocumentStorage(adapter) {
     };
 
     // Also save to history
-    saveToHistory(docId, state);
+    await saveToHistory(docId, state);
 
     return adapter.set(prefix + docId, docData);
   }
@@ -221,20 +418,20 @@ export function createDocumentStorage(adapter) {
   /**
    * Loads document state
    * @param {string} docId - Document ID
-   * @returns {Object|null} Document data
+   * @returns {Promise<Object|null>} Document data
    */
-  function loadDocument(docId) {
+  async function loadDocument(docId) {
     if (!docId) return null;
-    const data = adapter.get(prefix + docId);
+    const data = await adapter.get(prefix + docId);
     return data ? data.state : null;
   }
 
   /**
    * Deletes document
    * @param {string} docId - Document ID
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
-  function deleteDocument(docId) {
+  async function deleteDocument(docId) {
     if (!docId) return false;
     return adapter.remove(prefix + docId);
   }
@@ -242,10 +439,10 @@ export function createDocumentStorage(adapter) {
   /**
    * Gets document metadata without full state
    * @param {string} docId - Document ID
-   * @returns {Object|null} Metadata
+   * @returns {Promise<Object|null>} Metadata
    */
-  function getDocumentMeta(docId) {
-    const data = adapter.get(prefix + docId);
+  async function getDocumentMeta(docId) {
+    const data = await adapter.get(prefix + docId);
     if (!data) return null;
     return {
       id: data.id,
@@ -255,48 +452,46 @@ export function createDocumentStorage(adapter) {
   }
 
   /**
-   * Saves state to history (last N versions)
+   * Saves state to history as a delta against the previous version
+   * Saves of one document run one after another, so none is lost.
    * @param {string} docId - Document ID
    * @param {Object} state - State to save
+   * @returns {Promise<boolean>} Success status
    */
   function saveToHistory(docId, state) {
     const historyKey = STORAGE_KEYS.HISTORY + '_' + docId;
-    let history = adapter.get(historyKey) || [];
-    
-    history.push({
-      state,
-      timestamp: Date.now(),
-      version: state.version || 0
+    return queue(historyKey, async () => {
+      const history = (await adapter.get(historyKey)) || [];
+      const updated = appendHistory(history, state, retention);
+      if (updated === history) return true;
+      return adapter.set(historyKey, updated);
     });
-
-    // Keep only last 10 versions
-    if (history.length > 10) {
-      history = history.slice(-10);
-    }
-
-    adapter.set(historyKey, history);
   }
 
   /**
-   * Gets document history
+   * Gets document history, oldest first
    * @param {string} docId - Document ID
-   * @returns {Array} History entries
+   * @returns {Promise<Array>} Entries { timestamp, version, checkpoint }
    */
-  function getHistory(docId) {
+  async function getHistory(docId) {
     const historyKey = STORAGE_KEYS.HISTORY + '_' + docId;
-    return adapter.get(historyKey) || [];
+    const history = (await adapter.get(historyKey)) || [];
+    return history.map(entry => ({
+      timestamp: entry.timestamp,
+      version: entry.version,
+      checkpoint: 'state' in entry
+    }));
   }
 
   /**
    * Restores from history
    * @param {string} docId - Document ID
    * @param {number} index - History index
-   * @returns {Object|null} Restored state
+   * @returns {Promise<Object|null>} Rebuilt state
    */
-  function restoreFromHistory(docId, index) {
-    const history = getHistory(docId);
-    if (index < 0 || index >= history.length) return null;
-    return history[index].state;
+  async function restoreFromHistory(docId, index) {
+    const historyKey = STORAGE_KEYS.HISTORY + '_' + docId;
+    return rebuildState((await adapter.get(historyKey)) || [], index);
   }
 
   return {
@@ -311,11 +506,13 @@ export function createDocumentStorage(adapter) {
 
 /**
  * Creates a settings storage manager
- * @param {Object} adapter - Storage adapter
+ * @param {Object} storage - Storage adapter, synchronous or Promise-returning
  * @returns {Object} Settings storage manager
  */
-export function createSettingsStorage(adapter) {
+export function createSettingsStorage(storage) {
+  const adapter = toAsyncAdapter(storage);
   const key = STORAGE_KEYS.SETTINGS;
+  const queue = createKeyedQueue();
 
   const defaults = {
     theme: 'system',
@@ -327,20 +524,20 @@ export function createSettingsStorage(adapter) {
 
   /**
    * Gets all settings
-   * @returns {Object} Settings object
+   * @returns {Promise<Object>} Settings object
    */
-  function getSettings() {
-    const stored = adapter.get(key);
+  async function getSettings() {
+    const stored = await adapter.get(key);
     return { ...defaults, ...stored };
   }
 
   /**
    * Gets a single setting
    * @param {string} name - Setting name
-   * @returns {any} Setting value
+   * @returns {Promise<any>} Setting value
    */
-  function getSetting(name) {
-    const settings = getSettings();
+  async function getSetting(name) {
+    const settings = await getSettings();
     return settings[name];
   }
 
@@ -348,31 +545,35 @@ export function createSettingsStorage(adapter) {
    * Sets a single setting
    * @param {string} name - Setting name
    * @param {any} value - Setting value
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function setSetting(name, value) {
-    const settings = getSettings();
-    settings[name] = value;
-    return adapter.set(key, settings);
+    return queue(key, async () => {
+      const settings = await getSettings();
+      settings[name] = value;
+      return adapter.set(key, settings);
+    });
   }
 
   /**
    * Sets multiple settings
    * @param {Object} newSettings - Settings to merge
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function setSettings(newSettings) {
-    const settings = getSettings();
-    Object.assign(settings, newSettings);
-    return adapter.set(key, settings);
+    return queue(key, async () => {
+      const settings = await getSettings();
+      Object.assign(settings, newSettings);
+      return adapter.set(key, settings);
+    });
   }
 
   /**
    * Resets settings to defaults
-   * @returns {boolean} Success status
+   * @returns {Promise<boolean>} Success status
    */
   function resetSettings() {
-    return adapter.set(key, { ...defaults });
+    return queue(key, () => adapter.set(key, { ...defaults }));
   }
 
   /**
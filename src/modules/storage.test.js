@@ -9,8 +9,29 @@ import {
   createSessionStorage,
   createDocumentStorage,
   createSettingsStorage,
-  STORAGE_KEYS
+  toAsyncAdapter,
+  STORAGE_KEYS,
+  SessionSort
 } from './storage.js';
+import { createSyncManager } from './sync.js';
+import { base64ToBytes } from './codec.js';
+
+/**
+ * Creates a Promise-returning adapter that answers on a later tick
+ * @returns {Object} Async storage adapter over a Map
+ */
+function createDelayedAdapter() {
+  const store = new Map();
+  const later = value => new Promise(resolve => setTimeout(() => resolve(value), 0));
+  return {
+    get: key => later(store.has(key) ? JSON.parse(store.get(key)) : null),
+    keys: prefix => later(Array.from(store.keys()).filter(key => key.startsWith(prefix))),
+    set: (key, value) => later(store.set(key, JSON.stringify(value)) && true),
+    remove: key => later(store.delete(key) || true),
+    clear: () => later(store.clear() || true),
+    has: key => later(store.has(key))
+  };
+}
 
 describe('Storage Module', () => {
   describe('STORAGE_KEYS', () => {
@@ -19,6 +40,8 @@ describe('Storage Module', () => {
       expect(STORAGE_KEYS.DOCUMENT).toBe('p2p_document');
       expect(STORAGE_KEYS.SETTINGS).toBe('p2p_settings');
       expect(STORAGE_KEYS.HISTORY).toBe('p2p_history');
+      expect(STORAGE_KEYS.IDENTITY).toBe('p2p_identity');
+      expect(STORAGE_KEYS.ADMISSION).toBe('p2p_admission');
     });
   });
 
@@ -59,6 +82,23 @@ describe('Storage Module', () => {
         expect(adapter.has('nonexistent')).toBe(false);
       });
 
+      test('should list keys by prefix', () => {
+        adapter.set('p2p_session_a', 1);
+        adapter.set('p2p_session_b', 2);
+        adapter.set('other', 3);
+
+        expect(adapter.keys('p2p_session_').sort()).toEqual(['p2p_session_a', 'p2p_session_b']);
+        expect(adapter.keys()).toHaveLength(3);
+      });
+
+      test('should measure stored items in bytes', () => {
+        adapter.set('key', 'é');
+
+        // Web Storage charges UTF-16 code units, not UTF-8 bytes
+        expect(adapter.sizeOf('key')).toBe(('key'.length + '"é"'.length) * 2);
+        expect(adapter.sizeOf('missing')).toBe(0);
+      });
+
       test('should handle complex objects', () => {
         const complex = {
           nested: { deep: { value: 'test' } },
@@ -70,7 +110,33 @@ describe('Storage Module', () => {
       });
     });
 
+    describe('with localStorage', () => {
+      afterEach(() => {
+        localStorage.clear();
+      });
+
+      test('should list keys through key(i) and length', () => {
+        const adapter = createStorageAdapter(localStorage);
+        adapter.set('p2p_session_x', { id: 'x' });
+        adapter.set('p2p_settings', {});
+
+        expect(adapter.keys('p2p_session_')).toEqual(['p2p_session_x']);
+      });
+    });
+
     describe('with custom backend', () => {
+      test('should list no keys without an enumeration interface', () => {
+        const adapter = createStorageAdapter({ getItem: jest.fn(), setItem: jest.fn() });
+
+        expect(adapter.keys()).toEqual([]);
+      });
+
+      test('should list no keys when enumeration fails', () => {
+        const adapter = createStorageAdapter({ keys: () => { throw new Error('denied'); } });
+
+        expect(adapter.keys()).toEqual([]);
+      });
+
       test('should use provided backend', () => {
         const mockBackend = {
           getItem: jest.fn(() => JSON.stringify({ test: true })),
@@ -105,8 +171,12 @@ describe('Storage Module', () => {
           clear: jest.fn()
         };
 
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
         const adapter = createStorageAdapter(mockBackend);
         expect(adapter.set('key', 'value')).toBe(false);
+        expect(consoleError).not.toHaveBeenCalled();
+        consoleError.mockRestore();
       });
 
       test('should return false on removeItem error', () => {
@@ -135,6 +205,33 @@ describe('Storage Module', () => {
     });
   });
 
+  describe('toAsyncAdapter', () => {
+    test('should wrap synchronous adapters in Promises', async () => {
+      const adapter = toAsyncAdapter(createStorageAdapter(null));
+
+      const pending = adapter.set('key', { a: 1 });
+      expect(pending).toBeInstanceOf(Promise);
+      expect(await pending).toBe(true);
+      expect(await adapter.get('key')).toEqual({ a: 1 });
+      expect(await adapter.has('key')).toBe(true);
+    });
+
+    test('should turn backend errors into rejections', async () => {
+      const adapter = toAsyncAdapter({
+        get: () => { throw new Error('unavailable'); }
+      });
+
+      await expect(adapter.get('key')).rejects.toThrow('unavailable');
+    });
+
+    test('should wrap an adapter only once', () => {
+      const adapter = toAsyncAdapter(createStorageAdapter(null));
+
+      expect(toAsyncAdapter(adapter)).toBe(adapter);
+      expect(() => toAsyncAdapter(null)).toThrow('Storage adapter is required');
+    });
+  });
+
   describe('createSessionStorage', () => {
     let adapter;
     let sessionStorage;
@@ -145,82 +242,183 @@ describe('Storage Module', () => {
     });
 
     describe('saveSession', () => {
-      test('should save session data', () => {
-        const result = sessionStorage.saveSession('session-1', { roomId: 'room-1' });
+      test('should save session data', async () => {
+        const result = await sessionStorage.saveSession('session-1', { roomId: 'room-1' });
         expect(result).toBe(true);
       });
 
-      test('should add metadata to saved session', () => {
-        sessionStorage.saveSession('session-1', { roomId: 'room-1' });
-        const loaded = sessionStorage.loadSession('session-1');
+      test('should add metadata to saved session', async () => {
+        await sessionStorage.saveSession('session-1', { roomId: 'room-1' });
+        const loaded = await sessionStorage.loadSession('session-1');
         
         expect(loaded.id).toBe('session-1');
         expect(loaded.savedAt).toBeDefined();
       });
 
-      test('should throw on missing session ID', () => {
-        expect(() => sessionStorage.saveSession(null, {})).toThrow('Session ID is required');
-        expect(() => sessionStorage.saveSession('', {})).toThrow('Session ID is required');
+      test('should throw on missing session ID', async () => {
+        await expect(sessionStorage.saveSession(null, {})).rejects.toThrow('Session ID is required');
+        await expect(sessionStorage.saveSession('', {})).rejects.toThrow('Session ID is required');
       });
 
-      test('should throw on non-string session ID', () => {
-        expect(() => sessionStorage.saveSession(123, {})).toThrow('Session ID is required');
+      test('should throw on non-string session ID', async () => {
+        await expect(sessionStorage.saveSession(123, {})).rejects.toThrow('Session ID is required');
       });
     });
 
     describe('loadSession', () => {
-      test('should load saved session', () => {
-        sessionStorage.saveSession('session-1', { roomId: 'room-1', data: 'test' });
-        const loaded = sessionStorage.loadSession('session-1');
+      test('should load saved session', async () => {
+        await sessionStorage.saveSession('session-1', { roomId: 'room-1', data: 'test' });
+        const loaded = await sessionStorage.loadSession('session-1');
         
         expect(loaded.roomId).toBe('room-1');
         expect(loaded.data).toBe('test');
       });
 
-      test('should return null for missing session', () => {
-        expect(sessionStorage.loadSession('nonexistent')).toBeNull();
+      test('should return null for missing session', async () => {
+        expect(await sessionStorage.loadSession('nonexistent')).toBeNull();
       });
 
-      test('should return null for null/undefined ID', () => {
-        expect(sessionStorage.loadSession(null)).toBeNull();
-        expect(sessionStorage.loadSession(undefined)).toBeNull();
+      test('should return null for null/undefined ID', async () => {
+        expect(await sessionStorage.loadSession(null)).toBeNull();
+        expect(await sessionStorage.loadSession(undefined)).toBeNull();
       });
     });
 
     describe('deleteSession', () => {
-      test('should delete session', () => {
-        sessionStorage.saveSession('session-1', { data: 'test' });
-        const result = sessionStorage.deleteSession('session-1');
+      test('should delete session', async () => {
+        await sessionStorage.saveSession('session-1', { data: 'test' });
+        const result = await sessionStorage.deleteSession('session-1');
         
         expect(result).toBe(true);
-        expect(sessionStorage.loadSession('session-1')).toBeNull();
+        expect(await sessionStorage.loadSession('session-1')).toBeNull();
       });
 
-      test('should return false for null ID', () => {
-        expect(sessionStorage.deleteSession(null)).toBe(false);
+      test('should return false for null ID', async () => {
+        expect(await sessionStorage.deleteSession(null)).toBe(false);
       });
     });
 
     describe('hasSession', () => {
-      test('should return true for existing session', () => {
-        sessionStorage.saveSession('session-1', { data: 'test' });
-        expect(sessionStorage.hasSession('session-1')).toBe(true);
+      test('should return true for existing session', async () => {
+        await sessionStorage.saveSession('session-1', { data: 'test' });
+        expect(await sessionStorage.hasSession('session-1')).toBe(true);
       });
 
-      test('should return false for missing session', () => {
-        expect(sessionStorage.hasSession('nonexistent')).toBe(false);
+      test('should return false for missing session', async () => {
+        expect(await sessionStorage.hasSession('nonexistent')).toBe(false);
       });
 
-      test('should return false for null ID', () => {
-        expect(sessionStorage.hasSession(null)).toBe(false);
+      test('should return false for null ID', async () => {
+        expect(await sessionStorage.hasSession(null)).toBe(false);
       });
     });
 
     describe('getAllSessionIds', () => {
-      test('should return array', () => {
-        const ids = sessionStorage.getAllSessionIds();
+      test('should return array', async () => {
+        const ids = await sessionStorage.getAllSessionIds();
         expect(Array.isArray(ids)).toBe(true);
       });
+
+      test('should list saved sessions only', async () => {
+        await sessionStorage.saveSession('session-1', {});
+        await sessionStorage.saveSession('session-2', {});
+        adapter.set(STORAGE_KEYS.SETTINGS, {});
+
+        expect((await sessionStorage.getAllSessionIds()).sort()).toEqual(['session-1', 'session-2']);
+      });
+
+      test('should return no IDs when the adapter cannot list keys', async () => {
+        const sessions = createSessionStorage({ ...adapter, keys: undefined });
+        await sessions.saveSession('session-1', {});
+
+        expect(await sessions.getAllSessionIds()).toEqual([]);
+      });
+    });
+
+    describe('updateSession', () => {
+      test('should merge changes and keep createdAt', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        await sessionStorage.updateSession('session-1', { roomId: 'room-1', peerCount: 1 });
+        now.mockReturnValue(2000);
+        await sessionStorage.updateSession('session-1', { peerCount: 3 });
+        now.mockRestore();
+
+        expect(await sessionStorage.loadSession('session-1')).toEqual({
+          id: 'session-1',
+          roomId: 'room-1',
+          peerCount: 3,
+          createdAt: 1000,
+          savedAt: 2000
+        });
+      });
+
+      test('should keep every change of concurrent updates', async () => {
+        await Promise.all([
+          sessionStorage.updateSession('session-1', { peerCount: 2 }),
+          sessionStorage.updateSession('session-1', { documentSize: 512 })
+        ]);
+
+        expect(await sessionStorage.loadSession('session-1')).toMatchObject({ peerCount: 2, documentSize: 512 });
+      });
+
+      test('should throw on missing session ID', async () => {
+        await expect(sessionStorage.updateSession('', {})).rejects.toThrow('Session ID is required');
+      });
+    });
+
+    describe('listSessions', () => {
+      beforeEach(async () => {
+        const now = jest.spyOn(Date, 'now');
+        const sessions = [
+          ['a', 3000, { peerCount: 1, documentSize: 300 }],
+          ['b', 1000, { peerCount: 4, documentSize: 100 }],
+          ['c', 2000, { documentSize: 200 }]
+        ];
+        for (const [id, time, data] of sessions) {
+          now.mockReturnValue(time);
+          await sessionStorage.updateSession(id, data);
+        }
+        now.mockRestore();
+      });
+
+      const ids = result => result.sessions.map(session => session.id);
+
+      test('should list the most recent sessions first with metadata', async () => {
+        const result = await sessionStorage.listSessions();
+
+        expect(ids(result)).toEqual(['a', 'c', 'b']);
+        expect(result.sessions[1]).toMatchObject({ savedAt: 2000, createdAt: 2000, peerCount: 0, documentSize: 200 });
+        expect(result).toMatchObject({ total: 3, offset: 0, limit: 20, hasMore: false });
+      });
+
+      test('should sort by other fields', async () => {
+        expect(ids(await sessionStorage.listSessions({ sortBy: SessionSort.PEER_COUNT }))).toEqual(['b', 'a', 'c']);
+        expect(ids(await sessionStorage.listSessions({ sortBy: SessionSort.DOCUMENT_SIZE, order: 'asc' })))
+          .toEqual(['b', 'c', 'a']);
+      });
+
+      test('should paginate', async () => {
+        const first = await sessionStorage.listSessions({ limit: 2 });
+        const second = await sessionStorage.listSessions({ limit: 2, offset: 2 });
+
+        expect(ids(first)).toEqual(['a', 'c']);
+        expect(first.hasMore).toBe(true);
+        expect(ids(second)).toEqual(['b']);
+        expect(second.hasMore).toBe(false);
+      });
+
+      test('should skip unreadable records', async () => {
+        adapter.set(STORAGE_KEYS.SESSION + '_broken', 'not an object');
+
+        expect((await sessionStorage.listSessions()).total).toBe(3);
+      });
+
+      test('should reject invalid options', async () => {
+        await expect(sessionStorage.listSessions({ sortBy: 'name' })).rejects.toThrow(RangeError);
+        await expect(sessionStorage.listSessions({ order: 'up' })).rejects.toThrow(RangeError);
+        await expect(sessionStorage.listSessions({ limit: 0 })).rejects.toThrow(RangeError);
+        await expect(sessionStorage.listSessions({ offset: -1 })).rejects.toThrow(RangeError);
+      });
     });
   });
 
@@ -234,62 +432,62 @@ describe('Storage Module', () => {
     });
 
     describe('saveDocument', () => {
-      test('should save document state', () => {
+      test('should save document state', async () => {
         const state = { text: 'Hello', version: 1 };
-        const result = docStorage.saveDocument('doc-1', state);
+        const result = await docStorage.saveDocument('doc-1', state);
         
         expect(result).toBe(true);
       });
 
-      test('should throw on missing doc ID', () => {
-        expect(() => docStorage.saveDocument(null, {})).toThrow('Document ID is required');
-        expect(() => docStorage.saveDocument('', {})).toThrow('Document ID is required');
+      test('should throw on missing doc ID', async () => {
+        await expect(docStorage.saveDocument(null, {})).rejects.toThrow('Document ID is required');
+        await expect(docStorage.saveDocument('', {})).rejects.toThrow('Document ID is required');
       });
 
-      test('should save to history', () => {
-        docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
-        docStorage.saveDocument('doc-1', { text: 'v2', version: 2 });
+      test('should save to history', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
+        await docStorage.saveDocument('doc-1', { text: 'v2', version: 2 });
         
-        const history = docStorage.getHistory('doc-1');
+        const history = await docStorage.getHistory('doc-1');
         expect(history).toHaveLength(2);
       });
     });
 
     describe('loadDocument', () => {
-      test('should load saved document state', () => {
-        docStorage.saveDocument('doc-1', { text: 'Hello', version: 1 });
-        const state = docStorage.loadDocument('doc-1');
+      test('should load saved document state', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'Hello', version: 1 });
+        const state = await docStorage.loadDocument('doc-1');
         
         expect(state.text).toBe('Hello');
       });
 
-      test('should return null for missing document', () => {
-        expect(docStorage.loadDocument('nonexistent')).toBeNull();
+      test('should return null for missing document', async () => {
+        expect(await docStorage.loadDocument('nonexistent')).toBeNull();
       });
 
-      test('should return null for null ID', () => {
-        expect(docStorage.loadDocument(null)).toBeNull();
+      test('should return null for null ID', async () => {
+        expect(await docStorage.loadDocument(null)).toBeNull();
       });
     });
 
     describe('deleteDocument', () => {
-      test('should delete document', () => {
-        docStorage.saveDocument('doc-1', { text: 'test' });
-        const result = docStorage.deleteDocument('doc-1');
+      test('should delete document', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'test' });
+        const result = await docStorage.deleteDocument('doc-1');
         
         expect(result).toBe(true);
-        expect(docStorage.loadDocument('doc-1')).toBeNull();
+        expect(await docStorage.loadDocument('doc-1')).toBeNull();
       });
 
-      test('should return false for null ID', () => {
-        expect(docStorage.deleteDocument(null)).toBe(false);
+      test('should return false for null ID', async () => {
+        expect(await docStorage.deleteDocument(null)).toBe(false);
       });
     });
 
     describe('getDocumentMeta', () => {
-      test('should return metadata without full state', () => {
-        docStorage.saveDocument('doc-1', { text: 'Hello', version: 5 });
-        const meta = docStorage.getDocumentMeta('doc-1');
+      test('should return metadata without full state', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'Hello', version: 5 });
+        const meta = await docStorage.getDocumentMeta('doc-1');
         
         expect(meta.id).toBe('doc-1');
         expect(meta.version).toBe(5);
@@ -297,39 +495,102 @@ describe('Storage Module', () => {
         expect(meta.state).toBeUndefined();
       });
 
-      test('should return null for missing document', () => {
-        expect(docStorage.getDocumentMeta('nonexistent')).toBeNull();
+      test('should return null for missing document', async () => {
+        expect(await docStorage.getDocumentMeta('nonexistent')).toBeNull();
       });
     });
 
     describe('history', () => {
-      test('should limit history to 10 entries', () => {
+      test('should limit history to the configured number of entries', async () => {
+        docStorage = createDocumentStorage(adapter, { maxEntries: 10 });
         for (let i = 0; i < 15; i++) {
-          docStorage.saveDocument('doc-1', { text: `v${i}`, version: i });
+          await docStorage.saveDocument('doc-1', { text: `v${i}`, version: i });
         }
         
-        const history = docStorage.getHistory('doc-1');
+        const history = await docStorage.getHistory('doc-1');
         expect(history).toHaveLength(10);
+        expect(history[0]).toMatchObject({ version: 5, checkpoint: true });
+        expect((await docStorage.restoreFromHistory('doc-1', 0)).text).toBe('v5');
+      });
+
+      test('should store later versions as deltas', async () => {
+        const text = 'x'.repeat(1000);
+        await docStorage.saveDocument('doc-1', { text, version: 1 });
+        await docStorage.saveDocument('doc-1', { text: text + ' more', version: 2 });
+
+        const stored = adapter.get(STORAGE_KEYS.HISTORY + '_doc-1');
+        expect(stored[1].state).toBeUndefined();
+        expect(JSON.stringify(stored[1]).length).toBeLessThan(200);
+        expect((await docStorage.getHistory('doc-1')).map(entry => entry.checkpoint)).toEqual([true, false]);
+        expect(await docStorage.restoreFromHistory('doc-1', 1)).toEqual({ text: text + ' more', version: 2 });
+      });
+
+      test('should store the Yjs document as the update since the previous version', async () => {
+        const manager = createSyncManager();
+        manager.setText('x'.repeat(2000));
+        manager.addTurn({ id: 'turn-1', text: 'Hello '.repeat(300) });
+        await docStorage.saveDocument('doc-1', manager.getState());
+        manager.appendToTurn('turn-1', 'and more');
+        await docStorage.saveDocument('doc-1', manager.getState());
+
+        const stored = adapter.get(STORAGE_KEYS.HISTORY + '_doc-1');
+        expect(stored[1].state).toBeUndefined();
+        expect(stored[1].delta.update.yjs).toEqual(expect.any(String));
+        expect(JSON.stringify(stored[1]).length * 20).toBeLessThan(JSON.stringify(stored[0]).length);
+
+        const restored = createSyncManager();
+        restored.applySnapshot(base64ToBytes((await docStorage.restoreFromHistory('doc-1', 1)).update));
+        expect(restored.getTurn('turn-1').text).toBe('Hello '.repeat(300) + 'and more');
+        expect(restored.getText()).toBe('x'.repeat(2000));
+      });
+
+      test('should not add entries for unchanged states', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'same', version: 1 });
+        await docStorage.saveDocument('doc-1', { text: 'same', version: 1 });
+
+        expect(await docStorage.getHistory('doc-1')).toHaveLength(1);
+      });
+
+      test('should restore every retained version', async () => {
+        docStorage = createDocumentStorage(adapter, { checkpointEvery: 3, maxEntries: 5 });
+        for (let i = 1; i <= 8; i++) {
+          await docStorage.saveDocument('doc-1', { text: 'v'.repeat(i * 20), version: i });
+        }
+
+        for (let index = 0; index < 5; index++) {
+          expect(await docStorage.restoreFromHistory('doc-1', index)).toEqual({ text: 'v'.repeat((index + 4) * 20), version: index + 4 });
+        }
       });
 
-      test('should return empty array for no history', () => {
-        const history = docStorage.getHistory('nonexistent');
+      test('should restore history saved as full snapshots', async () => {
+        adapter.set(STORAGE_KEYS.HISTORY + '_doc-1', [
+          { state: { text: 'old' }, timestamp: 1, version: 1 },
+          { state: { text: 'older format' }, timestamp: 2, version: 2 }
+        ]);
+
+        expect((await docStorage.restoreFromHistory('doc-1', 1)).text).toBe('older format');
+        await docStorage.saveDocument('doc-1', { text: 'older format, extended', version: 3 });
+        expect((await docStorage.restoreFromHistory('doc-1', 2)).text).toBe('older format, extended');
+      });
+
+      test('should return empty array for no history', async () => {
+        const history = await docStorage.getHistory('nonexistent');
         expect(history).toEqual([]);
       });
 
-      test('should restore from history', () => {
-        docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
-        docStorage.saveDocument('doc-1', { text: 'v2', version: 2 });
+      test('should restore from history', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
+        await docStorage.saveDocument('doc-1', { text: 'v2', version: 2 });
         
-        const restored = docStorage.restoreFromHistory('doc-1', 0);
+        const restored = await docStorage.restoreFromHistory('doc-1', 0);
         expect(restored.text).toBe('v1');
       });
 
-      test('should return null for invalid history index', () => {
-        docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
+      test('should return null for invalid history index', async () => {
+        await docStorage.saveDocument('doc-1', { text: 'v1', version: 1 });
         
-        expect(docStorage.restoreFromHistory('doc-1', -1)).toBeNull();
-        expect(docStorage.restoreFromHistory('doc-1', 99)).toBeNull();
+        expect(await docStorage.restoreFromHistory('doc-1', -1)).toBeNull();
+        expect(await docStorage.restoreFromHistory('doc-1', 99)).toBeNull();
       });
     });
   });
@@ -356,14 +617,14 @@ describe('Storage Module', () => {
     });
 
     describe('getSettings', () => {
-      test('should return defaults when nothing stored', () => {
-        const settings = settingsStorage.getSettings();
+      test('should return defaults when nothing stored', async () => {
+        const settings = await settingsStorage.getSettings();
         expect(settings.theme).toBe('system');
       });
 
-      test('should merge stored settings with defaults', () => {
-        settingsStorage.setSetting('theme', 'dark');
-        const settings = settingsStorage.getSettings();
+      test('should merge stored settings with defaults', async () => {
+        await settingsStorage.setSetting('theme', 'dark');
+        const settings = await settingsStorage.getSettings();
         
         expect(settings.theme).toBe('dark');
         expect(settings.autoSave).toBe(true); // default
@@ -371,55 +632,104 @@ describe('Storage Module', () => {
     });
 
     describe('getSetting', () => {
-      test('should get individual setting', () => {
-        expect(settingsStorage.getSetting('theme')).toBe('system');
+      test('should get individual setting', async () => {
+        expect(await settingsStorage.getSetting('theme')).toBe('system');
       });
 
-      test('should get stored setting', () => {
-        settingsStorage.setSetting('theme', 'dark');
-        expect(settingsStorage.getSetting('theme')).toBe('dark');
+      test('should get stored setting', async () => {
+        await settingsStorage.setSetting('theme', 'dark');
+        expect(await settingsStorage.getSetting('theme')).toBe('dark');
       });
     });
 
     describe('setSetting', () => {
-      test('should set individual setting', () => {
-        const result = settingsStorage.setSetting('maxPeers', 20);
+      test('should set individual setting', async () => {
+        const result = await settingsStorage.setSetting('maxPeers', 20);
         
         expect(result).toBe(true);
-        expect(settingsStorage.getSetting('maxPeers')).toBe(20);
+        expect(await settingsStorage.getSetting('maxPeers')).toBe(20);
       });
 
-      test('should preserve other settings', () => {
-        settingsStorage.setSetting('theme', 'dark');
-        settingsStorage.setSetting('maxPeers', 20);
+      test('should preserve other settings', async () => {
+        await settingsStorage.setSetting('theme', 'dark');
+        await settingsStorage.setSetting('maxPeers', 20);
         
-        expect(settingsStorage.getSetting('theme')).toBe('dark');
-        expect(settingsStorage.getSetting('maxPeers')).toBe(20);
+        expect(await settingsStorage.getSetting('theme')).toBe('dark');
+        expect(await settingsStorage.getSetting('maxPeers')).toBe(20);
       });
     });
 
     describe('setSettings', () => {
-      test('should set multiple settings at once', () => {
-        settingsStorage.setSettings({
+      test('should set multiple settings at once', async () => {
+        await settingsStorage.setSettings({
           theme: 'light',
           maxPeers: 5
         });
         
-        expect(settingsStorage.getSetting('theme')).toBe('light');
-        expect(settingsStorage.getSetting('maxPeers')).toBe(5);
+        expect(await settingsStorage.getSetting('theme')).toBe('light');
+        expect(await settingsStorage.getSetting('maxPeers')).toBe(5);
       });
     });
 
     describe('resetSettings', () => {
-      test('should reset to defaults', () => {
-        settingsStorage.setSetting('theme', 'dark');
-        settingsStorage.setSetting('maxPeers', 99);
+      test('should reset to defaults', async () => {
+        await settingsStorage.setSetting('theme', 'dark');
+        await settingsStorage.setSetting('maxPeers', 99);
         
-        settingsStorage.resetSettings();
+        await settingsStorage.resetSettings();
         
-        expect(settingsStorage.getSetting('theme')).toBe('system');
-        expect(settingsStorage.getSetting('maxPeers')).toBe(10);
+        expect(await settingsStorage.getSetting('theme')).toBe('system');
+        expect(await settingsStorage.getSetting('maxPeers')).toBe(10);
       });
     });
   });
+
+  describe('with a Promise-returning adapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = createDelayedAdapter();
+    });
+
+    test('should save and load sessions', async () => {
+      const sessions = createSessionStorage(adapter);
+      await sessions.saveSession('s1', { roomId: 'room-1' });
+
+      expect(await sessions.loadSession('s1')).toMatchObject({ id: 's1', roomId: 'room-1' });
+      expect(await sessions.hasSession('s1')).toBe(true);
+      expect(await sessions.getAllSessionIds()).toEqual(['s1']);
+      expect((await sessions.listSessions()).sessions).toEqual([expect.objectContaining({ id: 's1' })]);
+    });
+
+    test('should keep every history entry of concurrent saves', async () => {
+      const docs = createDocumentStorage(adapter);
+
+      await Promise.all([1, 2, 3].map(version => docs.saveDocument('doc-1', { text: `v${version}`, version })));
+
+      expect((await docs.getHistory('doc-1')).map(entry => entry.version)).toEqual([1, 2, 3]);
+      expect(await docs.loadDocument('doc-1')).toEqual({ text: 'v3', version: 3 });
+    });
+
+    test('should keep every setting of concurrent updates', async () => {
+      const settings = createSettingsStorage(adapter);
+
+      await Promise.all([
+        settings.setSetting('theme', 'dark'),
+        settings.setSetting('maxPeers', 3),
+        settings.setSettings({ autoSave: false })
+      ]);
+
+      expect(await settings.getSettings()).toMatchObject({ theme: 'dark', maxPeers: 3, autoSave: false });
+    });
+
+    test('should keep saving after a failed write', async () => {
+      const failing = { ...adapter, set: jest.fn(() => Promise.reject(new Error('quota'))) };
+      const settings = createSettingsStorage(failing);
+
+      await expect(settings.setSetting('theme', 'dark')).rejects.toThrow('quota');
+      failing.set.mockImplementation(adapter.set);
+      expect(await settings.setSetting('theme', 'light')).toBe(true);
+      expect(await settings.getSetting('theme')).toBe('light');
+    });
+  });
 });
@@ -5,25 +5,105 @@
  * @module sync
  */
 
+import * as Y from 'yjs';
+import { encodeMessage, decodeMessage, bytesToBase64, base64ToBytes } from './codec.js';
+import { generateRoomId } from './connection.js';
+import { createBatcher, byteLength, NO_BATCHING } from './batching.js';
+
+export { bytesToBase64, base64ToBytes };
+
 /**
  * Sync event types
  */
 export const SyncEvent = {
   UPDATE: 'update',
   SNAPSHOT: 'snapshot',
-  TEXT_CHANGE: 'text-change'
+  TEXT_CHANGE: 'text-change',
+  TURN_CHANGE: 'turn-change'
+};
+
+/**
+ * Sync handshake message types
+ * Step 1 carries the sender's state vector, step 2 answers with only the
+ * updates the sender is missing.
+ */
+export const SyncMessageType = {
+  STEP1: 'sync-step-1',
+  STEP2: 'sync-step-2'
+};
+
+/**
+ * Token stream message types
+ * DELTA carries one sequence-numbered Yjs update of a stream, RESEND asks
+ * the streaming peer for a range of deltas the receiver missed. START,
+ * END and ABORT announce a stream's lifecycle with a reason code, and
+ * ABORT_REQUEST asks the streaming peer to abort.
+ */
+export const StreamMessageType = {
+  DELTA: 'stream-delta',
+  RESEND: 'stream-resend',
+  START: 'stream-start',
+  END: 'stream-end',
+  ABORT: 'stream-abort',
+  ABORT_REQUEST: 'stream-abort-request'
+};
+
+/**
+ * Why a stream ended or was aborted
+ */
+export const StreamReason = {
+  COMPLETE: 'complete',
+  LENGTH: 'length',
+  CANCELLED: 'cancelled',
+  PEER_REQUEST: 'peer-request',
+  ERROR: 'error',
+  DISCONNECTED: 'disconnected'
+};
+
+/**
+ * How long a finished stream's deltas are kept for resend requests (ms)
+ */
+export const STREAM_RETENTION = 30000;
+
+/**
+ * Name of the shared Y.Text holding the streamed content
+ */
+export const TEXT_KEY = 'llm-stream';
+
+/**
+ * Name of the shared Y.Array holding the conversation turns
+ */
+export const TURNS_KEY = 'turns';
+
+/**
+ * Kinds of conversation turns
+ */
+export const TurnKind = {
+  PROMPT: 'prompt',
+  RESPONSE: 'response'
 };
 
 /**
- * Creates a Yjs-compatible update encoder
- * This is a lightweight implementation for testing without full Yjs
+ * Status of a conversation turn
+ */
+export const TurnStatus = {
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ABORTED: 'aborted'
+};
+
+/**
+ * Transaction origin used for updates received from peers
+ */
+const REMOTE_ORIGIN = 'remote';
+
+/**
+ * Encodes a document state or sync message with the binary wire codec
  * @param {Object} doc - Document state
  * @returns {Uint8Array} Encoded update
  */
 export function encodeUpdate(doc) {
-  const json = JSON.stringify(doc);
-  const encoder = new TextEncoder();
-  return encoder.encode(json);
+  return encodeMessage(doc);
 }
 
 /**
@@ -32,33 +112,83 @@ export function encodeUpdate(doc) {
  * @returns {Object} Decoded document state
  */
 export function decodeUpdate(update) {
-  const decoder = new TextDecoder();
-  const json = decoder.decode(update);
-  return JSON.parse(json);
+  return decodeMessage(update);
 }
 
 /**
  * Creates a sync manager for document synchronization
+ * Document content lives in a Y.Doc, so concurrent edits from several
+ * peers converge instead of overwriting each other.
  * @param {Object} options - Configuration options
- * @param {Function} options.onTextChange - Callback when text changes
- * @param {Function} options.onSync - Callback when sync occurs
+ * @param {Function} options.onTextChange - Callback with the full text when text changes
+ * @param {Function} options.onSync - Callback with the change ({ changed, version, update }) when a peer's
+ *   update changes the document; getState() builds the full state when it is needed
+ * @param {Function} options.onTurnChange - Callback with the turn when a conversation turn changes
  * @returns {Object} Sync manager object
  */
 export function createSyncManager(options = {}) {
-  let documentState = {
-    text: '',
-    chunks: [],
-    version: 0,
-    lastUpdated: null
-  };
+  let doc = null;
+  let ytext = null;
+  let ychunks = null;
+  let ymeta = null;
+  let yturns = null;
   
   const callbacks = {
     onTextChange: options.onTextChange || (() => {}),
-    onSync: options.onSync || (() => {})
+    onSync: options.onSync || (() => {}),
+    onTurnChange: options.onTurnChange || (() => {})
   };
 
   const observers = new Set();
 
+  /**
+   * Creates a fresh Y.Doc and binds the shared types
+   */
+  function createDoc() {
+    if (doc) {
+      doc.destroy();
+    }
+    doc = new Y.Doc();
+    ytext = doc.getText(TEXT_KEY);
+    ychunks = doc.getArray('chunks');
+    ymeta = doc.getMap('meta');
+    yturns = doc.getArray(TURNS_KEY);
+
+    doc.on('update', (update, origin) => {
+      notifyObservers(SyncEvent.UPDATE, { update, remote: origin === REMOTE_ORIGIN });
+    });
+    yturns.observeDeep(handleTurnEvents);
+  }
+
+  /**
+   * Reports every turn touched by a transaction, local or remote
+   * @param {Array} events - Yjs events below the turns array
+   */
+  function handleTurnEvents(events) {
+    const changed = new Set();
+    events.forEach((event) => {
+      if (event.target === yturns) {
+        event.changes.added.forEach((item) => {
+          item.content.getContent().forEach(yturn => changed.add(yturn));
+        });
+        return;
+      }
+      let target = event.target;
+      while (target && target.parent !== yturns) {
+        target = target.parent;
+      }
+      if (target) changed.add(target);
+    });
+
+    changed.forEach((yturn) => {
+      const turn = toTurn(yturn);
+      callbacks.onTurnChange(turn);
+      notifyObservers(SyncEvent.TURN_CHANGE, turn);
+    });
+  }
+
+  createDoc();
+
   /**
    * Adds an observer for document changes
    * @param {Function} callback - Observer callback
@@ -88,19 +218,22 @@ export function createSyncManager(options = {}) {
       throw new TypeError('Text must be a string');
     }
 
-    documentState.text += text;
-    documentState.chunks.push({
-      content: text,
-      timestamp: Date.now(),
-      index: documentState.chunks.length
+    const now = Date.now();
+    doc.transact(() => {
+      ytext.insert(ytext.length, text);
+      ychunks.push([{
+        content: text,
+        timestamp: now,
+        index: ychunks.length
+      }]);
+      ymeta.set('lastUpdated', now);
     });
-    documentState.version++;
-    documentState.lastUpdated = Date.now();
 
-    callbacks.onTextChange(documentState.text);
-    notifyObservers(SyncEvent.TEXT_CHANGE, { text, fullText: documentState.text });
+    const fullText = ytext.toString();
+    callbacks.onTextChange(fullText);
+    notifyObservers(SyncEvent.TEXT_CHANGE, { text, fullText });
 
-    return { ...documentState };
+    return getState();
   }
 
   /**
@@ -113,19 +246,23 @@ export function createSyncManager(options = {}) {
       throw new TypeError('Text must be a string');
     }
 
-    documentState.text = text;
-    documentState.chunks = [{
-      content: text,
-      timestamp: Date.now(),
-      index: 0
-    }];
-    documentState.version++;
-    documentState.lastUpdated = Date.now();
+    const now = Date.now();
+    doc.transact(() => {
+      ytext.delete(0, ytext.length);
+      ytext.insert(0, text);
+      ychunks.delete(0, ychunks.length);
+      ychunks.push([{
+        content: text,
+        timestamp: now,
+        index: 0
+      }]);
+      ymeta.set('lastUpdated', now);
+    });
 
-    callbacks.onTextChange(documentState.text);
+    callbacks.onTextChange(text);
     notifyObservers(SyncEvent.TEXT_CHANGE, { text, fullText: text });
 
-    return { ...documentState };
+    return getState();
   }
 
   /**
@@ -133,104 +270,312 @@ export function createSyncManager(options = {}) {
    * @returns {string} Current text
    */
   function getText() {
-    return documentState.text;
+    return ytext.toString();
+  }
+
+  /**
+   * Converts a shared turn to a plain object
+   * @param {Y.Map} yturn - Shared turn
+   * @returns {Object} Turn { id, kind, status, text, parentId, meta, createdAt, firstTokenAt, endedAt }
+   */
+  function toTurn(yturn) {
+    return {
+      id: yturn.get('id'),
+      kind: yturn.get('kind'),
+      status: yturn.get('status'),
+      text: yturn.get('text').toString(),
+      parentId: yturn.get('parentId') || null,
+      meta: { ...(yturn.get('meta') || {}) },
+      createdAt: yturn.get('createdAt'),
+      firstTokenAt: yturn.get('firstTokenAt') || null,
+      endedAt: yturn.get('endedAt') || null
+    };
+  }
+
+  /**
+   * Finds a shared turn by ID
+   * @param {string} id - Turn ID
+   * @returns {Y.Map|null} Shared turn
+   */
+  function findTurn(id) {
+    for (let i = yturns.length - 1; i >= 0; i--) {
+      const yturn = yturns.get(i);
+      if (yturn.get('id') === id) return yturn;
+    }
+    return null;
+  }
+
+  /**
+   * Appends a conversation turn
+   * @param {Object} turn - Turn fields
+   * @param {string} turn.id - Unique turn ID (usually the stream ID)
+   * @param {string} [turn.kind] - TurnKind value (default response)
+   * @param {string} [turn.status] - TurnStatus value (default streaming)
+   * @param {string} [turn.text] - Initial text
+   * @param {string} [turn.parentId] - ID of the turn this one answers
+   * @param {Object} [turn.meta] - Metadata such as the model name
+   * @returns {Object} Added turn
+   */
+  function addTurn(turn) {
+    if (!turn || typeof turn.id !== 'string' || !turn.id) {
+      throw new Error('Turn ID is required');
+    }
+    if (findTurn(turn.id)) {
+      throw new Error('Turn already exists: ' + turn.id);
+    }
+
+    const now = Date.now();
+    const status = turn.status || TurnStatus.STREAMING;
+    const yturn = new Y.Map();
+    const ytext = new Y.Text(turn.text || '');
+    yturn.set('id', turn.id);
+    yturn.set('kind', turn.kind || TurnKind.RESPONSE);
+    yturn.set('status', status);
+    yturn.set('text', ytext);
+    yturn.set('parentId', turn.parentId || null);
+    yturn.set('meta', { ...(turn.meta || {}) });
+    yturn.set('createdAt', now);
+    if (status !== TurnStatus.STREAMING) {
+      yturn.set('endedAt', now);
+    }
+    yturns.push([yturn]);
+
+    return toTurn(yturn);
+  }
+
+  /**
+   * Appends text to a streaming turn
+   * @param {string} id - Turn ID
+   * @param {string} text - Text to append
+   * @returns {Object|null} Updated turn, or null if it is unknown or finished
+   */
+  function appendToTurn(id, text) {
+    if (typeof text !== 'string') {
+      throw new TypeError('Text must be a string');
+    }
+    const yturn = findTurn(id);
+    if (!yturn || yturn.get('status') !== TurnStatus.STREAMING) {
+      return null;
+    }
+
+    doc.transact(() => {
+      const yturnText = yturn.get('text');
+      yturnText.insert(yturnText.length, text);
+      if (!yturn.get('firstTokenAt')) {
+        yturn.set('firstTokenAt', Date.now());
+      }
+    });
+    return toTurn(yturn);
+  }
+
+  /**
+   * Sets the status of a turn; leaving streaming records the end time
+   * @param {string} id - Turn ID
+   * @param {string} status - TurnStatus value
+   * @returns {Object|null} Updated turn, or null if it is unknown
+   */
+  function setTurnStatus(id, status) {
+    if (!Object.values(TurnStatus).includes(status)) {
+      throw new Error('Invalid turn status: ' + status);
+    }
+    const yturn = findTurn(id);
+    if (!yturn) return null;
+
+    doc.transact(() => {
+      yturn.set('status', status);
+      yturn.set('endedAt', status === TurnStatus.STREAMING ? null : Date.now());
+    });
+    return toTurn(yturn);
+  }
+
+  /**
+   * Merges metadata into a turn
+   * @param {string} id - Turn ID
+   * @param {Object} meta - Metadata to merge
+   * @returns {Object|null} Updated turn, or null if it is unknown
+   */
+  function updateTurnMeta(id, meta) {
+    const yturn = findTurn(id);
+    if (!yturn) return null;
+
+    yturn.set('meta', { ...(yturn.get('meta') || {}), ...meta });
+    return toTurn(yturn);
+  }
+
+  /**
+   * Gets a turn by ID
+   * @param {string} id - Turn ID
+   * @returns {Object|null} Turn
+   */
+  function getTurn(id) {
+    const yturn = findTurn(id);
+    return yturn ? toTurn(yturn) : null;
+  }
+
+  /**
+   * Gets conversation turns in order, optionally a slice for scrolling back
+   * @param {number} [start] - First index (negative counts from the end)
+   * @param {number} [end] - End index, exclusive
+   * @returns {Object[]} Turns
+   */
+  function getTurns(start = 0, end = yturns.length) {
+    return yturns.slice(start, end).map(toTurn);
+  }
+
+  /**
+   * Gets the number of conversation turns
+   * @returns {number} Turn count
+   */
+  function getTurnCount() {
+    return yturns.length;
   }
 
   /**
    * Gets the full document state
+   * The encoded Yjs update is included so the state can be persisted or
+   * sent to peers as JSON and merged back losslessly.
    * @returns {Object} Document state copy
    */
   function getState() {
-    return { ...documentState };
+    return {
+      text: ytext.toString(),
+      chunks: ychunks.toArray(),
+      version: getVersion(),
+      lastUpdated: ymeta.get('lastUpdated') || null,
+      update: bytesToBase64(Y.encodeStateAsUpdate(doc))
+    };
   }
 
   /**
    * Gets the document version
+   * Sum of the Yjs state vector clocks, so it only grows and is equal on
+   * peers that have seen the same updates.
    * @returns {number} Current version
    */
   function getVersion() {
-    return documentState.version;
+    let version = 0;
+    Y.decodeStateVector(Y.encodeStateVector(doc)).forEach(clock => {
+      version += clock;
+    });
+    return version;
+  }
+
+  /**
+   * Applies a binary Yjs update received from a peer
+   * Only the incremental change is reported; encoding the whole document
+   * on every remote delta would cost more than the delta itself.
+   * @param {Uint8Array} update - Yjs update
+   * @returns {Object} Change { changed, version, update }
+   */
+  function applyRemoteUpdate(update) {
+    const previousVersion = getVersion();
+    let textChanged = false;
+    const watchText = (transaction) => {
+      if (transaction.changed.has(ytext)) textChanged = true;
+    };
+    doc.on('afterTransaction', watchText);
+    try {
+      Y.applyUpdate(doc, update, REMOTE_ORIGIN);
+    } finally {
+      doc.off('afterTransaction', watchText);
+    }
+
+    const version = getVersion();
+    if (version === previousVersion) {
+      return { changed: false, version, update: null };
+    }
+
+    const change = { changed: true, version, update };
+    if (textChanged) {
+      callbacks.onTextChange(ytext.toString());
+    }
+    callbacks.onSync(change);
+    notifyObservers(SyncEvent.SNAPSHOT, change);
+    return change;
+  }
+
+  /**
+   * Gets the encoded state vector describing what this document has seen
+   * @returns {Uint8Array} Encoded Yjs state vector
+   */
+  function getStateVector() {
+    return Y.encodeStateVector(doc);
   }
 
   /**
    * Creates an encoded snapshot for transmission
-   * @returns {Uint8Array} Encoded snapshot
+   * @param {Uint8Array} [stateVector] - Remote state vector; only missing updates are encoded
+   * @returns {Uint8Array} Encoded Yjs update
    */
-  function createSnapshot() {
-    return encodeUpdate(documentState);
+  function createSnapshot(stateVector) {
+    return stateVector ? Y.encodeStateAsUpdate(doc, stateVector) : Y.encodeStateAsUpdate(doc);
   }
 
   /**
    * Applies a received snapshot
    * @param {Uint8Array} snapshot - Encoded snapshot to apply
-   * @returns {Object} Updated document state
+   * @returns {Object} Change { changed, version, update }
    */
   function applySnapshot(snapshot) {
-    const decoded = decodeUpdate(snapshot);
-    
-    // Only apply if newer version
-    if (decoded.version > documentState.version) {
-      documentState = { ...decoded };
-      callbacks.onTextChange(documentState.text);
-      callbacks.onSync(documentState);
-      notifyObservers(SyncEvent.SNAPSHOT, documentState);
-    }
-    
-    return { ...documentState };
+    return applyRemoteUpdate(snapshot);
   }
 
   /**
    * Applies an incremental update
-   * @param {Object} update - Update object with text delta
-   * @returns {Object} Updated document state
+   * @param {Uint8Array|Object} update - Binary Yjs update, or update object with text delta
+   * @returns {Object} Change { changed, version, update }; update is null for text deltas
    */
   function applyUpdate(update) {
+    if (update instanceof Uint8Array) {
+      return applyRemoteUpdate(update);
+    }
     if (update.type === 'append' && update.text) {
-      return appendText(update.text);
+      appendText(update.text);
     } else if (update.type === 'set' && update.text !== undefined) {
-      return setText(update.text);
+      setText(update.text);
+    } else {
+      return { changed: false, version: getVersion(), update: null };
     }
-    return { ...documentState };
+    return { changed: true, version: getVersion(), update: null };
   }
 
   /**
-   * Merges remote state with local state (CRDT-style)
-   * Uses last-write-wins for simplicity
-   * @param {Object} remoteState - Remote document state
-   * @returns {Object} Merged document state
+   * Merges remote state with local state
+   * Accepts a binary update or a state object from getState(). Legacy
+   * states without an encoded update only seed an empty document. A
+   * payload that doesn't decode or apply leaves the document unchanged.
+   * @param {Uint8Array|Object} remoteState - Remote document state
+   * @returns {Object} Change { changed, version, update }; update is null for legacy states,
+   *   and `error` is set when the payload was rejected
    */
   function merge(remoteState) {
-    if (!remoteState || typeof remoteState !== 'object') {
-      return { ...documentState };
+    const isEncoded = remoteState instanceof Uint8Array ||
+      (!!remoteState && typeof remoteState === 'object' && typeof remoteState.update === 'string');
+    if (isEncoded) {
+      try {
+        return applyRemoteUpdate(remoteState instanceof Uint8Array ? remoteState : base64ToBytes(remoteState.update));
+      } catch (error) {
+        return { changed: false, version: getVersion(), update: null, error };
+      }
     }
 
-    // Simple LWW merge - take the newer version
-    if (remoteState.version > documentState.version) {
-      documentState = { ...remoteState };
-      callbacks.onTextChange(documentState.text);
-      callbacks.onSync(documentState);
-      notifyObservers(SyncEvent.SNAPSHOT, documentState);
-    } else if (remoteState.version === documentState.version && 
-               remoteState.lastUpdated > documentState.lastUpdated) {
-      documentState = { ...remoteState };
-      callbacks.onTextChange(documentState.text);
-      callbacks.onSync(documentState);
-      notifyObservers(SyncEvent.SNAPSHOT, documentState);
+    const isLegacyState = !!remoteState && typeof remoteState.text === 'string' &&
+      typeof remoteState.version === 'number';
+    if (isLegacyState && remoteState.text && ytext.length === 0) {
+      setText(remoteState.text);
+      const change = { changed: true, version: getVersion(), update: null };
+      callbacks.onSync(change);
+      return change;
     }
 
-    return { ...documentState };
+    return { changed: false, version: getVersion(), update: null };
   }
 
   /**
    * Resets the document state
    */
   function reset() {
-    documentState = {
-      text: '',
-      chunks: [],
-      version: 0,
-      lastUpdated: null
-    };
+    createDoc();
     notifyObservers(SyncEvent.TEXT_CHANGE, { text: '', fullText: '' });
   }
 
@@ -239,7 +584,15 @@ export function createSyncManager(options = {}) {
    * @returns {number} Number of chunks
    */
   function getChunkCount() {
-    return documentState.chunks.length;
+    return ychunks.length;
+  }
+
+  /**
+   * Gets the underlying Yjs document
+   * @returns {Y.Doc} Yjs document
+   */
+  function getDoc() {
+    return doc;
   }
 
   return {
@@ -248,83 +601,622 @@ export function createSyncManager(options = {}) {
     getText,
     getState,
     getVersion,
+    getStateVector,
     createSnapshot,
     applySnapshot,
     applyUpdate,
     merge,
     reset,
     observe,
-    getChunkCount
+    getChunkCount,
+    addTurn,
+    appendToTurn,
+    setTurnStatus,
+    updateTurnMeta,
+    getTurn,
+    getTurns,
+    getTurnCount,
+    getDoc
+  };
+}
+
+/**
+ * Checks whether a payload belongs to the sync handshake
+ * @param {any} message - Received payload
+ * @returns {boolean} True if it is a sync handshake message
+ */
+export function isSyncMessage(message) {
+  return !!message && typeof message === 'object' &&
+    (message.type === SyncMessageType.STEP1 || message.type === SyncMessageType.STEP2);
+}
+
+/**
+ * Creates the first handshake message advertising local state
+ * @param {Object} syncManager - Sync manager instance
+ * @returns {Object} Step 1 message
+ */
+export function createSyncStep1(syncManager) {
+  return {
+    type: SyncMessageType.STEP1,
+    stateVector: bytesToBase64(syncManager.getStateVector())
   };
 }
 
+/**
+ * Handles a sync handshake message
+ * @param {Object} syncManager - Sync manager instance
+ * @param {Object} message - Step 1 or step 2 message
+ * @returns {Object|null} Reply to send back to the sender, if any
+ */
+export function handleSyncMessage(syncManager, message) {
+  if (!isSyncMessage(message)) {
+    return null;
+  }
+
+  if (message.type === SyncMessageType.STEP1) {
+    const stateVector = base64ToBytes(message.stateVector);
+    return {
+      type: SyncMessageType.STEP2,
+      update: bytesToBase64(syncManager.createSnapshot(stateVector))
+    };
+  }
+
+  syncManager.applyUpdate(base64ToBytes(message.update));
+  return null;
+}
+
+/**
+ * Checks whether a payload belongs to the token stream protocol
+ * @param {any} message - Received payload
+ * @returns {boolean} True for stream deltas, resends, lifecycle events and abort requests
+ */
+export function isStreamMessage(message) {
+  return !!message && typeof message === 'object' &&
+    typeof message.streamId === 'string' &&
+    Object.values(StreamMessageType).includes(message.type);
+}
+
 /**
  * Creates a text stream handler for LLM token streaming
+ * Every stream is one conversation turn with its own ID, so several
+ * prompts and responses can stream at once without replacing earlier
+ * turns. Each change to a stream is sent as a sequence-numbered Yjs
+ * delta. Receivers apply deltas strictly in sequence order per stream,
+ * hold back early ones and ask the sender to resend missing ranges, so
+ * every transport gives the same in-order, exactly-once result.
+ * Start, end and abort events carry a reason code; end and abort are
+ * reported to receivers only after the stream's last delta is applied.
+ * Tokens are applied to the document right away; with a flush policy
+ * the changes of a time window or byte budget go out as one delta.
+ * A finished stream's deltas are dropped once the retention window has
+ * passed; peers that join later catch up through the sync handshake.
  * @param {Object} syncManager - Sync manager instance
- * @param {Object} connectionManager - Connection manager instance
+ * @param {Object} connectionManager - Connection manager or transport instance
+ * @param {Object} options - Handler options
+ * @param {Object} options.flush - Network flush policy { interval, maxBytes } (default: a delta per token)
+ * @param {number} options.retention - ms a finished stream stays available for resends (default STREAM_RETENTION)
+ * @param {Function} options.onGap - Called with (peerId, { streamId, from, to }) when a resend is requested
+ * @param {Function} options.onStreamStart - Called with (event, peerId) when a stream starts; peerId is null for local streams
+ * @param {Function} options.onStreamEnd - Called with (event, peerId) when a stream ends
+ * @param {Function} options.onStreamAbort - Called with (event, peerId) when a stream is aborted
+ * @param {Function} options.onAbortRequest - Called with (streamId, peerId, reason) when a peer asks to abort
+ *   a local stream; without it the stream is aborted right away
  * @returns {Object} Stream handler
  */
-export function createStreamHandler(syncManager, connectionManager) {
-  let isStreaming = false;
-  let tokenCount = 0;
+export function createStreamHandler(syncManager, connectionManager, options = {}) {
+  // Most recently started local stream, the default target of onToken
+  let currentId = null;
+
+  // Local streams: streamId -> { tokenCount, history, unsent, finishedAt } with history[seq - 1]
+  // and unsent the document updates made by the stream since its last delta
+  const outgoing = new Map();
+  // Remote streams: streamId -> { peerId, nextSeq, requestedUpTo, pending, ending, finishedAt }
+  const incoming = new Map();
+  const retention = options.retention ?? STREAM_RETENTION;
+
+  const callbacks = {
+    onGap: options.onGap || (() => {}),
+    onStreamStart: options.onStreamStart || (() => {}),
+    onStreamEnd: options.onStreamEnd || (() => {}),
+    onStreamAbort: options.onStreamAbort || (() => {}),
+    onAbortRequest: options.onAbortRequest || null
+  };
+
+  const network = createBatcher({
+    ...(options.flush || NO_BATCHING),
+    onFlush: () => sendPending()
+  });
+
+  /**
+   * Sends a message to one peer
+   * @param {Object} message - Message to send
+   * @param {string} peerId - Target peer
+   */
+  function sendTo(message, peerId) {
+    if (connectionManager && connectionManager.send) {
+      connectionManager.send(message, peerId);
+    }
+  }
+
+  /**
+   * Sends a message to every peer
+   * @param {Object} message - Message to send
+   */
+  function broadcast(message) {
+    if (connectionManager && connectionManager.broadcast) {
+      connectionManager.broadcast(message);
+    }
+  }
+
+  /**
+   * Forgets streams that finished more than the retention window ago
+   */
+  function pruneFinished() {
+    const now = Date.now();
+    [outgoing, incoming].forEach((streams) => {
+      streams.forEach((stream, streamId) => {
+        if (stream.finishedAt !== null && now - stream.finishedAt >= retention) {
+          streams.delete(streamId);
+        }
+      });
+    });
+  }
+
+  /**
+   * Broadcasts the unsent changes of every local stream as one delta each
+   */
+  function sendPending() {
+    outgoing.forEach((stream, streamId) => {
+      if (stream.unsent.length === 0) return;
+
+      const delta = {
+        type: StreamMessageType.DELTA,
+        streamId,
+        seq: stream.history.length + 1,
+        update: bytesToBase64(Y.mergeUpdates(stream.unsent))
+      };
+      stream.unsent = [];
+      stream.history.push(delta);
+
+      // Broadcast update to peers
+      broadcast(delta);
+    });
+  }
+
+  /**
+   * Runs a change to a local stream and queues it for the next delta
+   * The change runs in a transaction whose origin is the stream, so the delta
+   * carries only this stream's updates and not those of other streams or peers.
+   * @param {string} streamId - Stream ID
+   * @param {Function} change - Applies the change to the sync manager
+   * @param {number} [bytes] - Size of a token; without it the change is sent right away
+   * @returns {any} Result of the change
+   */
+  function record(streamId, change, bytes) {
+    const stream = outgoing.get(streamId);
+    const doc = syncManager.getDoc();
+    const collect = (update, origin) => {
+      if (origin === stream) stream.unsent.push(update);
+    };
+    doc.on('update', collect);
+    let result;
+    try {
+      result = doc.transact(change, stream);
+    } finally {
+      doc.off('update', collect);
+    }
+
+    network.add(bytes || 0);
+    if (bytes === undefined) {
+      network.flush();
+    }
+    return result;
+  }
+
+  /**
+   * Checks whether a local stream is still streaming
+   * @param {string} streamId - Stream ID
+   * @returns {boolean} True while streaming
+   */
+  function isStreamActive(streamId) {
+    if (!outgoing.has(streamId)) return false;
+    const turn = syncManager.getTurn(streamId);
+    return !!turn && turn.status === TurnStatus.STREAMING;
+  }
 
   /**
    * Handles incoming LLM token
    * @param {string} token - Token to process
+   * @param {string} [streamId] - Target stream (default the latest one started)
    */
-  function onToken(token) {
-    if (!isStreaming) return;
-    
-    tokenCount++;
-    syncManager.appendText(token);
+  function onToken(token, streamId = currentId) {
+    if (!isStreamActive(streamId)) return;
     
-    // Broadcast update to peers
-    if (connectionManager && connectionManager.broadcast) {
-      connectionManager.broadcast({
-        type: 'append',
-        text: token,
-        tokenIndex: tokenCount
+    outgoing.get(streamId).tokenCount++;
+    record(streamId, () => syncManager.appendToTurn(streamId, token), byteLength(token));
+  }
+
+  /**
+   * Starts a new stream as a conversation turn and announces it
+   * @param {Object} [turn] - Turn options
+   * @param {string} [turn.kind] - TurnKind value (default response)
+   * @param {string} [turn.parentId] - ID of the turn this stream answers
+   * @param {Object} [turn.meta] - Metadata such as the model name
+   * @returns {string} Stream ID, also the turn ID
+   */
+  function startStream(turn = {}) {
+    pruneFinished();
+    const streamId = generateRoomId();
+    outgoing.set(streamId, { tokenCount: 0, history: [], unsent: [], finishedAt: null });
+    currentId = streamId;
+
+    const added = record(streamId, () => syncManager.addTurn({
+      id: streamId,
+      kind: turn.kind,
+      parentId: turn.parentId,
+      meta: turn.meta
+    }));
+
+    const event = {
+      type: StreamMessageType.START,
+      streamId,
+      kind: added.kind,
+      parentId: added.parentId,
+      meta: added.meta
+    };
+    broadcast(event);
+    callbacks.onStreamStart(event, null);
+    return streamId;
+  }
+
+  /**
+   * Ends a stream with a final status and announces why
+   * @param {string} streamId - Stream ID
+   * @param {string} status - TurnStatus value
+   * @param {string} reason - StreamReason value
+   * @returns {boolean} True if the stream was active
+   */
+  function endStream(streamId, status, reason) {
+    if (!isStreamActive(streamId)) return false;
+    record(streamId, () => syncManager.getDoc().transact(() => {
+      syncManager.setTurnStatus(streamId, status);
+      syncManager.updateTurnMeta(streamId, { reason });
+    }));
+
+    const stream = outgoing.get(streamId);
+    stream.finishedAt = Date.now();
+    const aborted = status === TurnStatus.ABORTED;
+    const event = {
+      type: aborted ? StreamMessageType.ABORT : StreamMessageType.END,
+      streamId,
+      reason,
+      lastSeq: stream.history.length,
+      tokenCount: stream.tokenCount
+    };
+    broadcast(event);
+    (aborted ? callbacks.onStreamAbort : callbacks.onStreamEnd)(event, null);
+    return true;
+  }
+
+  /**
+   * Stops streaming mode; the turn is marked done
+   * @param {string} [streamId] - Stream ID (default the latest one started)
+   * @param {string} [reason] - StreamReason value (default complete)
+   * @returns {boolean} True if the stream was active
+   */
+  function stopStream(streamId = currentId, reason = StreamReason.COMPLETE) {
+    return endStream(streamId, TurnStatus.DONE, reason);
+  }
+
+  /**
+   * Aborts a stream; the partial turn is kept and marked aborted
+   * @param {string} [streamId] - Stream ID (default the latest one started)
+   * @param {string} [reason] - StreamReason value (default cancelled)
+   * @returns {boolean} True if the stream was active
+   */
+  function abortStream(streamId = currentId, reason = StreamReason.CANCELLED) {
+    return endStream(streamId, TurnStatus.ABORTED, reason);
+  }
+
+  /**
+   * Asks the peer streaming a remote stream to abort it
+   * @param {string} streamId - Stream ID
+   * @param {string} [reason] - StreamReason value (default cancelled)
+   * @returns {boolean} True if the request was sent
+   */
+  function requestAbort(streamId, reason = StreamReason.CANCELLED) {
+    if (outgoing.has(streamId)) return false;
+
+    const message = { type: StreamMessageType.ABORT_REQUEST, streamId, reason };
+    const stream = incoming.get(streamId);
+    if (stream && stream.peerId) {
+      sendTo(message, stream.peerId);
+    } else {
+      broadcast(message);
+    }
+    return true;
+  }
+
+  /**
+   * Adds a complete prompt turn
+   * @param {string} text - Prompt text
+   * @param {Object} [meta] - Metadata such as the sender
+   * @returns {string} Turn ID
+   */
+  function addPrompt(text, meta = {}) {
+    const streamId = startStream({ kind: TurnKind.PROMPT, meta });
+    onToken(text, streamId);
+    stopStream(streamId);
+    return streamId;
+  }
+
+  /**
+   * Gets the state of a remote stream, creating it on first sight
+   * @param {string} streamId - Stream ID
+   * @param {string} peerId - Peer the stream came from
+   * @returns {Object} Incoming stream state
+   */
+  function getIncoming(streamId, peerId) {
+    if (!incoming.has(streamId)) {
+      pruneFinished();
+      incoming.set(streamId, {
+        peerId,
+        nextSeq: 1,
+        requestedUpTo: 0,
+        pending: new Map(),
+        ending: null,
+        finishedAt: null
       });
     }
+    return incoming.get(streamId);
+  }
+
+  /**
+   * Asks the sender for every missing delta up to a sequence number
+   * @param {Object} stream - Incoming stream state
+   * @param {string} streamId - Stream ID
+   * @param {number} to - Last sequence number needed
+   * @param {string} peerId - Sender
+   */
+  function requestMissing(stream, streamId, to, peerId) {
+    const from = Math.max(stream.nextSeq, stream.requestedUpTo + 1);
+    if (from > to) return;
+
+    stream.requestedUpTo = to;
+    const range = { streamId, from, to };
+    sendTo({ type: StreamMessageType.RESEND, ...range }, peerId);
+    callbacks.onGap(peerId, range);
+  }
+
+  /**
+   * Reports a held back end or abort once its last delta is applied
+   * @param {Object} stream - Incoming stream state
+   */
+  function flushEnding(stream) {
+    const event = stream.ending;
+    if (!event || stream.nextSeq <= event.lastSeq) return;
+
+    stream.ending = null;
+    stream.finishedAt = Date.now();
+    if (event.type === StreamMessageType.ABORT) {
+      callbacks.onStreamAbort(event, stream.peerId);
+    } else {
+      callbacks.onStreamEnd(event, stream.peerId);
+    }
+  }
+
+  /**
+   * Applies a received delta, buffering it if earlier ones are missing
+   * @param {Object} message - Delta message
+   * @param {string} peerId - Sender
+   */
+  function receiveDelta(message, peerId) {
+    if (!Number.isInteger(message.seq) || message.seq < 1 || typeof message.update !== 'string') {
+      return;
+    }
+    if (outgoing.has(message.streamId)) {
+      return;
+    }
+    const stream = getIncoming(message.streamId, peerId);
+    if (message.seq < stream.nextSeq) {
+      return;
+    }
+
+    stream.pending.set(message.seq, message.update);
+    while (stream.pending.has(stream.nextSeq)) {
+      const update = stream.pending.get(stream.nextSeq);
+      stream.pending.delete(stream.nextSeq);
+      stream.nextSeq++;
+      syncManager.applyUpdate(base64ToBytes(update));
+    }
+    flushEnding(stream);
+
+    if (stream.pending.size === 0) return;
+
+    // Ask once for every sequence number below the highest buffered delta
+    requestMissing(stream, message.streamId, Math.max(...stream.pending.keys()) - 1, peerId);
+  }
+
+  /**
+   * Handles a lifecycle event of a remote stream
+   * @param {Object} message - Start, end or abort event
+   * @param {string} peerId - Sender
+   */
+  function receiveEvent(message, peerId) {
+    if (outgoing.has(message.streamId)) return;
+    const stream = getIncoming(message.streamId, peerId);
+
+    if (message.type === StreamMessageType.START) {
+      callbacks.onStreamStart(message, peerId);
+      return;
+    }
+    if (!Number.isInteger(message.lastSeq) || message.lastSeq < 0) return;
+
+    stream.ending = message;
+    flushEnding(stream);
+    if (stream.ending) {
+      requestMissing(stream, message.streamId, message.lastSeq, peerId);
+    }
   }
 
   /**
-   * Starts streaming mode
+   * Handles a peer asking to abort a local stream
+   * @param {Object} message - Abort request
+   * @param {string} peerId - Requesting peer
    */
-  function startStream() {
-    isStreaming = true;
-    tokenCount = 0;
-    syncManager.reset();
+  function receiveAbortRequest(message, peerId) {
+    if (!isStreamActive(message.streamId)) return;
+
+    if (callbacks.onAbortRequest) {
+      callbacks.onAbortRequest(message.streamId, peerId, message.reason);
+    } else {
+      abortStream(message.streamId, StreamReason.PEER_REQUEST);
+    }
   }
 
   /**
-   * Stops streaming mode
+   * Resends deltas of a local stream
+   * @param {Object} message - Resend request
+   * @param {string} peerId - Requesting peer
    */
-  function stopStream() {
-    isStreaming = false;
+  function resend(message, peerId) {
+    const stream = outgoing.get(message.streamId);
+    if (!stream) return;
+
+    const from = Math.max(1, message.from);
+    const to = Math.min(stream.history.length, message.to);
+    for (let seq = from; seq <= to; seq++) {
+      sendTo(stream.history[seq - 1], peerId);
+    }
+  }
+
+  /**
+   * Aborts the unfinished streams of a peer that left
+   * Their turns are marked aborted with StreamReason.DISCONNECTED, since
+   * the sender can no longer end them.
+   * @param {string} peerId - Peer that left
+   * @returns {string[]} IDs of the aborted streams
+   */
+  function removePeer(peerId) {
+    const aborted = [];
+    incoming.forEach((stream, streamId) => {
+      if (stream.peerId !== peerId || stream.finishedAt !== null) return;
+
+      stream.pending.clear();
+      stream.ending = null;
+      stream.finishedAt = Date.now();
+      const turn = syncManager.getTurn(streamId);
+      if (turn && turn.status === TurnStatus.STREAMING) {
+        syncManager.getDoc().transact(() => {
+          syncManager.setTurnStatus(streamId, TurnStatus.ABORTED);
+          syncManager.updateTurnMeta(streamId, { reason: StreamReason.DISCONNECTED });
+        });
+      }
+      aborted.push(streamId);
+      callbacks.onStreamAbort({
+        type: StreamMessageType.ABORT,
+        streamId,
+        reason: StreamReason.DISCONNECTED,
+        lastSeq: stream.nextSeq - 1
+      }, peerId);
+    });
+    return aborted;
+  }
+
+  /**
+   * Handles a stream message received from a peer
+   * @param {Object} message - Stream message
+   * @param {string} peerId - Sender
+   * @returns {boolean} True if the message belonged to the stream protocol
+   */
+  function receive(message, peerId) {
+    if (!isStreamMessage(message)) {
+      return false;
+    }
+    switch (message.type) {
+      case StreamMessageType.DELTA:
+        receiveDelta(message, peerId);
+        break;
+      case StreamMessageType.RESEND:
+        resend(message, peerId);
+        break;
+      case StreamMessageType.ABORT_REQUEST:
+        receiveAbortRequest(message, peerId);
+        break;
+      default:
+        receiveEvent(message, peerId);
+    }
+    return true;
   }
 
   /**
    * Checks if currently streaming
+   * @param {string} [streamId] - Stream to check (default any local stream)
    * @returns {boolean} Streaming state
    */
-  function isActive() {
-    return isStreaming;
+  function isActive(streamId) {
+    if (streamId !== undefined) {
+      return isStreamActive(streamId);
+    }
+    return Array.from(outgoing.keys()).some(isStreamActive);
+  }
+
+  /**
+   * Gets the IDs of local streams that are still streaming
+   * @returns {string[]} Stream IDs
+   */
+  function getActiveStreams() {
+    return Array.from(outgoing.keys()).filter(isStreamActive);
   }
 
   /**
    * Gets token count
+   * @param {string} [streamId] - Stream ID (default the latest one started)
    * @returns {number} Number of tokens processed
    */
-  function getTokenCount() {
-    return tokenCount;
+  function getTokenCount(streamId = currentId) {
+    const stream = outgoing.get(streamId);
+    return stream ? stream.tokenCount : 0;
+  }
+
+  /**
+   * Gets the ID of the latest local stream
+   * @returns {string|null} Stream ID
+   */
+  function getStreamId() {
+    return currentId;
+  }
+
+  /**
+   * Sends the changes still waiting for their flush window
+   * @returns {boolean} True if anything was waiting
+   */
+  function flush() {
+    return network.flush();
+  }
+
+  /**
+   * Gets network batching counters
+   * @returns {Object} Batcher metrics
+   */
+  function getMetrics() {
+    return network.getMetrics();
   }
 
   return {
     onToken,
     startStream,
     stopStream,
+    abortStream,
+    requestAbort,
+    addPrompt,
+    receive,
+    removePeer,
     isActive,
-    getTokenCount
+    getActiveStreams,
+    getTokenCount,
+    getStreamId,
+    flush,
+    getMetrics
   };
 }
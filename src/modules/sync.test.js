@@ -7,9 +7,21 @@ import { jest } from '@jest/globals';
 import {
   encodeUpdate,
   decodeUpdate,
+  bytesToBase64,
+  base64ToBytes,
   createSyncManager,
   createStreamHandler,
-  SyncEvent
+  isSyncMessage,
+  createSyncStep1,
+  handleSyncMessage,
+  isStreamMessage,
+  SyncEvent,
+  SyncMessageType,
+  StreamMessageType,
+  StreamReason,
+  STREAM_RETENTION,
+  TurnKind,
+  TurnStatus
 } from './sync.js';
 
 describe('Sync Module', () => {
@@ -42,6 +54,20 @@ describe('Sync Module', () => {
     });
   });
 
+  describe('bytesToBase64 / base64ToBytes', () => {
+    test('should round-trip binary data', () => {
+      const bytes = new Uint8Array([0, 1, 127, 128, 200, 255]);
+      const decoded = base64ToBytes(bytesToBase64(bytes));
+      
+      expect(Array.from(decoded)).toEqual([0, 1, 127, 128, 200, 255]);
+    });
+
+    test('should handle empty input', () => {
+      expect(bytesToBase64(new Uint8Array(0))).toBe('');
+      expect(base64ToBytes('').length).toBe(0);
+    });
+  });
+
   describe('SyncEvent', () => {
     test('should have all event types', () => {
       expect(SyncEvent.UPDATE).toBe('update');
@@ -83,11 +109,12 @@ describe('Sync Module', () => {
         expect(syncManager.getText()).toBe('Hello World');
       });
 
-      test('should increment version on append', () => {
+      test('should increase version on append', () => {
         syncManager.appendText('a');
-        expect(syncManager.getVersion()).toBe(1);
+        const first = syncManager.getVersion();
+        expect(first).toBeGreaterThan(0);
         syncManager.appendText('b');
-        expect(syncManager.getVersion()).toBe(2);
+        expect(syncManager.getVersion()).toBeGreaterThan(first);
       });
 
       test('should add chunks on append', () => {
@@ -141,8 +168,9 @@ describe('Sync Module', () => {
         const state = syncManager.getState();
         
         expect(state.text).toBe('test');
-        expect(state.version).toBe(1);
+        expect(state.version).toBe(syncManager.getVersion());
         expect(state.chunks).toHaveLength(1);
+        expect(typeof state.update).toBe('string');
       });
 
       test('should not allow mutation of internal state', () => {
@@ -167,19 +195,78 @@ describe('Sync Module', () => {
         expect(newManager.getText()).toBe('Hello World');
       });
 
-      test('should only apply newer snapshots', () => {
-        syncManager.appendText('a');
-        syncManager.appendText('b');
-        syncManager.appendText('c');
+      test('should produce a binary Yjs update', () => {
+        syncManager.appendText('Hello');
+        expect(syncManager.createSnapshot()).toBeInstanceOf(Uint8Array);
+      });
+
+      test('should converge on concurrent edits', () => {
+        syncManager.appendText('abc');
         
-        const olderManager = createSyncManager();
-        olderManager.appendText('x');
-        const olderSnapshot = olderManager.createSnapshot();
+        const otherManager = createSyncManager();
+        otherManager.appendText('xyz');
         
-        syncManager.applySnapshot(olderSnapshot);
+        const localSnapshot = syncManager.createSnapshot();
+        syncManager.applySnapshot(otherManager.createSnapshot());
+        otherManager.applySnapshot(localSnapshot);
         
-        // Should not apply because version is lower
-        expect(syncManager.getText()).toBe('abc');
+        // Neither side discards the other's text
+        expect(syncManager.getText()).toBe(otherManager.getText());
+        expect(syncManager.getText()).toContain('abc');
+        expect(syncManager.getText()).toContain('xyz');
+        expect(syncManager.getVersion()).toBe(otherManager.getVersion());
+      });
+
+      test('should be idempotent', () => {
+        syncManager.appendText('Hello');
+        const snapshot = syncManager.createSnapshot();
+        
+        const newManager = createSyncManager();
+        newManager.applySnapshot(snapshot);
+        newManager.applySnapshot(snapshot);
+        
+        expect(newManager.getText()).toBe('Hello');
+      });
+
+      test('should call onSync only when the snapshot changes the document', () => {
+        const onSync = jest.fn();
+        const newManager = createSyncManager({ onSync });
+        syncManager.appendText('Hello');
+        const snapshot = syncManager.createSnapshot();
+        
+        newManager.applySnapshot(snapshot);
+        newManager.applySnapshot(snapshot);
+        
+        expect(onSync).toHaveBeenCalledTimes(1);
+        expect(onSync.mock.calls[0][0]).toEqual({ changed: true, version: newManager.getVersion(), update: snapshot });
+      });
+
+      test('should report only the incremental change of a remote update', () => {
+        const onTextChange = jest.fn();
+        const newManager = createSyncManager({ onTextChange });
+        syncManager.appendText('Hello');
+        newManager.applySnapshot(syncManager.createSnapshot());
+        
+        const since = syncManager.getStateVector();
+        syncManager.appendText(' World');
+        const change = newManager.applySnapshot(syncManager.createSnapshot(since));
+        
+        expect(change.changed).toBe(true);
+        expect(change.update.length).toBeLessThan(syncManager.createSnapshot().length);
+        expect(change).not.toHaveProperty('text');
+        expect(onTextChange).toHaveBeenLastCalledWith('Hello World');
+      });
+
+      test('should not report text changes for turn-only updates', () => {
+        const onTextChange = jest.fn();
+        const onSync = jest.fn();
+        const newManager = createSyncManager({ onTextChange, onSync });
+        
+        syncManager.addTurn({ id: 't1', kind: 'response' });
+        newManager.applySnapshot(syncManager.createSnapshot());
+        
+        expect(onSync).toHaveBeenCalledTimes(1);
+        expect(onTextChange).not.toHaveBeenCalled();
       });
     });
 
@@ -195,63 +282,181 @@ describe('Sync Module', () => {
         expect(syncManager.getText()).toBe('new');
       });
 
+      test('should apply binary Yjs update', () => {
+        const remote = createSyncManager();
+        remote.appendText('remote');
+        
+        syncManager.applyUpdate(remote.createSnapshot());
+        expect(syncManager.getText()).toBe('remote');
+      });
+
       test('should handle unknown update type', () => {
-        const state = syncManager.applyUpdate({ type: 'unknown' });
-        expect(state.text).toBe('');
+        const change = syncManager.applyUpdate({ type: 'unknown' });
+        expect(change.changed).toBe(false);
+        expect(syncManager.getText()).toBe('');
       });
     });
 
     describe('merge', () => {
-      test('should merge newer remote state', () => {
-        syncManager.appendText('local');
+      test('should merge remote state object', () => {
+        const remote = createSyncManager();
+        remote.appendText('remote');
         
-        const remoteState = {
-          text: 'remote',
-          chunks: [],
-          version: 10,
-          lastUpdated: Date.now()
-        };
-        
-        syncManager.merge(remoteState);
+        syncManager.merge(remote.getState());
         
         expect(syncManager.getText()).toBe('remote');
       });
 
-      test('should not merge older remote state', () => {
+      test('should keep local text when merging concurrent state', () => {
         syncManager.appendText('local');
-        syncManager.appendText('more');
         
-        const remoteState = {
-          text: 'remote',
-          chunks: [],
-          version: 1,
-          lastUpdated: Date.now() - 10000
-        };
+        const remote = createSyncManager();
+        remote.appendText('remote');
         
-        syncManager.merge(remoteState);
+        syncManager.merge(remote.getState());
         
-        expect(syncManager.getText()).toBe('localmore');
+        expect(syncManager.getText()).toContain('local');
+        expect(syncManager.getText()).toContain('remote');
       });
 
-      test('should handle same version with newer timestamp', () => {
-        syncManager.appendText('local');
-        
-        const remoteState = {
-          text: 'remote',
-          chunks: [],
-          version: 1,
-          lastUpdated: Date.now() + 1000
-        };
+      test('should merge binary update', () => {
+        const remote = createSyncManager();
+        remote.appendText('binary');
         
-        syncManager.merge(remoteState);
+        syncManager.merge(remote.createSnapshot());
         
-        expect(syncManager.getText()).toBe('remote');
+        expect(syncManager.getText()).toBe('binary');
+      });
+
+      test('should reject payloads that do not decode or apply', () => {
+        syncManager.appendText('kept');
+        const version = syncManager.getVersion();
+
+        [{ update: '%%%' }, new Uint8Array([1, 2, 3])].forEach((payload) => {
+          const change = syncManager.merge(payload);
+          expect(change).toMatchObject({ changed: false, version, update: null });
+          expect(change.error).toBeInstanceOf(Error);
+        });
+        expect(syncManager.getText()).toBe('kept');
+      });
+
+      test('should seed empty document from legacy state', () => {
+        syncManager.merge({ text: 'legacy', chunks: [], version: 3, lastUpdated: 1 });
+        expect(syncManager.getText()).toBe('legacy');
+      });
+
+      test('should not treat token messages as legacy state', () => {
+        syncManager.merge({ type: 'append', text: 'token', tokenIndex: 1 });
+        expect(syncManager.getText()).toBe('');
+      });
+
+      test('should ignore legacy state when document has content', () => {
+        syncManager.appendText('local');
+        syncManager.merge({ text: 'legacy', chunks: [], version: 30, lastUpdated: Date.now() });
+        expect(syncManager.getText()).toBe('local');
       });
 
       test('should handle null/invalid input', () => {
         syncManager.appendText('test');
-        const state = syncManager.merge(null);
-        expect(state.text).toBe('test');
+        const change = syncManager.merge(null);
+        expect(change.changed).toBe(false);
+        expect(syncManager.getText()).toBe('test');
+      });
+    });
+
+    describe('turns', () => {
+      test('should start without turns', () => {
+        expect(syncManager.getTurns()).toEqual([]);
+        expect(syncManager.getTurnCount()).toBe(0);
+      });
+
+      test('should add turns with defaults', () => {
+        const turn = syncManager.addTurn({ id: 't1', meta: { model: 'gpt-4o' } });
+
+        expect(turn).toEqual({
+          id: 't1',
+          kind: TurnKind.RESPONSE,
+          status: TurnStatus.STREAMING,
+          text: '',
+          parentId: null,
+          meta: { model: 'gpt-4o' },
+          createdAt: expect.any(Number),
+          firstTokenAt: null,
+          endedAt: null
+        });
+      });
+
+      test('should reject missing and duplicate IDs', () => {
+        syncManager.addTurn({ id: 't1' });
+
+        expect(() => syncManager.addTurn({})).toThrow('Turn ID is required');
+        expect(() => syncManager.addTurn({ id: 't1' })).toThrow('Turn already exists: t1');
+      });
+
+      test('should append text and record timings', () => {
+        syncManager.addTurn({ id: 't1' });
+        syncManager.appendToTurn('t1', 'Hello');
+        const turn = syncManager.appendToTurn('t1', ' there');
+
+        expect(turn.text).toBe('Hello there');
+        expect(turn.firstTokenAt).toEqual(expect.any(Number));
+        expect(syncManager.appendToTurn('missing', 'x')).toBeNull();
+        expect(() => syncManager.appendToTurn('t1', 42)).toThrow(TypeError);
+      });
+
+      test('should not append to finished turns', () => {
+        syncManager.addTurn({ id: 't1' });
+        const turn = syncManager.setTurnStatus('t1', TurnStatus.DONE);
+
+        expect(turn.endedAt).toEqual(expect.any(Number));
+        expect(syncManager.appendToTurn('t1', 'late')).toBeNull();
+        expect(() => syncManager.setTurnStatus('t1', 'paused')).toThrow('Invalid turn status');
+      });
+
+      test('should merge metadata', () => {
+        syncManager.addTurn({ id: 't1', meta: { model: 'llama3' } });
+
+        expect(syncManager.updateTurnMeta('t1', { tokens: 12 }).meta).toEqual({ model: 'llama3', tokens: 12 });
+        expect(syncManager.updateTurnMeta('missing', {})).toBeNull();
+      });
+
+      test('should slice turns for scrolling back', () => {
+        ['a', 'b', 'c'].forEach(id => syncManager.addTurn({ id, status: TurnStatus.DONE }));
+
+        expect(syncManager.getTurns(-2).map(turn => turn.id)).toEqual(['b', 'c']);
+        expect(syncManager.getTurns(0, 1).map(turn => turn.id)).toEqual(['a']);
+      });
+
+      test('should sync turns to another peer', () => {
+        const onTurnChange = jest.fn();
+        const peer = createSyncManager({ onTurnChange });
+        syncManager.addTurn({ id: 'p1', kind: TurnKind.PROMPT, text: 'Hi?', status: TurnStatus.DONE });
+        syncManager.addTurn({ id: 'r1', parentId: 'p1' });
+        syncManager.appendToTurn('r1', 'Hello!');
+
+        peer.applyUpdate(syncManager.createSnapshot());
+
+        expect(peer.getTurns()).toEqual(syncManager.getTurns());
+        expect(onTurnChange).toHaveBeenCalledWith(expect.objectContaining({ id: 'r1', text: 'Hello!' }));
+      });
+
+      test('should notify observers of each changed turn', () => {
+        const observer = jest.fn();
+        syncManager.addTurn({ id: 't1' });
+        syncManager.observe(observer);
+
+        syncManager.appendToTurn('t1', 'x');
+
+        const turnCalls = observer.mock.calls.filter(([event]) => event === SyncEvent.TURN_CHANGE);
+        expect(turnCalls).toHaveLength(1);
+        expect(turnCalls[0][1]).toMatchObject({ id: 't1', text: 'x' });
+      });
+
+      test('should drop turns on reset', () => {
+        syncManager.addTurn({ id: 't1' });
+        syncManager.reset();
+
+        expect(syncManager.getTurnCount()).toBe(0);
       });
     });
 
@@ -279,6 +484,17 @@ describe('Sync Module', () => {
         );
       });
 
+      test('should notify observers with binary updates', () => {
+        const observer = jest.fn();
+        syncManager.observe(observer);
+        
+        syncManager.appendText('test');
+        
+        const updateCall = observer.mock.calls.find(([event]) => event === SyncEvent.UPDATE);
+        expect(updateCall[1].update).toBeInstanceOf(Uint8Array);
+        expect(updateCall[1].remote).toBe(false);
+      });
+
       test('should allow unsubscribe', () => {
         const observer = jest.fn();
         const unsubscribe = syncManager.observe(observer);
@@ -291,6 +507,71 @@ describe('Sync Module', () => {
     });
   });
 
+  describe('sync handshake', () => {
+    let host;
+    let client;
+
+    beforeEach(() => {
+      host = createSyncManager();
+      client = createSyncManager();
+    });
+
+    test('should recognize handshake messages', () => {
+      expect(isSyncMessage({ type: SyncMessageType.STEP1 })).toBe(true);
+      expect(isSyncMessage({ type: SyncMessageType.STEP2 })).toBe(true);
+      expect(isSyncMessage({ type: 'append' })).toBe(false);
+      expect(isSyncMessage(null)).toBe(false);
+    });
+
+    test('should create step 1 with state vector', () => {
+      const step1 = createSyncStep1(client);
+      
+      expect(step1.type).toBe(SyncMessageType.STEP1);
+      expect(typeof step1.stateVector).toBe('string');
+    });
+
+    test('should bring a new peer up to date', () => {
+      host.appendText('Hello World');
+      
+      const step2 = handleSyncMessage(host, createSyncStep1(client));
+      expect(step2.type).toBe(SyncMessageType.STEP2);
+      
+      expect(handleSyncMessage(client, step2)).toBeNull();
+      expect(client.getText()).toBe('Hello World');
+    });
+
+    test('should only send updates the peer is missing', () => {
+      host.appendText('A'.repeat(5000));
+      handleSyncMessage(client, handleSyncMessage(host, createSyncStep1(client)));
+      
+      host.appendText('tail');
+      const delta = handleSyncMessage(host, createSyncStep1(client));
+      const full = handleSyncMessage(host, createSyncStep1(createSyncManager()));
+      
+      expect(delta.update.length).toBeLessThan(full.update.length / 10);
+      
+      handleSyncMessage(client, delta);
+      expect(client.getText()).toBe(host.getText());
+    });
+
+    test('should sync both directions', () => {
+      host.appendText('host ');
+      client.appendText('client ');
+      
+      handleSyncMessage(client, handleSyncMessage(host, createSyncStep1(client)));
+      handleSyncMessage(host, handleSyncMessage(client, createSyncStep1(host)));
+      
+      expect(host.getText()).toBe(client.getText());
+      expect(host.getText()).toContain('host ');
+      expect(host.getText()).toContain('client ');
+    });
+
+    test('should ignore non-handshake messages', () => {
+      expect(handleSyncMessage(host, { type: 'append', text: 'x' })).toBeNull();
+      expect(host.getText()).toBe('');
+    });
+  });
+
   describe('createStreamHandler', () => {
     let syncManager;
     let connectionManager;
@@ -306,6 +587,7 @@ describe('Sync Module', () => {
 
     test('should start inactive', () => {
       expect(streamHandler.isActive()).toBe(false);
+      expect(streamHandler.getStreamId()).toBeNull();
     });
 
     test('should start with zero token count', () => {
@@ -318,33 +600,63 @@ describe('Sync Module', () => {
         expect(streamHandler.isActive()).toBe(true);
       });
 
-      test('should reset sync manager', () => {
-        syncManager.appendText('existing');
-        streamHandler.startStream();
-        expect(syncManager.getText()).toBe('');
+      test('should add a streaming response turn', () => {
+        const streamId = streamHandler.startStream({ parentId: 'prompt-1', meta: { model: 'llama3' } });
+
+        expect(streamHandler.getStreamId()).toBe(streamId);
+        expect(syncManager.getTurn(streamId)).toMatchObject({
+          id: streamId,
+          kind: TurnKind.RESPONSE,
+          status: TurnStatus.STREAMING,
+          parentId: 'prompt-1',
+          meta: { model: 'llama3' }
+        });
       });
-    });
 
-    describe('stopStream', () => {
-      test('should deactivate streaming', () => {
-        streamHandler.startStream();
+      test('should keep earlier turns', () => {
+        const first = streamHandler.startStream();
+        streamHandler.onToken('First answer');
         streamHandler.stopStream();
+        const second = streamHandler.startStream();
+
+        expect(second).not.toBe(first);
+        expect(syncManager.getTurns().map(turn => turn.id)).toEqual([first, second]);
+        expect(syncManager.getTurn(first).text).toBe('First answer');
+      });
+    });
+
+    describe('stopStream / abortStream', () => {
+      test('should mark the turn done', () => {
+        const streamId = streamHandler.startStream();
+        expect(streamHandler.stopStream()).toBe(true);
+
         expect(streamHandler.isActive()).toBe(false);
+        expect(syncManager.getTurn(streamId).status).toBe(TurnStatus.DONE);
+        expect(streamHandler.stopStream()).toBe(false);
+      });
+
+      test('should keep partial text when aborted', () => {
+        const streamId = streamHandler.startStream();
+        streamHandler.onToken('Partial');
+        streamHandler.abortStream();
+        streamHandler.onToken(' ignored');
+
+        expect(syncManager.getTurn(streamId)).toMatchObject({ status: TurnStatus.ABORTED, text: 'Partial' });
       });
     });
 
     describe('onToken', () => {
       test('should ignore tokens when not streaming', () => {
         streamHandler.onToken('test');
-        expect(syncManager.getText()).toBe('');
+        expect(syncManager.getTurnCount()).toBe(0);
       });
 
       test('should process tokens when streaming', () => {
-        streamHandler.startStream();
+        const streamId = streamHandler.startStream();
         streamHandler.onToken('Hello');
         streamHandler.onToken(' World');
         
-        expect(syncManager.getText()).toBe('Hello World');
+        expect(syncManager.getTurn(streamId).text).toBe('Hello World');
       });
 
       test('should increment token count', () => {
@@ -355,24 +667,478 @@ describe('Sync Module', () => {
         expect(streamHandler.getTokenCount()).toBe(2);
       });
 
-      test('should broadcast to peers', () => {
-        streamHandler.startStream();
+      test('should stream several turns at once', () => {
+        const first = streamHandler.startStream();
+        const second = streamHandler.startStream();
+        streamHandler.onToken('one', first);
+        streamHandler.onToken('two');
+        streamHandler.stopStream(second);
+
+        expect(streamHandler.isActive(first)).toBe(true);
+        expect(streamHandler.isActive(second)).toBe(false);
+        expect(syncManager.getTurn(first).text).toBe('one');
+        expect(syncManager.getTurn(second).text).toBe('two');
+        expect(streamHandler.getTokenCount(first)).toBe(1);
+      });
+
+      test('should broadcast sequence-numbered deltas to peers', () => {
+        const streamId = streamHandler.startStream();
         streamHandler.onToken('test');
         
-        expect(connectionManager.broadcast).toHaveBeenCalledWith({
-          type: 'append',
-          text: 'test',
-          tokenIndex: 1
+        expect(connectionManager.broadcast).toHaveBeenLastCalledWith({
+          type: StreamMessageType.DELTA,
+          streamId,
+          seq: 2,
+          update: expect.any(String)
+        });
+      });
+    });
+
+    describe('addPrompt', () => {
+      test('should add a finished prompt turn', () => {
+        const promptId = streamHandler.addPrompt('Explain CRDTs', { peerId: 'viewer' });
+
+        expect(syncManager.getTurn(promptId)).toMatchObject({
+          kind: TurnKind.PROMPT,
+          status: TurnStatus.DONE,
+          text: 'Explain CRDTs',
+          meta: { peerId: 'viewer' }
+        });
+        expect(streamHandler.isActive()).toBe(false);
+      });
+    });
+
+    describe('receive', () => {
+      let receiver;
+      let receiverSync;
+      let receiverConnection;
+      let onGap;
+      let deltas;
+      let events;
+      let streamId;
+
+      beforeEach(() => {
+        receiverSync = createSyncManager();
+        receiverConnection = { send: jest.fn() };
+        onGap = jest.fn();
+        receiver = createStreamHandler(receiverSync, receiverConnection, { onGap });
+
+        deltas = [];
+        events = [];
+        connectionManager.broadcast.mockImplementation((message) => {
+          (message.type === StreamMessageType.DELTA ? deltas : events).push(message);
+        });
+        streamId = streamHandler.startStream();
+        ['Hello', ' ', 'streaming', ' world'].forEach(token => streamHandler.onToken(token));
+      });
+
+      const receivedText = () => {
+        const turn = receiverSync.getTurn(streamId);
+        return turn ? turn.text : null;
+      };
+
+      test('should recognise stream messages', () => {
+        expect(isStreamMessage(deltas[0])).toBe(true);
+        expect(isStreamMessage({ type: StreamMessageType.RESEND, streamId: 's', from: 1, to: 2 })).toBe(true);
+        expect(isStreamMessage({ type: StreamMessageType.DELTA })).toBe(false);
+        expect(isStreamMessage({ type: 'append', text: 'x' })).toBe(false);
+        expect(receiver.receive({ type: 'append', text: 'x' }, 'host')).toBe(false);
+      });
+
+      test('should apply deltas in order', () => {
+        deltas.forEach(delta => expect(receiver.receive(delta, 'host')).toBe(true));
+
+        expect(receivedText()).toBe('Hello streaming world');
+        expect(receiverConnection.send).not.toHaveBeenCalled();
+      });
+
+      test('should hold back early deltas until the gap is filled', () => {
+        receiver.receive(deltas[0], 'host');
+        receiver.receive(deltas[1], 'host');
+        receiver.receive(deltas[3], 'host');
+        receiver.receive(deltas[4], 'host');
+
+        expect(receivedText()).toBe('Hello');
+
+        receiver.receive(deltas[2], 'host');
+        expect(receivedText()).toBe('Hello streaming world');
+      });
+
+      test('should request each missing range once', () => {
+        receiver.receive(deltas[0], 'host');
+        receiver.receive(deltas[2], 'host');
+        receiver.receive(deltas[4], 'host');
+
+        expect(receiverConnection.send.mock.calls).toEqual([
+          [{ type: StreamMessageType.RESEND, streamId, from: 2, to: 2 }, 'host'],
+          [{ type: StreamMessageType.RESEND, streamId, from: 3, to: 4 }, 'host']
+        ]);
+        expect(onGap).toHaveBeenCalledWith('host', { streamId, from: 2, to: 2 });
+      });
+
+      test('should catch up a late joiner through resends', () => {
+        connectionManager.send = jest.fn((message) => receiver.receive(message, 'host'));
+        receiverConnection.send.mockImplementation(message => streamHandler.receive(message, 'viewer'));
+
+        receiver.receive(deltas[4], 'host');
+
+        expect(connectionManager.send).toHaveBeenCalledTimes(4);
+        expect(receivedText()).toBe('Hello streaming world');
+      });
+
+      test('should ignore duplicate deltas', () => {
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+        receiver.receive(deltas[1], 'host');
+
+        expect(receivedText()).toBe('Hello streaming world');
+      });
+
+      test('should keep earlier turns when a new stream starts', () => {
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+
+        deltas = [];
+        const nextId = streamHandler.startStream();
+        streamHandler.onToken('Again');
+        streamHandler.stopStream();
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+
+        expect(receiverSync.getTurns().map(turn => turn.text)).toEqual(['Hello streaming world', 'Again']);
+        expect(receiverSync.getTurn(nextId).status).toBe(TurnStatus.DONE);
+      });
+
+      test('should interleave concurrent streams', () => {
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+        deltas = [];
+        const first = streamHandler.startStream();
+        const second = streamHandler.startStream();
+        streamHandler.onToken('a', first);
+        streamHandler.onToken('b', second);
+        streamHandler.onToken('c', first);
+        deltas.reverse().forEach(delta => receiver.receive(delta, 'host'));
+
+        expect(receiverSync.getTurn(first).text).toBe('ac');
+        expect(receiverSync.getTurn(second).text).toBe('b');
+      });
+
+      test('should only resend deltas of local streams', () => {
+        connectionManager.send = jest.fn();
+
+        streamHandler.receive({ type: StreamMessageType.RESEND, streamId: 'other', from: 1, to: 2 }, 'viewer');
+        streamHandler.receive({ type: StreamMessageType.RESEND, streamId, from: 4, to: 10 }, 'viewer');
+
+        expect(connectionManager.send.mock.calls).toEqual([
+          [deltas[3], 'viewer'],
+          [deltas[4], 'viewer']
+        ]);
+      });
+
+      test('should report lifecycle events with reasons', () => {
+        const onStreamStart = jest.fn();
+        const onStreamEnd = jest.fn();
+        const onStreamAbort = jest.fn();
+        receiver = createStreamHandler(receiverSync, receiverConnection, { onStreamStart, onStreamEnd, onStreamAbort });
+
+        events.forEach(event => receiver.receive(event, 'host'));
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+        streamHandler.stopStream(streamId, StreamReason.LENGTH);
+        deltas.slice(-1).concat(events.slice(-1)).forEach(message => receiver.receive(message, 'host'));
+
+        expect(onStreamStart).toHaveBeenCalledWith(expect.objectContaining({
+          type: StreamMessageType.START,
+          streamId,
+          kind: TurnKind.RESPONSE
+        }), 'host');
+        expect(onStreamEnd).toHaveBeenCalledWith({
+          type: StreamMessageType.END,
+          streamId,
+          reason: StreamReason.LENGTH,
+          lastSeq: 6,
+          tokenCount: 4
+        }, 'host');
+        expect(onStreamAbort).not.toHaveBeenCalled();
+        expect(receiverSync.getTurn(streamId)).toMatchObject({
+          status: TurnStatus.DONE,
+          meta: { reason: StreamReason.LENGTH }
+        });
+      });
+
+      test('should hold back the end until the last delta is applied', () => {
+        const onStreamAbort = jest.fn();
+        receiver = createStreamHandler(receiverSync, receiverConnection, { onStreamAbort });
+        streamHandler.abortStream(streamId);
+
+        receiver.receive(events[events.length - 1], 'host');
+        expect(onStreamAbort).not.toHaveBeenCalled();
+        expect(receiverConnection.send).toHaveBeenCalledWith(
+          { type: StreamMessageType.RESEND, streamId, from: 1, to: 6 },
+          'host'
+        );
+
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+        expect(onStreamAbort).toHaveBeenCalledWith(expect.objectContaining({
+          type: StreamMessageType.ABORT,
+          reason: StreamReason.CANCELLED
+        }), 'host');
+        expect(receivedText()).toBe('Hello streaming world');
+      });
+
+      test('should abort the streams of a peer that leaves', () => {
+        const onStreamAbort = jest.fn();
+        receiver = createStreamHandler(receiverSync, receiverConnection, { onStreamAbort });
+        receiver.receive(events[0], 'host');
+        deltas.slice(0, 2).forEach(delta => receiver.receive(delta, 'host'));
+
+        expect(receiver.removePeer('viewer')).toEqual([]);
+        expect(receiver.removePeer('host')).toEqual([streamId]);
+
+        expect(onStreamAbort).toHaveBeenCalledWith({
+          type: StreamMessageType.ABORT,
+          streamId,
+          reason: StreamReason.DISCONNECTED,
+          lastSeq: 2
+        }, 'host');
+        expect(receiverSync.getTurn(streamId)).toMatchObject({
+          status: TurnStatus.ABORTED,
+          meta: { reason: StreamReason.DISCONNECTED }
+        });
+
+        deltas.slice(2).forEach(delta => receiver.receive(delta, 'host'));
+        expect(receiver.removePeer('host')).toEqual([]);
+        expect(onStreamAbort).toHaveBeenCalledTimes(1);
+      });
+
+      test('should report local lifecycle events without a peer', () => {
+        const onStreamStart = jest.fn();
+        const onStreamAbort = jest.fn();
+        const local = createStreamHandler(syncManager, null, { onStreamStart, onStreamAbort });
+
+        const localId = local.startStream();
+        local.abortStream(localId, StreamReason.ERROR);
+
+        expect(onStreamStart).toHaveBeenCalledWith(expect.objectContaining({ streamId: localId }), null);
+        expect(onStreamAbort).toHaveBeenCalledWith(expect.objectContaining({ reason: StreamReason.ERROR }), null);
+      });
+
+      test('should send abort requests to the streaming peer', () => {
+        receiver.receive(deltas[0], 'host');
+
+        expect(receiver.requestAbort(streamId)).toBe(true);
+        expect(receiverConnection.send).toHaveBeenCalledWith({
+          type: StreamMessageType.ABORT_REQUEST,
+          streamId,
+          reason: StreamReason.CANCELLED
+        }, 'host');
+        expect(streamHandler.requestAbort(streamId)).toBe(false);
+      });
+
+      test('should abort on request without an abort handler', () => {
+        streamHandler.receive({ type: StreamMessageType.ABORT_REQUEST, streamId, reason: 'cancelled' }, 'viewer');
+
+        expect(streamHandler.isActive(streamId)).toBe(false);
+        expect(events[events.length - 1]).toMatchObject({
+          type: StreamMessageType.ABORT,
+          reason: StreamReason.PEER_REQUEST
+        });
+      });
+
+      test('should pass abort requests to the abort handler', () => {
+        const onAbortRequest = jest.fn();
+        const handler = createStreamHandler(syncManager, connectionManager, { onAbortRequest });
+        const localId = handler.startStream();
+
+        handler.receive({ type: StreamMessageType.ABORT_REQUEST, streamId: localId, reason: 'cancelled' }, 'viewer');
+        handler.receive({ type: StreamMessageType.ABORT_REQUEST, streamId: 'unknown' }, 'viewer');
+
+        expect(onAbortRequest).toHaveBeenCalledTimes(1);
+        expect(onAbortRequest).toHaveBeenCalledWith(localId, 'viewer', 'cancelled');
+        expect(handler.isActive(localId)).toBe(true);
+        expect(handler.getActiveStreams()).toEqual([localId]);
+      });
+
+      test('should ignore malformed deltas', () => {
+        receiver.receive({ ...deltas[0], seq: 0 }, 'host');
+        receiver.receive({ ...deltas[0], update: null }, 'host');
+
+        expect(receiverSync.getTurnCount()).toBe(0);
+      });
+    });
+
+    describe('batching', () => {
+      let deltas;
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        deltas = [];
+        connectionManager.broadcast.mockImplementation((message) => {
+          if (message.type === StreamMessageType.DELTA) deltas.push(message);
         });
       });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should send one delta per token by default', () => {
+        streamHandler.startStream();
+        streamHandler.onToken('a');
+        streamHandler.onToken('b');
+
+        expect(deltas).toHaveLength(3);
+        expect(streamHandler.getMetrics()).toMatchObject({ writes: 3, flushes: 3, ratio: 1 });
+      });
+
+      test('should coalesce tokens of a time window into one delta', () => {
+        const handler = createStreamHandler(syncManager, connectionManager, { flush: { interval: 50 } });
+        const streamId = handler.startStream();
+        ['Hel', 'lo', '!'].forEach(token => handler.onToken(token));
+
+        expect(deltas).toHaveLength(1);
+        expect(syncManager.getTurn(streamId).text).toBe('Hello!');
+
+        jest.advanceTimersByTime(50);
+        expect(deltas).toHaveLength(2);
+        expect(deltas[1].seq).toBe(2);
+
+        const receiverSync = createSyncManager();
+        const receiver = createStreamHandler(receiverSync, { send: jest.fn() });
+        deltas.forEach(delta => receiver.receive(delta, 'host'));
+        expect(receiverSync.getTurn(streamId).text).toBe('Hello!');
+        expect(handler.getMetrics().triggers.interval).toBe(1);
+      });
+
+      test('should keep the deltas of concurrent streams apart', () => {
+        const handler = createStreamHandler(syncManager, connectionManager, { flush: { interval: 50 } });
+        const first = handler.startStream();
+        const second = handler.startStream();
+        handler.onToken('a', first);
+        handler.onToken('b', second);
+        const remote = createSyncManager();
+        remote.addTurn({ id: 'remote-turn' });
+        syncManager.merge(remote.createSnapshot());
+        handler.onToken('c', first);
+        jest.advanceTimersByTime(50);
+
+        const of = (streamId) => deltas.filter(delta => delta.streamId === streamId);
+        expect(of(first)).toHaveLength(2);
+        expect(of(second)).toHaveLength(2);
+
+        const receiverSync = createSyncManager();
+        const receiver = createStreamHandler(receiverSync, { send: jest.fn() });
+        [of(first)[0], of(second)[0], of(first)[1]].forEach(delta => receiver.receive(delta, 'host'));
+        // 'c' waits for 'b', which comes earlier in the sender's clock
+        expect(receiverSync.getTurn(first).text).toBe('a');
+        expect(receiverSync.getTurn(second).text).toBe('');
+        expect(receiverSync.getTurn('remote-turn')).toBeNull();
+
+        receiver.receive(of(second)[1], 'host');
+        expect(receiverSync.getTurn(first).text).toBe('ac');
+        expect(receiverSync.getTurn(second).text).toBe('b');
+        expect(receiverSync.getTurn('remote-turn')).toBeNull();
+      });
+
+      test('should flush once the byte budget is reached', () => {
+        const handler = createStreamHandler(syncManager, connectionManager, { flush: { interval: 1000, maxBytes: 5 } });
+        handler.startStream();
+        handler.onToken('ab');
+        handler.onToken('é');
+
+        expect(deltas).toHaveLength(1);
+        handler.onToken('c');
+
+        expect(deltas).toHaveLength(2);
+        expect(handler.getMetrics()).toMatchObject({ largestBatch: 3, bytes: 5 });
+        expect(handler.getMetrics().triggers.size).toBe(1);
+      });
+
+      test('should send waiting tokens with the end of the stream', () => {
+        const events = [];
+        connectionManager.broadcast.mockImplementation(message => events.push(message));
+        const handler = createStreamHandler(syncManager, connectionManager, { flush: { interval: 50 } });
+        const streamId = handler.startStream();
+        handler.onToken('partial');
+
+        handler.abortStream(streamId);
+
+        const abort = events.find(message => message.type === StreamMessageType.ABORT);
+        const sent = events.filter(message => message.type === StreamMessageType.DELTA);
+        expect(sent).toHaveLength(2);
+        expect(abort.lastSeq).toBe(2);
+        expect(handler.flush()).toBe(false);
+        expect(jest.getTimerCount()).toBe(0);
+      });
+
+      test('should flush on demand', () => {
+        const handler = createStreamHandler(syncManager, connectionManager, { flush: { interval: 50 } });
+        handler.startStream();
+        handler.onToken('x');
+
+        expect(handler.flush()).toBe(true);
+        expect(deltas).toHaveLength(2);
+      });
+    });
+
+    describe('retention', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        connectionManager.send = jest.fn();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      const resendAll = (streamId) => {
+        connectionManager.send.mockClear();
+        streamHandler.receive({ type: StreamMessageType.RESEND, streamId, from: 1, to: 10 }, 'viewer');
+        return connectionManager.send.mock.calls.length;
+      };
+
+      test('should keep a finished stream for resends during the retention window', () => {
+        const streamId = streamHandler.startStream();
+        streamHandler.onToken('a');
+        streamHandler.stopStream();
+
+        jest.advanceTimersByTime(STREAM_RETENTION - 1);
+        streamHandler.startStream();
+
+        expect(resendAll(streamId)).toBe(3);
+      });
+
+      test('should drop a finished stream once the retention window has passed', () => {
+        const streamId = streamHandler.startStream();
+        streamHandler.onToken('a');
+        streamHandler.stopStream();
+
+        jest.advanceTimersByTime(STREAM_RETENTION);
+        streamHandler.startStream();
+
+        expect(resendAll(streamId)).toBe(0);
+      });
+
+      test('should keep streams that are still running', () => {
+        const handler = createStreamHandler(syncManager, connectionManager, { retention: 10 });
+        const running = handler.startStream();
+        const finished = handler.startStream();
+        handler.stopStream(finished);
+
+        jest.advanceTimersByTime(10);
+        handler.startStream();
+        connectionManager.send.mockClear();
+        handler.receive({ type: StreamMessageType.RESEND, streamId: running, from: 1, to: 1 }, 'viewer');
+        handler.receive({ type: StreamMessageType.RESEND, streamId: finished, from: 1, to: 1 }, 'viewer');
+
+        expect(connectionManager.send).toHaveBeenCalledTimes(1);
+        expect(connectionManager.send.mock.calls[0][0].streamId).toBe(running);
+        expect(handler.isActive(running)).toBe(true);
+      });
     });
 
     test('should work without connection manager', () => {
       const handlerNoConn = createStreamHandler(syncManager, null);
-      handlerNoConn.startStream();
+      const streamId = handlerNoConn.startStream();
       
       expect(() => handlerNoConn.onToken('test')).not.toThrow();
-      expect(syncManager.getText()).toBe('test');
+      expect(syncManager.getTurn(streamId).text).toBe('test');
     });
   });
 });
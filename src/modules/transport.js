@@ -0,0 +1,809 @@
+/**
+ * Transport Module
+ * Common interface over Trystero rooms and direct WebRTC connections
+ *
+ * The app, sync and stream layers only talk to a Transport, so they run
+ * unchanged over either connection type. Every transport starts with
+ * connect(target, options): the target names what to connect to (a room
+ * ID, or a direct host's offer) and the options carry the session's
+ * security settings. Only what connect() resolves to differs.
+ *
+ * @module transport
+ */
+
+import { createConnectionManager, ConnectionState, SYNC_ACTION } from './connection.js';
+import { createDirectConnection, DirectConnectionState } from './webrtc-direct.js';
+import { createDirectHost } from './direct-host.js';
+import { WireFormat, encodeMessage, isBinary, isCodecMessage, createFormatNegotiator } from './codec.js';
+import { createPayloadCipher, isEncryptedMessage } from './encryption.js';
+import { createPeerAuthenticator } from './identity.js';
+import { ADMISSION_TYPE, AdmissionStatus } from './admission.js';
+
+/**
+ * @typedef {Object} Transport
+ * @property {string} kind - TransportKind value
+ * @property {Function} connect - connect(target, { encryptionKey, identity, hostFingerprint, admission, ... })
+ *   starts the session; resolves to the room, a host invite or a client answer
+ * @property {Function} disconnect - Closes all links
+ * @property {Function} send - send(data, [peerIds]) to all peers or only the given ones
+ * @property {Function} broadcast - broadcast(data) to all peers
+ * @property {Function} subscribe - subscribe(handler(data, peerId)), returns unsubscribe
+ * @property {Function} onStateChange - onStateChange(handler(state)), returns unsubscribe
+ * @property {Function} onPeerJoin - onPeerJoin(handler(peerId, peer)), returns unsubscribe; peer
+ *   ({ fingerprint, isHost }) is only passed when the transport has an identity
+ * @property {Function} onPeerLeave - onPeerLeave(handler(peerId)), returns unsubscribe
+ * @property {Function} onError - onError(handler(error, peerId)), returns unsubscribe
+ * @property {Function} onImpostor - onImpostor(handler(peerId, reason)), returns unsubscribe
+ * @property {Function} getPeers - Returns connected peer IDs
+ * @property {Function} getState - Returns a TransportState value
+ */
+
+/**
+ * Transport kinds
+ */
+export const TransportKind = {
+  ROOM: 'room',
+  DIRECT: 'direct'
+};
+
+/**
+ * Unified transport states (same values as ConnectionState)
+ */
+export const TransportState = {
+  DISCONNECTED: ConnectionState.DISCONNECTED,
+  CONNECTING: ConnectionState.CONNECTING,
+  CONNECTED: ConnectionState.CONNECTED,
+  RECONNECTING: ConnectionState.RECONNECTING,
+  ERROR: ConnectionState.ERROR
+};
+
+/**
+ * Peer ID a direct client uses for its host
+ */
+export const DIRECT_HOST_PEER_ID = 'host';
+
+/**
+ * Trystero action carrying the wire format negotiation
+ */
+export const CODEC_ACTION = 'codec';
+
+/**
+ * Maps a direct connection state to a transport state
+ * @param {string} state - DirectConnectionState value
+ * @returns {string} TransportState value
+ */
+export function toTransportState(state) {
+  switch (state) {
+    case DirectConnectionState.OFFERING:
+    case DirectConnectionState.ANSWERING:
+    case DirectConnectionState.CONNECTING:
+      return TransportState.CONNECTING;
+    case DirectConnectionState.CONNECTED:
+      return TransportState.CONNECTED;
+    case DirectConnectionState.RECONNECTING:
+      return TransportState.RECONNECTING;
+    case DirectConnectionState.FAILED:
+      return TransportState.ERROR;
+    default:
+      return TransportState.DISCONNECTED;
+  }
+}
+
+/**
+ * Creates the listener registry and subscription methods shared by transports
+ * @returns {Object} { emit, methods }
+ */
+function createTransportEvents() {
+  const listeners = {
+    data: new Set(),
+    state: new Set(),
+    peerJoin: new Set(),
+    peerLeave: new Set(),
+    error: new Set(),
+    impostor: new Set()
+  };
+
+  function on(event) {
+    return (handler) => {
+      listeners[event].add(handler);
+      return () => listeners[event].delete(handler);
+    };
+  }
+
+  function emit(event, ...args) {
+    listeners[event].forEach(handler => handler(...args));
+  }
+
+  return {
+    emit,
+    methods: {
+      subscribe: on('data'),
+      onStateChange: on('state'),
+      onPeerJoin: on('peerJoin'),
+      onPeerLeave: on('peerLeave'),
+      onError: on('error'),
+      onImpostor: on('impostor')
+    }
+  };
+}
+
+/**
+ * Creates the end-to-end encryption stage shared by transports
+ * Without a key, data passes through untouched. With a key, every
+ * payload is sealed before it reaches the link and plaintext from peers
+ * is dropped. WebCrypto is async, so both directions are chained to keep
+ * messages in order.
+ * @param {Function} onError - Called with (error, peerId) for rejected payloads
+ * @returns {Object} Stage with setKey, isEnabled, settled, send and receive
+ */
+function createSecureStage(onError) {
+  let cipher = null;
+  let outgoing = Promise.resolve();
+  let incoming = Promise.resolve();
+
+  /**
+   * Seals data and hands the envelope to deliver, in call order
+   * @param {any} data - Data to send
+   * @param {Function} deliver - Sends the (encrypted) payload
+   * @returns {any} deliver's result when unencrypted, otherwise true once queued
+   */
+  function send(data, deliver) {
+    if (!cipher) {
+      return deliver(data);
+    }
+    const sealed = cipher.encrypt(data);
+    outgoing = outgoing
+      .then(() => sealed)
+      .then(deliver)
+      .catch(error => onError(error));
+    return true;
+  }
+
+  /**
+   * Opens a payload from a peer and hands it to deliver, in arrival order
+   * @param {any} message - Received payload
+   * @param {string} peerId - Sender
+   * @param {Function} deliver - Receives the plaintext message
+   */
+  function receive(message, peerId, deliver) {
+    if (!cipher) {
+      if (isEncryptedMessage(message)) {
+        onError(new Error('Received an encrypted message but no key is set'), peerId);
+        return;
+      }
+      deliver(message);
+      return;
+    }
+    if (!isEncryptedMessage(message)) {
+      onError(new Error('Dropped an unencrypted message'), peerId);
+      return;
+    }
+    const opened = cipher.decrypt(message);
+    incoming = incoming
+      .then(() => opened)
+      .then(deliver)
+      .catch(error => onError(error, peerId));
+  }
+
+  return {
+    setKey(encryptionKey) {
+      cipher = encryptionKey ? createPayloadCipher(encryptionKey) : null;
+    },
+    isEnabled: () => !!cipher,
+    settled: () => outgoing,
+    send,
+    receive
+  };
+}
+
+/**
+ * Creates the peer authentication stage shared by transports
+ * Without an identity, peers are announced as soon as they connect. With
+ * one, a peer is announced and its data delivered only after the signed
+ * handshake succeeds; impostors are reported and their data dropped.
+ * @param {Function} emit - Transport event emitter
+ * @param {Function} sendAuth - sendAuth(message, peerId) for handshake messages
+ * @param {Function} onDrop - Called with (peerId) to cut off an impostor
+ * @returns {Object} Stage with configure, isEnabled, join, leave, forget, receive, filterPeers, getPeer and clear
+ */
+function createIdentityStage(emit, sendAuth, onDrop) {
+  let authenticator = null;
+
+  return {
+    configure({ identity, hostFingerprint, expectHost, authTimeout } = {}) {
+      if (authenticator) authenticator.clear();
+      authenticator = identity ? createPeerAuthenticator({
+        identity,
+        hostFingerprint,
+        expectHost,
+        authTimeout,
+        send: sendAuth,
+        onVerified: (peerId, peer) => emit('peerJoin', peerId, peer),
+        onImpostor: (peerId, reason) => {
+          emit('impostor', peerId, reason);
+          onDrop(peerId);
+        },
+        onError: (error, peerId) => emit('error', error, peerId)
+      }) : null;
+    },
+    isEnabled: () => !!authenticator,
+    join(peerId) {
+      if (authenticator) {
+        authenticator.start(peerId);
+      } else {
+        emit('peerJoin', peerId);
+      }
+    },
+    leave(peerId) {
+      if (!authenticator || authenticator.isVerified(peerId)) {
+        emit('peerLeave', peerId);
+      }
+      if (authenticator) authenticator.remove(peerId);
+    },
+    forget(peerId) {
+      if (authenticator) authenticator.remove(peerId);
+    },
+    receive(message, peerId) {
+      if (authenticator) {
+        authenticator.receive(message, peerId, data => emit('data', data, peerId));
+      } else {
+        emit('data', message, peerId);
+      }
+    },
+    filterPeers: (peerIds) => (authenticator ? peerIds.filter(authenticator.isVerified) : peerIds),
+    getPeer: (peerId) => (authenticator ? authenticator.getPeer(peerId) : null),
+    clear() {
+      if (authenticator) authenticator.clear();
+    }
+  };
+}
+
+/**
+ * Creates the admission gate shared by transports
+ * Sits between the identity stage and the listeners. Without a controller
+ * every peer is admitted. With one (on the host), a peer is announced,
+ * heard and sent data only once admitted, and is told about pending,
+ * denied and kicked decisions.
+ * @param {Function} emit - Transport event emitter
+ * @param {Function} notify - notify(message, peerId), bypassing the gate
+ * @param {Function} onDrop - Called with (peerId) after a peer is denied or kicked
+ * @returns {Object} Gate with configure, isEnabled, emit, filterPeers and clear
+ */
+function createAdmissionGate(emit, notify, onDrop) {
+  let controller = null;
+  let unobserve = null;
+  // peerId -> extra peerJoin arguments, replayed once admitted
+  const joinArgs = new Map();
+
+  /**
+   * Applies a controller decision to the link
+   * @param {string} event - Admission event
+   * @param {string} peerId - Peer ID
+   * @param {any} detail - Event detail
+   */
+  function handleDecision(event, peerId, detail) {
+    switch (event) {
+      case 'request':
+        notify({ type: ADMISSION_TYPE, status: AdmissionStatus.PENDING }, peerId);
+        break;
+      case 'admit':
+        notify({ type: ADMISSION_TYPE, status: AdmissionStatus.ADMITTED }, peerId);
+        emit('peerJoin', peerId, ...(joinArgs.get(peerId) || []));
+        break;
+      case 'deny':
+        notify({ type: ADMISSION_TYPE, status: AdmissionStatus.DENIED, reason: detail }, peerId);
+        onDrop(peerId);
+        break;
+      case 'kick':
+        notify({ type: ADMISSION_TYPE, status: AdmissionStatus.KICKED }, peerId);
+        emit('peerLeave', peerId);
+        onDrop(peerId);
+        break;
+    }
+  }
+
+  return {
+    configure(admission) {
+      if (unobserve) unobserve();
+      joinArgs.clear();
+      controller = admission || null;
+      unobserve = controller ? controller.observe(handleDecision) : null;
+    },
+    isEnabled: () => !!controller,
+    emit(event, ...args) {
+      const peerId = event === 'data' ? args[1] : args[0];
+      if (!controller) {
+        emit(event, ...args);
+      } else if (event === 'peerJoin') {
+        joinArgs.set(peerId, args.slice(1));
+        controller.request(peerId, args[1]);
+      } else if (event === 'peerLeave') {
+        if (controller.isAdmitted(peerId)) emit('peerLeave', peerId);
+        joinArgs.delete(peerId);
+        controller.leave(peerId);
+      } else if (event === 'data') {
+        if (controller.isAdmitted(peerId)) emit('data', ...args);
+      } else {
+        emit(event, ...args);
+      }
+    },
+    filterPeers: (peerIds) => (controller ? peerIds.filter(controller.isAdmitted) : peerIds),
+    clear() {
+      joinArgs.clear();
+      if (controller) controller.clear();
+    }
+  };
+}
+
+/**
+ * Creates a transport over a Trystero room
+ * connect(roomId, { joinRoom, ... }) joins the room. The wire format is negotiated
+ * per peer, so peers that only speak JSON can share a room with binary ones.
+ *
+ * Trystero can't eject a peer, so impostors and denied or kicked peers
+ * stay connected to the room. They are cut off instead: their format and
+ * handshake state is discarded and whatever they send, including codec
+ * and handshake hellos, is ignored until they leave.
+ * @param {Object} options - Connection manager options (appId, relayUrls, reconnect, ...)
+ * @param {string} options.wireFormat - Preferred wire format (WireFormat value, default binary)
+ * @returns {Transport} Room transport; `manager` exposes the connection manager
+ */
+export function createRoomTransport(options = {}) {
+  const { emit, methods } = createTransportEvents();
+  const secure = createSecureStage((error, peerId) => emit('error', error, peerId));
+  const sendDirect = (message, peerId) => secure.send(message, payload => sendPayload(payload, peerId));
+  const gate = createAdmissionGate(
+    emit,
+    sendDirect,
+    // Let the notice go out before cutting the peer off
+    (peerId) => secure.settled().then(() => cutOff(peerId))
+  );
+  const auth = createIdentityStage(gate.emit, sendDirect, (peerId) => {
+    cutOff(peerId);
+    auth.forget(peerId);
+  });
+  const wireFormat = options.wireFormat || WireFormat.BINARY;
+  const onInvalidData = options.onInvalidData || (() => {});
+
+  // peerId -> format negotiator
+  const negotiators = new Map();
+  // Peers still in the room that are no longer heard
+  const cutOffPeers = new Set();
+
+  /**
+   * Stops talking to a peer that can't be removed from the room
+   * A verified peer keeps its handshake record, so its eventual leave still reaches the gate.
+   * @param {string} peerId - Peer ID
+   */
+  function cutOff(peerId) {
+    if (!manager.getPeers().includes(peerId)) return;
+    cutOffPeers.add(peerId);
+    negotiators.delete(peerId);
+  }
+
+  /**
+   * Gets the negotiator of a peer, creating it on first contact
+   * @param {string} peerId - Peer ID
+   * @returns {Object} Format negotiator
+   */
+  function negotiatorFor(peerId) {
+    if (!negotiators.has(peerId)) {
+      negotiators.set(peerId, createFormatNegotiator(wireFormat));
+    }
+    return negotiators.get(peerId);
+  }
+
+  const manager = createConnectionManager({
+    ...options,
+    onPeerJoin: (peerId) => {
+      negotiators.delete(peerId);
+      manager.sendAction(CODEC_ACTION, negotiatorFor(peerId).hello(), peerId);
+      auth.join(peerId);
+    },
+    onPeerLeave: (peerId) => {
+      negotiators.delete(peerId);
+      cutOffPeers.delete(peerId);
+      auth.leave(peerId);
+    },
+    onStateChange: (state) => emit('state', state),
+    onData: (data, peerId) => {
+      if (cutOffPeers.has(peerId)) return;
+      let message;
+      try {
+        message = negotiatorFor(peerId).decode(data);
+      } catch (error) {
+        onInvalidData(SYNC_ACTION, data, peerId);
+        return;
+      }
+      secure.receive(message, peerId, plaintext => auth.receive(plaintext, peerId));
+    }
+  });
+
+  manager.registerAction(CODEC_ACTION, (message, peerId) => {
+    if (!isCodecMessage(message) || cutOffPeers.has(peerId)) return;
+    const reply = negotiatorFor(peerId).handle(message);
+    if (reply) {
+      manager.sendAction(CODEC_ACTION, reply, peerId);
+    }
+  });
+
+  /**
+   * Sends a payload to all peers or only the given ones
+   * Peers that agreed on binary get one shared encoded frame; binary
+   * payloads are framed for JSON peers too.
+   * @param {any} data - Payload to send
+   * @param {string|string[]} [peerIds] - Target peer IDs
+   * @returns {boolean} True if the data was sent to at least one target
+   */
+  function sendPayload(data, peerIds) {
+    const targets = peerIds ? [].concat(peerIds) : manager.getPeers();
+    const binaryPeers = targets.filter(peerId =>
+      negotiators.has(peerId) && negotiators.get(peerId).getSendFormat() === WireFormat.BINARY);
+    const jsonData = isBinary(data) ? encodeMessage(data) : data;
+
+    if (binaryPeers.length === 0) {
+      if (peerIds) {
+        return targets.length > 0 && manager.sendToMany(targets, jsonData).length > 0;
+      }
+      return manager.sendAction(SYNC_ACTION, jsonData);
+    }
+
+    const jsonPeers = targets.filter(peerId => !binaryPeers.includes(peerId));
+    let sent = manager.sendToMany(binaryPeers, encodeMessage(data)).length > 0;
+    if (jsonPeers.length > 0) {
+      sent = manager.sendToMany(jsonPeers, jsonData).length > 0 || sent;
+    }
+    return sent;
+  }
+
+  /**
+   * Sends data to all (verified and admitted) peers or only the given ones
+   * @param {any} data - Data to send
+   * @param {string|string[]} [peerIds] - Target peer IDs
+   * @returns {boolean} True if sent to at least one target (or queued for encryption)
+   */
+  function send(data, peerIds) {
+    const targets = peerIds
+      ? gate.filterPeers([].concat(peerIds))
+      : (auth.isEnabled() || gate.isEnabled() ? getPeers() : null);
+    if (targets && targets.length === 0) {
+      return false;
+    }
+    return secure.send(data, payload => sendPayload(payload, targets));
+  }
+
+  /**
+   * Gets connected peers; with an identity only verified ones, with
+   * admission control only admitted ones
+   * @returns {string[]} Peer IDs
+   */
+  function getPeers() {
+    return gate.filterPeers(auth.filterPeers(manager.getPeers()));
+  }
+
+  /**
+   * Joins a room
+   * With an encryption key, payloads are end-to-end encrypted and the key
+   * doubles as the Trystero password for the relay signaling. With an
+   * identity, peers must pass the signed handshake before they are
+   * announced; a peer claiming to be the host must match hostFingerprint.
+   * @param {string} roomId - Room ID
+   * @param {Object} connectOptions - Options
+   * @param {Function} connectOptions.joinRoom - Trystero joinRoom function
+   * @param {string} connectOptions.encryptionKey - Session key from the QR code or share URL
+   * @param {Object} connectOptions.identity - Local identity from loadOrCreateIdentity
+   * @param {string} connectOptions.hostFingerprint - Host fingerprint from the QR code (the host passes its own)
+   * @param {Object} connectOptions.admission - Admission controller (host only) deciding who may join
+   * @param {boolean} connectOptions.rejoinOnPeerLoss - Rejoin when all peers are gone (default true; hosts pass false)
+   * @returns {Promise<Object>} Room object
+   */
+  async function connect(roomId, connectOptions = {}) {
+    if (typeof connectOptions.joinRoom !== 'function') {
+      throw new TypeError('joinRoom is required to connect to a room');
+    }
+    secure.setKey(connectOptions.encryptionKey);
+    gate.configure(connectOptions.admission);
+    auth.configure({
+      identity: connectOptions.identity,
+      hostFingerprint: connectOptions.hostFingerprint,
+      authTimeout: options.authTimeout
+    });
+    return manager.join(roomId, connectOptions.joinRoom, {
+      password: connectOptions.encryptionKey,
+      rejoinOnPeerLoss: connectOptions.rejoinOnPeerLoss
+    });
+  }
+
+  return {
+    kind: TransportKind.ROOM,
+    connect,
+    disconnect: () => {
+      manager.leave();
+      negotiators.clear();
+      cutOffPeers.clear();
+      auth.clear();
+      gate.clear();
+    },
+    send,
+    broadcast: (data) => send(data),
+    ...methods,
+    getPeers,
+    getPeer: (peerId) => auth.getPeer(peerId),
+    getState: () => manager.getState(),
+    getWireFormat: (peerId) => (negotiators.has(peerId) ? negotiators.get(peerId).getSendFormat() : WireFormat.JSON),
+    isEncrypted: () => secure.isEnabled(),
+    manager
+  };
+}
+
+/**
+ * Creates a transport over direct WebRTC connections
+ *
+ * Host role: connect(null, options) starts the session and resolves to
+ * the first invite { clientId, offer }; invite() creates more and
+ * accept(answer, clientId) completes one. Peers are the client IDs.
+ * Client role: connect(offer, options) resolves to the answer to show the
+ * host; the host appears as peer DIRECT_HOST_PEER_ID.
+ *
+ * The security options may be given here or to connect(); connect()'s win.
+ * @param {Object} options - Options passed to createDirectHost / createDirectConnection
+ * @param {string} options.role - 'host' or 'client'
+ * @param {string} options.encryptionKey - Default session key; payloads are end-to-end encrypted with it
+ * @param {Object} options.identity - Default local identity; peers must then pass the signed handshake
+ * @param {string} options.hostFingerprint - Default host fingerprint a client expects (from the QR code)
+ * @param {Object} options.admission - Default admission controller for the host role
+ * @param {Function} options.createConnection - Connection factory (injected for testability)
+ * @returns {Transport} Direct transport; `host` or `connection` exposes the underlying object
+ */
+export function createDirectTransport(options = {}) {
+  const { emit, methods } = createTransportEvents();
+  const {
+    role = 'client',
+    encryptionKey,
+    identity,
+    hostFingerprint,
+    authTimeout,
+    admission,
+    ...connectionOptions
+  } = options;
+  const secure = createSecureStage((error, peerId) => emit('error', error, peerId));
+  let state = TransportState.DISCONNECTED;
+
+  secure.setKey(encryptionKey);
+
+  /**
+   * Merges connect-time security options over the defaults
+   * @param {Object} connectOptions - Options passed to connect()
+   * @returns {Object} { encryptionKey, identity, hostFingerprint, admission }
+   */
+  function securityOptions(connectOptions = {}) {
+    return {
+      encryptionKey: connectOptions.encryptionKey ?? encryptionKey,
+      identity: connectOptions.identity ?? identity,
+      hostFingerprint: connectOptions.hostFingerprint ?? hostFingerprint,
+      admission: connectOptions.admission ?? admission
+    };
+  }
+
+  /**
+   * Updates the transport state and notifies listeners on change
+   * @param {string} newState - TransportState value
+   */
+  function setState(newState) {
+    if (state !== newState) {
+      state = newState;
+      emit('state', newState);
+    }
+  }
+
+  if (role === 'host') {
+    const host = createDirectHost({
+      ...connectionOptions,
+      onClientStateChange: () => setState(aggregateHostState()),
+      onClientJoin: (clientId) => auth.join(clientId),
+      onClientLeave: (clientId) => auth.leave(clientId),
+      onMessage: (clientId, message) => {
+        secure.receive(message, clientId, plaintext => auth.receive(plaintext, clientId));
+      }
+    });
+
+    const sendDirect = (message, clientId) => secure.send(message, payload => host.sendTo(clientId, payload));
+    const gate = createAdmissionGate(
+      emit,
+      sendDirect,
+      // Let the notice go out before closing the link
+      (clientId) => secure.settled().then(() => host.removeClient(clientId))
+    );
+    const auth = createIdentityStage(gate.emit, sendDirect, (clientId) => host.removeClient(clientId));
+    gate.configure(admission);
+    auth.configure({ identity, hostFingerprint: identity && identity.fingerprint, authTimeout });
+
+    /**
+     * Derives one transport state from the pooled client states
+     * The most connected client wins.
+     * @returns {string} TransportState value
+     */
+    function aggregateHostState() {
+      const states = host.getClients().map(client => toTransportState(client.state));
+      for (const candidate of [TransportState.CONNECTED, TransportState.RECONNECTING, TransportState.CONNECTING]) {
+        if (states.includes(candidate)) return candidate;
+      }
+      return states.includes(TransportState.ERROR) ? TransportState.ERROR : TransportState.DISCONNECTED;
+    }
+
+    /**
+     * Sends data to all clients or only the given ones
+     * @param {any} data - Data to send
+     * @param {string|string[]} [peerIds] - Target client IDs
+     * @returns {boolean} True if the data was sent to at least one client
+     */
+    function send(data, peerIds) {
+      const connected = getPeers();
+      const targets = peerIds ? [].concat(peerIds).filter(clientId => connected.includes(clientId)) : connected;
+      if (targets.length === 0) {
+        return false;
+      }
+      return secure.send(data, (payload) => {
+        if (peerIds || auth.isEnabled() || gate.isEnabled()) {
+          return targets.map(clientId => host.sendTo(clientId, payload)).some(Boolean);
+        }
+        return host.broadcast(payload) > 0;
+      });
+    }
+
+    /**
+     * Gets connected clients; with an identity only verified ones, with
+     * admission control only admitted ones
+     * @returns {string[]} Client IDs
+     */
+    function getPeers() {
+      return gate.filterPeers(auth.filterPeers(host.getClients()
+        .filter(client => client.state === DirectConnectionState.CONNECTED)
+        .map(client => client.id)));
+    }
+
+    /**
+     * Creates an invite for one more client
+     * @returns {Promise<Object>} { clientId, offer }
+     */
+    async function invite() {
+      const created = await host.createInvite();
+      // The pool only reports clients once their invite exists
+      setState(aggregateHostState());
+      return created;
+    }
+
+    /**
+     * Starts a new session: drops previous clients, applies the security
+     * options and creates the first invite
+     * @param {null} target - Unused; a host has nothing to connect to
+     * @param {Object} connectOptions - { encryptionKey, identity, admission }
+     * @returns {Promise<Object>} First invite { clientId, offer }
+     */
+    async function connect(target, connectOptions = {}) {
+      const settings = securityOptions(connectOptions);
+      host.close();
+      secure.setKey(settings.encryptionKey);
+      gate.configure(settings.admission);
+      auth.configure({
+        identity: settings.identity,
+        hostFingerprint: settings.identity && settings.identity.fingerprint,
+        authTimeout
+      });
+      return invite();
+    }
+
+    return {
+      kind: TransportKind.DIRECT,
+      role,
+      connect,
+      invite,
+      accept: (answer, clientId) => host.acceptAnswer(answer, clientId),
+      disconnect: () => {
+        host.close();
+        auth.clear();
+        gate.clear();
+        setState(TransportState.DISCONNECTED);
+      },
+      send,
+      broadcast: (data) => send(data),
+      ...methods,
+      getPeers,
+      getPeer: (clientId) => auth.getPeer(clientId),
+      getState: () => state,
+      isEncrypted: () => secure.isEnabled(),
+      host
+    };
+  }
+
+  let hostConnected = false;
+  const createConnection = options.createConnection || createDirectConnection;
+
+  const connection = createConnection({
+    ...connectionOptions,
+    onStateChange: (directState) => {
+      if (directState === DirectConnectionState.CONNECTED && !hostConnected) {
+        hostConnected = true;
+        auth.join(DIRECT_HOST_PEER_ID);
+      } else if (hostConnected && (directState === DirectConnectionState.DISCONNECTED ||
+                                   directState === DirectConnectionState.FAILED)) {
+        hostConnected = false;
+        auth.leave(DIRECT_HOST_PEER_ID);
+      }
+      setState(toTransportState(directState));
+    },
+    onMessage: (message) => {
+      secure.receive(message, DIRECT_HOST_PEER_ID, plaintext => auth.receive(plaintext, DIRECT_HOST_PEER_ID));
+    }
+  });
+
+  const auth = createIdentityStage(
+    emit,
+    (message) => secure.send(message, (payload) => {
+      connection.send(payload);
+      return true;
+    }),
+    () => connection.close()
+  );
+  auth.configure({ identity, hostFingerprint, expectHost: true, authTimeout });
+
+  /**
+   * Gets the host as the only peer once it is connected (and verified)
+   * @returns {string[]} Peer IDs
+   */
+  function getPeers() {
+    return auth.filterPeers(hostConnected ? [DIRECT_HOST_PEER_ID] : []);
+  }
+
+  /**
+   * Sends data to the host
+   * @param {any} data - Data to send
+   * @param {string|string[]} [peerIds] - Must include DIRECT_HOST_PEER_ID if given
+   * @returns {boolean} True if the data was sent
+   */
+  function send(data, peerIds) {
+    if (peerIds && ![].concat(peerIds).includes(DIRECT_HOST_PEER_ID)) {
+      return false;
+    }
+    if (!connection.isConnected() || getPeers().length === 0) {
+      return false;
+    }
+    return secure.send(data, (payload) => {
+      connection.send(payload);
+      return true;
+    });
+  }
+
+  /**
+   * Answers the host's offer with the given security options
+   * @param {string} offer - Compressed offer from the host's QR code
+   * @param {Object} connectOptions - { encryptionKey, identity, hostFingerprint }
+   * @returns {Promise<string>} Compressed answer to show the host
+   */
+  async function connect(offer, connectOptions = {}) {
+    const settings = securityOptions(connectOptions);
+    secure.setKey(settings.encryptionKey);
+    auth.configure({
+      identity: settings.identity,
+      hostFingerprint: settings.hostFingerprint,
+      expectHost: true,
+      authTimeout
+    });
+    return connection.createAnswer(offer);
+  }
+
+  return {
+    kind: TransportKind.DIRECT,
+    role,
+    connect,
+    disconnect: () => connection.close(),
+    send,
+    broadcast: (data) => send(data),
+    ...methods,
+    getPeers,
+    getPeer: (peerId) => auth.getPeer(peerId),
+    getState: () => state,
+    isEncrypted: () => secure.isEnabled(),
+    connection
+  };
+}
@@ -0,0 +1,897 @@
+/**
+ * Transport Module Tests
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+import {
+  createRoomTransport,
+  createDirectTransport,
+  toTransportState,
+  TransportKind,
+  TransportState,
+  DIRECT_HOST_PEER_ID,
+  CODEC_ACTION
+} from './transport.js';
+import { DirectConnectionState } from './webrtc-direct.js';
+import { WireFormat, createHello, encodeMessage, MessageTag } from './codec.js';
+import { generateEncryptionKey, createPayloadCipher, isEncryptedMessage } from './encryption.js';
+import { generateIdentity, importIdentity, createPeerAuthenticator, ImpostorReason } from './identity.js';
+import { createAdmissionController, ADMISSION_TYPE, AdmissionStatus, DenyReason } from './admission.js';
+
+const ROOM_ID = 'a1b2c3d4-e5f6-4a7b-8c9d-e0f1a2b3c4d5';
+
+// WebCrypto resolves on its own schedule; poll until the expectation holds
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Fake direct connection mirroring the one used by the direct host tests
+function createFakeFactory() {
+  const created = [];
+  const factory = jest.fn((connOptions) => {
+    const sessionId = 'session-' + (created.length + 1);
+    let state = DirectConnectionState.IDLE;
+    const setState = (newState) => {
+      state = newState;
+      connOptions.onStateChange(newState);
+    };
+    const fake = {
+      options: connOptions,
+      createOffer: jest.fn(async () => {
+        setState(DirectConnectionState.OFFERING);
+        return 'offer-' + sessionId;
+      }),
+      createAnswer: jest.fn(async () => {
+        setState(DirectConnectionState.ANSWERING);
+        return 'answer-' + sessionId;
+      }),
+      acceptAnswer: jest.fn(async () => setState(DirectConnectionState.CONNECTING)),
+      send: jest.fn(),
+      close: jest.fn(() => setState(DirectConnectionState.DISCONNECTED)),
+      getSessionId: () => sessionId,
+      isConnected: () => state === DirectConnectionState.CONNECTED,
+      setState
+    };
+    created.push(fake);
+    return fake;
+  });
+  return { factory, created };
+}
+
+describe('Transport Module', () => {
+  describe('toTransportState', () => {
+    test('should map direct connection states', () => {
+      expect(toTransportState(DirectConnectionState.IDLE)).toBe(TransportState.DISCONNECTED);
+      expect(toTransportState(DirectConnectionState.OFFERING)).toBe(TransportState.CONNECTING);
+      expect(toTransportState(DirectConnectionState.ANSWERING)).toBe(TransportState.CONNECTING);
+      expect(toTransportState(DirectConnectionState.CONNECTING)).toBe(TransportState.CONNECTING);
+      expect(toTransportState(DirectConnectionState.CONNECTED)).toBe(TransportState.CONNECTED);
+      expect(toTransportState(DirectConnectionState.RECONNECTING)).toBe(TransportState.RECONNECTING);
+      expect(toTransportState(DirectConnectionState.FAILED)).toBe(TransportState.ERROR);
+      expect(toTransportState(DirectConnectionState.DISCONNECTED)).toBe(TransportState.DISCONNECTED);
+    });
+  });
+
+  describe('createRoomTransport', () => {
+    let mockRoom;
+    let mockJoinRoom;
+    let actions;
+
+    beforeEach(() => {
+      // action name -> [send, get]
+      actions = {};
+      mockRoom = {
+        onPeerJoin: jest.fn(),
+        onPeerLeave: jest.fn(),
+        makeAction: jest.fn((name) => {
+          actions[name] = [jest.fn(), jest.fn()];
+          return actions[name];
+        }),
+        leave: jest.fn()
+      };
+      mockJoinRoom = jest.fn(() => mockRoom);
+    });
+
+    // Delivers a codec message from a peer through the codec action
+    const receiveCodec = (message, peerId) => actions[CODEC_ACTION][1].mock.calls[0][0](message, peerId);
+
+    test('should join a room on connect', async () => {
+      const transport = createRoomTransport();
+      const onStateChange = jest.fn();
+      transport.onStateChange(onStateChange);
+
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+      expect(transport.kind).toBe(TransportKind.ROOM);
+      expect(mockJoinRoom).toHaveBeenCalledWith(expect.objectContaining({ appId: 'p2p-llm-stream' }), ROOM_ID);
+      expect(onStateChange).toHaveBeenCalledWith(TransportState.CONNECTING);
+
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      expect(transport.getState()).toBe(TransportState.CONNECTED);
+    });
+
+    test('should report peers and deliver data', async () => {
+      const transport = createRoomTransport();
+      const onPeerJoin = jest.fn();
+      const onPeerLeave = jest.fn();
+      const onData = jest.fn();
+      transport.onPeerJoin(onPeerJoin);
+      transport.onPeerLeave(onPeerLeave);
+      transport.subscribe(onData);
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      actions.sync[1].mock.calls[0][0]({ text: 'hi' }, 'peer-1');
+      mockRoom.onPeerLeave.mock.calls[0][0]('peer-1');
+
+      expect(onPeerJoin).toHaveBeenCalledWith('peer-1');
+      expect(onData).toHaveBeenCalledWith({ text: 'hi' }, 'peer-1');
+      expect(onPeerLeave).toHaveBeenCalledWith('peer-1');
+
+      // Stop the peer loss timer
+      transport.disconnect();
+    });
+
+    test('should broadcast and send to given peers', async () => {
+      const transport = createRoomTransport();
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+      expect(transport.broadcast('all')).toBe(true);
+      expect(actions.sync[0]).toHaveBeenLastCalledWith('all');
+
+      expect(transport.send('one', 'peer-1')).toBe(true);
+      expect(actions.sync[0]).toHaveBeenLastCalledWith('one', ['peer-1']);
+
+      expect(transport.send('nobody', ['peer-2'])).toBe(false);
+      expect(transport.getPeers()).toEqual(['peer-1']);
+    });
+
+    test('should unsubscribe handlers', async () => {
+      const transport = createRoomTransport();
+      const onData = jest.fn();
+      const unsubscribe = transport.subscribe(onData);
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+      unsubscribe();
+      actions.sync[1].mock.calls[0][0]('data', 'peer-1');
+
+      expect(onData).not.toHaveBeenCalled();
+    });
+
+    test('should leave the room on disconnect', async () => {
+      const transport = createRoomTransport();
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+      transport.disconnect();
+
+      expect(mockRoom.leave).toHaveBeenCalled();
+      expect(transport.getState()).toBe(TransportState.DISCONNECTED);
+    });
+
+    test('should require a joinRoom function to connect', async () => {
+      const transport = createRoomTransport();
+      await expect(transport.connect(ROOM_ID)).rejects.toThrow(TypeError);
+    });
+
+    test('should say hello to each joining peer', async () => {
+      const transport = createRoomTransport();
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+      expect(actions[CODEC_ACTION][0]).toHaveBeenCalledWith(createHello(WireFormat.BINARY), 'peer-1');
+      expect(transport.getWireFormat('peer-1')).toBe(WireFormat.JSON);
+    });
+
+    test('should send binary frames once a peer says hello', async () => {
+      const transport = createRoomTransport();
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+      receiveCodec(createHello(WireFormat.BINARY), 'peer-1');
+
+      expect(actions[CODEC_ACTION][0]).toHaveBeenLastCalledWith(
+        { type: 'codec-format', format: WireFormat.BINARY }, 'peer-1');
+      expect(transport.getWireFormat('peer-1')).toBe(WireFormat.BINARY);
+
+      transport.broadcast({ type: 'append', text: 'a', tokenIndex: 0 });
+
+      const [frame, targets] = actions.sync[0].mock.calls.at(-1);
+      expect(frame).toBeInstanceOf(Uint8Array);
+      expect(frame[0]).toBe(MessageTag.APPEND);
+      expect(targets).toEqual(['peer-1']);
+    });
+
+    test('should keep JSON for peers without binary support', async () => {
+      const transport = createRoomTransport();
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-2');
+      receiveCodec(createHello(WireFormat.BINARY), 'peer-1');
+      receiveCodec(createHello(WireFormat.JSON), 'peer-2');
+
+      transport.broadcast({ type: 'set', text: 'x' });
+
+      const calls = actions.sync[0].mock.calls;
+      expect(calls).toContainEqual([encodeMessage({ type: 'set', text: 'x' }), ['peer-1']]);
+      expect(calls).toContainEqual([{ type: 'set', text: 'x' }, ['peer-2']]);
+    });
+
+    test('should stay on JSON when configured for debugging', async () => {
+      const transport = createRoomTransport({ wireFormat: WireFormat.JSON });
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      receiveCodec(createHello(WireFormat.BINARY), 'peer-1');
+
+      transport.broadcast({ type: 'set', text: 'x' });
+
+      expect(transport.getWireFormat('peer-1')).toBe(WireFormat.JSON);
+      expect(actions.sync[0]).toHaveBeenLastCalledWith({ type: 'set', text: 'x' });
+    });
+
+    test('should decode binary frames after the peer announces binary', async () => {
+      const transport = createRoomTransport();
+      const onData = jest.fn();
+      transport.subscribe(onData);
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+      receiveCodec({ type: 'codec-format', format: WireFormat.BINARY }, 'peer-1');
+      actions.sync[1].mock.calls[0][0](encodeMessage({ type: 'sync-step-1', stateVector: 'AA==' }).buffer, 'peer-1');
+
+      expect(onData).toHaveBeenCalledWith({ type: 'sync-step-1', stateVector: 'AA==' }, 'peer-1');
+    });
+
+    test('should decode binary frames that overtake the format announcement', async () => {
+      const transport = createRoomTransport();
+      const onData = jest.fn();
+      transport.subscribe(onData);
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+      actions.sync[1].mock.calls[0][0](encodeMessage({ type: 'set', text: 'early' }), 'peer-1');
+      receiveCodec({ type: 'codec-format', format: WireFormat.BINARY }, 'peer-1');
+
+      expect(onData).toHaveBeenCalledTimes(1);
+      expect(onData).toHaveBeenCalledWith({ type: 'set', text: 'early' }, 'peer-1');
+    });
+
+    test('should frame binary payloads for JSON peers', async () => {
+      const transport = createRoomTransport({ wireFormat: WireFormat.JSON });
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      const bytes = Uint8Array.of(1, 2, 3);
+
+      transport.broadcast(bytes);
+
+      expect(actions.sync[0]).toHaveBeenLastCalledWith(encodeMessage(bytes));
+    });
+
+    test('should drop undecodable frames as invalid data', async () => {
+      const onInvalidData = jest.fn();
+      const transport = createRoomTransport({ onInvalidData });
+      const onData = jest.fn();
+      transport.subscribe(onData);
+      await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+      mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+      receiveCodec({ type: 'codec-format', format: WireFormat.BINARY }, 'peer-1');
+
+      const frame = Uint8Array.of(0xff);
+      actions.sync[1].mock.calls[0][0](frame, 'peer-1');
+
+      expect(onData).not.toHaveBeenCalled();
+      expect(onInvalidData).toHaveBeenCalledWith('sync', frame, 'peer-1');
+    });
+
+    describe('encryption', () => {
+      let encryptionKey;
+      let cipher;
+
+      beforeEach(() => {
+        encryptionKey = generateEncryptionKey();
+        cipher = createPayloadCipher(encryptionKey);
+      });
+
+      test('should use the key as the Trystero password', async () => {
+        const transport = createRoomTransport();
+
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, encryptionKey });
+
+        expect(mockJoinRoom).toHaveBeenCalledWith(expect.objectContaining({ password: encryptionKey }), ROOM_ID);
+        expect(transport.isEncrypted()).toBe(true);
+      });
+
+      test('should not set a password without a key', async () => {
+        const transport = createRoomTransport();
+
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+        expect(mockJoinRoom.mock.calls[0][0]).not.toHaveProperty('password');
+        expect(transport.isEncrypted()).toBe(false);
+      });
+
+      test('should only put ciphertext on the wire, in order', async () => {
+        const transport = createRoomTransport();
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, encryptionKey });
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+        expect(transport.broadcast({ type: 'append', text: 'secret', tokenIndex: 0 })).toBe(true);
+        transport.send({ type: 'append', text: ' words', tokenIndex: 1 }, 'peer-1');
+
+        const sent = actions.sync[0].mock.calls;
+        await waitFor(() => sent.length === 2);
+
+        expect(sent.every(([payload]) => isEncryptedMessage(payload))).toBe(true);
+        expect(JSON.stringify(sent)).not.toContain('secret');
+        expect(await cipher.decrypt(sent[0][0])).toEqual({ type: 'append', text: 'secret', tokenIndex: 0 });
+        expect(await cipher.decrypt(sent[1][0])).toEqual({ type: 'append', text: ' words', tokenIndex: 1 });
+        expect(sent[1][1]).toEqual(['peer-1']);
+      });
+
+      test('should decrypt incoming payloads', async () => {
+        const transport = createRoomTransport();
+        const onData = jest.fn();
+        transport.subscribe(onData);
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, encryptionKey });
+
+        actions.sync[1].mock.calls[0][0](await cipher.encrypt({ type: 'sync-step-1', stateVector: 'AA==' }), 'peer-1');
+        await waitFor(() => onData.mock.calls.length === 1);
+
+        expect(onData).toHaveBeenCalledWith({ type: 'sync-step-1', stateVector: 'AA==' }, 'peer-1');
+      });
+
+      test('should reject plaintext and forged payloads', async () => {
+        const transport = createRoomTransport();
+        const onData = jest.fn();
+        const onError = jest.fn();
+        transport.subscribe(onData);
+        transport.onError(onError);
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, encryptionKey });
+        const forged = await createPayloadCipher(generateEncryptionKey()).encrypt({ text: 'evil' });
+
+        actions.sync[1].mock.calls[0][0]({ text: 'evil' }, 'peer-1');
+        actions.sync[1].mock.calls[0][0](forged, 'peer-2');
+        await waitFor(() => onError.mock.calls.length === 2);
+
+        expect(onData).not.toHaveBeenCalled();
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Dropped an unencrypted message' }), 'peer-1');
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Decryption failed' }), 'peer-2');
+      });
+
+      test('should report encrypted payloads when no key is set', async () => {
+        const transport = createRoomTransport();
+        const onError = jest.fn();
+        transport.onError(onError);
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom });
+
+        actions.sync[1].mock.calls[0][0](await cipher.encrypt('x'), 'peer-1');
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+          message: 'Received an encrypted message but no key is set'
+        }), 'peer-1');
+      });
+    });
+
+    describe('identity', () => {
+      let localIdentity;
+      let peerIdentity;
+
+      beforeAll(async () => {
+        localIdentity = await importIdentity(await generateIdentity());
+        peerIdentity = await importIdentity(await generateIdentity());
+      });
+
+      // Runs the remote side of the handshake against the sync action mocks
+      function connectPeer(peerId, authOptions) {
+        const onPeerData = jest.fn();
+        const remote = createPeerAuthenticator({
+          ...authOptions,
+          authTimeout: 0,
+          send: (message) => actions.sync[1].mock.calls[0][0](message, peerId)
+        });
+        actions.sync[0].mockImplementation((data) => remote.receive(data, 'local', onPeerData));
+        mockRoom.onPeerJoin.mock.calls[0][0](peerId);
+        remote.start('local');
+        return { remote, onPeerData };
+      }
+
+      test('should announce peers only after the signed handshake', async () => {
+        const transport = createRoomTransport();
+        const onPeerJoin = jest.fn();
+        const onData = jest.fn();
+        transport.onPeerJoin(onPeerJoin);
+        transport.subscribe(onData);
+        await transport.connect(ROOM_ID, {
+          joinRoom: mockJoinRoom,
+          identity: localIdentity,
+          hostFingerprint: localIdentity.fingerprint
+        });
+
+        const { onPeerData } = connectPeer('peer-1', {
+          identity: peerIdentity,
+          hostFingerprint: localIdentity.fingerprint
+        });
+        expect(transport.getPeers()).toEqual([]);
+        actions.sync[1].mock.calls[0][0]({ text: 'early' }, 'peer-1');
+        await waitFor(() => onPeerJoin.mock.calls.length === 1);
+
+        expect(onPeerJoin).toHaveBeenCalledWith('peer-1', { fingerprint: peerIdentity.fingerprint, isHost: false });
+        expect(transport.getPeers()).toEqual(['peer-1']);
+        expect(transport.getPeer('peer-1').status).toBe('verified');
+        await waitFor(() => onData.mock.calls.length === 1);
+        expect(onData).toHaveBeenCalledWith({ text: 'early' }, 'peer-1');
+
+        expect(transport.broadcast({ text: 'welcome' })).toBe(true);
+        await waitFor(() => onPeerData.mock.calls.length === 1);
+        expect(onPeerData).toHaveBeenCalledWith({ text: 'welcome' });
+
+        transport.disconnect();
+      });
+
+      test('should drop a peer impersonating the host', async () => {
+        const transport = createRoomTransport();
+        const onPeerJoin = jest.fn();
+        const onImpostor = jest.fn();
+        const onData = jest.fn();
+        transport.onPeerJoin(onPeerJoin);
+        transport.onImpostor(onImpostor);
+        transport.subscribe(onData);
+        const hostIdentity = await importIdentity(await generateIdentity());
+        await transport.connect(ROOM_ID, {
+          joinRoom: mockJoinRoom,
+          identity: localIdentity,
+          hostFingerprint: hostIdentity.fingerprint
+        });
+
+        // Claims the host role with its own key
+        connectPeer('peer-1', { identity: peerIdentity, hostFingerprint: peerIdentity.fingerprint });
+        actions.sync[1].mock.calls[0][0]({ text: 'evil' }, 'peer-1');
+        await waitFor(() => onImpostor.mock.calls.length === 1);
+
+        expect(onImpostor).toHaveBeenCalledWith('peer-1', ImpostorReason.HOST_MISMATCH);
+        expect(onPeerJoin).not.toHaveBeenCalled();
+        expect(onData).not.toHaveBeenCalled();
+        expect(transport.getPeers()).toEqual([]);
+        expect(transport.broadcast({ text: 'secret' })).toBe(false);
+
+        transport.disconnect();
+      });
+
+      test('should stop answering an impostor that stays in the room', async () => {
+        const transport = createRoomTransport();
+        const onImpostor = jest.fn();
+        transport.onImpostor(onImpostor);
+        const hostIdentity = await importIdentity(await generateIdentity());
+        await transport.connect(ROOM_ID, {
+          joinRoom: mockJoinRoom,
+          identity: localIdentity,
+          hostFingerprint: hostIdentity.fingerprint
+        });
+        const { remote } = connectPeer('peer-1', { identity: peerIdentity, hostFingerprint: peerIdentity.fingerprint });
+        await waitFor(() => onImpostor.mock.calls.length === 1);
+        expect(transport.getPeer('peer-1')).toBeNull();
+
+        actions.sync[0].mockClear();
+        actions[CODEC_ACTION][0].mockClear();
+        receiveCodec(createHello(WireFormat.BINARY), 'peer-1');
+        remote.start('local-again');
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(actions[CODEC_ACTION][0]).not.toHaveBeenCalled();
+        expect(actions.sync[0]).not.toHaveBeenCalled();
+        expect(transport.getPeer('peer-1')).toBeNull();
+        expect(transport.getWireFormat('peer-1')).toBe(WireFormat.JSON);
+
+        transport.disconnect();
+      });
+    });
+
+    describe('admission', () => {
+      test('should hold peers until the host admits them', async () => {
+        const admission = createAdmissionController();
+        const transport = createRoomTransport();
+        const onPeerJoin = jest.fn();
+        const onData = jest.fn();
+        transport.onPeerJoin(onPeerJoin);
+        transport.subscribe(onData);
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, admission });
+
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+        actions.sync[1].mock.calls[0][0]({ text: 'ignored' }, 'peer-1');
+
+        expect(actions.sync[0]).toHaveBeenCalledWith({ type: ADMISSION_TYPE, status: AdmissionStatus.PENDING }, ['peer-1']);
+        expect(onPeerJoin).not.toHaveBeenCalled();
+        expect(onData).not.toHaveBeenCalled();
+        expect(transport.getPeers()).toEqual([]);
+        expect(transport.broadcast({ text: 'secret' })).toBe(false);
+        expect(transport.send({ text: 'secret' }, 'peer-1')).toBe(false);
+
+        admission.approve('peer-1');
+        actions.sync[1].mock.calls[0][0]({ text: 'hi' }, 'peer-1');
+
+        expect(actions.sync[0]).toHaveBeenCalledWith({ type: ADMISSION_TYPE, status: AdmissionStatus.ADMITTED }, ['peer-1']);
+        expect(onPeerJoin).toHaveBeenCalledWith('peer-1');
+        expect(onData).toHaveBeenCalledWith({ text: 'hi' }, 'peer-1');
+        expect(transport.getPeers()).toEqual(['peer-1']);
+
+        transport.disconnect();
+      });
+
+      test('should cut off kicked and denied peers', async () => {
+        const admission = createAdmissionController({ autoApprove: true });
+        const transport = createRoomTransport();
+        const onPeerLeave = jest.fn();
+        transport.onPeerLeave(onPeerLeave);
+        await transport.connect(ROOM_ID, { joinRoom: mockJoinRoom, admission });
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-1');
+
+        admission.kick('peer-1');
+
+        expect(actions.sync[0]).toHaveBeenCalledWith({ type: ADMISSION_TYPE, status: AdmissionStatus.KICKED }, ['peer-1']);
+        expect(onPeerLeave).toHaveBeenCalledWith('peer-1');
+        expect(transport.broadcast({ text: 'secret' })).toBe(false);
+
+        // The room drops the peer later; it must not be reported twice
+        mockRoom.onPeerLeave.mock.calls[0][0]('peer-1');
+        expect(onPeerLeave).toHaveBeenCalledTimes(1);
+
+        admission.setMaxPeers(0);
+        mockRoom.onPeerJoin.mock.calls[0][0]('peer-2');
+        expect(actions.sync[0]).toHaveBeenCalledWith({
+          type: ADMISSION_TYPE,
+          status: AdmissionStatus.DENIED,
+          reason: DenyReason.FULL
+        }, ['peer-2']);
+
+        // Denied peers stay in the room but are no longer answered
+        await waitFor(() => transport.getWireFormat('peer-2') === WireFormat.JSON);
+        actions[CODEC_ACTION][0].mockClear();
+        receiveCodec(createHello(WireFormat.BINARY), 'peer-2');
+        expect(actions[CODEC_ACTION][0]).not.toHaveBeenCalled();
+
+        transport.disconnect();
+      });
+    });
+
+    test('should expose the connection manager', () => {
+      const transport = createRoomTransport({ appId: 'custom' });
+      expect(transport.manager.config.appId).toBe('custom');
+    });
+  });
+
+  describe('createDirectTransport (host)', () => {
+    let factory;
+    let created;
+
+    beforeEach(() => {
+      ({ factory, created } = createFakeFactory());
+    });
+
+    test('should create invites and accept answers', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+
+      const invite = await transport.connect();
+      await transport.accept('answer', invite.clientId);
+
+      expect(transport.kind).toBe(TransportKind.DIRECT);
+      expect(invite).toEqual({ clientId: 'session-1', offer: 'offer-session-1' });
+      expect(created[0].acceptAnswer).toHaveBeenCalledWith('answer');
+      expect(transport.getState()).toBe(TransportState.CONNECTING);
+    });
+
+    test('should start a fresh session on each connect', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+
+      await transport.connect();
+      const invite = await transport.connect();
+
+      expect(created[0].close).toHaveBeenCalled();
+      expect(invite.clientId).toBe('session-2');
+    });
+
+    test('should encrypt with the key given to connect', async () => {
+      const encryptionKey = generateEncryptionKey();
+      const cipher = createPayloadCipher(encryptionKey);
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+
+      await transport.connect(null, { encryptionKey });
+      created[0].setState(DirectConnectionState.CONNECTED);
+      transport.broadcast({ type: 'request', data: 'hi' });
+
+      await waitFor(() => created[0].send.mock.calls.length === 1);
+      expect(isEncryptedMessage(created[0].send.mock.calls[0][0])).toBe(true);
+      expect(await cipher.decrypt(created[0].send.mock.calls[0][0])).toEqual({ type: 'request', data: 'hi' });
+    });
+
+    test('should aggregate client states', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+      const onStateChange = jest.fn();
+      transport.onStateChange(onStateChange);
+      await transport.connect();
+      await transport.invite();
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      expect(transport.getState()).toBe(TransportState.CONNECTED);
+
+      created[0].setState(DirectConnectionState.FAILED);
+      expect(transport.getState()).toBe(TransportState.CONNECTING);
+
+      created[1].setState(DirectConnectionState.FAILED);
+      expect(transport.getState()).toBe(TransportState.ERROR);
+
+      expect(onStateChange.mock.calls.map(call => call[0])).toEqual([
+        TransportState.CONNECTING,
+        TransportState.CONNECTED,
+        TransportState.CONNECTING,
+        TransportState.ERROR
+      ]);
+    });
+
+    test('should report clients as peers', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+      const onPeerJoin = jest.fn();
+      const onPeerLeave = jest.fn();
+      const onData = jest.fn();
+      transport.onPeerJoin(onPeerJoin);
+      transport.onPeerLeave(onPeerLeave);
+      transport.subscribe(onData);
+      await transport.connect();
+      await transport.invite();
+
+      created[1].setState(DirectConnectionState.CONNECTED);
+      created[1].options.onMessage({ type: 'sync-step-1' });
+
+      expect(onPeerJoin).toHaveBeenCalledWith('session-2');
+      expect(transport.getPeers()).toEqual(['session-2']);
+      expect(onData).toHaveBeenCalledWith({ type: 'sync-step-1' }, 'session-2');
+
+      created[1].setState(DirectConnectionState.DISCONNECTED);
+      expect(onPeerLeave).toHaveBeenCalledWith('session-2');
+    });
+
+    test('should broadcast and send to given clients', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+      await transport.connect();
+      await transport.invite();
+      created[0].setState(DirectConnectionState.CONNECTED);
+      created[1].setState(DirectConnectionState.CONNECTED);
+
+      expect(transport.broadcast('all')).toBe(true);
+      expect(created[0].send).toHaveBeenCalledWith('all');
+      expect(created[1].send).toHaveBeenCalledWith('all');
+
+      expect(transport.send('one', ['session-2'])).toBe(true);
+      expect(created[0].send).not.toHaveBeenCalledWith('one');
+      expect(created[1].send).toHaveBeenCalledWith('one');
+
+      expect(transport.send('nobody', 'unknown')).toBe(false);
+    });
+
+    test('should report false when no client is connected', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+      await transport.connect();
+
+      expect(transport.broadcast('x')).toBe(false);
+    });
+
+    test('should close every client on disconnect', async () => {
+      const transport = createDirectTransport({ role: 'host', createConnection: factory });
+      await transport.connect();
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      transport.disconnect();
+
+      expect(created[0].close).toHaveBeenCalled();
+      expect(transport.getPeers()).toEqual([]);
+      expect(transport.getState()).toBe(TransportState.DISCONNECTED);
+    });
+  });
+
+  describe('createDirectTransport (host) admission', () => {
+    test('should close the link of a denied client after telling it', async () => {
+      const { factory, created } = createFakeFactory();
+      const admission = createAdmissionController();
+      const transport = createDirectTransport({ role: 'host', createConnection: factory, admission });
+      const onPeerJoin = jest.fn();
+      transport.onPeerJoin(onPeerJoin);
+      await transport.connect();
+      await transport.invite();
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      created[1].setState(DirectConnectionState.CONNECTED);
+      admission.approve('session-1');
+      admission.deny('session-2');
+      await waitFor(() => created[1].close.mock.calls.length === 1);
+
+      expect(onPeerJoin).toHaveBeenCalledTimes(1);
+      expect(onPeerJoin).toHaveBeenCalledWith('session-1');
+      expect(created[1].send).toHaveBeenCalledWith({
+        type: ADMISSION_TYPE,
+        status: AdmissionStatus.DENIED,
+        reason: DenyReason.REJECTED
+      });
+      expect(created[0].close).not.toHaveBeenCalled();
+
+      transport.broadcast('token');
+      expect(created[0].send).toHaveBeenCalledWith('token');
+      expect(created[1].send).not.toHaveBeenCalledWith('token');
+
+      transport.disconnect();
+    });
+  });
+
+  describe('createDirectTransport (client)', () => {
+    let factory;
+    let created;
+
+    beforeEach(() => {
+      ({ factory, created } = createFakeFactory());
+    });
+
+    test('should default to the client role', () => {
+      const transport = createDirectTransport({ createConnection: factory });
+      expect(transport.role).toBe('client');
+      expect(transport.connection).toBe(created[0]);
+    });
+
+    test('should answer the host offer on connect', async () => {
+      const transport = createDirectTransport({ createConnection: factory });
+
+      const answer = await transport.connect('offer');
+
+      expect(answer).toBe('answer-session-1');
+      expect(created[0].createAnswer).toHaveBeenCalledWith('offer');
+      expect(transport.getState()).toBe(TransportState.CONNECTING);
+    });
+
+    test('should report the host as a peer', () => {
+      const transport = createDirectTransport({ createConnection: factory });
+      const onPeerJoin = jest.fn();
+      const onPeerLeave = jest.fn();
+      transport.onPeerJoin(onPeerJoin);
+      transport.onPeerLeave(onPeerLeave);
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      created[0].setState(DirectConnectionState.RECONNECTING);
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      expect(onPeerJoin).toHaveBeenCalledTimes(1);
+      expect(onPeerJoin).toHaveBeenCalledWith(DIRECT_HOST_PEER_ID);
+      expect(transport.getPeers()).toEqual([DIRECT_HOST_PEER_ID]);
+
+      created[0].setState(DirectConnectionState.FAILED);
+
+      expect(onPeerLeave).toHaveBeenCalledWith(DIRECT_HOST_PEER_ID);
+      expect(transport.getPeers()).toEqual([]);
+      expect(transport.getState()).toBe(TransportState.ERROR);
+    });
+
+    test('should tag messages with the host peer ID', () => {
+      const transport = createDirectTransport({ createConnection: factory });
+      const onData = jest.fn();
+      transport.subscribe(onData);
+
+      created[0].options.onMessage({ type: 'append', text: 'a' });
+
+      expect(onData).toHaveBeenCalledWith({ type: 'append', text: 'a' }, DIRECT_HOST_PEER_ID);
+    });
+
+    test('should only send to the host while connected', () => {
+      const transport = createDirectTransport({ createConnection: factory });
+
+      expect(transport.broadcast('early')).toBe(false);
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      expect(transport.send('x', DIRECT_HOST_PEER_ID)).toBe(true);
+      expect(transport.send('y', ['someone-else'])).toBe(false);
+      expect(created[0].send).toHaveBeenCalledWith('x');
+      expect(created[0].send).not.toHaveBeenCalledWith('y');
+    });
+
+    test('should encrypt traffic with a shared key', async () => {
+      const encryptionKey = generateEncryptionKey();
+      const cipher = createPayloadCipher(encryptionKey);
+      const transport = createDirectTransport({ createConnection: factory, encryptionKey });
+      const onData = jest.fn();
+      transport.subscribe(onData);
+      created[0].setState(DirectConnectionState.CONNECTED);
+
+      transport.send({ type: 'request', data: 'hi' });
+      created[0].options.onMessage(await cipher.encrypt({ type: 'response-token', data: 'x' }));
+
+      await waitFor(() => created[0].send.mock.calls.length === 1 && onData.mock.calls.length === 1);
+      expect(await cipher.decrypt(created[0].send.mock.calls[0][0])).toEqual({ type: 'request', data: 'hi' });
+      expect(onData).toHaveBeenCalledWith({ type: 'response-token', data: 'x' }, DIRECT_HOST_PEER_ID);
+    });
+
+    test('should use the security options given to connect', async () => {
+      const encryptionKey = generateEncryptionKey();
+      const cipher = createPayloadCipher(encryptionKey);
+      const transport = createDirectTransport({ createConnection: factory });
+
+      await transport.connect('offer', { encryptionKey });
+      created[0].setState(DirectConnectionState.CONNECTED);
+      transport.send({ type: 'request', data: 'hi' });
+
+      await waitFor(() => created[0].send.mock.calls.length === 1);
+      expect(await cipher.decrypt(created[0].send.mock.calls[0][0])).toEqual({ type: 'request', data: 'hi' });
+    });
+
+    test('should verify the host against the QR fingerprint', async () => {
+      const hostIdentity = await importIdentity(await generateIdentity());
+      const clientIdentity = await importIdentity(await generateIdentity());
+      const transport = createDirectTransport({
+        createConnection: factory,
+        identity: clientIdentity,
+        hostFingerprint: hostIdentity.fingerprint
+      });
+      const onPeerJoin = jest.fn();
+      transport.onPeerJoin(onPeerJoin);
+      const host = createPeerAuthenticator({
+        identity: hostIdentity,
+        hostFingerprint: hostIdentity.fingerprint,
+        authTimeout: 0,
+        send: (message) => created[0].options.onMessage(message)
+      });
+      created[0].send.mockImplementation((message) => host.receive(message, 'client', () => {}));
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      expect(transport.send('too early')).toBe(false);
+      host.start('client');
+      await waitFor(() => onPeerJoin.mock.calls.length === 1);
+
+      expect(onPeerJoin).toHaveBeenCalledWith(DIRECT_HOST_PEER_ID, {
+        fingerprint: hostIdentity.fingerprint,
+        isHost: true
+      });
+      expect(transport.send('x')).toBe(true);
+
+      transport.disconnect();
+    });
+
+    test('should close the connection to an impostor host', async () => {
+      const hostIdentity = await importIdentity(await generateIdentity());
+      const impostorIdentity = await importIdentity(await generateIdentity());
+      const transport = createDirectTransport({
+        createConnection: factory,
+        identity: await importIdentity(await generateIdentity()),
+        hostFingerprint: hostIdentity.fingerprint
+      });
+      const onImpostor = jest.fn();
+      transport.onImpostor(onImpostor);
+      const impostor = createPeerAuthenticator({
+        identity: impostorIdentity,
+        authTimeout: 0,
+        send: (message) => created[0].options.onMessage(message)
+      });
+
+      created[0].setState(DirectConnectionState.CONNECTED);
+      impostor.start('client');
+      await waitFor(() => onImpostor.mock.calls.length === 1);
+
+      expect(onImpostor).toHaveBeenCalledWith(DIRECT_HOST_PEER_ID, ImpostorReason.HOST_MISMATCH);
+      expect(created[0].close).toHaveBeenCalled();
+      expect(transport.getPeers()).toEqual([]);
+
+      transport.disconnect();
+    });
+
+    test('should close the connection on disconnect', () => {
+      const transport = createDirectTransport({ createConnection: factory });
+
+      transport.disconnect();
+
+      expect(created[0].close).toHaveBeenCalled();
+    });
+  });
+});
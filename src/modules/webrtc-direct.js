@@ -10,6 +10,15 @@
  * @module webrtc-direct
  */
 
+import {
+  WireFormat,
+  HELLO_TYPE,
+  FORMAT_TYPE,
+  isBinary,
+  toBytes,
+  createFormatNegotiator
+} from './codec.js';
+
 /**
  * Connection states
  */
@@ -19,10 +28,64 @@ export const DirectConnectionState = {
   ANSWERING: 'answering',      // Client has received offer, creating answer
   CONNECTING: 'connecting',    // Both sides have exchanged, ICE in progress
   CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting', // ICE restart or resume in progress
   DISCONNECTED: 'disconnected',
   FAILED: 'failed'
 };
 
+/**
+ * In-band signaling messages sent over the data channel
+ * These never reach onMessage.
+ */
+export const SignalType = {
+  RESTART_OFFER: 'ice-restart-offer',
+  RESTART_ANSWER: 'ice-restart-answer',
+  CANDIDATE: 'ice-candidate',
+  HELLO: HELLO_TYPE,     // Wire formats this side speaks
+  FORMAT: FORMAT_TYPE    // Wire format this side sends from now on
+};
+
+/**
+ * Recovery defaults
+ */
+export const DEFAULT_RECOVERY = {
+  iceRestartDelay: 2000,     // Grace period before restarting a disconnected link
+  iceRestartTimeout: 10000,  // Give up on a restart that has not reconnected
+  maxIceRestarts: 3
+};
+
+/**
+ * Transfer defaults for the data channel
+ */
+export const DEFAULT_TRANSFER = {
+  chunkSize: 16384,          // Max characters (text) or bytes (binary) per frame
+  highWaterMark: 1048576,    // Stop sending while more than this is buffered
+  lowWaterMark: 262144,      // Resume once the buffer drains below this
+  maxPendingMessages: 16     // Incomplete incoming messages kept at once
+};
+
+/**
+ * Frame marker for fragments of a chunked message
+ * Chunk frames are reassembled before they reach onMessage.
+ */
+export const CHUNK_FRAME = 'chunk';
+
+/**
+ * Reserved key of the envelope around control frames (signals and chunk headers)
+ * Application messages whose JSON mentions it are always sent as chunks,
+ * so no payload can pass for a control frame.
+ */
+export const CONTROL_KEY = '__ctl';
+
+/**
+ * Wraps a control frame in its reserved envelope
+ * @param {Object} control - Signal or chunk header
+ * @returns {string} JSON frame
+ */
+function controlFrame(control) {
+  return JSON.stringify({ [CONTROL_KEY]: control });
+}
+
 /**
  * Default ICE servers (public STUN servers for NAT traversal)
  * STUN is free and helps with most NAT situations
@@ -40,9 +103,10 @@ export const DEFAULT_ICE_SERVERS = [
  * Based on "Minimum Viable SDP" technique
  * @param {RTCSessionDescription} description - SDP description
  * @param {RTCIceCandidate[]} candidates - ICE candidates
+ * @param {string} [sessionId] - Session identity carried with the signal
  * @returns {string} Compressed signaling data
  */
-export function compressSignaling(description, candidates) {
+export function compressSignaling(description, candidates, sessionId) {
   const sdp = description.sdp;
   const type = description.type; // 'offer' or 'answer'
   
@@ -91,13 +155,17 @@ export function compressSignaling(description, candidates) {
     c: compressedCandidates
   };
   
+  if (sessionId) {
+    data.s = sessionId;
+  }
+  
   return btoa(JSON.stringify(data));
 }
 
 /**
  * Decompresses signaling data back to SDP format
  * @param {string} compressed - Compressed signaling data
- * @returns {Object} { description: RTCSessionDescriptionInit, candidates: RTCIceCandidateInit[] }
+ * @returns {Object} { description: RTCSessionDescriptionInit, candidates: RTCIceCandidateInit[], sessionId }
  */
 export function decompressSignaling(compressed) {
   const data = JSON.parse(atob(compressed));
@@ -147,13 +215,184 @@ export function decompressSignaling(compressed) {
   
   return {
     description: { type, sdp },
-    candidates
+    candidates,
+    sessionId: data.s || null
+  };
+}
+
+/**
+ * Extracts ICE credentials and DTLS fingerprint from an SDP
+ * @param {string} sdp - SDP text
+ * @returns {Object} { ufrag, pwd, fingerprint }
+ */
+export function parseSdpIdentity(sdp) {
+  const ufrag = sdp.match(/a=ice-ufrag:(.+)/);
+  const pwd = sdp.match(/a=ice-pwd:(.+)/);
+  const fingerprint = sdp.match(/a=fingerprint:sha-256 (.+)/);
+  return {
+    ufrag: ufrag ? ufrag[1].trim() : null,
+    pwd: pwd ? pwd[1].trim() : null,
+    fingerprint: fingerprint ? fingerprint[1].trim().toUpperCase() : null
+  };
+}
+
+/**
+ * Replaces the ICE credentials in an SDP
+ * @param {string} sdp - SDP text
+ * @param {Object} ice - { ufrag, pwd }
+ * @returns {string} SDP with the given credentials
+ */
+function withIceCredentials(sdp, ice) {
+  return sdp
+    .replace(/a=ice-ufrag:.+/g, 'a=ice-ufrag:' + ice.ufrag)
+    .replace(/a=ice-pwd:.+/g, 'a=ice-pwd:' + ice.pwd);
+}
+
+/**
+ * Generates a session identifier for a direct connection
+ * @returns {string} Random identifier
+ */
+function generateSessionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+
+/**
+ * Splits a message into data channel frames
+ * 
+ * Messages up to chunkSize are sent as a single frame, exactly as before.
+ * Larger ones become chunk frames: JSON headers { frame, id, index, total,
+ * kind, data } inside the CONTROL_KEY envelope. Binary chunks carry no
+ * data in the header; the raw bytes follow as the next binary frame.
+ * 
+ * @param {any} message - Object (JSON), string or binary data
+ * @param {number} chunkSize - Max characters or bytes per frame
+ * @param {string} id - Message ID, unique per connection
+ * @returns {Array<string|Uint8Array>} Frames to send in order
+ */
+export function fragmentMessage(message, chunkSize, id) {
+  if (isBinary(message)) {
+    const bytes = toBytes(message);
+    if (bytes.byteLength <= chunkSize) {
+      return [bytes];
+    }
+    const total = Math.ceil(bytes.byteLength / chunkSize);
+    const frames = [];
+    for (let index = 0; index < total; index++) {
+      frames.push(controlFrame({ frame: CHUNK_FRAME, id, index, total, kind: 'binary' }));
+      frames.push(bytes.subarray(index * chunkSize, (index + 1) * chunkSize));
+    }
+    return frames;
+  }
+  
+  const kind = typeof message === 'object' ? 'json' : 'text';
+  const payload = kind === 'json' ? JSON.stringify(message) : String(message);
+  if (payload.length <= chunkSize && !payload.includes(JSON.stringify(CONTROL_KEY))) {
+    return [payload];
+  }
+  
+  const total = Math.ceil(payload.length / chunkSize);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    const data = payload.slice(index * chunkSize, (index + 1) * chunkSize);
+    frames.push(controlFrame({ frame: CHUNK_FRAME, id, index, total, kind, data }));
+  }
+  return frames;
+}
+
+/**
+ * Creates a reassembler for chunk frames
+ * @param {Object} options - Options
+ * @param {number} options.maxPendingMessages - Incomplete messages kept; the oldest is dropped beyond this
+ * @returns {Object} Reassembler with accept(frame), clear() and getPendingCount()
+ */
+export function createReassembler(options = {}) {
+  const maxPendingMessages = options.maxPendingMessages || DEFAULT_TRANSFER.maxPendingMessages;
+  const pending = new Map();
+  
+  /**
+   * Joins the parts of a complete message
+   * @param {Object} entry - Pending message
+   * @returns {any} Original message
+   */
+  function assemble(entry) {
+    if (entry.kind === 'binary') {
+      const size = entry.parts.reduce((sum, part) => sum + part.byteLength, 0);
+      const bytes = new Uint8Array(size);
+      let offset = 0;
+      entry.parts.forEach((part) => {
+        bytes.set(part, offset);
+        offset += part.byteLength;
+      });
+      return bytes;
+    }
+    const payload = entry.parts.join('');
+    return entry.kind === 'json' ? JSON.parse(payload) : payload;
+  }
+  
+  /**
+   * Adds one chunk frame
+   * @param {Object} frame - Chunk frame (binary frames carry their bytes in data)
+   * @returns {any} The complete message, or undefined while parts are missing
+   */
+  function accept(frame) {
+    const { id, index, total, kind, data } = frame;
+    if (!Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) {
+      return undefined;
+    }
+    
+    let entry = pending.get(id);
+    if (!entry || entry.total !== total) {
+      entry = { total, kind, parts: new Array(total), received: 0 };
+      pending.set(id, entry);
+      if (pending.size > maxPendingMessages) {
+        pending.delete(pending.keys().next().value);
+      }
+    }
+    
+    if (entry.parts[index] === undefined) {
+      entry.parts[index] = data;
+      entry.received++;
+    }
+    if (entry.received < entry.total) {
+      return undefined;
+    }
+    
+    pending.delete(id);
+    return assemble(entry);
+  }
+  
+  return {
+    accept,
+    clear: () => pending.clear(),
+    getPendingCount: () => pending.size
   };
 }
 
 /**
  * Creates a direct WebRTC connection manager
+ * 
+ * A degraded link (ICE disconnected/failed while the data channel is still
+ * open) is repaired with an ICE restart signaled over the data channel.
+ * If the link is lost entirely, exportSession() captures the session
+ * identity so resume() can rebuild it without scanning new QR codes, as
+ * long as the remote side resumes from the same session too.
+ * 
+ * Messages larger than transfer.chunkSize are fragmented and reassembled
+ * automatically. Outgoing frames are queued while the channel's
+ * bufferedAmount is above transfer.highWaterMark.
+ * 
+ * Messages use the compact binary codec once both sides have agreed on it
+ * (see codec.js); until then, and with wireFormat 'json', they are JSON.
+ * 
  * @param {Object} options - Configuration options
+ * @param {RTCCertificate} options.certificate - DTLS certificate to reuse (keeps the fingerprint stable)
+ * @param {Object} options.recovery - Recovery settings (see DEFAULT_RECOVERY)
+ * @param {Object} options.transfer - Transfer settings (see DEFAULT_TRANSFER)
+ * @param {string} options.wireFormat - Preferred wire format (WireFormat value, default binary)
  * @returns {Object} Connection manager
  */
 export function createDirectConnection(options = {}) {
@@ -162,8 +401,25 @@ export function createDirectConnection(options = {}) {
   let dataChannel = null;
   let localCandidates = [];
   let iceCandidateTimeout = null;
+  let role = null;
+  let sessionId = null;
+  let certificate = options.certificate || null;
+  let remoteSignal = null;
+  let remoteFingerprint = null;
+  let restartAttempts = 0;
+  let restarting = false;
+  let restartDelayTimer = null;
+  let restartTimeoutTimer = null;
+  let outbox = [];
+  let drainWaiters = [];
+  let nextMessageId = 0;
+  let pendingBinaryChunk = null;
   
   const iceServers = options.iceServers || DEFAULT_ICE_SERVERS;
+  const recovery = { ...DEFAULT_RECOVERY, ...options.recovery };
+  const transfer = { ...DEFAULT_TRANSFER, ...options.transfer };
+  const reassembler = createReassembler(transfer);
+  const negotiator = createFormatNegotiator(options.wireFormat || WireFormat.BINARY);
   
   const callbacks = {
     onStateChange: options.onStateChange || (() => {}),
@@ -178,13 +434,31 @@ export function createDirectConnection(options = {}) {
     }
   }
   
+  async function ensureCertificate() {
+    if (!certificate && typeof RTCPeerConnection.generateCertificate === 'function') {
+      certificate = await RTCPeerConnection.generateCertificate({
+        name: 'ECDSA',
+        namedCurve: 'P-256'
+      });
+    }
+    return certificate;
+  }
+  
   function createPeerConnection() {
-    pc = new RTCPeerConnection({ iceServers });
+    const config = { iceServers };
+    if (certificate) {
+      config.certificates = [certificate];
+    }
+    pc = new RTCPeerConnection(config);
     localCandidates = [];
     
     pc.onicecandidate = (event) => {
       if (event.candidate) {
         localCandidates.push(event.candidate);
+        if (restarting) {
+          const candidate = event.candidate.toJSON ? event.candidate.toJSON() : event.candidate;
+          sendSignal({ signal: SignalType.CANDIDATE, candidate });
+        }
       }
     };
     
@@ -193,13 +467,13 @@ export function createDirectConnection(options = {}) {
       if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
         // ICE is connected, but wait for data channel if it exists
         if (dataChannel && dataChannel.readyState === 'open') {
+          finishRecovery();
           setState(DirectConnectionState.CONNECTED);
         }
       } else if (pc.iceConnectionState === 'failed') {
-        setState(DirectConnectionState.FAILED);
-        callbacks.onError(new Error('ICE connection failed'));
+        handleTransportFailure(new Error('ICE connection failed'));
       } else if (pc.iceConnectionState === 'disconnected') {
-        setState(DirectConnectionState.DISCONNECTED);
+        handleDegradedLink();
       }
     };
     
@@ -208,11 +482,11 @@ export function createDirectConnection(options = {}) {
       if (pc.connectionState === 'connected') {
         // Check if data channel is ready
         if (dataChannel && dataChannel.readyState === 'open') {
+          finishRecovery();
           setState(DirectConnectionState.CONNECTED);
         }
       } else if (pc.connectionState === 'failed') {
-        setState(DirectConnectionState.FAILED);
-        callbacks.onError(new Error('Connection failed'));
+        handleTransportFailure(new Error('Connection failed'));
       }
     };
     
@@ -226,30 +500,58 @@ export function createDirectConnection(options = {}) {
   
   function setupDataChannel(channel) {
     dataChannel = channel;
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = transfer.lowWaterMark;
     
     // Check if channel is already open (can happen in some browsers)
     if (channel.readyState === 'open') {
       console.log('Data channel already open');
+      sendSignal({ signal: SignalType.HELLO, ...negotiator.hello() });
       setState(DirectConnectionState.CONNECTED);
     }
     
     dataChannel.onopen = () => {
       console.log('Data channel open event fired, readyState:', channel.readyState);
+      finishRecovery();
+      sendSignal({ signal: SignalType.HELLO, ...negotiator.hello() });
       setState(DirectConnectionState.CONNECTED);
     };
     
     dataChannel.onclose = () => {
       console.log('Data channel closed');
+      if (dataChannel !== channel) return;
+      clearRecoveryTimers();
+      restarting = false;
+      resetTransfer();
       setState(DirectConnectionState.DISCONNECTED);
     };
     
+    dataChannel.onbufferedamountlow = () => {
+      if (dataChannel !== channel) return;
+      try {
+        flushOutbox();
+      } catch (error) {
+        callbacks.onError(error);
+      }
+    };
+    
     dataChannel.onmessage = (event) => {
+      if (typeof event.data !== 'string') {
+        handleBinaryFrame(toBytes(event.data));
+        return;
+      }
+      let message;
       try {
-        const message = JSON.parse(event.data);
-        callbacks.onMessage(message);
+        message = JSON.parse(event.data);
       } catch (e) {
         callbacks.onMessage(event.data);
+        return;
+      }
+      if (message && typeof message === 'object' && Object.hasOwn(message, CONTROL_KEY)) {
+        handleControl(message[CONTROL_KEY]);
+        return;
       }
+      callbacks.onMessage(message);
     };
     
     dataChannel.onerror = (error) => {
@@ -259,30 +561,263 @@ export function createDirectConnection(options = {}) {
   }
   
   /**
-   * Creates an offer (Host side)
-   * @returns {Promise<string>} Compressed offer for QR code
+   * Handles a frame from the CONTROL_KEY envelope
    */
-  async function createOffer() {
-    createPeerConnection();
+  function handleControl(control) {
+    if (control && control.signal) {
+      handleSignal(control).catch(error => callbacks.onError(error));
+    } else if (control && control.frame === CHUNK_FRAME) {
+      handleChunk(control);
+    } else {
+      callbacks.onError(new Error('Unknown control frame'));
+    }
+  }
+  
+  /**
+   * Handles a binary frame: either the bytes of the last binary chunk
+   * header or a complete binary message
+   */
+  function handleBinaryFrame(bytes) {
+    if (pendingBinaryChunk) {
+      const header = pendingBinaryChunk;
+      pendingBinaryChunk = null;
+      deliverChunk({ ...header, data: bytes });
+      return;
+    }
+    deliverPayload(bytes);
+  }
+  
+  /**
+   * Delivers a complete binary payload, decoding it if the peer sends binary frames
+   */
+  function deliverPayload(bytes) {
+    let message;
+    try {
+      message = negotiator.decode(bytes);
+    } catch (error) {
+      callbacks.onError(error);
+      return;
+    }
+    callbacks.onMessage(message);
+  }
+  
+  function handleChunk(frame) {
+    if (frame.kind === 'binary') {
+      pendingBinaryChunk = frame;
+      return;
+    }
+    deliverChunk(frame);
+  }
+  
+  function deliverChunk(frame) {
+    let message;
+    try {
+      message = reassembler.accept(frame);
+    } catch (error) {
+      callbacks.onError(error);
+      return;
+    }
+    if (message === undefined) return;
+    if (isBinary(message)) {
+      deliverPayload(message);
+    } else {
+      callbacks.onMessage(message);
+    }
+  }
+  
+  /**
+   * Sends queued frames until the channel buffer reaches the high water mark
+   * The rest goes out from onbufferedamountlow.
+   */
+  function flushOutbox() {
+    while (outbox.length > 0 && isChannelOpen()) {
+      if ((dataChannel.bufferedAmount || 0) > transfer.highWaterMark) {
+        return;
+      }
+      dataChannel.send(outbox.shift());
+    }
+    if (outbox.length === 0) {
+      const waiters = drainWaiters;
+      drainWaiters = [];
+      waiters.forEach(waiter => waiter.resolve());
+    }
+  }
+  
+  /**
+   * Drops queued and partially received messages of a closed channel
+   */
+  function resetTransfer() {
+    outbox = [];
+    pendingBinaryChunk = null;
+    reassembler.clear();
+    negotiator.reset();
+    const waiters = drainWaiters;
+    drainWaiters = [];
+    waiters.forEach(waiter => waiter.reject(new Error('Data channel closed')));
+  }
+  
+  function isChannelOpen() {
+    return !!dataChannel && dataChannel.readyState === 'open';
+  }
+  
+  function sendSignal(message) {
+    if (isChannelOpen()) {
+      dataChannel.send(controlFrame(message));
+    }
+  }
+  
+  function clearRecoveryTimers() {
+    clearTimeout(restartDelayTimer);
+    clearTimeout(restartTimeoutTimer);
+    restartDelayTimer = null;
+    restartTimeoutTimer = null;
+  }
+  
+  function finishRecovery() {
+    clearRecoveryTimers();
+    restarting = false;
+    restartAttempts = 0;
+  }
+  
+  /**
+   * ICE went 'disconnected': wait briefly, then restart if it has not recovered
+   */
+  function handleDegradedLink() {
+    if (state !== DirectConnectionState.CONNECTED && state !== DirectConnectionState.RECONNECTING) {
+      setState(DirectConnectionState.DISCONNECTED);
+      return;
+    }
+    setState(DirectConnectionState.RECONNECTING);
+    clearTimeout(restartDelayTimer);
+    restartDelayTimer = setTimeout(() => {
+      restartDelayTimer = null;
+      if (pc && pc.iceConnectionState === 'disconnected') {
+        restartIce().catch(err => callbacks.onError(err));
+      }
+    }, recovery.iceRestartDelay);
+  }
+  
+  /**
+   * ICE or DTLS 'failed': restart over the data channel if it survived,
+   * otherwise the link is lost and only resume() can bring it back
+   */
+  function handleTransportFailure(error) {
+    if (isChannelOpen() && restartAttempts < recovery.maxIceRestarts) {
+      setState(DirectConnectionState.RECONNECTING);
+      restartIce().catch(err => callbacks.onError(err));
+      return;
+    }
+    clearRecoveryTimers();
+    restarting = false;
+    setState(DirectConnectionState.FAILED);
+    callbacks.onError(error);
+  }
+  
+  /**
+   * Starts an ICE restart
+   * Only the side that created the original offer initiates, to avoid glare;
+   * the answering side waits for the restart offer.
+   * @returns {Promise<boolean>} True if a restart offer was sent
+   */
+  async function restartIce() {
+    if (!pc || !isChannelOpen()) {
+      return false;
+    }
     
-    // Create data channel
-    const channel = pc.createDataChannel('p2p-stream', {
-      ordered: true
-    });
-    setupDataChannel(channel);
+    restarting = true;
+    clearTimeout(restartTimeoutTimer);
+    restartTimeoutTimer = setTimeout(() => {
+      restartTimeoutTimer = null;
+      if (state === DirectConnectionState.RECONNECTING) {
+        handleTransportFailure(new Error('ICE restart timed out'));
+      }
+    }, recovery.iceRestartTimeout);
     
-    // Create offer
-    const offer = await pc.createOffer();
+    restartAttempts++;
+    if (role !== 'host') {
+      return false;
+    }
+    
+    const offer = await pc.createOffer({ iceRestart: true });
     await pc.setLocalDescription(offer);
+    sendSignal({
+      signal: SignalType.RESTART_OFFER,
+      description: { type: offer.type, sdp: offer.sdp }
+    });
+    return true;
+  }
+  
+  async function handleSignal(message) {
+    if (message.signal === SignalType.HELLO || message.signal === SignalType.FORMAT) {
+      const reply = negotiator.handle(message);
+      if (reply && isChannelOpen()) {
+        // Queued behind data already sent in the old format
+        outbox.push(controlFrame({ signal: reply.type, ...reply }));
+        flushOutbox();
+      }
+      return;
+    }
     
-    setState(DirectConnectionState.OFFERING);
+    if (!pc) return;
     
-    // Wait for ICE gathering to complete (or timeout after 3 seconds)
+    if (message.signal === SignalType.RESTART_OFFER) {
+      restarting = true;
+      setState(DirectConnectionState.RECONNECTING);
+      await pc.setRemoteDescription(message.description);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      sendSignal({
+        signal: SignalType.RESTART_ANSWER,
+        description: { type: answer.type, sdp: answer.sdp }
+      });
+    } else if (message.signal === SignalType.RESTART_ANSWER) {
+      await pc.setRemoteDescription(message.description);
+    } else if (message.signal === SignalType.CANDIDATE) {
+      try {
+        await pc.addIceCandidate(message.candidate);
+      } catch (e) {
+        console.warn('Failed to add restart candidate:', e);
+      }
+    }
+  }
+  
+  /**
+   * Verifies and records the remote signaling data
+   * @param {string} compressed - Compressed remote offer/answer
+   * @returns {Object} Decompressed signaling
+   */
+  function acceptRemoteSignal(compressed) {
+    const decompressed = decompressSignaling(compressed);
+    const { fingerprint } = parseSdpIdentity(decompressed.description.sdp);
+    
+    if (remoteFingerprint && fingerprint !== remoteFingerprint) {
+      throw new Error('Remote fingerprint does not match the stored session');
+    }
+    
+    remoteSignal = compressed;
+    remoteFingerprint = fingerprint;
+    if (decompressed.sessionId) {
+      sessionId = decompressed.sessionId;
+    }
+    return decompressed;
+  }
+  
+  async function addRemoteCandidates(candidates) {
+    for (const candidate of candidates) {
+      try {
+        await pc.addIceCandidate(candidate);
+      } catch (e) {
+        console.warn('Failed to add candidate:', e);
+      }
+    }
+  }
+  
+  function waitForCandidates() {
     return new Promise((resolve) => {
       const checkCandidates = () => {
         if (pc.iceGatheringState === 'complete' || localCandidates.length >= 3) {
           clearTimeout(iceCandidateTimeout);
-          const compressed = compressSignaling(pc.localDescription, localCandidates);
+          const compressed = compressSignaling(pc.localDescription, localCandidates, sessionId);
           resolve(compressed);
         }
       };
@@ -291,7 +826,7 @@ export function createDirectConnection(options = {}) {
       
       // Timeout fallback
       iceCandidateTimeout = setTimeout(() => {
-        const compressed = compressSignaling(pc.localDescription, localCandidates);
+        const compressed = compressSignaling(pc.localDescription, localCandidates, sessionId);
         resolve(compressed);
       }, 3000);
       
@@ -300,28 +835,52 @@ export function createDirectConnection(options = {}) {
     });
   }
   
+  /**
+   * Creates an offer (Host side)
+   * @returns {Promise<string>} Compressed offer for QR code
+   */
+  async function createOffer() {
+    role = 'host';
+    sessionId = generateSessionId();
+    remoteFingerprint = null;
+    await ensureCertificate();
+    createPeerConnection();
+    
+    // Create data channel
+    const channel = pc.createDataChannel('p2p-stream', {
+      ordered: true
+    });
+    setupDataChannel(channel);
+    
+    // Create offer
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+    
+    setState(DirectConnectionState.OFFERING);
+    
+    // Wait for ICE gathering to complete (or timeout after 3 seconds)
+    return waitForCandidates();
+  }
+  
   /**
    * Processes an offer and creates an answer (Client side)
    * @param {string} compressedOffer - Compressed offer from QR code
    * @returns {Promise<string>} Compressed answer for QR code
    */
   async function createAnswer(compressedOffer) {
+    role = 'client';
+    remoteFingerprint = null;
+    await ensureCertificate();
     createPeerConnection();
     
     setState(DirectConnectionState.ANSWERING);
     
     // Decompress and set remote description
-    const { description, candidates } = decompressSignaling(compressedOffer);
+    const { description, candidates } = acceptRemoteSignal(compressedOffer);
     await pc.setRemoteDescription(description);
     
     // Add remote candidates
-    for (const candidate of candidates) {
-      try {
-        await pc.addIceCandidate(candidate);
-      } catch (e) {
-        console.warn('Failed to add candidate:', e);
-      }
-    }
+    await addRemoteCandidates(candidates);
     
     // Create answer
     const answer = await pc.createAnswer();
@@ -330,24 +889,7 @@ export function createDirectConnection(options = {}) {
     setState(DirectConnectionState.CONNECTING);
     
     // Wait for ICE gathering
-    return new Promise((resolve) => {
-      const checkCandidates = () => {
-        if (pc.iceGatheringState === 'complete' || localCandidates.length >= 3) {
-          clearTimeout(iceCandidateTimeout);
-          const compressed = compressSignaling(pc.localDescription, localCandidates);
-          resolve(compressed);
-        }
-      };
-      
-      pc.onicegatheringstatechange = checkCandidates;
-      
-      iceCandidateTimeout = setTimeout(() => {
-        const compressed = compressSignaling(pc.localDescription, localCandidates);
-        resolve(compressed);
-      }, 3000);
-      
-      checkCandidates();
-    });
+    return waitForCandidates();
   }
   
   /**
@@ -359,32 +901,131 @@ export function createDirectConnection(options = {}) {
       throw new Error('No peer connection - call createOffer first');
     }
     
-    const { description, candidates } = decompressSignaling(compressedAnswer);
+    const { description, candidates } = acceptRemoteSignal(compressedAnswer);
     await pc.setRemoteDescription(description);
     
     // Add remote candidates
-    for (const candidate of candidates) {
-      try {
-        await pc.addIceCandidate(candidate);
-      } catch (e) {
-        console.warn('Failed to add candidate:', e);
-      }
-    }
+    await addRemoteCandidates(candidates);
     
     setState(DirectConnectionState.CONNECTING);
   }
   
+  /**
+   * Exports what is needed to resume this session later
+   * The certificate is an RTCCertificate; persist it with IndexedDB
+   * (structured clone), not JSON.
+   * @returns {Object|null} Session record, or null before signaling completed
+   */
+  function exportSession() {
+    if (!pc || !pc.localDescription || !remoteSignal) {
+      return null;
+    }
+    const local = parseSdpIdentity(pc.localDescription.sdp);
+    return {
+      sessionId,
+      role,
+      localIce: { ufrag: local.ufrag, pwd: local.pwd },
+      remoteSignal,
+      remoteFingerprint,
+      certificate
+    };
+  }
+  
+  /**
+   * Checks whether a lost link can be resumed from stored session data
+   * @returns {boolean} True if exportSession() has data to resume from
+   */
+  function canResume() {
+    return exportSession() !== null;
+  }
+  
+  /**
+   * Resumes a previous session without a new QR exchange
+   * Rebuilds the peer connection with the stored certificate and ICE
+   * credentials and re-applies the peer's stored description, so both
+   * sides recognize each other's DTLS fingerprint. This only succeeds if
+   * the peer resumes the same session and its addresses are still
+   * reachable; otherwise fall back to a fresh offer/answer.
+   * @param {Object} session - Record from exportSession()
+   * @returns {Promise<void>}
+   */
+  async function resume(session) {
+    if (!session || !session.remoteSignal || !session.localIce || !session.role) {
+      throw new Error('Invalid session data - nothing to resume');
+    }
+    
+    close();
+    
+    role = session.role;
+    sessionId = session.sessionId;
+    certificate = session.certificate || certificate;
+    remoteFingerprint = session.remoteFingerprint || null;
+    
+    const { description, candidates } = acceptRemoteSignal(session.remoteSignal);
+    createPeerConnection();
+    setState(DirectConnectionState.RECONNECTING);
+    
+    if (role === 'host') {
+      setupDataChannel(pc.createDataChannel('p2p-stream', { ordered: true }));
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription({
+        type: offer.type,
+        sdp: withIceCredentials(offer.sdp, session.localIce)
+      });
+      await pc.setRemoteDescription(description);
+    } else {
+      await pc.setRemoteDescription(description);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription({
+        type: answer.type,
+        sdp: withIceCredentials(answer.sdp, session.localIce)
+      });
+    }
+    
+    await addRemoteCandidates(candidates);
+  }
+  
   /**
    * Sends a message to the peer
-   * @param {any} message - Message to send (will be JSON stringified if object)
+   * Large messages are chunked; frames wait in a queue while the channel
+   * buffer is full.
+   * @param {any} message - Message to send (JSON stringified if object, binary sent as bytes)
    */
   function send(message) {
-    if (!dataChannel || dataChannel.readyState !== 'open') {
+    if (!isChannelOpen()) {
       throw new Error('Data channel not open');
     }
     
-    const data = typeof message === 'object' ? JSON.stringify(message) : message;
-    dataChannel.send(data);
+    const payload = negotiator.encode(message);
+    const frames = fragmentMessage(payload, transfer.chunkSize, String(nextMessageId++));
+    outbox.push(...frames);
+    flushOutbox();
+  }
+  
+  /**
+   * Waits until every queued frame has been handed to the data channel
+   * @returns {Promise<void>} Rejects if the channel closes first
+   */
+  function drain() {
+    if (outbox.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      drainWaiters.push({ resolve, reject });
+    });
+  }
+  
+  /**
+   * Gets the number of bytes waiting to be sent
+   * Includes both the local queue and the channel's own buffer.
+   * @returns {number} Buffered bytes
+   */
+  function getBufferedAmount() {
+    const queued = outbox.reduce(
+      (sum, frame) => sum + (typeof frame === 'string' ? frame.length : frame.byteLength),
+      0
+    );
+    return queued + (isChannelOpen() ? dataChannel.bufferedAmount || 0 : 0);
   }
   
   /**
@@ -394,10 +1035,15 @@ export function createDirectConnection(options = {}) {
     if (iceCandidateTimeout) {
       clearTimeout(iceCandidateTimeout);
     }
+    clearRecoveryTimers();
+    restarting = false;
+    restartAttempts = 0;
     
+    resetTransfer();
     if (dataChannel) {
-      dataChannel.close();
+      const channel = dataChannel;
       dataChannel = null;
+      channel.close();
     }
     
     if (pc) {
@@ -414,8 +1060,16 @@ export function createDirectConnection(options = {}) {
     createAnswer,
     acceptAnswer,
     send,
+    drain,
+    getBufferedAmount,
     close,
+    restartIce,
+    exportSession,
+    canResume,
+    resume,
     getState: () => state,
+    getSessionId: () => sessionId,
+    getWireFormat: () => negotiator.getSendFormat(),
     isConnected: () => state === DirectConnectionState.CONNECTED
   };
 }
@@ -6,10 +6,19 @@ import { jest } from '@jest/globals';
 import {
   DirectConnectionState,
   DEFAULT_ICE_SERVERS,
+  DEFAULT_RECOVERY,
+  DEFAULT_TRANSFER,
+  SignalType,
+  CHUNK_FRAME,
+  CONTROL_KEY,
   compressSignaling,
   decompressSignaling,
+  parseSdpIdentity,
+  fragmentMessage,
+  createReassembler,
   createDirectConnection
 } from './webrtc-direct.js';
+import { WireFormat, MessageTag, encodeMessage } from './codec.js';
 
 // Mock RTCPeerConnection
 class MockRTCPeerConnection {
@@ -145,6 +154,7 @@ describe('DirectConnectionState', () => {
     expect(DirectConnectionState.ANSWERING).toBe('answering');
     expect(DirectConnectionState.CONNECTING).toBe('connecting');
     expect(DirectConnectionState.CONNECTED).toBe('connected');
+    expect(DirectConnectionState.RECONNECTING).toBe('reconnecting');
     expect(DirectConnectionState.DISCONNECTED).toBe('disconnected');
     expect(DirectConnectionState.FAILED).toBe('failed');
   });
@@ -285,6 +295,35 @@ a=fingerprint:sha-256 AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:D
   });
 });
 
+describe('session identity in signaling', () => {
+  const sdp = `a=ice-ufrag:abcd1234efgh5678\r
+a=ice-pwd:ABCDefgh1234567890IJKL\r
+a=fingerprint:sha-256 AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99:AA:BB:CC:DD:EE:FF:00:11:22:33:44:55:66:77:88:99\r
+`;
+
+  test('should carry session ID through compress/decompress', () => {
+    const compressed = compressSignaling({ type: 'offer', sdp }, [], 'session-1');
+    expect(decompressSignaling(compressed).sessionId).toBe('session-1');
+  });
+  
+  test('should return null session ID when absent', () => {
+    const compressed = compressSignaling({ type: 'offer', sdp }, []);
+    expect(decompressSignaling(compressed).sessionId).toBeNull();
+  });
+  
+  test('parseSdpIdentity should extract credentials and fingerprint', () => {
+    const identity = parseSdpIdentity(sdp);
+    
+    expect(identity.ufrag).toBe('abcd1234efgh5678');
+    expect(identity.pwd).toBe('ABCDefgh1234567890IJKL');
+    expect(identity.fingerprint).toMatch(/^AA:BB:CC/);
+  });
+  
+  test('parseSdpIdentity should return nulls for missing fields', () => {
+    expect(parseSdpIdentity('v=0')).toEqual({ ufrag: null, pwd: null, fingerprint: null });
+  });
+});
+
 describe('createDirectConnection', () => {
   test('should create connection manager with default options', () => {
     const conn = createDirectConnection();
@@ -431,6 +470,558 @@ describe('Full connection flow', () => {
   });
 });
 
+describe('Connection recovery', () => {
+  const recovery = { iceRestartDelay: 5, iceRestartTimeout: 50, maxIceRestarts: 1 };
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  let instances;
+  
+  class TrackingPeerConnection extends MockRTCPeerConnection {
+    constructor(config) {
+      super(config);
+      instances.push(this);
+    }
+  }
+  
+  beforeEach(() => {
+    instances = [];
+    global.RTCPeerConnection = TrackingPeerConnection;
+  });
+  
+  afterEach(() => {
+    global.RTCPeerConnection = MockRTCPeerConnection;
+  });
+  
+  // Completes signaling and links both data channels to each other
+  async function connectPair(hostOptions = {}, clientOptions = {}) {
+    const host = createDirectConnection({ recovery, ...hostOptions });
+    const client = createDirectConnection({ recovery, ...clientOptions });
+    
+    const offer = await host.createOffer();
+    const answer = await client.createAnswer(offer);
+    await host.acceptAnswer(answer);
+    
+    const [hostPc, clientPc] = instances;
+    const hostChannel = hostPc._dataChannels[0];
+    const clientChannel = new MockRTCPeerConnection().createDataChannel('p2p-stream');
+    clientPc._triggerDataChannel(clientChannel);
+    
+    hostChannel.send = jest.fn((data) => clientChannel.onmessage({ data }));
+    clientChannel.send = jest.fn((data) => hostChannel.onmessage({ data }));
+    hostChannel.readyState = 'open';
+    clientChannel.readyState = 'open';
+    hostChannel.onopen();
+    clientChannel.onopen();
+    // Drop the wire format handshake
+    hostChannel.send.mockClear();
+    clientChannel.send.mockClear();
+    
+    return { host, client, hostPc, clientPc, hostChannel, clientChannel };
+  }
+  
+  test('should share the session ID between both sides', async () => {
+    const { host, client } = await connectPair();
+    
+    expect(host.getSessionId()).toBeTruthy();
+    expect(client.getSessionId()).toBe(host.getSessionId());
+  });
+  
+  test('should restart ICE over the data channel when the link degrades', async () => {
+    const { host, client, hostPc, clientPc, hostChannel, clientChannel } = await connectPair();
+    
+    hostPc._triggerIceState('disconnected');
+    clientPc._triggerIceState('disconnected');
+    expect(host.getState()).toBe(DirectConnectionState.RECONNECTING);
+    expect(client.getState()).toBe(DirectConnectionState.RECONNECTING);
+    
+    await wait(20);
+    
+    const offerMsg = JSON.parse(hostChannel.send.mock.calls[0][0])[CONTROL_KEY];
+    expect(offerMsg.signal).toBe(SignalType.RESTART_OFFER);
+    const answerMsg = JSON.parse(clientChannel.send.mock.calls[0][0])[CONTROL_KEY];
+    expect(answerMsg.signal).toBe(SignalType.RESTART_ANSWER);
+    expect(hostPc.remoteDescription.type).toBe('answer');
+    
+    hostPc._triggerIceState('connected');
+    clientPc._triggerIceState('connected');
+    expect(host.getState()).toBe(DirectConnectionState.CONNECTED);
+    expect(client.getState()).toBe(DirectConnectionState.CONNECTED);
+  });
+  
+  test('should not restart if the link recovers during the grace period', async () => {
+    const { host, hostPc, hostChannel } = await connectPair();
+    
+    hostPc._triggerIceState('disconnected');
+    hostPc._triggerIceState('connected');
+    await wait(20);
+    
+    expect(hostChannel.send).not.toHaveBeenCalled();
+    expect(host.getState()).toBe(DirectConnectionState.CONNECTED);
+  });
+  
+  test('should forward restart candidates and keep signals out of onMessage', async () => {
+    const onMessage = jest.fn();
+    const { hostPc, clientPc } = await connectPair({}, { onMessage });
+    
+    hostPc._triggerIceState('failed');
+    await wait(20);
+    
+    const candidateAdded = clientPc._iceCandidates.some(c => c && c.candidate && c.candidate.includes('192.168.1.100'));
+    expect(candidateAdded).toBe(true);
+    expect(onMessage).not.toHaveBeenCalled();
+  });
+  
+  test('should fail once restarts are exhausted', async () => {
+    const onError = jest.fn();
+    const { host, hostPc } = await connectPair({ onError });
+    
+    hostPc._triggerIceState('failed');
+    expect(host.getState()).toBe(DirectConnectionState.RECONNECTING);
+    
+    await wait(80);
+    
+    expect(host.getState()).toBe(DirectConnectionState.FAILED);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'ICE restart timed out' }));
+  });
+  
+  test('should fail immediately when the data channel is gone', async () => {
+    const onError = jest.fn();
+    const { host, hostPc, hostChannel } = await connectPair({ onError });
+    
+    hostChannel.readyState = 'closed';
+    hostPc._triggerIceState('failed');
+    
+    expect(host.getState()).toBe(DirectConnectionState.FAILED);
+    expect(host.canResume()).toBe(true);
+  });
+  
+  test('should export session identity', async () => {
+    const { host, client } = await connectPair();
+    
+    const hostSession = host.exportSession();
+    const clientSession = client.exportSession();
+    
+    expect(hostSession.role).toBe('host');
+    expect(clientSession.role).toBe('client');
+    expect(hostSession.sessionId).toBe(clientSession.sessionId);
+    expect(hostSession.localIce.ufrag).toBe('abcd1234efgh5678');
+    expect(hostSession.remoteFingerprint).toMatch(/^AA:BB/);
+  });
+  
+  test('should not export before signaling completes', () => {
+    const conn = createDirectConnection();
+    expect(conn.exportSession()).toBeNull();
+    expect(conn.canResume()).toBe(false);
+  });
+  
+  test('should resume a host session without new QR codes', async () => {
+    const { host } = await connectPair();
+    const session = host.exportSession();
+    host.close();
+    
+    const resumed = createDirectConnection({ recovery });
+    await resumed.resume(session);
+    
+    const pc = instances[instances.length - 1];
+    expect(resumed.getState()).toBe(DirectConnectionState.RECONNECTING);
+    expect(resumed.getSessionId()).toBe(session.sessionId);
+    expect(pc.localDescription.sdp).toContain('a=ice-ufrag:' + session.localIce.ufrag);
+    expect(pc.remoteDescription.type).toBe('answer');
+  });
+  
+  test('should resume a client session', async () => {
+    const { client } = await connectPair();
+    const session = client.exportSession();
+    
+    await client.resume(session);
+    
+    const pc = instances[instances.length - 1];
+    expect(pc.remoteDescription.type).toBe('offer');
+    expect(pc.localDescription.type).toBe('answer');
+  });
+  
+  test('should reject resume when the stored fingerprint does not match', async () => {
+    const { host } = await connectPair();
+    const session = { ...host.exportSession(), remoteFingerprint: '00:11' };
+    
+    await expect(host.resume(session)).rejects.toThrow('Remote fingerprint does not match');
+  });
+  
+  test('should reject invalid session data', async () => {
+    const conn = createDirectConnection();
+    await expect(conn.resume(null)).rejects.toThrow('Invalid session data');
+  });
+  
+  test('should use a stored certificate', async () => {
+    const certificate = { fake: true };
+    const conn = createDirectConnection({ certificate });
+    await conn.createOffer();
+    
+    expect(instances[0].config.certificates).toEqual([certificate]);
+  });
+  
+  test('should expose recovery defaults', () => {
+    expect(DEFAULT_RECOVERY.maxIceRestarts).toBeGreaterThan(0);
+    expect(DEFAULT_RECOVERY.iceRestartDelay).toBeGreaterThan(0);
+  });
+});
+
+describe('fragmentMessage', () => {
+  test('should keep small messages in a single frame', () => {
+    expect(fragmentMessage({ type: 'ping' }, 64, '1')).toEqual(['{"type":"ping"}']);
+    expect(fragmentMessage('hello', 64, '1')).toEqual(['hello']);
+    
+    const bytes = new Uint8Array([1, 2, 3]);
+    expect(fragmentMessage(bytes, 64, '1')).toEqual([bytes]);
+  });
+  
+  test('should split large JSON into chunk frames', () => {
+    const message = { text: 'x'.repeat(100) };
+    const frames = fragmentMessage(message, 40, 'm1').map(frame => JSON.parse(frame)[CONTROL_KEY]);
+    
+    expect(frames).toHaveLength(3);
+    frames.forEach((frame, index) => {
+      expect(frame).toMatchObject({ frame: CHUNK_FRAME, id: 'm1', index, total: 3, kind: 'json' });
+    });
+    expect(JSON.parse(frames.map(frame => frame.data).join(''))).toEqual(message);
+  });
+  
+  test('should follow each binary chunk header with its bytes', () => {
+    const bytes = new Uint8Array(10).map((_, i) => i);
+    const frames = fragmentMessage(bytes.buffer, 4, 'b1');
+    
+    expect(frames).toHaveLength(6);
+    expect(JSON.parse(frames[0])).toEqual({
+      [CONTROL_KEY]: { frame: CHUNK_FRAME, id: 'b1', index: 0, total: 3, kind: 'binary' }
+    });
+    expect(Array.from(frames[1])).toEqual([0, 1, 2, 3]);
+    expect(Array.from(frames[5])).toEqual([8, 9]);
+  });
+});
+
+describe('createReassembler', () => {
+  const chunk = (id, index, total, data, kind = 'text') => ({ frame: CHUNK_FRAME, id, index, total, kind, data });
+  
+  test('should rebuild a message from frames in any order', () => {
+    const reassembler = createReassembler();
+    
+    expect(reassembler.accept(chunk('a', 1, 2, 'world'))).toBeUndefined();
+    expect(reassembler.getPendingCount()).toBe(1);
+    expect(reassembler.accept(chunk('a', 0, 2, 'hello '))).toBe('hello world');
+    expect(reassembler.getPendingCount()).toBe(0);
+  });
+  
+  test('should keep interleaved messages apart by ID', () => {
+    const reassembler = createReassembler();
+    
+    reassembler.accept(chunk('a', 0, 2, '{"n":', 'json'));
+    reassembler.accept(chunk('b', 0, 2, 'B0'));
+    
+    expect(reassembler.accept(chunk('a', 1, 2, '1}', 'json'))).toEqual({ n: 1 });
+    expect(reassembler.accept(chunk('b', 1, 2, 'B1'))).toBe('B0B1');
+  });
+  
+  test('should concatenate binary parts', () => {
+    const reassembler = createReassembler();
+    
+    reassembler.accept(chunk('a', 0, 2, new Uint8Array([1, 2]), 'binary'));
+    const result = reassembler.accept(chunk('a', 1, 2, new Uint8Array([3]), 'binary'));
+    
+    expect(result).toBeInstanceOf(Uint8Array);
+    expect(Array.from(result)).toEqual([1, 2, 3]);
+  });
+  
+  test('should ignore duplicates and malformed frames', () => {
+    const reassembler = createReassembler();
+    
+    reassembler.accept(chunk('a', 0, 2, 'x'));
+    expect(reassembler.accept(chunk('a', 0, 2, 'x'))).toBeUndefined();
+    expect(reassembler.accept(chunk('a', 5, 2, 'y'))).toBeUndefined();
+    expect(reassembler.accept(chunk('c', 'zero', 2, 'y'))).toBeUndefined();
+    expect(reassembler.accept(chunk('a', 1, 2, 'y'))).toBe('xy');
+  });
+  
+  test('should drop the oldest incomplete message beyond the limit', () => {
+    const reassembler = createReassembler({ maxPendingMessages: 2 });
+    
+    reassembler.accept(chunk('a', 0, 2, 'a'));
+    reassembler.accept(chunk('b', 0, 2, 'b'));
+    reassembler.accept(chunk('c', 0, 2, 'c'));
+    
+    expect(reassembler.getPendingCount()).toBe(2);
+    expect(reassembler.accept(chunk('a', 1, 2, 'a'))).toBeUndefined();
+    expect(reassembler.accept(chunk('c', 1, 2, 'c'))).toBe('cc');
+  });
+});
+
+describe('Chunked transfer', () => {
+  const transfer = { chunkSize: 32, highWaterMark: 64, lowWaterMark: 16 };
+  let instances;
+  
+  class TrackingPeerConnection extends MockRTCPeerConnection {
+    constructor(config) {
+      super(config);
+      instances.push(this);
+    }
+  }
+  
+  beforeEach(() => {
+    instances = [];
+    global.RTCPeerConnection = TrackingPeerConnection;
+  });
+  
+  afterEach(() => {
+    global.RTCPeerConnection = MockRTCPeerConnection;
+  });
+  
+  async function connectPair(clientOptions = {}, hostOptions = {}) {
+    const host = createDirectConnection({ transfer, ...hostOptions });
+    const client = createDirectConnection({ transfer, ...clientOptions });
+    
+    await host.acceptAnswer(await client.createAnswer(await host.createOffer()));
+    
+    const hostChannel = instances[0]._dataChannels[0];
+    const clientChannel = new MockRTCPeerConnection().createDataChannel('p2p-stream');
+    instances[1]._triggerDataChannel(clientChannel);
+    
+    hostChannel.bufferedAmount = 0;
+    hostChannel.send = jest.fn((data) => clientChannel.onmessage({ data }));
+    clientChannel.send = jest.fn((data) => hostChannel.onmessage({ data }));
+    hostChannel.readyState = 'open';
+    clientChannel.readyState = 'open';
+    hostChannel.onopen();
+    clientChannel.onopen();
+    hostChannel.send.mockClear();
+    clientChannel.send.mockClear();
+    
+    return { host, client, hostChannel, clientChannel };
+  }
+  
+  test('should configure the channel for binary data and backpressure', async () => {
+    const { hostChannel } = await connectPair();
+    
+    expect(hostChannel.binaryType).toBe('arraybuffer');
+    expect(hostChannel.bufferedAmountLowThreshold).toBe(16);
+  });
+  
+  test('should deliver a large message in one piece', async () => {
+    const onMessage = jest.fn();
+    const { host, hostChannel } = await connectPair({ onMessage });
+    const message = { type: 'snapshot', text: 'lorem ipsum '.repeat(20) };
+    
+    host.send(message);
+    
+    expect(hostChannel.send.mock.calls.length).toBeGreaterThan(1);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage).toHaveBeenCalledWith(message);
+  });
+  
+  test('should deliver binary payloads as bytes', async () => {
+    const onMessage = jest.fn();
+    const { host } = await connectPair({ onMessage });
+    const small = new Uint8Array([7, 8, 9]);
+    const large = new Uint8Array(100).map((_, i) => i);
+    
+    host.send(small);
+    host.send(large);
+    
+    expect(Array.from(onMessage.mock.calls[0][0])).toEqual([7, 8, 9]);
+    expect(Array.from(onMessage.mock.calls[1][0])).toEqual(Array.from(large));
+  });
+  
+  test('should deliver messages that look like control frames', async () => {
+    const onMessage = jest.fn();
+    const { host, client } = await connectPair({ onMessage }, { wireFormat: WireFormat.JSON });
+    const lookalikes = [
+      { signal: SignalType.RESTART_OFFER, description: {} },
+      { frame: CHUNK_FRAME, id: 'x', index: 0, total: 2, kind: 'text', data: 'a' },
+      { [CONTROL_KEY]: { signal: SignalType.CANDIDATE } }
+    ];
+
+    lookalikes.forEach(message => host.send(message));
+
+    expect(onMessage.mock.calls.map(call => call[0])).toEqual(lookalikes);
+    expect(client.getState()).toBe(DirectConnectionState.CONNECTED);
+  });
+
+  test('should not confuse signals sent between binary chunks', async () => {
+    const onMessage = jest.fn();
+    const { client, clientChannel: channel } = await connectPair({ onMessage });
+    const header = (index) => JSON.stringify({
+      [CONTROL_KEY]: { frame: CHUNK_FRAME, id: 'x', index, total: 2, kind: 'binary' }
+    });
+    const [tag, ...bytes] = encodeMessage(new Uint8Array([1, 2]));
+    
+    channel.onmessage({ data: header(0) });
+    channel.onmessage({ data: JSON.stringify({ [CONTROL_KEY]: { signal: 'unknown-signal' } }) });
+    channel.onmessage({ data: new Uint8Array([tag]).buffer });
+    channel.onmessage({ data: header(1) });
+    channel.onmessage({ data: new Uint8Array(bytes).buffer });
+    
+    expect(client.isConnected()).toBe(true);
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(Array.from(onMessage.mock.calls[0][0])).toEqual([1, 2]);
+  });
+  
+  test('should queue frames while the buffer is above the high water mark', async () => {
+    const onMessage = jest.fn();
+    const { host, hostChannel } = await connectPair({ onMessage });
+    hostChannel.bufferedAmount = 100;
+    
+    host.send({ text: 'x'.repeat(100) });
+    host.send('after');
+    
+    expect(hostChannel.send).not.toHaveBeenCalled();
+    expect(host.getBufferedAmount()).toBeGreaterThan(100);
+    
+    const drained = host.drain();
+    hostChannel.bufferedAmount = 0;
+    hostChannel.onbufferedamountlow();
+    await drained;
+    
+    expect(onMessage.mock.calls.map(call => call[0])).toEqual([{ text: 'x'.repeat(100) }, 'after']);
+    expect(host.getBufferedAmount()).toBe(0);
+  });
+  
+  test('should reject drain and drop the queue when closed', async () => {
+    const { host, hostChannel } = await connectPair();
+    hostChannel.bufferedAmount = 100;
+    host.send('queued');
+    
+    const drained = host.drain();
+    host.close();
+    
+    await expect(drained).rejects.toThrow('Data channel closed');
+    expect(host.getBufferedAmount()).toBe(0);
+  });
+  
+  test('should resolve drain immediately with nothing queued', async () => {
+    const { host } = await connectPair();
+    await expect(host.drain()).resolves.toBeUndefined();
+  });
+  
+  test('should expose transfer defaults below the advertised max message size', () => {
+    expect(DEFAULT_TRANSFER.chunkSize).toBeLessThan(262144);
+    expect(DEFAULT_TRANSFER.lowWaterMark).toBeLessThan(DEFAULT_TRANSFER.highWaterMark);
+  });
+});
+
+describe('Wire format negotiation', () => {
+  let instances;
+  
+  class TrackingPeerConnection extends MockRTCPeerConnection {
+    constructor(config) {
+      super(config);
+      instances.push(this);
+    }
+  }
+  
+  beforeEach(() => {
+    instances = [];
+    global.RTCPeerConnection = TrackingPeerConnection;
+  });
+  
+  afterEach(() => {
+    global.RTCPeerConnection = MockRTCPeerConnection;
+  });
+  
+  async function connectPair(hostOptions = {}, clientOptions = {}) {
+    const host = createDirectConnection(hostOptions);
+    const client = createDirectConnection(clientOptions);
+    
+    await host.acceptAnswer(await client.createAnswer(await host.createOffer()));
+    
+    const hostChannel = instances[0]._dataChannels[0];
+    const clientChannel = new MockRTCPeerConnection().createDataChannel('p2p-stream');
+    instances[1]._triggerDataChannel(clientChannel);
+    
+    hostChannel.send = jest.fn((data) => clientChannel.onmessage({ data }));
+    clientChannel.send = jest.fn((data) => hostChannel.onmessage({ data }));
+    hostChannel.readyState = 'open';
+    clientChannel.readyState = 'open';
+    hostChannel.onopen();
+    clientChannel.onopen();
+    
+    return { host, client, hostChannel, clientChannel };
+  }
+  
+  const signalsSent = (channel) => channel.send.mock.calls
+    .map(call => call[0])
+    .filter(data => typeof data === 'string')
+    .map(data => JSON.parse(data)[CONTROL_KEY])
+    .filter(message => message && message.signal);
+  
+  test('should exchange hellos and switch to binary', async () => {
+    const onMessage = jest.fn();
+    const { host, client, hostChannel } = await connectPair({}, { onMessage });
+    
+    expect(signalsSent(hostChannel).map(m => m.signal)).toEqual([SignalType.HELLO, SignalType.FORMAT]);
+    expect(host.getWireFormat()).toBe(WireFormat.BINARY);
+    expect(client.getWireFormat()).toBe(WireFormat.BINARY);
+    
+    host.send({ type: 'append', text: 'Hi', tokenIndex: 3 });
+    
+    const frame = hostChannel.send.mock.calls.at(-1)[0];
+    expect(frame).toBeInstanceOf(Uint8Array);
+    expect(frame[0]).toBe(MessageTag.APPEND);
+    expect(onMessage).toHaveBeenCalledWith({ type: 'append', text: 'Hi', tokenIndex: 3 });
+  });
+  
+  test('should fall back to JSON when one side prefers it', async () => {
+    const onMessage = jest.fn();
+    const { host, client, hostChannel } = await connectPair({ wireFormat: WireFormat.JSON }, { onMessage });
+    
+    expect(host.getWireFormat()).toBe(WireFormat.JSON);
+    expect(client.getWireFormat()).toBe(WireFormat.JSON);
+    
+    host.send({ type: 'response-token', data: 'x' });
+    
+    expect(hostChannel.send.mock.calls.at(-1)[0]).toBe('{"type":"response-token","data":"x"}');
+    expect(onMessage).toHaveBeenCalledWith({ type: 'response-token', data: 'x' });
+  });
+  
+  test('should send JSON to a peer that never says hello', async () => {
+    const host = createDirectConnection();
+    await host.createOffer();
+    const channel = instances[0]._dataChannels[0];
+    channel.readyState = 'open';
+    channel.onopen();
+    
+    host.send({ type: 'response-start' });
+    
+    expect(channel.send).toHaveBeenLastCalledWith('{"type":"response-start"}');
+  });
+  
+  test('should chunk and decode large binary-encoded messages', async () => {
+    const onMessage = jest.fn();
+    const { host } = await connectPair({ transfer: { chunkSize: 16 } }, { onMessage });
+    const message = { type: 'sync-step-2', update: btoa('x'.repeat(100)) };
+    
+    host.send(message);
+    
+    expect(onMessage).toHaveBeenCalledWith(message);
+  });
+  
+  test('should report undecodable frames as errors', async () => {
+    const onError = jest.fn();
+    const onMessage = jest.fn();
+    const { clientChannel } = await connectPair({}, { onError, onMessage });
+    
+    clientChannel.onmessage({ data: Uint8Array.of(0xff).buffer });
+    
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Unknown message tag: 255' }));
+    expect(onMessage).not.toHaveBeenCalled();
+  });
+  
+  test('should renegotiate after the channel closes', async () => {
+    const { host, hostChannel } = await connectPair();
+    
+    hostChannel.readyState = 'closed';
+    hostChannel.onclose();
+    
+    expect(host.getWireFormat()).toBe(WireFormat.JSON);
+  });
+});
+
 describe('Message Protocol', () => {
   describe('Client to Host Messages', () => {
     test('should define request message type', () => {